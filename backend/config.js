@@ -1,26 +1,391 @@
 /**
  * Configuration file for environment variables
- * This file centralizes all environment variables used in the application
+ * This file centralizes all environment variables used in the application:
+ * every other module reads its settings from here, never from process.env.
+ *
+ * Each setting is declared with a type, a default and whether it is required.
+ * Missing or malformed values are collected rather than thrown, so the server
+ * can refuse to start with one report listing all of them (see assertValid).
  */
 
+const path = require('path');
+
 // Load environment variables from .env file
 require('dotenv').config();
 
-const config = {
-  // Wikibase API configuration
-  wikibase: {
-    apiUrl: process.env.WIKIBASE_API_URL,
-    entityUrl: process.env.WIKIBASE_ENTITY_URL,
-    sparqlUrl: process.env.WIKIBASE_SPARQL_URL
+const DEFAULT_ENTITY_URL = 'https://medievalcharterskg.wikibase.cloud/entity';
+
+/**
+ * Error raised when the configuration has missing or invalid settings
+ */
+class ConfigError extends Error {
+  constructor(problems) {
+    super([
+      'Invalid configuration:',
+      ...problems.map(problem => `  - ${problem}`),
+      'See backend/.env.example for every setting.'
+    ].join('\n'));
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Parse TYPE_CLASSES, e.g. "person=Q5,place=Q6|Q7", into { person: ['Q5'], place: ['Q6', 'Q7'] }
+ * @param {string} value
+ * @returns {Object}
+ */
+const parseTypeClasses = (value) => {
+  const classes = {};
+  value.split(',').filter(Boolean).forEach(entry => {
+    const [type, ids = ''] = entry.split('=');
+    if (!type.trim()) throw new Error(`must look like person=Q5,place=Q6|Q7, got "${value}"`);
+    classes[type.trim()] = ids.split('|').map(id => id.trim()).filter(Boolean);
+  });
+  return classes;
+};
+
+/**
+ * Parse TRUST_PROXY: a number of proxy hops, true/false, or a list of addresses.
+ * @param {string} value
+ * @returns {number|boolean|string}
+ */
+const parseTrustProxy = (value) => {
+  if (value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+};
+
+// Parsers by setting type; they throw with the reason a value is rejected
+const PARSERS = {
+  string: value => value,
+  url: (value) => {
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      throw new Error(`must be an http(s) URL, got "${value}"`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error(`must be an http(s) URL, got "${value}"`);
+    }
+    // Namespaces and endpoints are joined with '/' by their users
+    return value.replace(/\/+$/, '');
+  },
+  integer: (value, { min, max }) => {
+    if (!/^-?\d+$/.test(value)) throw new Error(`must be an integer, got "${value}"`);
+    const parsed = parseInt(value, 10);
+    if (min !== undefined && parsed < min) throw new Error(`must be at least ${min}, got ${parsed}`);
+    if (max !== undefined && parsed > max) throw new Error(`must be at most ${max}, got ${parsed}`);
+    return parsed;
   },
-  
-  // Server configuration
-  server: {
-    port: process.env.PORT || 3000,
-    allowedOrigins: process.env.ALLOWED_ORIGINS 
-      ? process.env.ALLOWED_ORIGINS.split(',')
-      : ['http://localhost:5173', 'https://jbritosm.github.io']
+  boolean: (value) => {
+    if (value !== 'true' && value !== 'false') throw new Error(`must be true or false, got "${value}"`);
+    return value === 'true';
+  },
+  // Comma separated values; blanks are dropped
+  list: value => value.split(',').map(item => item.trim()).filter(Boolean),
+  enum: (value, { values }) => {
+    if (!values.includes(value)) throw new Error(`must be one of ${values.join(', ')}, got "${value}"`);
+    return value;
+  }
+};
+
+/**
+ * Create a reader for settings from an environment.
+ * @param {Object} env - Variables, usually process.env
+ * @param {string[]} problems - Receives a message for each missing or invalid setting
+ * @returns {Function} read(name, { type, default, required, description, parse, min, max, values })
+ */
+const createReader = (env, problems) => (name, options = {}) => {
+  const { type = 'string', required = false, description, parse = PARSERS[type] } = options;
+  const raw = env[name];
+
+  // Unset and empty variables (as left in .env.example) both mean "use the default"
+  if (raw === undefined || raw.trim() === '') {
+    if (required) {
+      problems.push(`${name} is required${description ? ` (${description})` : ''}`);
+    }
+    return options.default;
+  }
+
+  try {
+    return parse(raw.trim(), options);
+  } catch (error) {
+    problems.push(`${name} ${error.message}`);
+    return options.default;
+  }
+};
+
+/**
+ * Build the configuration from an environment.
+ * @param {Object} [env=process.env]
+ * @returns {{config: Object, problems: string[]}} Settings, with defaults in place of
+ *   invalid values, and a message per missing or invalid setting
+ */
+const loadConfig = (env = process.env) => {
+  const problems = [];
+  const read = createReader(env, problems);
+
+  const nodeEnv = read('NODE_ENV');
+  const entityUrl = read('WIKIBASE_ENTITY_URL', { type: 'url', default: DEFAULT_ENTITY_URL });
+
+  const config = {
+    // Runtime environment (NODE_ENV: development, production, ...)
+    env: nodeEnv,
+
+    // Wikibase API configuration
+    wikibase: {
+      apiUrl: read('WIKIBASE_API_URL', {
+        type: 'url',
+        required: true,
+        description: 'the Wikibase action API, e.g. https://medievalcharterskg.wikibase.cloud/w/api.php'
+      }),
+      // Entity namespace: https://.../entity/Q42 (the wd: prefix in SPARQL)
+      entityUrl,
+      // Direct claim namespace: https://.../prop/direct/P3 (wdt:); next to the entity namespace by default
+      propDirectUrl: read('WIKIBASE_PROP_DIRECT_URL', {
+        type: 'url',
+        default: entityUrl.replace(/\/entity$/, '/prop/direct')
+      }),
+      sparqlUrl: read('WIKIBASE_SPARQL_URL', {
+        type: 'url',
+        required: true,
+        description: 'the query service endpoint, e.g. https://medievalcharterskg.wikibase.cloud/query/sparql'
+      })
+    },
+
+    // Wikidata, where place coordinates (P625) live
+    wikidata: {
+      apiUrl: read('WIKIDATA_API_URL', { type: 'url', default: 'https://www.wikidata.org/w/api.php' })
+    },
+
+    // Where entity, search, graph and path requests are answered from: live (Wikibase) or snapshot
+    dataSource: read('DATA_SOURCE', { type: 'enum', values: ['live', 'snapshot'], default: 'live' }),
+
+    // Local snapshots written by scripts/harvest.js
+    snapshot: {
+      dir: read('SNAPSHOT_DIR', { default: path.join(__dirname, 'data', 'snapshots') }),
+      // Version served in snapshot mode; the latest harvest when not set
+      version: read('SNAPSHOT_VERSION'),
+      // Entity IDs listed per SPARQL page while harvesting
+      pageSize: read('HARVEST_PAGE_SIZE', { type: 'integer', min: 1, default: 1000 })
+    },
+
+    // Local Wikibase stand-in (standin/server.js); its fixtures are bundled when not set
+    standin: {
+      port: read('STANDIN_PORT', { type: 'integer', min: 0, max: 65535, default: 8181 }),
+      fixtures: read('STANDIN_FIXTURES')
+    },
+
+    // SPARQL proxy configuration
+    sparql: {
+      maxLimit: read('SPARQL_MAX_LIMIT', { type: 'integer', min: 1, default: 1000 }),
+      timeoutMs: read('SPARQL_TIMEOUT_MS', { type: 'integer', min: 1, default: 30000 }),
+      // Endpoints user queries may federate to with SERVICE, besides the label service
+      allowedServices: read('SPARQL_ALLOWED_SERVICES', { type: 'list', default: ['https://query.wikidata.org/sparql'] })
+    },
+
+    // Search configuration (wbsearchentities accepts at most 50 results per request)
+    search: {
+      defaultPageSize: read('SEARCH_DEFAULT_PAGE_SIZE', { type: 'integer', min: 1, default: 10 }),
+      maxPageSize: read('SEARCH_MAX_PAGE_SIZE', { type: 'integer', min: 1, max: 50, default: 50 }),
+      // Deepest result reachable through pagination when merging languages
+      maxResults: read('SEARCH_MAX_RESULTS', { type: 'integer', min: 1, default: 500 })
+    },
+
+    // Faceted search: the label matches (up to SEARCH_MAX_RESULTS) are filtered with SPARQL
+    facets: {
+      // Values listed per facet, most frequent first
+      maxValues: read('FACETS_MAX_VALUES', { type: 'integer', min: 1, default: 20 }),
+      // Item-valued properties that associate an entity with a place (P55 residence)
+      placeProperties: read('FACETS_PLACE_PROPERTIES', { type: 'list', default: ['P55'] }),
+      // Time-valued properties used for date ranges; every time property when empty
+      dateProperties: read('FACETS_DATE_PROPERTIES', { type: 'list', default: [] })
+    },
+
+    // Label languages: the requested language comes first, then the fallback chain
+    languages: {
+      supported: read('LANGUAGES_SUPPORTED', { type: 'list', default: ['es', 'la', 'en'] }),
+      fallback: read('LANGUAGE_FALLBACK', { type: 'list', default: ['es', 'la', 'en'] }),
+      default: read('LANGUAGE_DEFAULT', { default: 'en' })
+    },
+
+    // Batch entity lookups (/api/entities?ids=...)
+    entities: {
+      maxBatchIds: read('ENTITIES_MAX_BATCH_IDS', { type: 'integer', min: 1, default: 500 })
+    },
+
+    // Bulk CSV/XLSX export of search results (/api/search/export)
+    export: {
+      // Property columns a single export may add
+      maxProperties: read('EXPORT_MAX_PROPERTIES', { type: 'integer', min: 1, default: 20 })
+    },
+
+    // Graph neighbourhoods (/api/graph/:id)
+    graph: {
+      maxDepth: read('GRAPH_MAX_DEPTH', { type: 'integer', min: 1, default: 3 }),
+      maxNodes: read('GRAPH_MAX_NODES', { type: 'integer', min: 1, default: 200 })
+    },
+
+    // Shortest paths between two entities (/api/path)
+    path: {
+      maxHops: read('PATH_MAX_HOPS', { type: 'integer', min: 1, default: 4 }),
+      maxPaths: read('PATH_MAX_PATHS', { type: 'integer', min: 1, default: 10 }),
+      // Nodes either side may visit before the search gives up
+      maxNodes: read('PATH_MAX_NODES', { type: 'integer', min: 1, default: 2000 })
+    },
+
+    // Entity type resolution (instance of + subclass of chain)
+    types: {
+      instanceOfProperty: read('WIKIBASE_PROPERTY_INSTANCE_OF', { default: 'P3' }),
+      // Looked up by its English label "subclass of" when not set
+      subclassOfProperty: read('WIKIBASE_PROPERTY_SUBCLASS_OF'),
+      // Class items of each canonical type; their subclasses resolve to the same type.
+      // Until set, classes are matched on their English labels (services/types)
+      classes: read('TYPE_CLASSES', { parse: parseTypeClasses, default: {} })
+    },
+
+    // Upstream services: per-target timeouts, retries and circuit breakers
+    upstream: {
+      timeoutMs: {
+        wikibase: read('UPSTREAM_TIMEOUT_WIKIBASE_MS', { type: 'integer', min: 1, default: 10000 }),
+        // Template queries, including the federated Wikidata SERVICE
+        sparql: read('UPSTREAM_TIMEOUT_SPARQL_MS', { type: 'integer', min: 1, default: 20000 }),
+        // Queries federated to the Wikidata SERVICE (coordinates), which are optional
+        federation: read('UPSTREAM_TIMEOUT_FEDERATION_MS', { type: 'integer', min: 1, default: 8000 }),
+        wikidata: read('UPSTREAM_TIMEOUT_WIKIDATA_MS', { type: 'integer', min: 1, default: 10000 })
+      },
+      // Retries of idempotent requests after timeouts, network errors, 5xx and 429
+      retries: read('UPSTREAM_RETRIES', { type: 'integer', min: 0, default: 2 }),
+      retryDelayMs: read('UPSTREAM_RETRY_DELAY_MS', { type: 'integer', min: 1, default: 200 }),
+      maxRetryDelayMs: read('UPSTREAM_MAX_RETRY_DELAY_MS', { type: 'integer', min: 1, default: 2000 }),
+      breaker: {
+        // Consecutive failures that open a target's circuit
+        failureThreshold: read('BREAKER_FAILURE_THRESHOLD', { type: 'integer', min: 1, default: 5 }),
+        // Seconds an open circuit fails fast before a trial request is let through
+        resetSeconds: read('BREAKER_RESET_SECONDS', { type: 'integer', min: 1, default: 30 })
+      }
+    },
+
+    // Response cache configuration (TTLs in seconds, one per route namespace)
+    cache: {
+      defaultTtl: read('CACHE_DEFAULT_TTL', { type: 'integer', min: 1, default: 600 }),
+      maxKeys: read('CACHE_MAX_KEYS', { type: 'integer', min: 1, default: 5000 }),
+      // Expired responses are kept this long to be served while an upstream circuit is open
+      staleTtl: read('CACHE_STALE_TTL', { type: 'integer', min: 1, default: 86400 }),
+      // Expired responses kept at most; the oldest make way for new ones
+      staleMaxKeys: read('CACHE_STALE_MAX_KEYS', { type: 'integer', min: 1, default: 5000 }),
+      // Results that found nothing (a missing entity, graph or path), so new entities show up quickly
+      negativeTtl: read('CACHE_NEGATIVE_TTL', { type: 'integer', min: 1, default: 60 }),
+      ttl: {
+        search: read('CACHE_TTL_SEARCH', { type: 'integer', min: 1, default: 300 }),
+        facets: read('CACHE_TTL_FACETS', { type: 'integer', min: 1, default: 3600 }),
+        entityProperties: read('CACHE_TTL_ENTITY_PROPERTIES', { type: 'integer', min: 1, default: 3600 }),
+        coordinates: read('CACHE_TTL_COORDINATES', { type: 'integer', min: 1, default: 86400 }),
+        entity: read('CACHE_TTL_ENTITY', { type: 'integer', min: 1, default: 3600 }),
+        types: read('CACHE_TTL_TYPES', { type: 'integer', min: 1, default: 86400 }),
+        entities: read('CACHE_TTL_ENTITIES', { type: 'integer', min: 1, default: 3600 }),
+        graph: read('CACHE_TTL_GRAPH', { type: 'integer', min: 1, default: 3600 }),
+        path: read('CACHE_TTL_PATH', { type: 'integer', min: 1, default: 3600 }),
+        sparql: read('CACHE_TTL_SPARQL', { type: 'integer', min: 1, default: 600 })
+      }
+    },
+
+    // Per-client rate limits on the routes that proxy Wikibase and Wikidata
+    // (requests per window; 0 disables a limit)
+    rateLimit: {
+      windowSeconds: read('RATE_LIMIT_WINDOW', { type: 'integer', min: 1, default: 60 }),
+      // Anonymous clients are counted per IP address
+      max: read('RATE_LIMIT_MAX', { type: 'integer', min: 0, default: 120 }),
+      // Clients sending a listed X-API-Key are counted per key
+      apiKeyMax: read('RATE_LIMIT_API_KEY_MAX', { type: 'integer', min: 0, default: 1200 }),
+      apiKeys: read('RATE_LIMIT_API_KEYS', { type: 'list', default: [] }),
+      // Stricter bucket for SPARQL, federated Wikidata lookups, facets, graphs and paths
+      expensiveMax: read('RATE_LIMIT_EXPENSIVE_MAX', { type: 'integer', min: 0, default: 30 }),
+      expensiveApiKeyMax: read('RATE_LIMIT_EXPENSIVE_API_KEY_MAX', { type: 'integer', min: 0, default: 200 })
+    },
+
+    // Structured JSON logs (utils/logger.js)
+    logging: {
+      // Lowest level written; silent turns logging off
+      level: read('LOG_LEVEL', {
+        type: 'enum',
+        values: ['silent', 'error', 'warn', 'info', 'debug'],
+        default: nodeEnv === 'development' ? 'debug' : 'info'
+      }),
+      // Query parameters whose values are replaced in logged URLs (* for all of them)
+      redactParams: read('LOG_REDACT_PARAMS', { type: 'list', default: [] })
+    },
+
+    // Readiness probes of the Wikibase API, query service and Wikidata (/api/health/ready)
+    health: {
+      // Each probe fails after this long, well before a load balancer gives up on the check
+      timeoutMs: read('HEALTH_TIMEOUT_MS', { type: 'integer', min: 1, default: 2000 }),
+      // Seconds a probe result is reused
+      cacheSeconds: read('HEALTH_CACHE_SECONDS', { type: 'integer', min: 0, default: 10 })
+    },
+
+    // Prometheus metrics at /metrics (services/metrics.js). The endpoint is not
+    // authenticated, so outside development it is only served when asked for
+    metrics: {
+      enabled: read('METRICS_ENABLED', { type: 'boolean', default: nodeEnv === 'development' })
+    },
+
+    // Validation against the OpenAPI document (openapi/spec.js); requests are always validated
+    openapi: {
+      validateResponses: read('OPENAPI_VALIDATE_RESPONSES', {
+        type: 'boolean',
+        default: nodeEnv === 'development'
+      })
+    },
+
+    // Admin API configuration (disabled unless a token is set)
+    admin: {
+      token: read('ADMIN_TOKEN')
+    },
+
+    // Server configuration
+    server: {
+      port: read('PORT', { type: 'integer', min: 0, max: 65535, default: 3000 }),
+      allowedOrigins: read('ALLOWED_ORIGINS', {
+        type: 'list',
+        default: ['http://localhost:5173', 'https://jbritosm.github.io']
+      }),
+      // Proxies in front of the app, so req.ip is the client address (e.g. 1 on Render)
+      trustProxy: read('TRUST_PROXY', { parse: parseTrustProxy, default: false })
+    }
+  };
+
+  // Settings that are only valid together
+  const { search, languages } = config;
+  if (search.defaultPageSize > search.maxPageSize) {
+    problems.push(`SEARCH_DEFAULT_PAGE_SIZE (${search.defaultPageSize}) must not exceed SEARCH_MAX_PAGE_SIZE (${search.maxPageSize})`);
   }
+  if (!languages.supported.includes(languages.default)) {
+    problems.push(`LANGUAGE_DEFAULT "${languages.default}" must be one of LANGUAGES_SUPPORTED (${languages.supported.join(', ')})`);
+  }
+
+  return { config, problems };
 };
 
-module.exports = config; 
\ No newline at end of file
+const { config, problems } = loadConfig();
+
+// Helpers are not enumerable, so the object still reads as plain settings
+Object.defineProperties(config, {
+  // Messages for the missing and invalid settings of the environment
+  problems: { value: problems },
+  /**
+   * Throw a ConfigError listing every problem; entry points call this before starting.
+   * @throws {ConfigError}
+   */
+  assertValid: {
+    value: () => {
+      if (problems.length) throw new ConfigError(problems);
+    }
+  },
+  loadConfig: { value: loadConfig },
+  ConfigError: { value: ConfigError }
+});
+
+module.exports = config;
@@ -0,0 +1,67 @@
+/**
+ * Medieval Charters Knowledge Graph - Error Handling
+ * Last middleware of the app: responds to every error, thrown or passed to
+ * next(), with the error envelope described in utils/errors.
+ */
+const { NotFoundError, toApiError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * Build the JSON body of an error response.
+ * @param {Object} error - ApiError
+ * @param {Object} req - Express request
+ * @returns {{error: Object}}
+ */
+const errorBody = (error, req) => ({
+  error: {
+    code: error.code,
+    message: error.message,
+    detail: error.detail,
+    upstreamStatus: error.upstreamStatus,
+    requestId: req.id || null,
+    retryable: error.retryable
+  }
+});
+
+/**
+ * Respond 404 to API paths no route matched.
+ */
+const notFound = (req, res, next) => {
+  next(new NotFoundError('Not found', `No route for ${req.method} ${req.originalUrl}`, 'route_not_found'));
+};
+
+/**
+ * Express error middleware; Express recognises it by its four parameters.
+ */
+const errorHandler = (err, req, res, next) => {
+  const error = toApiError(err);
+
+  // Client errors are expected; anything else is worth a stack trace
+  if (error.status >= 500) {
+    logger.error('request failed', {
+      requestId: req.id,
+      method: req.method,
+      url: logger.redactUrl(req.originalUrl),
+      code: error.code,
+      status: error.status,
+      upstream: err.upstreamTarget,
+      error: err
+    });
+  }
+
+  // A streamed download has already started: let Express abort it, so the
+  // client sees an incomplete transfer rather than a truncated file
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (error.retryAfter !== undefined) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  res.status(error.status).json(errorBody(error, req));
+};
+
+module.exports = {
+  errorHandler,
+  notFound
+};
@@ -0,0 +1,51 @@
+/**
+ * Medieval Charters Knowledge Graph - Language Negotiation
+ * Resolves the language used for labels and searches from the ?lang= parameter
+ * or the Accept-Language header, and builds the fallback chain that follows it.
+ */
+const config = require('../config');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Build the label fallback chain for a primary language.
+ * @param {string} language - Requested language
+ * @returns {string[]} Primary language followed by the configured fallbacks, without duplicates
+ */
+const languageChain = (language) => [...new Set([language, ...config.languages.fallback])];
+
+/**
+ * Express middleware setting req.language and req.languages.
+ * Fails with a 400 ValidationError when ?lang= names a language that is not supported.
+ */
+const negotiateLanguage = (req, res, next) => {
+  const { supported } = config.languages;
+  const requested = req.query.lang;
+
+  let language;
+  if (requested !== undefined) {
+    language = String(requested).toLowerCase();
+    if (!supported.includes(language)) {
+      return next(new ValidationError(
+        'Unsupported language',
+        `lang must be one of: ${supported.join(', ')}`,
+        'unsupported_language'
+      ));
+    }
+  } else if (req.get('Accept-Language')) {
+    language = req.acceptsLanguages(...supported) || config.languages.default;
+  } else {
+    language = config.languages.default;
+  }
+
+  req.language = language;
+  req.languages = languageChain(language);
+
+  res.set('Content-Language', language);
+  res.vary('Accept-Language');
+  return next();
+};
+
+module.exports = {
+  languageChain,
+  negotiateLanguage
+};
@@ -0,0 +1,47 @@
+/**
+ * Medieval Charters Knowledge Graph - Request Metrics
+ * Counts and times every request for /metrics. Requests are labelled with the
+ * path template of the OpenAPI document they match (/api/graph/{id}, not
+ * /api/graph/Q42), so the number of series stays bounded.
+ */
+const spec = require('../openapi/spec');
+const metrics = require('../services/metrics');
+
+// Paths that are not API operations share one label
+const OTHER_ROUTE = 'other';
+
+// Path templates as regular expressions: /api/graph/{id} -> ^/api/graph/[^/]+/?$
+const ROUTES = Object.keys(spec.paths).map(template => ({
+  template,
+  pattern: new RegExp(`^${template.replace(/\./g, '\\.').replace(/\{[^}]+\}/g, '[^/]+')}/?$`)
+}));
+
+/**
+ * The route label of a request path.
+ * @param {string} path - e.g. /api/graph/Q42
+ * @returns {string} e.g. /api/graph/{id}
+ */
+const routeLabel = (path) => {
+  if (path === '/metrics') return path;
+  return ROUTES.find(route => route.pattern.test(path))?.template || OTHER_ROUTE;
+};
+
+/**
+ * Express middleware recording the request once the response is sent or the client goes away.
+ */
+const requestMetrics = (req, res, next) => {
+  const end = metrics.startRequest();
+  // req.path changes while routers handle the request; keep the full one
+  const { path } = req;
+
+  res.once('close', () => {
+    end(routeLabel(path), req.method, res.statusCode);
+  });
+
+  next();
+};
+
+module.exports = {
+  routeLabel,
+  requestMetrics
+};
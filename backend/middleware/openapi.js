@@ -0,0 +1,230 @@
+/**
+ * Medieval Charters Knowledge Graph - OpenAPI Validation
+ * Checks each request against the operation the OpenAPI document describes
+ * for its path and method: path and query parameters, and JSON bodies.
+ * Invalid requests fail with a ValidationError before reaching a route.
+ *
+ * With OPENAPI_VALIDATE_RESPONSES (on by default in development) JSON
+ * responses are checked too, and a response that does not match the document
+ * is replaced by a 500, so drift between the routes and the spec shows up
+ * while developing rather than in a client.
+ */
+const express = require('express');
+const Ajv = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const config = require('../config');
+const defaultSpec = require('../openapi/spec');
+const { ApiError, ValidationError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// The document is registered with Ajv under this ID so schemas can be referenced by JSON pointer
+const SPEC_ID = 'openapi.json';
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const escapePointer = segment => String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+const unescapePointer = segment => segment.replace(/~1/g, '/').replace(/~0/g, '~');
+
+/**
+ * Follow local $refs (#/components/...) to the object they point at.
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} node - Object that may be a $ref
+ * @param {string} pointer - JSON pointer of node
+ * @returns {{node: Object, pointer: string}} The referenced object and its pointer
+ */
+const resolveRef = (spec, node, pointer) => {
+  while (node && node.$ref) {
+    pointer = node.$ref.slice(1);
+    node = pointer.split('/').slice(1).reduce((parent, segment) => parent[unescapePointer(segment)], spec);
+  }
+  return { node, pointer };
+};
+
+/**
+ * Create an Ajv instance that knows the whole document.
+ * @param {Object} spec
+ * @param {Object} [options] - Ajv options
+ * @returns {Object} Ajv instance
+ */
+const createAjv = (spec, options = {}) => {
+  // OpenAPI keywords (paths, components, ...) are not JSON Schema, hence strict: false
+  const ajv = new Ajv({ strict: false, allErrors: true, ...options });
+  addFormats(ajv);
+  ajv.addSchema(spec, SPEC_ID);
+  return ajv;
+};
+
+/**
+ * Convert an OpenAPI path template to an Express path: /api/graph/{id} -> /api/graph/:id
+ * @param {string} path
+ * @returns {string}
+ */
+const toExpressPath = path => path.replace(/\{([^}]+)\}/g, ':$1');
+
+/**
+ * Turn the Ajv errors for request parameters into a ValidationError.
+ * @param {Object[]} errors - Ajv errors; instance paths look like /query/pageSize
+ * @param {Object} parameters - Parameter objects keyed by location and name
+ * @returns {ValidationError}
+ */
+const parameterError = (errors, parameters) => {
+  const problems = errors.map(error => {
+    const [, location, name] = error.instancePath.split('/');
+    if (error.keyword === 'required') {
+      return { name: error.params.missingProperty, missing: true };
+    }
+    // A pattern means little to a client; an example of a valid value does
+    const example = error.keyword === 'pattern' && error.parentSchema.examples?.[0];
+    const text = example
+      ? `${name} must look like ${example}, got ${JSON.stringify(error.data)}`
+      : `${name} ${error.message}`;
+    return { name, text, parameter: parameters[location]?.[name] };
+  });
+
+  const missing = problems.find(problem => problem.missing);
+  if (missing) {
+    return new ValidationError(`${missing.name} parameter is required`, missing.name, 'missing_parameter');
+  }
+
+  const [first] = problems;
+  return new ValidationError(
+    `Invalid ${first.name} parameter`,
+    [...new Set(problems.map(problem => problem.text))].join('; '),
+    first.parameter?.['x-error-code'] || 'invalid_parameter'
+  );
+};
+
+/**
+ * Turn the Ajv errors for a JSON body into a ValidationError.
+ * @param {Object[]} errors
+ * @returns {ValidationError}
+ */
+const bodyError = (errors) => {
+  const missing = errors.find(error => error.keyword === 'required');
+  if (missing) {
+    const name = missing.params.missingProperty;
+    return new ValidationError(`${name} is required`, name, 'missing_parameter');
+  }
+  const detail = errors.map(error => `body${error.instancePath.replace(/\//g, '.')} ${error.message}`).join('; ');
+  return new ValidationError('Invalid request body', detail);
+};
+
+/**
+ * Compile the validators of one operation.
+ * @param {Object} spec
+ * @param {Object} ajvs - { strict, coercing } Ajv instances
+ * @param {string} path - Path template as written in the document
+ * @param {string} method
+ * @returns {Function} Express middleware validating the request and, when enabled, the response
+ */
+const compileOperation = (spec, ajvs, path, method) => {
+  const operationPointer = `/paths/${escapePointer(path)}/${method}`;
+  const operation = spec.paths[path][method];
+
+  // Parameters by location and name, each validated through its own schema in the document
+  const parameters = { path: {}, query: {} };
+  const schema = { type: 'object', properties: {} };
+  (operation.parameters || []).forEach((parameterRef, index) => {
+    const { node: parameter, pointer } = resolveRef(spec, parameterRef, `${operationPointer}/parameters/${index}`);
+    if (!parameters[parameter.in]) return;
+
+    parameters[parameter.in][parameter.name] = parameter;
+    const location = schema.properties[parameter.in] || (schema.properties[parameter.in] = {
+      type: 'object',
+      properties: {},
+      required: []
+    });
+    location.properties[parameter.name] = { $ref: `${SPEC_ID}#${pointer}/schema` };
+    if (parameter.required) location.required.push(parameter.name);
+  });
+  // Query strings only carry strings: coerce copies of them to the declared types
+  const validateParameters = ajvs.coercing.compile(schema);
+
+  let validateBody = null;
+  const { node: requestBody, pointer: bodyPointer } = resolveRef(spec, operation.requestBody, `${operationPointer}/requestBody`);
+  if (requestBody?.content?.['application/json']) {
+    validateBody = ajvs.strict.compile({ $ref: `${SPEC_ID}#${bodyPointer}/content/application~1json/schema` });
+  }
+
+  // Response validators are compiled the first time a status is seen
+  const responseValidators = {};
+  const responseValidator = (status) => {
+    if (responseValidators[status] !== undefined) return responseValidators[status];
+
+    const key = [String(status), `${String(status)[0]}XX`, 'default'].find(candidate => operation.responses[candidate]);
+    let validate = () => false;
+    if (key) {
+      const { node: response, pointer } = resolveRef(
+        spec, operation.responses[key], `${operationPointer}/responses/${escapePointer(key)}`
+      );
+      // Only JSON responses are checked; CSV and SPARQL results are passed through
+      validate = response.content?.['application/json']
+        ? ajvs.strict.compile({ $ref: `${SPEC_ID}#${pointer}/content/application~1json/schema` })
+        : null;
+    }
+    responseValidators[status] = validate;
+    return validate;
+  };
+
+  return (req, res, next) => {
+    // Empty values count as absent, as the routes treat them
+    const present = values => Object.fromEntries(Object.entries(values).filter(([, value]) => value !== ''));
+    const values = { path: { ...req.params }, query: present(req.query) };
+    if (!validateParameters(values)) {
+      return next(parameterError(validateParameters.errors, parameters));
+    }
+
+    if (validateBody && req.is('application/json') && !validateBody(req.body ?? {})) {
+      return next(bodyError(validateBody.errors));
+    }
+
+    if (config.openapi.validateResponses) {
+      const send = res.json.bind(res);
+      res.json = (body) => {
+        // Error responses sent after a mismatch go out unchecked
+        res.json = send;
+        const validate = responseValidator(res.statusCode);
+        if (validate && !validate(body)) {
+          const detail = validate.errors
+            ? validate.errors.map(error => `response${error.instancePath.replace(/\//g, '.')} ${error.message}`)
+            : [`No response documented for status ${res.statusCode}`];
+          logger.error('response does not match the OpenAPI document', {
+            method: req.method,
+            url: logger.redactUrl(req.originalUrl),
+            detail
+          });
+          throw new ApiError(500, 'invalid_response', 'Response does not match the API specification', { detail });
+        }
+        return send(body);
+      };
+    }
+
+    return next();
+  };
+};
+
+/**
+ * Create the validation middleware for an OpenAPI document.
+ * @param {Object} [spec] - OpenAPI 3.1 document; the API's own by default
+ * @returns {Function} Express router that validates matching requests and passes them on
+ */
+const createOpenApiValidator = (spec = defaultSpec) => {
+  const ajvs = {
+    strict: createAjv(spec),
+    // verbose adds the failing schema and value to errors, for parameterError
+    coercing: createAjv(spec, { coerceTypes: true, verbose: true })
+  };
+
+  const router = express.Router();
+  Object.entries(spec.paths).forEach(([path, item]) => {
+    METHODS.filter(method => item[method]).forEach(method => {
+      router[method](toExpressPath(path), compileOperation(spec, ajvs, path, method));
+    });
+  });
+  return router;
+};
+
+module.exports = {
+  createOpenApiValidator,
+  openapiValidator: createOpenApiValidator()
+};
@@ -0,0 +1,112 @@
+/**
+ * Medieval Charters Knowledge Graph - Rate Limiting
+ * Fixed-window request limits on the routes that proxy the Wikibase API and
+ * the query services, so a single client cannot get the instance throttled.
+ * Anonymous clients are counted per IP address; clients sending an API key
+ * listed in RATE_LIMIT_API_KEYS are counted per key with a higher limit.
+ */
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const config = require('../config');
+const { RateLimitError, UnauthorizedError } = require('../utils/errors');
+
+const API_KEY_HEADER = 'X-API-Key';
+
+/**
+ * Identify the client a request is counted against.
+ * @param {Object} req - Express request
+ * @param {string[]} apiKeys - Accepted API keys
+ * @returns {{id: string, apiKey: boolean}|null} null when an unknown API key is sent
+ */
+const identifyClient = (req, apiKeys) => {
+  const apiKey = req.get(API_KEY_HEADER);
+  if (apiKey === undefined) {
+    return { id: `ip:${req.ip}`, apiKey: false };
+  }
+  if (!apiKeys.includes(apiKey)) return null;
+
+  // Keep the keys themselves out of the counter store
+  return { id: `key:${crypto.createHash('sha1').update(apiKey).digest('hex')}`, apiKey: true };
+};
+
+/**
+ * Create a rate limiting middleware with its own counters.
+ * @param {Object} options
+ * @param {string} options.name - Bucket name reported in 429 responses, e.g. expensive
+ * @param {number} options.windowSeconds - Length of each counting window
+ * @param {number} options.max - Requests per window and IP address; 0 disables the limit
+ * @param {number} options.apiKeyMax - Requests per window and API key; 0 disables the limit
+ * @param {string[]} [options.apiKeys=[]] - Accepted API keys
+ * @returns {Function} Express middleware
+ */
+const createRateLimiter = ({ name, windowSeconds, max, apiKeyMax, apiKeys = [] }) => {
+  // Counters expire with their window; entries are mutated in place
+  const counters = new NodeCache({ stdTTL: windowSeconds, checkperiod: windowSeconds, useClones: false });
+
+  return (req, res, next) => {
+    const client = identifyClient(req, apiKeys);
+    if (!client) {
+      return next(new UnauthorizedError(
+        'Invalid API key',
+        `The ${API_KEY_HEADER} header does not match a configured key`,
+        'invalid_api_key'
+      ));
+    }
+
+    const limit = client.apiKey ? apiKeyMax : max;
+    if (limit <= 0) return next();
+
+    const now = Date.now();
+    let counter = counters.get(client.id);
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowSeconds * 1000 };
+      counters.set(client.id, counter);
+    }
+    counter.count += 1;
+
+    const reset = Math.max(1, Math.ceil((counter.resetAt - now) / 1000));
+    res.set({
+      'RateLimit-Policy': `${limit};w=${windowSeconds}`,
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(Math.max(0, limit - counter.count)),
+      'RateLimit-Reset': String(reset)
+    });
+
+    if (counter.count > limit) {
+      return next(new RateLimitError(
+        'Too many requests',
+        `The ${name} limit of ${limit} requests per ${windowSeconds} seconds was reached; retry in ${reset} seconds`,
+        reset
+      ));
+    }
+
+    return next();
+  };
+};
+
+const { windowSeconds, apiKeys } = config.rateLimit;
+
+// Every proxied request
+const rateLimit = createRateLimiter({
+  name: 'request',
+  windowSeconds,
+  max: config.rateLimit.max,
+  apiKeyMax: config.rateLimit.apiKeyMax,
+  apiKeys
+});
+
+// Requests that run SPARQL, possibly federated to the public Wikidata service
+const expensiveRateLimit = createRateLimiter({
+  name: 'expensive query',
+  windowSeconds,
+  max: config.rateLimit.expensiveMax,
+  apiKeyMax: config.rateLimit.expensiveApiKeyMax,
+  apiKeys
+});
+
+module.exports = {
+  API_KEY_HEADER,
+  createRateLimiter,
+  rateLimit,
+  expensiveRateLimit
+};
@@ -0,0 +1,33 @@
+/**
+ * Medieval Charters Knowledge Graph - Request IDs
+ * Gives every request an ID, echoed in the X-Request-Id response header and
+ * in error responses, so a report from a user can be matched to the logs.
+ * An ID sent by a proxy in front of the API is kept when it looks sane.
+ *
+ * The rest of the request runs in a request context (utils/requestContext),
+ * which is how log records and upstream calls get the ID.
+ */
+const crypto = require('crypto');
+const requestContext = require('../utils/requestContext');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Printable, short enough to log; anything else is replaced
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Express middleware setting req.id and the X-Request-Id response header, and
+ * running the following middleware in the request's context.
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+  // Upstream calls add to these counters; the request log reports them
+  requestContext.run({ requestId: req.id, upstream: { calls: 0, durationMs: 0 } }, next);
+};
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  requestId
+};
@@ -0,0 +1,37 @@
+/**
+ * Medieval Charters Knowledge Graph - Request Log
+ * Logs every request once its response has been sent: method, URL (with
+ * LOG_REDACT_PARAMS applied), status, duration, cache outcome and the time
+ * spent waiting for Wikibase, the query service and Wikidata.
+ */
+const logger = require('../utils/logger');
+const requestContext = require('../utils/requestContext');
+
+/**
+ * Express middleware logging the request when the response finishes.
+ * Must come after requestId, whose context holds the upstream counters.
+ */
+const requestLog = (req, res, next) => {
+  const start = process.hrtime.bigint();
+  // Response events are not emitted in the request's context, so keep hold of it
+  const context = requestContext.current();
+
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+    logger.info('request', {
+      requestId: req.id,
+      method: req.method,
+      url: logger.redactUrl(req.originalUrl),
+      status: res.statusCode,
+      durationMs: Math.round(durationMs),
+      cache: res.get('X-Cache'),
+      upstreamCalls: context?.upstream.calls,
+      upstreamMs: context && Math.round(context.upstream.durationMs),
+      ip: req.ip
+    });
+  });
+
+  next();
+};
+
+module.exports = requestLog;
@@ -0,0 +1,35 @@
+/**
+ * Medieval Charters Knowledge Graph - Admin Authentication
+ * Guards admin routes with the bearer token configured in ADMIN_TOKEN.
+ * The admin API is disabled entirely when no token is configured.
+ */
+const crypto = require('crypto');
+const config = require('../config');
+const { ForbiddenError, UnauthorizedError } = require('../utils/errors');
+
+/**
+ * Compare two strings in constant time.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const requireAdmin = (req, res, next) => {
+  if (!config.admin.token) {
+    return next(new ForbiddenError('Admin API is disabled', 'Set ADMIN_TOKEN to enable it', 'admin_disabled'));
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token || !safeEqual(token, config.admin.token)) {
+    return next(new UnauthorizedError('Unauthorized', 'A valid admin bearer token is required'));
+  }
+
+  return next();
+};
+
+module.exports = requireAdmin;
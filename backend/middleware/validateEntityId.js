@@ -0,0 +1,25 @@
+/**
+ * Medieval Charters Knowledge Graph - Entity ID Validation
+ * Route parameter handler that rejects malformed Wikibase IDs with a 400
+ * before any query is built or any upstream service is contacted.
+ */
+const { isEntityId } = require('../sparql/templates');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Create a router.param() handler for an entity ID parameter.
+ * @param {string} [kind='entity'] - item, property, lexeme or entity (any of them)
+ * @returns {Function} Express param middleware
+ */
+const validateEntityId = (kind = 'entity') => (req, res, next, id) => {
+  if (!isEntityId(id, kind)) {
+    return next(new ValidationError(
+      'Invalid entity ID',
+      `Expected a Wikibase ${kind} ID such as Q42, got ${JSON.stringify(id)}`,
+      'invalid_entity_id'
+    ));
+  }
+  return next();
+};
+
+module.exports = validateEntityId;
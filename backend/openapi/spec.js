@@ -0,0 +1,1035 @@
+/**
+ * Medieval Charters Knowledge Graph - OpenAPI Specification
+ * OpenAPI 3.1 description of every /api route. It is served at
+ * /api/openapi.json, rendered at /api/docs and used by middleware/openapi to
+ * validate requests (and, in development, responses).
+ *
+ * Limits that come from the configuration (page sizes, depths, hops) are
+ * written into the descriptions from config, so the document matches the
+ * running instance.
+ */
+const config = require('../config');
+const { version } = require('../package.json');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = type => ({ type: [type, 'null'] });
+
+/**
+ * A JSON response.
+ * @param {string} description
+ * @param {Object} schema
+ * @param {Object} [headers] - Response headers, keyed by name
+ * @returns {Object} OpenAPI response object
+ */
+const json = (description, schema, headers) => ({
+  description,
+  ...(headers && { headers }),
+  content: { 'application/json': { schema } }
+});
+
+// Error responses shared by the routes that query Wikibase
+const upstreamErrors = {
+  429: { $ref: '#/components/responses/RateLimited' },
+  502: { $ref: '#/components/responses/UpstreamError' },
+  503: { $ref: '#/components/responses/UpstreamUnavailable' },
+  504: { $ref: '#/components/responses/UpstreamTimeout' },
+  default: { $ref: '#/components/responses/Error' }
+};
+
+const cacheHeaders = { 'X-Cache': { $ref: '#/components/headers/X-Cache' } };
+
+const spec = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Medieval Charters Knowledge Graph API',
+    version,
+    description: [
+      'Search and browse the Medieval Charters Knowledge Graph, a Wikibase instance of people, places and',
+      'activities recorded in medieval charters.',
+      '',
+      'Errors are always returned as `{ "error": { code, message, detail, upstreamStatus, requestId, retryable } }`.',
+      'Routes that query Wikibase are rate limited per IP address, or per `X-API-Key` for registered clients;',
+      'the remaining quota is reported in the `RateLimit-*` headers. Send `Cache-Control: no-cache` to bypass',
+      'the response cache; `X-Cache` tells whether a response was a cache `HIT`, `MISS` or `STALE`.'
+    ].join('\n')
+  },
+  tags: [
+    { name: 'Status', description: 'Connectivity and health checks' },
+    { name: 'Search', description: 'Label search and faceted search' },
+    { name: 'Entities', description: 'Entity documents and claims' },
+    { name: 'Graph', description: 'Neighbourhoods and paths between entities' },
+    { name: 'SPARQL', description: 'Read-only SPARQL proxy' },
+    { name: 'Admin', description: 'Cache and upstream inspection (requires ADMIN_TOKEN)' }
+  ],
+  paths: {
+    '/api/ping': {
+      get: {
+        tags: ['Status'],
+        operationId: 'ping',
+        summary: 'Check that the backend is reachable',
+        responses: {
+          200: json('Backend is up', {
+            type: 'object',
+            required: ['message', 'time'],
+            properties: {
+              message: { type: 'string' },
+              time: { type: 'string', format: 'date-time' }
+            }
+          })
+        }
+      }
+    },
+    '/api/health/live': {
+      get: {
+        tags: ['Status'],
+        operationId: 'liveness',
+        summary: 'Check that the process is up',
+        description: 'Never contacts the Wikibase API, the query service or Wikidata.',
+        responses: {
+          200: json('The process is serving requests', {
+            type: 'object',
+            required: ['status', 'uptime', 'time'],
+            properties: {
+              status: { const: 'ok' },
+              uptime: { type: 'integer', description: 'Seconds since the process started' },
+              time: { type: 'string', format: 'date-time' }
+            }
+          })
+        }
+      }
+    },
+    '/api/health/ready': {
+      get: {
+        tags: ['Status'],
+        operationId: 'readiness',
+        summary: 'Check that the services behind the API answer',
+        description: [
+          'Probes the Wikibase API, the query service and Wikidata with short timeouts. The result is reused for',
+          `${config.health.cacheSeconds} seconds, whatever the request's \`Cache-Control\` says. Wikidata only`,
+          'provides coordinates, so while it is down the status is `degraded` rather than `unavailable`.'
+        ].join('\n'),
+        responses: {
+          200: json('Every critical dependency answers', ref('Readiness')),
+          503: json('The Wikibase API or the query service is down', ref('Readiness'))
+        }
+      }
+    },
+    '/api/test': {
+      get: {
+        tags: ['Status'],
+        operationId: 'test',
+        summary: 'Minimal test response',
+        responses: {
+          200: json('Greeting', {
+            type: 'object',
+            required: ['message'],
+            properties: { message: { type: 'string' } }
+          })
+        }
+      }
+    },
+    '/api/search': {
+      get: {
+        tags: ['Search'],
+        operationId: 'search',
+        summary: 'Search entity labels and aliases',
+        description: [
+          'Labels and aliases are matched in the requested language and then in each language of the fallback',
+          'chain; hits are merged without duplicates and paginated on the server. `pagination.total` is only',
+          `set once the last page is reached. At most ${config.search.maxResults} results can be paged through.`
+        ].join(' '),
+        parameters: [
+          { $ref: '#/components/parameters/query' },
+          { $ref: '#/components/parameters/page' },
+          { $ref: '#/components/parameters/pageSize' },
+          {
+            name: 'cursor',
+            in: 'query',
+            description: 'Offset from a previous page\'s `nextCursor`; overrides `page`',
+            schema: { type: 'integer', minimum: 0 }
+          },
+          { $ref: '#/components/parameters/lang' }
+        ],
+        responses: {
+          200: json('A page of search hits', ref('SearchResponse'), cacheHeaders),
+          400: { $ref: '#/components/responses/BadRequest' },
+          ...upstreamErrors
+        }
+      }
+    },
+    '/api/search/faceted': {
+      get: {
+        tags: ['Search'],
+        operationId: 'facetedSearch',
+        summary: 'Search entities and narrow the hits with facet filters',
+        description: [
+          `The first ${config.search.maxResults} label matches are filtered with SPARQL, so totals are exact`,
+          'within that window; `candidates.truncated` is true when more label matches exist beyond it.',
+          'Each facet is counted with every other filter applied.'
+        ].join(' '),
+        parameters: [
+          { $ref: '#/components/parameters/query' },
+          { $ref: '#/components/parameters/type' },
+          { $ref: '#/components/parameters/place' },
+          { $ref: '#/components/parameters/from' },
+          { $ref: '#/components/parameters/to' },
+          { $ref: '#/components/parameters/has' },
+          { $ref: '#/components/parameters/page' },
+          { $ref: '#/components/parameters/pageSize' },
+          { $ref: '#/components/parameters/lang' }
+        ],
+        responses: {
+          200: json('Filtered hits with facet counts', ref('FacetedSearchResponse'), cacheHeaders),
+          400: { $ref: '#/components/responses/BadRequest' },
+          ...upstreamErrors
+        }
+      }
+    },
+    '/api/search/export': {
+      get: {
+        tags: ['Search'],
+        operationId: 'exportSearch',
+        summary: 'Every hit of a faceted search as a CSV or XLSX download',
+        description: [
+          'Fetches all pages of the faceted search and streams them as they arrive. The columns are `id`, `label`,',
+          '`description`, `type` and `url`, then one per requested property in the order given; entity values are',
+          'written as `label (ID)` and several values are separated by `; `. Sent as an attachment named after the',
+          `search term, e.g. \`search-oviedo.csv\`. Only the first ${config.search.maxResults} label matches are searched;`,
+          'when there are more, `X-Export-Truncated: true` is sent.'
+        ].join(' '),
+        parameters: [
+          { $ref: '#/components/parameters/query' },
+          {
+            name: 'format',
+            in: 'query',
+            description: 'Table format; overrides the Accept header. CSV by default',
+            schema: { type: 'string', enum: ['csv', 'xlsx'] }
+          },
+          {
+            name: 'properties',
+            in: 'query',
+            description: `Property IDs to add as columns separated by \`|\`, e.g. \`P55|P9\` (at most ${config.export.maxProperties})`,
+            schema: { type: 'string' }
+          },
+          { $ref: '#/components/parameters/type' },
+          { $ref: '#/components/parameters/place' },
+          { $ref: '#/components/parameters/from' },
+          { $ref: '#/components/parameters/to' },
+          { $ref: '#/components/parameters/has' },
+          { $ref: '#/components/parameters/lang' }
+        ],
+        responses: {
+          200: {
+            description: 'The hits as a table',
+            headers: {
+              ...cacheHeaders,
+              'X-Export-Truncated': {
+                description: 'Sent as `true` when the search had more label matches than could be exported',
+                schema: { type: 'string', enum: ['true'] }
+              }
+            },
+            content: {
+              'text/csv': { schema: { type: 'string' } },
+              'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': {
+                schema: { type: 'string', format: 'binary' }
+              }
+            }
+          },
+          400: { $ref: '#/components/responses/BadRequest' },
+          406: json('No acceptable export format', ref('Error')),
+          ...upstreamErrors
+        }
+      }
+    },
+    '/api/searchProperties/{entityId}': {
+      get: {
+        tags: ['Entities'],
+        operationId: 'entityProperties',
+        summary: 'Claims of an entity as SPARQL results',
+        description: [
+          'SPARQL JSON results with one row per claim. `coord` (residence) and `placeCoord` (place) hold',
+          'Wikidata coordinates as WKT points; when Wikidata cannot be reached the claims are still returned',
+          'and `coordinatesUnavailable` is true. Prefer `/api/entities/{id}` for new clients.'
+        ].join(' '),
+        parameters: [
+          {
+            name: 'entityId',
+            in: 'path',
+            required: true,
+            'x-error-code': 'invalid_entity_id',
+            schema: ref('EntityId')
+          },
+          { $ref: '#/components/parameters/lang' }
+        ],
+        responses: {
+          200: json('Claims of the entity', ref('EntityPropertiesResponse'), cacheHeaders),
+          400: { $ref: '#/components/responses/BadRequest' },
+          ...upstreamErrors
+        }
+      }
+    },
+    '/api/entities': {
+      get: {
+        tags: ['Entities'],
+        operationId: 'getEntities',
+        summary: 'Batch lookup of many entities',
+        description: [
+          'Entities as returned by Wikibase `wbgetentities`, fetched 50 at a time and merged.',
+          `At most ${config.entities.maxBatchIds} IDs can be requested at once.`
+        ].join(' '),
+        parameters: [
+          {
+            name: 'ids',
+            in: 'query',
+            required: true,
+            description: 'Entity IDs separated by `|` or commas, e.g. `Q1|Q2|Q3`',
+            schema: { type: 'string', minLength: 1 }
+          },
+          {
+            name: 'props',
+            in: 'query',
+            description: 'wbgetentities props, e.g. `labels|descriptions|claims`',
+            schema: { type: 'string' }
+          },
+          {
+            name: 'languages',
+            in: 'query',
+            description: 'Term languages, e.g. `es|la`; defaults to the negotiated language chain',
+            schema: { type: 'string' }
+          },
+          { $ref: '#/components/parameters/lang' }
+        ],
+        responses: {
+          200: json('Entities keyed by ID', ref('EntitiesResponse'), cacheHeaders),
+          400: { $ref: '#/components/responses/BadRequest' },
+          ...upstreamErrors
+        }
+      }
+    },
+    '/api/entities/{id}': {
+      get: {
+        tags: ['Entities'],
+        operationId: 'getEntity',
+        summary: 'Normalised document for a single entity',
+        description: [
+          'Properties are keyed by property ID and each value appears once. `type` is the canonical type',
+          '(person, place, activity or null) resolved from instance of and the subclass chain. Coordinates come',
+          'from Wikidata; when Wikidata cannot be reached they are null and `coordinatesUnavailable` is true.'
+        ].join(' '),
+        parameters: [
+          { $ref: '#/components/parameters/entityId' },
+          { $ref: '#/components/parameters/lang' }
+        ],
+        responses: {
+          200: json('The entity document', ref('Entity'), cacheHeaders),
+          400: { $ref: '#/components/responses/BadRequest' },
+          404: { $ref: '#/components/responses/NotFound' },
+          ...upstreamErrors
+        }
+      }
+    },
+    '/api/entities/{id}/export': {
+      get: {
+        tags: ['Entities'],
+        operationId: 'exportEntity',
+        summary: 'The entity as RDF, for citation and reuse',
+        description: [
+          'Labels, descriptions and aliases in every language and the best-ranked direct claims, with the same',
+          '`wd:` and `wdt:` IRIs as the query service. Sent as an attachment named after the entity, e.g. `Q42.ttl`.'
+        ].join(' '),
+        parameters: [
+          { $ref: '#/components/parameters/entityId' },
+          {
+            name: 'format',
+            in: 'query',
+            description: 'RDF syntax; overrides the Accept header. JSON-LD by default',
+            schema: { type: 'string', enum: ['jsonld', 'ttl', 'nt', 'rdfxml'] }
+          }
+        ],
+        responses: {
+          200: {
+            description: 'The entity in the requested syntax',
+            headers: cacheHeaders,
+            content: {
+              'application/ld+json': { schema: { type: 'object' } },
+              'text/turtle': { schema: { type: 'string' } },
+              'application/n-triples': { schema: { type: 'string' } },
+              'application/rdf+xml': { schema: { type: 'string' } }
+            }
+          },
+          400: { $ref: '#/components/responses/BadRequest' },
+          404: { $ref: '#/components/responses/NotFound' },
+          406: json('No acceptable export format', ref('Error')),
+          ...upstreamErrors
+        }
+      }
+    },
+    '/api/graph/{id}': {
+      get: {
+        tags: ['Graph'],
+        operationId: 'getGraph',
+        summary: 'Neighbourhood of an entity as nodes and edges',
+        description: [
+          `The neighbourhood is walked breadth first up to ${config.graph.maxDepth} hops and stops adding nodes`,
+          `at ${config.graph.maxNodes}; \`truncated\` is true when a cap cut the result short.`
+        ].join(' '),
+        parameters: [
+          { $ref: '#/components/parameters/entityId' },
+          {
+            name: 'depth',
+            in: 'query',
+            description: `Hops to follow (at most ${config.graph.maxDepth})`,
+            schema: { type: 'integer', minimum: 1, default: 1 }
+          },
+          {
+            name: 'direction',
+            in: 'query',
+            description: 'Follow claims pointing out, in or both',
+            schema: { type: 'string', enum: ['out', 'in', 'both'], default: 'both' }
+          },
+          { $ref: '#/components/parameters/properties' },
+          { $ref: '#/components/parameters/lang' }
+        ],
+        responses: {
+          200: json('The neighbourhood graph', ref('Graph'), cacheHeaders),
+          400: { $ref: '#/components/responses/BadRequest' },
+          404: { $ref: '#/components/responses/NotFound' },
+          ...upstreamErrors
+        }
+      }
+    },
+    '/api/path': {
+      get: {
+        tags: ['Graph'],
+        operationId: 'findPaths',
+        summary: 'Shortest paths between two entities',
+        description: [
+          'Claims are followed in either direction. Only the shortest paths are returned, ranked so that paths',
+          'through less connected entities come first; a lower score is more specific.'
+        ].join(' '),
+        parameters: [
+          {
+            name: 'from',
+            in: 'query',
+            required: true,
+            'x-error-code': 'invalid_entity_id',
+            schema: ref('EntityId')
+          },
+          {
+            name: 'to',
+            in: 'query',
+            required: true,
+            'x-error-code': 'invalid_entity_id',
+            schema: ref('EntityId')
+          },
+          {
+            name: 'maxHops',
+            in: 'query',
+            description: `Longest path to look for (at most ${config.path.maxHops})`,
+            schema: { type: 'integer', minimum: 1 }
+          },
+          { $ref: '#/components/parameters/properties' },
+          { $ref: '#/components/parameters/lang' }
+        ],
+        responses: {
+          200: json('Ranked shortest paths', ref('Paths'), cacheHeaders),
+          400: { $ref: '#/components/responses/BadRequest' },
+          404: { $ref: '#/components/responses/NotFound' },
+          ...upstreamErrors
+        }
+      }
+    },
+    '/api/sparql': {
+      post: {
+        tags: ['SPARQL'],
+        operationId: 'sparql',
+        summary: 'Run a read-only SPARQL query',
+        description: [
+          'SELECT and ASK queries only. SELECT queries are capped at',
+          `${config.sparql.maxLimit} rows and every query is bounded by ${config.sparql.timeoutMs} ms.`,
+          'SERVICE may only call the label service (`wikibase:label`) and',
+          `${config.sparql.allowedServices.map(service => `\`${service}\``).join(', ') || 'no other endpoint'}.`
+        ].join(' '),
+        parameters: [
+          {
+            name: 'format',
+            in: 'query',
+            description: 'Result format; overrides the Accept header',
+            schema: { type: 'string', enum: ['json', 'csv', 'tsv'] }
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['query'],
+                properties: { query: { type: 'string', minLength: 1 } }
+              }
+            },
+            'application/x-www-form-urlencoded': {
+              schema: {
+                type: 'object',
+                required: ['query'],
+                properties: { query: { type: 'string' } }
+              }
+            },
+            'application/sparql-query': { schema: { type: 'string' } }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Query results',
+            headers: cacheHeaders,
+            content: {
+              'application/sparql-results+json': { schema: { type: 'object' } },
+              'text/csv': { schema: { type: 'string' } },
+              'text/tab-separated-values': { schema: { type: 'string' } }
+            }
+          },
+          400: { $ref: '#/components/responses/BadRequest' },
+          406: json('No acceptable result format', ref('Error')),
+          ...upstreamErrors
+        }
+      }
+    },
+    '/api/admin/cache': {
+      get: {
+        tags: ['Admin'],
+        operationId: 'cacheStats',
+        summary: 'Cache statistics, overall and per namespace',
+        security: [{ adminToken: [] }],
+        responses: {
+          200: json('Hit and miss counts, key counts and TTLs', { type: 'object' }),
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' }
+        }
+      },
+      delete: {
+        tags: ['Admin'],
+        operationId: 'purgeCache',
+        summary: 'Purge cached responses',
+        description: 'With no parameters the whole cache is flushed.',
+        security: [{ adminToken: [] }],
+        parameters: [
+          { name: 'key', in: 'query', description: 'Purge a single key', schema: { type: 'string' } },
+          { name: 'namespace', in: 'query', description: 'Purge every key in a namespace', schema: { type: 'string' } }
+        ],
+        responses: {
+          200: json('Number of purged keys', {
+            type: 'object',
+            required: ['purged'],
+            properties: { purged: { type: 'integer' } }
+          }),
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' }
+        }
+      }
+    },
+    '/api/admin/cache/keys': {
+      get: {
+        tags: ['Admin'],
+        operationId: 'cacheKeys',
+        summary: 'List cached keys with their expiry time',
+        security: [{ adminToken: [] }],
+        parameters: [
+          { name: 'namespace', in: 'query', description: 'Only list keys in this namespace', schema: { type: 'string' } }
+        ],
+        responses: {
+          200: json('Matching keys', {
+            type: 'object',
+            required: ['count', 'keys'],
+            properties: {
+              count: { type: 'integer' },
+              keys: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['key', 'expiresAt'],
+                  properties: {
+                    key: { type: 'string' },
+                    expiresAt: nullable('string')
+                  }
+                }
+              }
+            }
+          }),
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' }
+        }
+      }
+    },
+    '/api/admin/upstream': {
+      get: {
+        tags: ['Admin'],
+        operationId: 'upstreamStats',
+        summary: 'Circuit breaker state and request counters per upstream target',
+        security: [{ adminToken: [] }],
+        responses: {
+          200: json('Breaker state per target', { type: 'object' }),
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' }
+        }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      apiKey: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-API-Key',
+        description: 'Optional; registered clients get higher rate limits'
+      },
+      adminToken: {
+        type: 'http',
+        scheme: 'bearer',
+        description: 'The ADMIN_TOKEN configured on the server'
+      }
+    },
+    parameters: {
+      query: {
+        name: 'query',
+        in: 'query',
+        required: true,
+        description: 'Search term',
+        schema: { type: 'string', minLength: 1 }
+      },
+      page: {
+        name: 'page',
+        in: 'query',
+        description: '1-based page number',
+        schema: { type: 'integer', minimum: 1, default: 1 }
+      },
+      pageSize: {
+        name: 'pageSize',
+        in: 'query',
+        description: `Results per page (at most ${config.search.maxPageSize})`,
+        schema: { type: 'integer', minimum: 1, default: config.search.defaultPageSize }
+      },
+      type: {
+        name: 'type',
+        in: 'query',
+        description: 'Canonical types separated by `|`, e.g. `person|place` (any of them)',
+        schema: { type: 'string' }
+      },
+      place: {
+        name: 'place',
+        in: 'query',
+        description: 'Item IDs of associated places separated by `|` (any of them)',
+        schema: { type: 'string' }
+      },
+      from: {
+        name: 'from',
+        in: 'query',
+        description: 'Earliest year of any date claim',
+        schema: { type: 'integer' }
+      },
+      to: {
+        name: 'to',
+        in: 'query',
+        description: 'Latest year of any date claim',
+        schema: { type: 'integer' }
+      },
+      has: {
+        name: 'has',
+        in: 'query',
+        description: 'Property IDs the entity must all have, separated by `|`, e.g. `P7|P55`',
+        schema: { type: 'string' }
+      },
+      lang: {
+        name: 'lang',
+        in: 'query',
+        description: `Display language, one of ${config.languages.supported.join(', ')}; defaults to the Accept-Language header`,
+        schema: { type: 'string' }
+      },
+      entityId: {
+        name: 'id',
+        in: 'path',
+        required: true,
+        description: 'Wikibase entity ID, e.g. Q42',
+        'x-error-code': 'invalid_entity_id',
+        schema: ref('EntityId')
+      },
+      properties: {
+        name: 'properties',
+        in: 'query',
+        description: 'Property IDs to follow separated by `|`, e.g. `P7|P55`; all item-valued properties by default',
+        schema: { type: 'string' }
+      }
+    },
+    headers: {
+      'X-Cache': {
+        description: 'HIT, MISS or STALE (served while the upstream service is unavailable)',
+        schema: { type: 'string', enum: ['HIT', 'MISS', 'STALE'] }
+      },
+      'Retry-After': {
+        description: 'Seconds to wait before retrying',
+        schema: { type: 'integer' }
+      }
+    },
+    responses: {
+      BadRequest: json('Missing or malformed parameters', ref('Error')),
+      Unauthorized: json('Missing or invalid credentials', ref('Error')),
+      Forbidden: json('The admin API is disabled', ref('Error')),
+      NotFound: json('The entity does not exist', ref('Error')),
+      RateLimited: json('Rate limit reached', ref('Error'), {
+        'Retry-After': { $ref: '#/components/headers/Retry-After' }
+      }),
+      UpstreamError: json('Wikibase or Wikidata answered with an error', ref('Error')),
+      UpstreamUnavailable: json('Wikibase or Wikidata is unavailable', ref('Error'), {
+        'Retry-After': { $ref: '#/components/headers/Retry-After' }
+      }),
+      UpstreamTimeout: json('Wikibase or Wikidata did not answer in time', ref('Error')),
+      Error: json('Unexpected error', ref('Error'))
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+          error: {
+            type: 'object',
+            required: ['code', 'message', 'detail', 'upstreamStatus', 'requestId', 'retryable'],
+            properties: {
+              code: { type: 'string', description: 'Stable machine-readable code, e.g. invalid_parameter' },
+              message: { type: 'string' },
+              detail: { description: 'What exactly was wrong; a string, an object or null' },
+              upstreamStatus: { ...nullable('integer'), description: 'Status returned by the upstream service' },
+              requestId: { ...nullable('string'), description: 'Also sent as the X-Request-Id header' },
+              retryable: { type: 'boolean', description: 'Whether repeating the request later may succeed' }
+            }
+          }
+        }
+      },
+      EntityId: {
+        type: 'string',
+        pattern: '^(?:Q[1-9]\\d*|P[1-9]\\d*|L[1-9]\\d*(?:-[FS][1-9]\\d*)?)$',
+        examples: ['Q42']
+      },
+      Pagination: {
+        type: 'object',
+        required: ['page', 'pageSize', 'offset', 'hasMore', 'nextCursor', 'nextPage', 'total'],
+        properties: {
+          page: { type: 'integer' },
+          pageSize: { type: 'integer' },
+          offset: { type: 'integer' },
+          hasMore: { type: 'boolean' },
+          nextCursor: nullable('integer'),
+          nextPage: nullable('integer'),
+          total: { ...nullable('integer'), description: 'null until the last page is reached' }
+        }
+      },
+      SearchHit: {
+        type: 'object',
+        description: 'A wbsearchentities result',
+        required: ['id'],
+        properties: {
+          id: { type: 'string' },
+          label: { type: 'string' },
+          description: { type: 'string' },
+          concepturi: { type: 'string' },
+          url: { type: 'string' },
+          match: {
+            type: 'object',
+            properties: {
+              type: { type: 'string' },
+              language: { type: 'string' },
+              text: { type: 'string' }
+            }
+          }
+        }
+      },
+      SearchResponse: {
+        type: 'object',
+        required: ['searchinfo', 'search', 'success', 'languages', 'pagination'],
+        properties: {
+          searchinfo: {
+            type: 'object',
+            properties: { search: { type: 'string' } }
+          },
+          search: { type: 'array', items: ref('SearchHit') },
+          'search-continue': { type: 'integer', description: 'Offset of the next page, as in wbsearchentities' },
+          success: { type: 'integer' },
+          languages: { type: 'array', items: { type: 'string' } },
+          pagination: ref('Pagination')
+        }
+      },
+      FacetValue: {
+        type: 'object',
+        required: ['value', 'label', 'count'],
+        properties: {
+          value: { type: ['string', 'integer'], description: 'Type key, item ID, first year of a century or property ID' },
+          label: { type: 'string' },
+          count: { type: 'integer' }
+        }
+      },
+      FacetedSearchResponse: {
+        type: 'object',
+        required: ['searchinfo', 'search', 'success', 'languages', 'filters', 'facets', 'candidates', 'pagination'],
+        properties: {
+          searchinfo: {
+            type: 'object',
+            properties: { search: { type: 'string' } }
+          },
+          search: {
+            type: 'array',
+            items: {
+              allOf: [ref('SearchHit')],
+              properties: { type: { ...nullable('string'), description: 'Canonical type' } }
+            }
+          },
+          success: { type: 'integer' },
+          languages: { type: 'array', items: { type: 'string' } },
+          filters: {
+            type: 'object',
+            required: ['types', 'places', 'from', 'to', 'has'],
+            properties: {
+              types: { type: 'array', items: { type: 'string' } },
+              places: { type: 'array', items: { type: 'string' } },
+              from: nullable('integer'),
+              to: nullable('integer'),
+              has: { type: 'array', items: { type: 'string' } }
+            }
+          },
+          facets: {
+            type: 'object',
+            required: ['type', 'place', 'century', 'property'],
+            properties: {
+              type: { type: 'array', items: ref('FacetValue') },
+              place: { type: 'array', items: ref('FacetValue') },
+              century: { type: 'array', items: ref('FacetValue') },
+              property: { type: 'array', items: ref('FacetValue') }
+            }
+          },
+          candidates: {
+            type: 'object',
+            required: ['count', 'truncated'],
+            properties: {
+              count: { type: 'integer' },
+              truncated: { type: 'boolean' }
+            }
+          },
+          pagination: ref('Pagination')
+        }
+      },
+      RdfTerm: {
+        type: 'object',
+        required: ['type', 'value'],
+        properties: {
+          type: { type: 'string', enum: ['uri', 'literal', 'typed-literal', 'bnode'] },
+          value: { type: 'string' },
+          'xml:lang': { type: 'string' },
+          datatype: { type: 'string' }
+        }
+      },
+      EntityPropertiesResponse: {
+        type: 'object',
+        required: ['head', 'results', 'coordinatesUnavailable'],
+        properties: {
+          head: {
+            type: 'object',
+            required: ['vars'],
+            properties: { vars: { type: 'array', items: { type: 'string' } } }
+          },
+          results: {
+            type: 'object',
+            required: ['bindings'],
+            properties: {
+              bindings: {
+                type: 'array',
+                items: { type: 'object', additionalProperties: ref('RdfTerm') }
+              }
+            }
+          },
+          coordinatesUnavailable: { type: 'boolean' }
+        }
+      },
+      EntitiesResponse: {
+        type: 'object',
+        required: ['entities', 'missing'],
+        properties: {
+          entities: {
+            type: 'object',
+            description: 'wbgetentities entities keyed by ID',
+            additionalProperties: { type: 'object' }
+          },
+          missing: { type: 'array', items: { type: 'string' } }
+        }
+      },
+      EntityRef: {
+        type: 'object',
+        required: ['id', 'label'],
+        properties: {
+          id: { type: 'string' },
+          label: nullable('string')
+        }
+      },
+      PropertyValue: {
+        type: 'object',
+        required: ['value', 'id', 'label', 'datatype'],
+        properties: {
+          value: { type: 'string' },
+          id: { ...nullable('string'), description: 'Item ID, for entity values' },
+          label: { type: 'string' },
+          datatype: nullable('string')
+        }
+      },
+      Entity: {
+        type: 'object',
+        required: [
+          'id', 'label', 'description', 'aliases', 'language', 'type', 'types', 'classes', 'properties',
+          'coordinates', 'coordinatesUnavailable'
+        ],
+        properties: {
+          id: { type: 'string' },
+          label: nullable('string'),
+          description: nullable('string'),
+          aliases: { type: 'array', items: { type: 'string' } },
+          language: { ...nullable('string'), description: 'Language of the label' },
+          type: { ...nullable('string'), description: 'Canonical type key, e.g. person' },
+          types: { type: 'array', items: ref('EntityRef') },
+          classes: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['id', 'label', 'direct'],
+              properties: {
+                id: { type: 'string' },
+                label: nullable('string'),
+                direct: { type: 'boolean' }
+              }
+            }
+          },
+          properties: {
+            type: 'object',
+            description: 'Properties keyed by property ID',
+            additionalProperties: {
+              type: 'object',
+              required: ['id', 'label', 'datatype', 'values'],
+              properties: {
+                id: { type: 'string' },
+                label: { type: 'string' },
+                datatype: nullable('string'),
+                values: { type: 'array', items: ref('PropertyValue') }
+              }
+            }
+          },
+          coordinates: {
+            oneOf: [
+              {
+                type: 'object',
+                required: ['lat', 'lng', 'source'],
+                properties: {
+                  lat: { type: 'number' },
+                  lng: { type: 'number' },
+                  source: { type: 'string', description: 'P2 (the entity itself) or P55 (its residence)' },
+                  wikidataId: nullable('string')
+                }
+              },
+              { type: 'null' }
+            ]
+          },
+          coordinatesUnavailable: { type: 'boolean' }
+        }
+      },
+      Node: {
+        type: 'object',
+        required: ['id', 'label', 'type'],
+        properties: {
+          id: { type: 'string' },
+          label: nullable('string'),
+          type: nullable('string')
+        }
+      },
+      Edge: {
+        type: 'object',
+        required: ['source', 'target', 'property', 'label'],
+        properties: {
+          source: { type: 'string' },
+          target: { type: 'string' },
+          property: { type: 'string' },
+          label: { type: 'string' }
+        }
+      },
+      Graph: {
+        type: 'object',
+        required: ['root', 'depth', 'direction', 'properties', 'nodes', 'edges', 'truncated'],
+        properties: {
+          root: { type: 'string' },
+          depth: { type: 'integer' },
+          direction: { type: 'string', enum: ['out', 'in', 'both'] },
+          properties: { type: 'array', items: { type: 'string' } },
+          nodes: {
+            type: 'array',
+            items: {
+              allOf: [ref('Node')],
+              required: ['depth'],
+              properties: { depth: { type: 'integer' } }
+            }
+          },
+          edges: { type: 'array', items: ref('Edge') },
+          truncated: { type: 'boolean' }
+        }
+      },
+      Dependency: {
+        type: 'object',
+        required: ['status', 'critical', 'latencyMs', 'circuit'],
+        properties: {
+          status: { type: 'string', enum: ['up', 'down'] },
+          critical: { type: 'boolean', description: 'Whether the API is unavailable while this dependency is down' },
+          latencyMs: { type: 'integer' },
+          httpStatus: { type: 'integer', description: 'Status of the probe response, when there was one' },
+          error: { type: 'string' },
+          circuit: {
+            type: 'string',
+            enum: ['closed', 'half-open', 'open'],
+            description: 'State of the circuit breaker in front of the service'
+          }
+        }
+      },
+      Readiness: {
+        type: 'object',
+        required: ['status', 'checkedAt', 'cached', 'dependencies'],
+        properties: {
+          status: { type: 'string', enum: ['ok', 'degraded', 'unavailable'] },
+          checkedAt: { type: 'string', format: 'date-time' },
+          cached: { type: 'boolean', description: 'Whether the result of an earlier probe was reused' },
+          dependencies: {
+            type: 'object',
+            required: ['wikibase', 'sparql', 'wikidata'],
+            additionalProperties: ref('Dependency')
+          }
+        }
+      },
+      Paths: {
+        type: 'object',
+        required: ['from', 'to', 'maxHops', 'properties', 'paths', 'truncated'],
+        properties: {
+          from: ref('Node'),
+          to: ref('Node'),
+          maxHops: { type: 'integer' },
+          properties: { type: 'array', items: { type: 'string' } },
+          paths: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['hops', 'score', 'nodes', 'edges'],
+              properties: {
+                hops: { type: 'integer' },
+                score: { type: 'number' },
+                nodes: { type: 'array', items: ref('Node') },
+                edges: { type: 'array', items: ref('Edge') }
+              }
+            }
+          },
+          truncated: { type: 'boolean' }
+        }
+      }
+    }
+  },
+  security: [{}, { apiKey: [] }]
+};
+
+module.exports = spec;
@@ -0,0 +1,189 @@
+/**
+ * Medieval Charters Knowledge Graph - N-Triples Serialisation
+ * Turns compact entity records (see services/snapshot.js) into statements using
+ * the same vocabulary as the Wikibase query service (wd:, wdt:, rdfs:label, ...),
+ * and statements into N-Triples. rdf/serialisers.js writes the other syntaxes.
+ */
+const config = require('../config');
+const { DATATYPES } = require('../sparql/bindings');
+
+const RDF = {
+  label: 'http://www.w3.org/2000/01/rdf-schema#label',
+  description: 'http://schema.org/description',
+  altLabel: 'http://www.w3.org/2004/02/skos/core#altLabel',
+  directClaim: 'http://wikiba.se/ontology#directClaim',
+  propertyType: 'http://wikiba.se/ontology#propertyType',
+  ontology: 'http://wikiba.se/ontology#',
+  dateTime: 'http://www.w3.org/2001/XMLSchema#dateTime',
+  decimal: 'http://www.w3.org/2001/XMLSchema#decimal',
+  wktLiteral: 'http://www.opengis.net/ont/geosparql#wktLiteral'
+};
+
+// Wikibase API datatype names and their ontology names (wikibase-item -> WikibaseItem)
+const ONTOLOGY_TYPES = Object.fromEntries(
+  Object.entries(DATATYPES).map(([ontologyName, apiName]) => [apiName, ontologyName])
+);
+
+// Characters that may not appear unescaped inside an N-Triples IRI
+const IRI_UNSAFE = /[\u0000- <>"{}|^`\\]/g;
+
+/**
+ * Entity and direct-claim namespaces of the Wikibase.
+ * @returns {{entity: string, direct: string}} e.g. https://.../entity/ and https://.../prop/direct/
+ */
+const namespaces = () => ({
+  entity: `${config.wikibase.entityUrl}/`,
+  direct: `${config.wikibase.propDirectUrl}/`
+});
+
+/**
+ * Serialise an IRI term.
+ * @param {string} iri
+ * @returns {string} e.g. <http://example.org/a>
+ */
+const iriTerm = (iri) => `<${String(iri).replace(IRI_UNSAFE, char =>
+  `\\u${char.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}`
+)}>`;
+
+/**
+ * Serialise a literal term.
+ * @param {string} value - Lexical form
+ * @param {Object} [options]
+ * @param {string} [options.language] - Language tag
+ * @param {string} [options.datatype] - Datatype IRI
+ * @returns {string} e.g. "Oviedo"@es or "1150-01-01T00:00:00Z"^^<...#dateTime>
+ */
+const literalTerm = (value, { language, datatype } = {}) => {
+  const escaped = String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r');
+  if (language) return `"${escaped}"@${language}`;
+  if (datatype) return `"${escaped}"^^${iriTerm(datatype)}`;
+  return `"${escaped}"`;
+};
+
+/**
+ * An IRI node.
+ * @param {string} value
+ * @returns {{termType: string, value: string}}
+ */
+const iri = value => ({ termType: 'iri', value });
+
+/**
+ * A literal node.
+ * @param {string} value - Lexical form
+ * @param {Object} [options] - { language } or { datatype } (an IRI)
+ * @returns {{termType: string, value: string, language?: string, datatype?: string}}
+ */
+const literal = (value, { language, datatype } = {}) => ({
+  termType: 'literal',
+  value: String(value),
+  ...(language && { language }),
+  ...(datatype && { datatype })
+});
+
+/**
+ * Serialise an IRI or literal node as an N-Triples term.
+ * @param {Object} node - From iri() or literal()
+ * @returns {string}
+ */
+const nodeTerm = node => (node.termType === 'iri' ? iriTerm(node.value) : literalTerm(node.value, node));
+
+/**
+ * The RDF node of a claim value.
+ * @param {*} value - Compact claim value
+ * @param {string} datatype - Wikibase API datatype, e.g. wikibase-item
+ * @param {{entity: string}} ns - Namespaces
+ * @returns {Object|null} Node, or null when the value has no direct-claim form
+ */
+const valueNode = (value, datatype, ns) => {
+  switch (datatype) {
+    case 'wikibase-item':
+    case 'wikibase-property':
+    case 'wikibase-lexeme':
+    case 'wikibase-form':
+    case 'wikibase-sense':
+      return iri(`${ns.entity}${value}`);
+    case 'url':
+    case 'commonsMedia':
+      return iri(value);
+    case 'time':
+      return literal(value, { datatype: RDF.dateTime });
+    case 'quantity':
+      return literal(value, { datatype: RDF.decimal });
+    case 'monolingualtext':
+      return literal(value.text, { language: value.language });
+    case 'globe-coordinate':
+      return literal(`Point(${value.lng} ${value.lat})`, { datatype: RDF.wktLiteral });
+    default:
+      return typeof value === 'string' ? literal(value) : null;
+  }
+};
+
+/**
+ * The statements describing one entity, for serialisation in any RDF syntax.
+ * @param {Object} entity - Compact entity record
+ * @param {Object} [ns=namespaces()] - Namespaces
+ * @returns {Array<{subject: string, predicate: string, object: Object}>} Subject and predicate IRIs and object nodes
+ */
+const entityStatements = (entity, ns = namespaces()) => {
+  const subject = `${ns.entity}${entity.id}`;
+  const statements = [];
+  const add = (predicate, object) => {
+    if (object) statements.push({ subject, predicate, object });
+  };
+
+  Object.entries(entity.labels || {}).forEach(([language, text]) =>
+    add(RDF.label, literal(text, { language }))
+  );
+  Object.entries(entity.descriptions || {}).forEach(([language, text]) =>
+    add(RDF.description, literal(text, { language }))
+  );
+  Object.entries(entity.aliases || {}).forEach(([language, texts]) =>
+    texts.forEach(text => add(RDF.altLabel, literal(text, { language })))
+  );
+
+  if (entity.datatype) {
+    add(RDF.directClaim, iri(`${ns.direct}${entity.id}`));
+    add(RDF.propertyType, iri(`${RDF.ontology}${ONTOLOGY_TYPES[entity.datatype] || entity.datatype}`));
+  }
+
+  Object.entries(entity.claims || {}).forEach(([propertyId, values]) =>
+    values.forEach(({ value, datatype }) =>
+      add(`${ns.direct}${propertyId}`, valueNode(value, datatype, ns))
+    )
+  );
+
+  return statements;
+};
+
+/**
+ * Serialise statements as N-Triples lines.
+ * @param {Object[]} statements - From entityStatements
+ * @returns {string[]} One triple per line, without line breaks
+ */
+const serialiseStatements = statements => statements.map(({ subject, predicate, object }) =>
+  `${iriTerm(subject)} ${iriTerm(predicate)} ${nodeTerm(object)} .`
+);
+
+/**
+ * Build the N-Triples lines describing one entity.
+ * @param {Object} entity - Compact entity record
+ * @param {Object} [ns=namespaces()] - Namespaces
+ * @returns {string[]} One triple per line, without line breaks
+ */
+const entityTriples = (entity, ns = namespaces()) => serialiseStatements(entityStatements(entity, ns));
+
+module.exports = {
+  RDF,
+  namespaces,
+  iri,
+  literal,
+  iriTerm,
+  literalTerm,
+  entityStatements,
+  serialiseStatements,
+  entityTriples
+};
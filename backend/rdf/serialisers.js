@@ -0,0 +1,219 @@
+/**
+ * Medieval Charters Knowledge Graph - RDF Serialisers
+ * Writes the statements of rdf/ntriples.js as Turtle, JSON-LD, RDF/XML or
+ * N-Triples. IRIs in the Wikibase and vocabulary namespaces are abbreviated
+ * with the prefixes the query service uses (wd:, wdt:, rdfs:, schema:, ...).
+ */
+const { namespaces, iriTerm, literalTerm, serialiseStatements } = require('./ntriples');
+
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+const RDF_NS = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+
+/**
+ * Prefixes for a serialisation, the Wikibase namespaces first.
+ * @param {Object} [ns=namespaces()]
+ * @returns {Object} Namespace IRIs keyed by prefix
+ */
+const prefixes = (ns = namespaces()) => ({
+  wd: ns.entity,
+  wdt: ns.direct,
+  wikibase: 'http://wikiba.se/ontology#',
+  rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+  schema: 'http://schema.org/',
+  skos: 'http://www.w3.org/2004/02/skos/core#',
+  xsd: XSD,
+  geo: 'http://www.opengis.net/ont/geosparql#'
+});
+
+// Local names that are safe in Turtle prefixed names, JSON-LD compact IRIs and XML element names
+const LOCAL_NAME = /^[A-Za-z_][\w-]*$/;
+
+/**
+ * Split an IRI into a known prefix and local name.
+ * @param {string} iri
+ * @param {Object} known - Namespace IRIs keyed by prefix
+ * @returns {{prefix: string, local: string}|null} null when no prefix fits
+ */
+const splitIri = (iri, known) => {
+  for (const [prefix, namespace] of Object.entries(known)) {
+    const local = iri.slice(namespace.length);
+    if (iri.startsWith(namespace) && LOCAL_NAME.test(local)) return { prefix, local };
+  }
+  return null;
+};
+
+/**
+ * Group statements by predicate, keeping the order in which predicates first appear.
+ * @param {Object[]} statements
+ * @returns {Map<string, Object[]>} Object nodes per predicate IRI
+ */
+const byPredicate = (statements) => {
+  const groups = new Map();
+  statements.forEach(({ predicate, object }) => {
+    if (!groups.has(predicate)) groups.set(predicate, []);
+    groups.get(predicate).push(object);
+  });
+  return groups;
+};
+
+/**
+ * Group statements by subject.
+ * @param {Object[]} statements
+ * @returns {Map<string, Object[]>} Statements per subject IRI
+ */
+const bySubject = (statements) => {
+  const groups = new Map();
+  statements.forEach(statement => {
+    if (!groups.has(statement.subject)) groups.set(statement.subject, []);
+    groups.get(statement.subject).push(statement);
+  });
+  return groups;
+};
+
+/**
+ * Serialise statements as N-Triples.
+ * @param {Object[]} statements
+ * @returns {string}
+ */
+const toNTriples = statements => serialiseStatements(statements).map(line => `${line}\n`).join('');
+
+/**
+ * Serialise statements as Turtle, one block per subject.
+ * @param {Object[]} statements
+ * @param {Object} [ns=namespaces()]
+ * @returns {string}
+ */
+const toTurtle = (statements, ns = namespaces()) => {
+  const known = prefixes(ns);
+  const name = (iri) => {
+    const split = splitIri(iri, known);
+    return split ? `${split.prefix}:${split.local}` : iriTerm(iri);
+  };
+  const node = (object) => {
+    if (object.termType === 'iri') return name(object.value);
+    // Datatypes are abbreviated too: "1150-01-01T00:00:00Z"^^xsd:dateTime
+    if (object.datatype) return `${literalTerm(object.value)}^^${name(object.datatype)}`;
+    return literalTerm(object.value, object);
+  };
+
+  const header = Object.entries(known).map(([prefix, namespace]) => `@prefix ${prefix}: ${iriTerm(namespace)} .`);
+  const blocks = [...bySubject(statements)].map(([subject, subjectStatements]) => {
+    const predicates = [...byPredicate(subjectStatements)].map(([predicate, objects]) =>
+      `    ${name(predicate)} ${objects.map(node).join(',\n        ')}`
+    );
+    return `${name(subject)}\n${predicates.join(' ;\n')} .`;
+  });
+
+  return `${header.join('\n')}\n\n${blocks.join('\n\n')}\n`;
+};
+
+/**
+ * Serialise statements as a JSON-LD document with a context of the prefixes.
+ * @param {Object[]} statements
+ * @param {Object} [ns=namespaces()]
+ * @returns {Object} JSON-LD document; a single node, or a @graph of nodes
+ */
+const toJsonLd = (statements, ns = namespaces()) => {
+  const known = prefixes(ns);
+  const name = (iri) => {
+    const split = splitIri(iri, known);
+    return split ? `${split.prefix}:${split.local}` : iri;
+  };
+  const node = (object) => {
+    if (object.termType === 'iri') return { '@id': name(object.value) };
+    if (object.language) return { '@value': object.value, '@language': object.language };
+    if (object.datatype) return { '@value': object.value, '@type': name(object.datatype) };
+    return object.value;
+  };
+
+  const nodes = [...bySubject(statements)].map(([subject, subjectStatements]) => {
+    const properties = [...byPredicate(subjectStatements)].map(([predicate, objects]) => {
+      const values = objects.map(node);
+      return [name(predicate), values.length === 1 ? values[0] : values];
+    });
+    return { '@id': name(subject), ...Object.fromEntries(properties) };
+  });
+
+  const context = { '@context': known };
+  return nodes.length === 1 ? { ...context, ...nodes[0] } : { ...context, '@graph': nodes };
+};
+
+// Characters XML 1.0 does not allow at all, even escaped
+const XML_INVALID = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+const escapeXml = value => String(value)
+  .replace(XML_INVALID, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Serialise statements as RDF/XML, one rdf:Description per subject.
+ * Predicates outside the known prefixes get generated ones (ns1:, ns2:, ...).
+ * @param {Object[]} statements
+ * @param {Object} [ns=namespaces()]
+ * @returns {string}
+ */
+const toRdfXml = (statements, ns = namespaces()) => {
+  const known = prefixes(ns);
+  const used = { rdf: RDF_NS };
+  const elementName = (predicate) => {
+    let split = splitIri(predicate, known);
+    if (!split) {
+      // Predicates must be written as element names: split at the last / or #
+      const [, namespace, local] = /^(.*[/#])([A-Za-z_][\w-]*)$/.exec(predicate) || [];
+      if (!namespace) throw new Error(`Cannot write ${predicate} as an RDF/XML element name`);
+      const prefix = Object.keys(used).find(candidate => used[candidate] === namespace) ||
+        `ns${Object.keys(used).length}`;
+      split = { prefix, local };
+      known[prefix] = namespace;
+    }
+    used[split.prefix] = known[split.prefix];
+    return `${split.prefix}:${split.local}`;
+  };
+
+  const descriptions = [...bySubject(statements)].map(([subject, subjectStatements]) => {
+    const properties = subjectStatements.map(({ predicate, object }) => {
+      const element = elementName(predicate);
+      if (object.termType === 'iri') {
+        return `    <${element} rdf:resource="${escapeXml(object.value)}"/>`;
+      }
+      let attribute = '';
+      if (object.language) attribute = ` xml:lang="${escapeXml(object.language)}"`;
+      else if (object.datatype) attribute = ` rdf:datatype="${escapeXml(object.datatype)}"`;
+      return `    <${element}${attribute}>${escapeXml(object.value)}</${element}>`;
+    });
+    return [`  <rdf:Description rdf:about="${escapeXml(subject)}">`, ...properties, '  </rdf:Description>'].join('\n');
+  });
+
+  const declarations = Object.entries(used).map(([prefix, namespace]) => `\n    xmlns:${prefix}="${escapeXml(namespace)}"`);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<rdf:RDF${declarations.join('')}>`,
+    ...descriptions,
+    '</rdf:RDF>',
+    ''
+  ].join('\n');
+};
+
+// Export formats: the format parameter, media type and file extension of each
+const FORMATS = {
+  jsonld: {
+    mediaType: 'application/ld+json',
+    extension: 'jsonld',
+    serialise: (statements, ns) => JSON.stringify(toJsonLd(statements, ns), null, 2)
+  },
+  ttl: { mediaType: 'text/turtle', extension: 'ttl', serialise: toTurtle },
+  nt: { mediaType: 'application/n-triples', extension: 'nt', serialise: toNTriples },
+  rdfxml: { mediaType: 'application/rdf+xml', extension: 'rdf', serialise: toRdfXml }
+};
+
+module.exports = {
+  FORMATS,
+  prefixes,
+  toNTriples,
+  toTurtle,
+  toJsonLd,
+  toRdfXml
+};
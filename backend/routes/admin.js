@@ -0,0 +1,61 @@
+/**
+ * Medieval Charters Knowledge Graph - Admin Routes
+ * Operational endpoints for inspecting and purging the response cache and
+ * for the state of the upstream circuit breakers.
+ * All routes require the admin bearer token (see middleware/requireAdmin).
+ */
+const express = require('express');
+const cache = require('../services/cache');
+const upstream = require('../services/upstream');
+const requireAdmin = require('../middleware/requireAdmin');
+const router = express.Router();
+
+router.use(requireAdmin);
+
+/**
+ * @route   GET /api/admin/cache
+ * @desc    Cache statistics, overall and per namespace
+ * @returns {Object} Hit/miss counts, key counts and TTLs
+ * @access  Admin
+ */
+router.get('/cache', (req, res) => {
+  res.json(cache.getStats());
+});
+
+/**
+ * @route   GET /api/admin/cache/keys
+ * @desc    List cached keys with their expiry time
+ * @param   {string} [namespace] - Only list keys in this namespace
+ * @returns {Object} JSON response with the matching keys
+ * @access  Admin
+ */
+router.get('/cache/keys', (req, res) => {
+  const keys = cache.listKeys(req.query.namespace);
+  res.json({ count: keys.length, keys });
+});
+
+/**
+ * @route   DELETE /api/admin/cache
+ * @desc    Purge cached responses
+ * @param   {string} [key] - Purge a single key
+ * @param   {string} [namespace] - Purge every key in a namespace
+ * @returns {Object} Number of purged keys; with no parameters the whole cache is flushed
+ * @access  Admin
+ */
+router.delete('/cache', (req, res) => {
+  const { key, namespace } = req.query;
+  const purged = cache.purge({ key, namespace });
+  res.json({ purged });
+});
+
+/**
+ * @route   GET /api/admin/upstream
+ * @desc    Circuit breaker state and request counters per upstream target
+ * @returns {Object} State, failures, timeouts, retries, short-circuited requests and state transitions
+ * @access  Admin
+ */
+router.get('/upstream', (req, res) => {
+  res.json(upstream.getStats());
+});
+
+module.exports = router;
@@ -0,0 +1,150 @@
+/**
+ * Medieval Charters Knowledge Graph - Entity Routes
+ * This module serves normalised entity documents so the frontend can render
+ * detail pages without parsing SPARQL result bindings.
+ */
+const express = require('express');
+const config = require('../config');
+const cache = require('../services/cache');
+const { getEntity } = require('../services/entities');
+const { getEntities } = require('../services/wikibase');
+const { exportEntity } = require('../services/export');
+const { FORMATS } = require('../rdf/serialisers');
+const { isEntityId, isLanguageCode } = require('../sparql/templates');
+const validateEntityId = require('../middleware/validateEntityId');
+const { negotiateLanguage } = require('../middleware/language');
+const { splitList } = require('../utils/params');
+const { NotAcceptableError, NotFoundError, ValidationError } = require('../utils/errors');
+const router = express.Router();
+
+// Reject anything that is not a Wikibase ID before it reaches a query
+router.param('id', validateEntityId('entity'));
+
+// Entity parts wbgetentities can return
+const ENTITY_PROPS = [
+  'info', 'sitelinks', 'sitelinks/urls', 'aliases', 'labels', 'descriptions', 'claims', 'datatype'
+];
+
+/**
+ * Choose the export format from ?format= or the Accept header.
+ * @param {Object} req - Express request
+ * @returns {string|null} A key of FORMATS, or null when nothing acceptable
+ */
+const negotiateExportFormat = (req) => {
+  if (req.query.format) {
+    return FORMATS[req.query.format] ? req.query.format : null;
+  }
+
+  const names = Object.keys(FORMATS);
+  const accepted = req.accepts(names.map(name => FORMATS[name].mediaType));
+  return accepted ? names.find(name => FORMATS[name].mediaType === accepted) : null;
+};
+
+/**
+ * @route   GET /api/entities
+ * @desc    Batch lookup of many entities through wbgetentities
+ * @param   {string} ids - Entity IDs separated by | or commas, e.g. Q1|Q2|Q3
+ * @param   {string} [props] - wbgetentities props, e.g. labels|descriptions|claims
+ * @param   {string} [languages] - Term languages, e.g. es|la; defaults to the negotiated language chain
+ * @returns {Object} entities keyed by ID, plus the IDs that do not exist
+ * @access  Public
+ *
+ * IDs are fetched 50 at a time (the wbgetentities maximum) and merged, so result
+ * lists, hover cards and graph views can hydrate many entities in one round trip.
+ */
+router.get('/', negotiateLanguage, async (req, res) => {
+  const ids = splitList(req.query.ids);
+  const props = splitList(req.query.props);
+  const languages = req.query.languages !== undefined ? splitList(req.query.languages) : req.languages;
+
+  // Validate request parameters
+  if (ids.length === 0) {
+    throw new ValidationError('ids parameter is required', 'ids', 'missing_parameter');
+  }
+  if (ids.length > config.entities.maxBatchIds) {
+    throw new ValidationError('Too many IDs', `At most ${config.entities.maxBatchIds} IDs can be requested at once`);
+  }
+
+  const invalidIds = ids.filter(id => !isEntityId(id));
+  if (invalidIds.length) {
+    throw new ValidationError('Invalid entity ID', `Invalid IDs: ${invalidIds.join(', ')}`, 'invalid_entity_id');
+  }
+
+  const invalidProps = props.filter(prop => !ENTITY_PROPS.includes(prop));
+  if (invalidProps.length) {
+    throw new ValidationError('Invalid props', `props must be among: ${ENTITY_PROPS.join(', ')}`);
+  }
+
+  const invalidLanguages = languages.filter(language => !isLanguageCode(language));
+  if (invalidLanguages.length) {
+    throw new ValidationError('Invalid languages', `Invalid codes: ${invalidLanguages.join(', ')}`);
+  }
+
+  // Upstream failures, including errors reported by wbgetentities, reach the error handler
+  const { entities, missing, hit } = await getEntities(ids, {
+    props,
+    languages,
+    bypass: cache.shouldBypass(req)
+  });
+
+  cache.setCacheHeader(res, hit);
+  return res.json({ entities, missing });
+});
+
+/**
+ * @route   GET /api/entities/:id
+ * @desc    Normalised document for a single entity
+ * @param   {string} id - Wikibase entity ID, e.g. Q42
+ * @param   {string} [lang] - Label language; defaults to the Accept-Language header
+ * @returns {Object} id, label, description, aliases, type, types, classes, properties, coordinates and coordinatesUnavailable
+ * @access  Public
+ *
+ * Properties are keyed by property ID and each value appears once, carrying
+ * its item ID (for entity values), label and datatype. `type` is the canonical
+ * type key (person, place, activity or null) resolved from instance of and the
+ * subclass chain; `classes` lists every class visited. Coordinates come from
+ * Wikidata (P625) via the entity's own Wikidata ID (P2) or its residence (P55);
+ * when Wikidata cannot be reached they are null and coordinatesUnavailable is true.
+ */
+router.get('/:id', negotiateLanguage, async (req, res) => {
+  const { id } = req.params;
+
+  const { value, hit, stale } = await getEntity(id, req.languages, { bypass: cache.shouldBypass(req) });
+
+  if (!value) {
+    throw new NotFoundError('Entity not found', `No data found for ${id}`);
+  }
+
+  cache.setCacheHeader(res, hit, stale);
+  return res.json(value);
+});
+
+/**
+ * @route   GET /api/entities/:id/export
+ * @desc    The entity as RDF, for citation and reuse
+ * @param   {string} id - Wikibase entity ID, e.g. Q42
+ * @param   {string} [format] - jsonld, ttl, nt or rdfxml; overrides the Accept header (JSON-LD by default)
+ * @returns {string} Labels, descriptions and aliases in every language and the best-ranked direct claims,
+ *          with the wd: and wdt: IRIs of the query service, as an attachment named after the entity
+ * @access  Public
+ */
+router.get('/:id/export', async (req, res) => {
+  const { id } = req.params;
+
+  const format = negotiateExportFormat(req);
+  if (!format) {
+    throw new NotAcceptableError('Unsupported export format', `Supported formats: ${Object.keys(FORMATS).join(', ')}`);
+  }
+
+  const exported = await exportEntity(id, format, { bypass: cache.shouldBypass(req) });
+  if (!exported) {
+    throw new NotFoundError('Entity not found', `No data found for ${id}`);
+  }
+
+  cache.setCacheHeader(res, exported.hit);
+  res.attachment(exported.filename);
+  res.type(exported.mediaType);
+  return res.send(exported.body);
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+/**
+ * Medieval Charters Knowledge Graph - Graph Routes
+ * This module serves the neighbourhood of an entity as a nodes/edges document
+ * for network visualisations (who witnessed what, who lived where).
+ */
+const express = require('express');
+const config = require('../config');
+const cache = require('../services/cache');
+const { getGraph, DIRECTIONS } = require('../services/graph');
+const { isEntityId } = require('../sparql/templates');
+const validateEntityId = require('../middleware/validateEntityId');
+const { negotiateLanguage } = require('../middleware/language');
+const { splitList } = require('../utils/params');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const router = express.Router();
+
+// Reject anything that is not a Wikibase ID before it reaches a query
+router.param('id', validateEntityId('entity'));
+
+/**
+ * Parse and validate the graph query parameters.
+ * @param {Object} params - req.query
+ * @returns {{depth: number, direction: string, properties: string[]}|{error: string}}
+ */
+const parseGraphParams = ({ depth = '1', direction = 'both', properties }) => {
+  if (!/^\d+$/.test(depth) || Number(depth) < 1 || Number(depth) > config.graph.maxDepth) {
+    return { error: `depth must be between 1 and ${config.graph.maxDepth}` };
+  }
+  if (!DIRECTIONS.includes(direction)) {
+    return { error: `direction must be one of: ${DIRECTIONS.join(', ')}` };
+  }
+
+  const propertyIds = splitList(properties);
+  const invalid = propertyIds.filter(id => !isEntityId(id, 'property'));
+  if (invalid.length) {
+    return { error: `Invalid property IDs: ${invalid.join(', ')}` };
+  }
+
+  return { depth: Number(depth), direction, properties: propertyIds };
+};
+
+/**
+ * @route   GET /api/graph/:id
+ * @desc    Neighbourhood of an entity as nodes and edges
+ * @param   {string} id - Wikibase entity ID of the root node, e.g. Q42
+ * @param   {number} [depth=1] - Hops to follow (at most GRAPH_MAX_DEPTH)
+ * @param   {string} [direction=both] - Follow claims pointing out, in or both
+ * @param   {string} [properties] - Property IDs to follow, e.g. P7|P55; all item-valued properties by default
+ * @param   {string} [lang] - Label language; defaults to the Accept-Language header
+ * @returns {Object} root, nodes [{id, label, type, depth}], edges [{source, target, property, label}] and truncated
+ * @access  Public
+ *
+ * The neighbourhood is walked breadth first and stops adding nodes at
+ * GRAPH_MAX_NODES; `truncated` is true when the cap (or a query LIMIT) cut the
+ * result short. Node `type` is the canonical type used by the detail pages.
+ */
+router.get('/:id', negotiateLanguage, async (req, res) => {
+  const { id } = req.params;
+
+  const params = parseGraphParams(req.query);
+  if (params.error) {
+    throw new ValidationError('Invalid graph parameters', params.error);
+  }
+
+  const { value, hit } = await getGraph(id, {
+    ...params,
+    languages: req.languages,
+    bypass: cache.shouldBypass(req)
+  });
+
+  if (!value) {
+    throw new NotFoundError('Entity not found', `No data found for ${id}`);
+  }
+
+  cache.setCacheHeader(res, hit);
+  return res.json(value);
+});
+
+module.exports = router;
@@ -0,0 +1,40 @@
+/**
+ * Medieval Charters Knowledge Graph - Health Routes
+ * Liveness (the process answers) and readiness (the services behind the API
+ * answer too), for load balancers, Render and monitoring.
+ */
+const express = require('express');
+const { checkReadiness } = require('../services/health');
+const router = express.Router();
+
+/**
+ * @route   GET /api/health/live
+ * @desc    Liveness: the process is up and serving requests; never probes upstream services
+ * @returns {Object} status and uptime in seconds
+ * @access  Public
+ */
+router.get('/live', (req, res) => {
+  res.json({
+    status: 'ok',
+    uptime: Math.round(process.uptime()),
+    time: new Date().toISOString()
+  });
+});
+
+/**
+ * @route   GET /api/health/ready
+ * @desc    Readiness: probes the Wikibase API, the query service and Wikidata.
+ *          Results are cached briefly, whatever the request's Cache-Control says, so the
+ *          public endpoint cannot be used to flood the services with probes
+ * @returns {Object} status (ok, degraded or unavailable) and status, latency and circuit state per dependency;
+ *          503 when a critical dependency (Wikibase API or query service) is down
+ * @access  Public
+ */
+router.get('/ready', async (req, res) => {
+  const readiness = await checkReadiness();
+
+  res.set('Cache-Control', 'no-store');
+  res.status(readiness.status === 'unavailable' ? 503 : 200).json(readiness);
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+/**
+ * Medieval Charters Knowledge Graph - Path Routes
+ * This module finds how two entities are connected (shared witnesses, the same
+ * residence, kinship) as ranked chains of claims.
+ */
+const express = require('express');
+const config = require('../config');
+const cache = require('../services/cache');
+const { getPaths } = require('../services/path');
+const { isEntityId } = require('../sparql/templates');
+const { negotiateLanguage } = require('../middleware/language');
+const { splitList } = require('../utils/params');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const router = express.Router();
+
+/**
+ * Parse and validate the path query parameters.
+ * @param {Object} params - req.query
+ * @returns {{from: string, to: string, maxHops: number, properties: string[]}|{error: string}}
+ */
+const parsePathParams = ({ from, to, maxHops = String(config.path.maxHops), properties }) => {
+  if (!isEntityId(from) || !isEntityId(to)) {
+    return { error: 'from and to must be Wikibase entity IDs' };
+  }
+  if (!/^\d+$/.test(maxHops) || Number(maxHops) < 1 || Number(maxHops) > config.path.maxHops) {
+    return { error: `maxHops must be between 1 and ${config.path.maxHops}` };
+  }
+
+  const propertyIds = splitList(properties);
+  const invalid = propertyIds.filter(id => !isEntityId(id, 'property'));
+  if (invalid.length) {
+    return { error: `Invalid property IDs: ${invalid.join(', ')}` };
+  }
+
+  return { from, to, maxHops: Number(maxHops), properties: propertyIds };
+};
+
+/**
+ * @route   GET /api/path
+ * @desc    Shortest paths between two entities
+ * @param   {string} from - Wikibase entity ID where paths start, e.g. Q42
+ * @param   {string} to - Wikibase entity ID where paths end
+ * @param   {number} [maxHops=PATH_MAX_HOPS] - Longest path to look for
+ * @param   {string} [properties] - Property IDs to follow, e.g. P7|P55; all item-valued properties except instance of by default
+ * @param   {string} [lang] - Label language; defaults to the Accept-Language header
+ * @returns {Object} from, to, paths [{hops, score, nodes, edges}] and truncated
+ * @access  Public
+ *
+ * Claims are followed in either direction, so each edge keeps its own source
+ * and target. Only the shortest paths are returned, ranked so that paths
+ * through less connected entities (a shared witness rather than a large town)
+ * come first; a lower score is more specific. `truncated` is true when the
+ * search hit PATH_MAX_NODES or a query LIMIT and a path may have been missed.
+ */
+router.get('/', negotiateLanguage, async (req, res) => {
+  const params = parsePathParams(req.query);
+  if (params.error) {
+    throw new ValidationError('Invalid path parameters', params.error);
+  }
+  const { from, to, maxHops, properties } = params;
+
+  const { value, hit } = await getPaths(from, to, {
+    maxHops,
+    properties,
+    languages: req.languages,
+    bypass: cache.shouldBypass(req)
+  });
+
+  if (!value) {
+    throw new NotFoundError('Entity not found', `No data found for ${from} or ${to}`);
+  }
+
+  cache.setCacheHeader(res, hit);
+  return res.json(value);
+});
+
+module.exports = router;
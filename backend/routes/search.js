@@ -4,69 +4,341 @@
  * It provides endpoints for searching entities in the Medieval Charters Knowledge Graph
  */
 const express = require('express');
-const axios = require('axios');
+const config = require('../config');
+const cache = require('../services/cache');
+const { searchEntities } = require('../services/search');
+const { facetedSearch } = require('../services/facets');
+const { exportSearch } = require('../services/searchExport');
+const { TYPES } = require('../services/types');
+const { isEntityId } = require('../sparql/templates');
+const { negotiateLanguage } = require('../middleware/language');
+const { splitList } = require('../utils/params');
+const { TABLE_FORMATS } = require('../utils/tables');
+const { NotAcceptableError, ValidationError } = require('../utils/errors');
 const router = express.Router();
 
+/**
+ * Parse an optional non-negative integer query parameter.
+ * @param {string|undefined} value - Raw query string value
+ * @param {number} fallback - Value used when the parameter is absent
+ * @returns {number|null} Parsed value, or null when the parameter is malformed
+ */
+const parseCount = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : null;
+};
+
+/**
+ * Resolve page/pageSize or cursor parameters into a Wikibase offset and limit.
+ * @param {Object} params - req.query
+ * @returns {{offset: number, pageSize: number}|{error: string}}
+ */
+const parsePagination = ({ page, pageSize, cursor }) => {
+  const size = parseCount(pageSize, config.search.defaultPageSize);
+  if (size === null || size < 1 || size > config.search.maxPageSize) {
+    return { error: `pageSize must be between 1 and ${config.search.maxPageSize}` };
+  }
+
+  // A cursor is the offset returned as nextCursor by a previous page
+  if (cursor !== undefined) {
+    const offset = parseCount(cursor, 0);
+    return offset === null ? { error: 'cursor must be a non-negative integer' } : { offset, pageSize: size };
+  }
+
+  const pageNumber = parseCount(page, 1);
+  if (pageNumber === null || pageNumber < 1) {
+    return { error: 'page must be a positive integer' };
+  }
+  return { offset: (pageNumber - 1) * size, pageSize: size };
+};
+
+/**
+ * Reject pages beyond the deepest result the merged search will collect.
+ * @param {{offset: number, pageSize: number}} pagination
+ * @returns {string|null} Error message, or null when the page is reachable
+ */
+const checkDepth = ({ offset, pageSize }) => {
+  if (offset + pageSize > config.search.maxResults) {
+    return `Only the first ${config.search.maxResults} results can be paged through`;
+  }
+  return null;
+};
+
+/**
+ * Parse and validate the facet filters.
+ * @param {Object} params - req.query
+ * @returns {{types: string[], places: string[], from: number|null, to: number|null, has: string[]}|{error: string}}
+ */
+const parseFilters = ({ type, place, from, to, has }) => {
+  const types = splitList(type);
+  const unknownTypes = types.filter(key => !TYPES.includes(key));
+  if (unknownTypes.length) {
+    return { error: `type must be among: ${TYPES.join(', ')}` };
+  }
+
+  const places = splitList(place);
+  if (!places.every(id => isEntityId(id, 'item'))) {
+    return { error: 'place must be a list of item IDs' };
+  }
+
+  const years = {};
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value === undefined || value === '') {
+      years[name] = null;
+    } else if (/^-?\d+$/.test(value) && Number.isSafeInteger(parseInt(value, 10))) {
+      years[name] = parseInt(value, 10);
+    } else {
+      return { error: `${name} must be a year` };
+    }
+  }
+  if (years.from !== null && years.to !== null && years.from > years.to) {
+    return { error: 'from must not be after to' };
+  }
+
+  const properties = splitList(has);
+  if (!properties.every(id => isEntityId(id, 'property'))) {
+    return { error: 'has must be a list of property IDs' };
+  }
+
+  return { types, places, from: years.from, to: years.to, has: properties };
+};
+
+/**
+ * @route   GET /api/search/faceted
+ * @desc    Search entities and narrow the hits with facet filters
+ * @param   {string} query - The search term to find entities
+ * @param   {string} [type] - Canonical types, e.g. person|place (any of them)
+ * @param   {string} [place] - Associated place item IDs (any of them), matched through FACETS_PLACE_PROPERTIES
+ * @param   {number} [from] - Earliest year of any date claim
+ * @param   {number} [to] - Latest year of any date claim
+ * @param   {string} [has] - Property IDs the entity must all have, e.g. P7|P55
+ * @param   {number} [page=1] - 1-based page number
+ * @param   {number} [pageSize=10] - Results per page (at most SEARCH_MAX_PAGE_SIZE)
+ * @param   {string} [lang] - Display language; defaults to the Accept-Language header
+ * @returns {Object} Filtered hits, facet counts (type, place, century, property) and pagination metadata
+ * @access  Public
+ *
+ * The first SEARCH_MAX_RESULTS label matches (see GET /api/search) are
+ * filtered with SPARQL, so totals are exact within that window;
+ * candidates.truncated is true when more label matches exist beyond it.
+ */
+router.get('/faceted', negotiateLanguage, async (req, res) => {
+  const { query } = req.query;
+
+  // Validate request parameters
+  if (!query) {
+    throw new ValidationError('Query parameter is required', 'query', 'missing_parameter');
+  }
+
+  const pagination = parsePagination(req.query);
+  if (pagination.error) {
+    throw new ValidationError('Invalid pagination parameters', pagination.error);
+  }
+  const filters = parseFilters(req.query);
+  if (filters.error) {
+    throw new ValidationError('Invalid filters', filters.error);
+  }
+  const { offset, pageSize } = pagination;
+
+  // Upstream failures reach the error handler
+  const { search, total, facets, candidates, hit } = await facetedSearch({
+    query,
+    languages: req.languages,
+    filters,
+    offset,
+    pageSize,
+    bypass: cache.shouldBypass(req)
+  });
+
+  const hasMore = offset + pageSize < total;
+
+  cache.setCacheHeader(res, hit);
+  return res.json({
+    searchinfo: { search: query },
+    search,
+    success: 1,
+    languages: req.languages,
+    filters,
+    facets,
+    candidates,
+    pagination: {
+      page: Math.floor(offset / pageSize) + 1,
+      pageSize,
+      offset,
+      hasMore,
+      nextCursor: hasMore ? offset + pageSize : null,
+      nextPage: hasMore ? Math.floor(offset / pageSize) + 2 : null,
+      total
+    }
+  });
+});
+
+/**
+ * Choose the table format from ?format= or the Accept header.
+ * @param {Object} req - Express request
+ * @returns {string|null} A key of TABLE_FORMATS, or null when nothing acceptable
+ */
+const negotiateTableFormat = (req) => {
+  if (req.query.format) {
+    return TABLE_FORMATS[req.query.format] ? req.query.format : null;
+  }
+
+  const names = Object.keys(TABLE_FORMATS);
+  const accepted = req.accepts(names.map(name => TABLE_FORMATS[name].mediaType));
+  return accepted ? names.find(name => TABLE_FORMATS[name].mediaType === accepted) : null;
+};
+
+/**
+ * Parse the property columns of an export.
+ * @param {string|undefined} value - req.query.properties
+ * @returns {string[]|{error: string}}
+ */
+const parseExportProperties = (value) => {
+  const properties = splitList(value);
+  if (!properties.every(id => isEntityId(id, 'property'))) {
+    return { error: 'properties must be a list of property IDs' };
+  }
+  if (properties.length > config.export.maxProperties) {
+    return { error: `At most ${config.export.maxProperties} properties can be exported` };
+  }
+  return properties;
+};
+
+/**
+ * File name of an export, from the search term: "search-juan-perez.csv".
+ * @param {string} query
+ * @param {string} extension
+ * @returns {string}
+ */
+const exportFilename = (query, extension) => {
+  const slug = query.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 50);
+  return `search${slug ? `-${slug}` : ''}.${extension}`;
+};
+
+/**
+ * @route   GET /api/search/export
+ * @desc    Every hit of a faceted search as a CSV or XLSX download
+ * @param   {string} query - The search term to find entities
+ * @param   {string} [format] - csv or xlsx; overrides the Accept header (CSV by default)
+ * @param   {string} [properties] - Property IDs to add as columns, e.g. P55|P9 (at most EXPORT_MAX_PROPERTIES)
+ * @param   {string} [type] - Same facet filters as GET /api/search/faceted: type, place, from, to and has
+ * @param   {string} [lang] - Display language; defaults to the Accept-Language header
+ * @returns {string} A table with the columns id, label, description, type and url, then one per property,
+ *          as an attachment named after the search term
+ * @access  Public
+ *
+ * All pages of the faceted search are fetched in turn and streamed as they
+ * arrive. Property values are written with their label, "Oviedo (Q2)", and
+ * several values of one property are separated by "; ". Only the first
+ * SEARCH_MAX_RESULTS label matches are searched; when there are more, the
+ * response says so with X-Export-Truncated: true.
+ */
+router.get('/export', negotiateLanguage, async (req, res) => {
+  const { query } = req.query;
+
+  // Validate request parameters
+  if (!query) {
+    throw new ValidationError('Query parameter is required', 'query', 'missing_parameter');
+  }
+
+  const filters = parseFilters(req.query);
+  if (filters.error) {
+    throw new ValidationError('Invalid filters', filters.error);
+  }
+  const properties = parseExportProperties(req.query.properties);
+  if (properties.error) {
+    throw new ValidationError('Invalid properties', properties.error);
+  }
+  const format = negotiateTableFormat(req);
+  if (!format) {
+    throw new NotAcceptableError('Unsupported export format', `Supported formats: ${Object.keys(TABLE_FORMATS).join(', ')}`);
+  }
+
+  // Upstream failures before the first page reach the error handler as usual
+  const { columns, pages, truncated, hit } = await exportSearch({
+    query,
+    languages: req.languages,
+    filters,
+    properties,
+    bypass: cache.shouldBypass(req)
+  });
+
+  const { mediaType, extension, write } = TABLE_FORMATS[format];
+  cache.setCacheHeader(res, hit);
+  if (truncated) res.set('X-Export-Truncated', 'true');
+  res.attachment(exportFilename(query, extension));
+  res.type(mediaType);
+  await write(res, columns, pages);
+});
+
 /**
  * @route   GET /api/search
  * @desc    Search for entities in the Medieval Charters Knowledge Graph
  * @param   {string} query - The search term to find entities
- * @returns {Object} JSON response with search results from Wikibase
+ * @param   {number} [page=1] - 1-based page number
+ * @param   {number} [pageSize=10] - Results per page (at most SEARCH_MAX_PAGE_SIZE)
+ * @param   {number} [cursor] - Offset from a previous page's nextCursor; overrides page
+ * @param   {string} [lang] - Display language; defaults to the Accept-Language header
+ * @returns {Object} JSON response with search results from Wikibase and pagination metadata
  * @access  Public
  * 
  * This endpoint performs a case-insensitive search for entities in the Wikibase
  * instance, supporting accented Spanish characters. It returns entity matches
  * that can be displayed in the frontend search results.
+ *
+ * Labels and aliases are matched in the requested language and then in each
+ * language of the fallback chain (LANGUAGE_FALLBACK); hits are merged in that
+ * order without duplicates and paginated on the server. Wikibase does not
+ * report a total, so pagination.total is only set once the last page is reached.
  */
-router.get('/', async (req, res) => {
+router.get('/', negotiateLanguage, async (req, res) => {
   const { query } = req.query;
   
   // Validate request parameters
   if (!query) {
-    return res.status(400).json({ message: 'Query parameter is required' });
+    throw new ValidationError('Query parameter is required', 'query', 'missing_parameter');
   }
-  
-  try {
-    
-    // Make request to Wikibase API with appropriate search parameters
-    const response = await axios.get(process.env.WIKIBASE_API_URL, {
-      params: {
-        action: 'wbsearchentities',  // Wikibase search action
-        search: query,               // User's search query
-        language: 'en',              // Primary language for results
-        format: 'json',              // Response format
-        uselang: 'en',               // User language
-        type: 'item'                 // Search for items only (not properties)
-      }
-    });
-    
-    // Return the response data directly to the client
-    return res.json(response.data);
-    
-  } catch (error) {
-    console.error('Wikibase API Easdasdasrror:', error.message);
-    
-    // Comprehensive error handling with appropriate HTTP status codes
-    if (error.response) {
-      // The request was made and the server responded with a status code that falls out of the range of 2xx
-      return res.status(error.response.status).json({
-        message: 'Error from Wikibase API',
-        error: error.response.data
-      });
-    } else if (error.request) {
-      // The request was made but no response was received (timeout, network issue)
-      return res.status(503).json({
-        message: 'No response from Wikibase API',
-        error: 'Service unavailable'
-      });
-    } else {
-      // Something happened in setting up the request (configuration error)
-      return res.status(500).json({
-        message: 'Error setting up request to Wikibase API',
-        error: error.message
-      });
-    }
+
+  const pagination = parsePagination(req.query);
+  if (pagination.error) {
+    throw new ValidationError('Invalid pagination parameters', pagination.error);
   }
+  const depthError = checkDepth(pagination);
+  if (depthError) {
+    throw new ValidationError('Invalid pagination parameters', depthError);
+  }
+  const { offset, pageSize } = pagination;
+
+  // Match labels and aliases in every language of the fallback chain
+  const { search, hasMore, total, hit } = await searchEntities({
+    query,
+    languages: req.languages,
+    offset,
+    pageSize,
+    bypass: cache.shouldBypass(req)
+  });
+
+  const nextCursor = hasMore ? offset + pageSize : null;
+
+  // Return results in the wbsearchentities shape along with pagination metadata
+  cache.setCacheHeader(res, hit);
+  return res.json({
+    searchinfo: { search: query },
+    search,
+    ...(hasMore && { 'search-continue': nextCursor }),
+    success: 1,
+    languages: req.languages,
+    pagination: {
+      page: Math.floor(offset / pageSize) + 1,
+      pageSize,
+      offset,
+      hasMore,
+      nextCursor,
+      nextPage: hasMore ? Math.floor(offset / pageSize) + 2 : null,
+      total
+    }
+  });
 });
 
 module.exports = router; 
\ No newline at end of file
@@ -1,74 +1,85 @@
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
+const config = require('../config');
+const { buildQuery } = require('../sparql/templates');
+const validateEntityId = require('../middleware/validateEntityId');
+const cache = require('../services/cache');
+const snapshot = require('../services/snapshot');
+const upstream = require('../services/upstream');
+const { getCoordinates } = require('../services/coordinates');
+const { negotiateLanguage } = require('../middleware/language');
 
-router.get('/:entityId', async (req, res) => {
-    try {
-        const { entityId } = req.params;
-        
-        const sparqlQuery = `
-PREFIX wd: <https://medievalcharterskg.wikibase.cloud/entity/>       # Your entities
-PREFIX wdt: <https://medievalcharterskg.wikibase.cloud/prop/direct/> # Your direct properties
-PREFIX wikibase: <http://wikiba.se/ontology#>
-PREFIX bd: <http://www.bigdata.com/rdf#>
-PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+// Reject anything that is not a Wikibase ID before it reaches the query
+router.param('entityId', validateEntityId('entity'));
 
-# Wikidata-specific prefixes for federated query
-PREFIX wdref: <http://www.wikidata.org/entity/>
-PREFIX wdtref: <http://www.wikidata.org/prop/direct/>
+// Result variables filled in from each entityCoordinates source
+const COORDINATE_VARS = { P55: 'coord', P2: 'placeCoord' };
 
-SELECT ?propertyLabel ?valueLabel ?instanceOfLabel ?residenceLabel ?coord ?placeCoord WHERE {
-  # Main entity data
-  wd:${entityId} ?p ?value .
-  ?property wikibase:directClaim ?p .
+/**
+ * Add Wikidata coordinates to the local entityProperties results.
+ * @param {Object} results - SPARQL JSON results of entityProperties
+ * @param {Object[]} coordinateBindings - entityCoordinates results
+ * @returns {Object} Results with ?coord and ?placeCoord bound on every row
+ */
+const addCoordinates = (results, coordinateBindings) => {
+    const points = {};
+    coordinateBindings.forEach(binding => {
+        const name = COORDINATE_VARS[binding.source?.value];
+        if (name && binding.coord && !points[name]) points[name] = binding.coord;
+    });
 
-  # Optional: instance of
-  OPTIONAL { wd:${entityId} wdt:P3 ?instanceOf }
+    return {
+        ...results,
+        results: {
+            ...results.results,
+            bindings: results.results.bindings.map(binding => ({ ...binding, ...points }))
+        }
+    };
+};
 
-  # Optional: residence + coordinates from Wikidata
-  OPTIONAL {
-    wd:${entityId} wdt:P55 ?residence .
-    ?residence wdt:P2 ?residenceWD .
-    
-    BIND(IRI(CONCAT("http://www.wikidata.org/entity/", ?residenceWD)) AS ?wdResidence)
+// Labels follow ?lang= or Accept-Language, then the configured fallback chain.
+// Coordinates come from Wikidata separately; when that fails the claims are
+// still returned, with coordinatesUnavailable set
+router.get('/:entityId', negotiateLanguage, async (req, res) => {
+    const { entityId } = req.params;
+    const { languages } = req;
 
-    SERVICE <https://query.wikidata.org/sparql> {
-      OPTIONAL {
-        ?wdResidence wdtref:P625 ?coord .
-      }
-    }
-  }
-
-  # Optional: check if the main entity is a place with a Wikidata ID via P2
-  OPTIONAL {
-    wd:${entityId} wdt:P2 ?placeWD .
-    BIND(IRI(CONCAT("http://www.wikidata.org/entity/", ?placeWD)) AS ?wdPlace)
-
-    SERVICE <https://query.wikidata.org/sparql> {
-      OPTIONAL {
-        ?wdPlace wdtref:P625 ?placeCoord .
-      }
-    }
-  }
-
-  # Labels
-  SERVICE wikibase:label {
-    bd:serviceParam wikibase:language "[AUTO_LANGUAGE],en" .
-  }
-}`;
+    const sparqlQuery = buildQuery('entityProperties', { entityId, languages });
 
-        const response = await axios.get(process.env.WIKIBASE_SPARQL_URL, {
-            params: {
-                query: sparqlQuery,
-                format: 'json'
+    // Upstream failures reach the error handler
+    const bypass = cache.shouldBypass(req);
+    const { value, hit, stale } = await cache.getOrFetch(
+        'entityProperties',
+        { entityId, languages },
+        async () => {
+            // DATA_SOURCE=snapshot answers from the local harvest in the same shape
+            if (snapshot.isSnapshotMode()) {
+                return snapshot.entityPropertiesResults(entityId, languages);
             }
-        });
+            // Timed out, retried and guarded by the query service's circuit breaker
+            const response = await upstream.get('sparql', config.wikibase.sparqlUrl, {
+                params: {
+                    query: sparqlQuery,
+                    format: 'json'
+                }
+            });
+            return response.data;
+        },
+        { bypass }
+    );
 
-        res.json(response.data);
-    } catch (error) {
-        console.error('Error fetching properties:', error);
-        res.status(500).json({ error: 'Error fetching properties' });
+    // The snapshot already holds the coordinates of its places
+    if (snapshot.isSnapshotMode()) {
+        cache.setCacheHeader(res, hit, stale);
+        return res.json({ ...value, coordinatesUnavailable: false });
     }
+
+    const coordinates = await getCoordinates(entityId, { bypass });
+    cache.setCacheHeader(res, hit && coordinates.hit, stale);
+    res.json({
+        ...addCoordinates(value, coordinates.bindings),
+        coordinatesUnavailable: !coordinates.available
+    });
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router; 
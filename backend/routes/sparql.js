@@ -0,0 +1,140 @@
+/**
+ * Medieval Charters Knowledge Graph - SPARQL Routes
+ * This module proxies read-only SPARQL queries to the Wikibase query service
+ * so researchers can run their own queries without leaving the application.
+ */
+const express = require('express');
+const config = require('../config');
+const { prepareQuery, SparqlGuardError } = require('../sparql/guard');
+const cache = require('../services/cache');
+const upstream = require('../services/upstream');
+const { ApiError, NotAcceptableError, UpstreamError, ValidationError } = require('../utils/errors');
+const router = express.Router();
+
+// Result formats the proxy can return, keyed by the short name used in ?format=
+const RESULT_FORMATS = {
+  json: 'application/sparql-results+json',
+  csv: 'text/csv',
+  tsv: 'text/tab-separated-values'
+};
+
+// Raw SPARQL bodies (application/sparql-query) and HTML form posts
+router.use(express.text({ type: 'application/sparql-query', limit: '100kb' }));
+router.use(express.urlencoded({ extended: false, limit: '100kb' }));
+
+/**
+ * Choose the result format from ?format= or the Accept header.
+ * @param {Object} req - Express request
+ * @returns {string|null} Short format name, or null when nothing acceptable
+ */
+const negotiateFormat = (req) => {
+  if (req.query.format) {
+    return RESULT_FORMATS[req.query.format] ? req.query.format : null;
+  }
+
+  const accepted = req.accepts([
+    RESULT_FORMATS.json,
+    'application/json',
+    RESULT_FORMATS.csv,
+    RESULT_FORMATS.tsv
+  ]);
+
+  if (accepted === RESULT_FORMATS.csv) return 'csv';
+  if (accepted === RESULT_FORMATS.tsv) return 'tsv';
+  return accepted ? 'json' : null;
+};
+
+/**
+ * @route   POST /api/sparql
+ * @desc    Run a read-only SPARQL query against the Wikibase query service
+ * @body    {string} query - SPARQL SELECT or ASK query (JSON, form or application/sparql-query)
+ * @param   {string} [format] - json, csv or tsv; overrides the Accept header
+ * @returns {Object|string} SPARQL results as JSON, CSV or TSV
+ * @access  Public
+ *
+ * Update requests (INSERT, DELETE, LOAD, CLEAR, ...) are rejected, SELECT
+ * queries are capped at SPARQL_MAX_LIMIT rows, SERVICE may only call the
+ * label service and SPARQL_ALLOWED_SERVICES, and every query is bounded by
+ * SPARQL_TIMEOUT_MS, both on the query service and on the proxied request.
+ */
+router.post('/', async (req, res) => {
+  const rawQuery = typeof req.body === 'string' ? req.body : req.body?.query;
+
+  const format = negotiateFormat(req);
+  if (!format) {
+    throw new NotAcceptableError(
+      'Unsupported result format',
+      `Supported formats: ${Object.keys(RESULT_FORMATS).join(', ')}`
+    );
+  }
+
+  let prepared;
+  try {
+    prepared = prepareQuery(rawQuery, {
+      maxLimit: config.sparql.maxLimit,
+      allowedServices: config.sparql.allowedServices
+    });
+  } catch (error) {
+    if (error instanceof SparqlGuardError) {
+      throw new ValidationError('Invalid SPARQL query', error.message, 'invalid_sparql');
+    }
+    throw error;
+  }
+
+  // Boolean ASK results only have a JSON serialisation
+  if (prepared.form === 'ASK' && format !== 'json') {
+    throw new NotAcceptableError('Unsupported result format', 'ASK queries can only be returned as JSON');
+  }
+
+  try {
+    const { value, hit, stale } = await cache.getOrFetch(
+      'sparql',
+      { query: prepared.query, format },
+      async () => {
+        // Not retried: user queries can be expensive, and a timeout would likely repeat.
+        // Their own breaker, so slow or broken user queries cannot cut off the templates
+        const response = await upstream.post(
+          'sparqlProxy',
+          config.wikibase.sparqlUrl,
+          new URLSearchParams({ query: prepared.query }),
+          {
+            headers: {
+              Accept: RESULT_FORMATS[format],
+              'Content-Type': 'application/x-www-form-urlencoded',
+              // Blazegraph stops evaluating the query after this many milliseconds
+              'X-BIGDATA-MAX-QUERY-MILLIS': String(config.sparql.timeoutMs)
+            },
+            timeout: config.sparql.timeoutMs,
+            responseType: format === 'json' ? 'json' : 'text'
+          }
+        );
+        return response.data;
+      },
+      { bypass: cache.shouldBypass(req) }
+    );
+
+    cache.setCacheHeader(res, hit, stale);
+    res.type(RESULT_FORMATS[format]);
+    return res.send(format === 'json' ? JSON.stringify(value) : value);
+
+  } catch (error) {
+    if (error.code === 'ECONNABORTED') {
+      // The proxied request exceeded SPARQL_TIMEOUT_MS; the same query would time out again
+      throw new UpstreamError(504, 'upstream_timeout', 'SPARQL query timed out', {
+        detail: `Queries are limited to ${config.sparql.timeoutMs} ms`
+      });
+    }
+    const upstreamStatus = error.response?.status;
+    if (upstreamStatus >= 400 && upstreamStatus < 500 && upstreamStatus !== 429) {
+      // The query service rejected the query itself (syntax errors, unknown prefixes)
+      throw new ApiError(400, 'invalid_sparql', 'SPARQL endpoint rejected the query', {
+        detail: error.response.data,
+        upstreamStatus
+      });
+    }
+    // Other upstream failures are reported by the error handler
+    throw error;
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,146 @@
+/**
+ * Medieval Charters Knowledge Graph - Snapshot Harvester
+ * Pages through every item and property of the Wikibase with SPARQL, fetches
+ * them with wbgetentities, adds Wikidata coordinates for places (P2 -> P625)
+ * and writes a versioned snapshot (entities.json + triples.nt).
+ *
+ * Usage: npm run harvest -- [--out <dir>] [--no-wikidata]
+ */
+const config = require('../config');
+const { bindingValue, entityIdFromIri } = require('../sparql/bindings');
+const sparql = require('../services/sparql');
+const upstream = require('../services/upstream');
+const { getEntities, CHUNK_SIZE } = require('../services/wikibase');
+const { compactEntity, writeSnapshot } = require('../services/snapshot');
+
+// Entity parts kept in the snapshot
+const ENTITY_PROPS = ['info', 'labels', 'descriptions', 'aliases', 'claims', 'datatype'];
+
+/**
+ * List the IDs of every item and property, one SPARQL page at a time.
+ * @returns {Promise<string[]>}
+ */
+const listEntityIds = async () => {
+  const ids = [];
+  const limit = config.snapshot.pageSize;
+
+  for (let offset = 0; ; offset += limit) {
+    // The snapshot is built from the live instance, whatever DATA_SOURCE says
+    const bindings = await sparql.select('entityIdsPage', { limit, offset }, { live: true });
+    bindings.forEach(binding => {
+      const id = entityIdFromIri(bindingValue(binding, 'entity'));
+      if (id) ids.push(id);
+    });
+    if (bindings.length < limit) return ids;
+  }
+};
+
+/**
+ * Fetch entities one wbgetentities chunk at a time, to stay gentle on the instance.
+ * @param {string[]} ids
+ * @param {Function} log
+ * @returns {Promise<Object>} Compact entities keyed by ID
+ */
+const fetchEntities = async (ids, log) => {
+  const entities = {};
+  for (let i = 0; i < ids.length; i += CHUNK_SIZE) {
+    const { entities: chunk } = await getEntities(ids.slice(i, i + CHUNK_SIZE), {
+      props: ENTITY_PROPS,
+      languages: config.languages.supported,
+      bypass: true,
+      live: true
+    });
+    Object.values(chunk).forEach(entity => {
+      entities[entity.id] = compactEntity(entity);
+    });
+    log(`Fetched ${Math.min(i + CHUNK_SIZE, ids.length)}/${ids.length} entities`);
+  }
+  return entities;
+};
+
+/**
+ * Fetch the coordinates (P625) of Wikidata items.
+ * @param {string[]} wikidataIds - e.g. Q14317
+ * @returns {Promise<Object>} { [wikidataId]: { lat, lng } }
+ */
+const fetchWikidataCoordinates = async (wikidataIds) => {
+  const coordinates = {};
+  for (let i = 0; i < wikidataIds.length; i += CHUNK_SIZE) {
+    const response = await upstream.get('wikidata', config.wikidata.apiUrl, {
+      params: {
+        action: 'wbgetentities',
+        ids: wikidataIds.slice(i, i + CHUNK_SIZE).join('|'),
+        props: 'claims',
+        format: 'json'
+      },
+      headers: { 'User-Agent': 'medieval-charters-kg-harvester' }
+    });
+
+    Object.values(response.data.entities || {}).forEach(entity => {
+      const value = entity.claims?.P625?.[0]?.mainsnak?.datavalue?.value;
+      if (value) {
+        coordinates[entity.id] = { lat: value.latitude, lng: value.longitude };
+      }
+    });
+  }
+  return coordinates;
+};
+
+/**
+ * Harvest the knowledge graph into a new snapshot version.
+ * @param {Object} [options]
+ * @param {string} [options.out=config.snapshot.dir] - Snapshot directory
+ * @param {boolean} [options.wikidata=true] - Also fetch Wikidata coordinates
+ * @param {Function} [options.log=console.log] - Progress output
+ * @returns {Promise<Object>} Manifest of the written version
+ */
+const harvest = async ({ out = config.snapshot.dir, wikidata = true, log = console.log } = {}) => {
+  const ids = await listEntityIds();
+  log(`Found ${ids.length} entities`);
+
+  const entities = await fetchEntities(ids, log);
+
+  const wikidataIds = [...new Set(Object.values(entities).flatMap(entity =>
+    (entity.claims.P2 || []).map(({ value }) => value).filter(value => /^Q[1-9]\d*$/.test(value))
+  ))];
+  const coordinates = wikidata ? await fetchWikidataCoordinates(wikidataIds) : {};
+  log(`Found coordinates for ${Object.keys(coordinates).length}/${wikidataIds.length} Wikidata places`);
+
+  const createdAt = new Date().toISOString();
+  return writeSnapshot(out, {
+    version: createdAt.replace(/[:.]/g, '-'),
+    createdAt,
+    source: { apiUrl: config.wikibase.apiUrl, sparqlUrl: config.wikibase.sparqlUrl },
+    languages: config.languages.supported,
+    entities,
+    coordinates
+  });
+};
+
+if (require.main === module) {
+  try {
+    config.assertValid();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  const args = process.argv.slice(2);
+  const outIndex = args.indexOf('--out');
+
+  harvest({
+    out: outIndex !== -1 ? args[outIndex + 1] : undefined,
+    wikidata: !args.includes('--no-wikidata')
+  })
+    .then(manifest => {
+      console.log(`Snapshot ${manifest.version}: ${manifest.entities} entities, ${manifest.triples} triples`);
+    })
+    .catch(error => {
+      console.error('Harvest failed:', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  harvest
+};
@@ -7,16 +7,34 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
-const morgan = require('morgan');
+const swaggerUi = require('swagger-ui-express');
 const searchRoutes = require('./routes/search');
 const searchPropertiesRoutes = require('./routes/searchProperties');
+const sparqlRoutes = require('./routes/sparql');
+const entityRoutes = require('./routes/entities');
+const graphRoutes = require('./routes/graph');
+const pathRoutes = require('./routes/path');
+const adminRoutes = require('./routes/admin');
+const healthRoutes = require('./routes/health');
+const config = require('./config');
+const logger = require('./utils/logger');
+const requestLog = require('./middleware/requestLog');
+const { requestMetrics } = require('./middleware/metrics');
+const metrics = require('./services/metrics');
+const { API_KEY_HEADER, rateLimit, expensiveRateLimit } = require('./middleware/rateLimit');
+const { REQUEST_ID_HEADER, requestId } = require('./middleware/requestId');
+const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { openapiValidator } = require('./middleware/openapi');
+const openapiSpec = require('./openapi/spec');
+const { ForbiddenError } = require('./utils/errors');
 // Initialize Express application
 const app = express();
 
-// CORS Configuration
-const allowedOrigins = process.env.ALLOWED_ORIGINS 
-  ? process.env.ALLOWED_ORIGINS.split(',')
-  : ['http://localhost:5173']; // Default to Vite's default port
+// Take the client address from X-Forwarded-For when behind a proxy (rate limits are per IP)
+app.set('trust proxy', config.server.trustProxy);
+
+// CORS Configuration (ALLOWED_ORIGINS; Vite's dev server and GitHub Pages by default)
+const { allowedOrigins } = config.server;
 
 const corsOptions = {
   origin: function (origin, callback) {
@@ -25,24 +43,47 @@ const corsOptions = {
     
     if (allowedOrigins.indexOf(origin) === -1) {
       const msg = 'The CORS policy for this site does not allow access from the specified Origin.';
-      return callback(new Error(msg), false);
+      return callback(new ForbiddenError(msg, origin, 'origin_not_allowed'), false);
     }
     return callback(null, true);
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Cache-Control', 'Pragma', API_KEY_HEADER, REQUEST_ID_HEADER],
+  exposedHeaders: [
+    'X-Cache',
+    'X-Export-Truncated',
+    REQUEST_ID_HEADER,
+    'RateLimit-Policy',
+    'RateLimit-Limit',
+    'RateLimit-Remaining',
+    'RateLimit-Reset',
+    'Retry-After'
+  ]
 };
 
+// Tag every request with an ID before anything can fail
+app.use(requestId);
+
+// Log every request as JSON, with its ID and upstream timing, including
+// those rejected by CORS or the body parser
+app.use(requestLog);
+
+// Metrics
+// Request, upstream and cache metrics in the Prometheus text format, for scraping
+if (config.metrics.enabled) {
+  app.use(requestMetrics);
+  app.get('/metrics', async (req, res) => {
+    res.type(metrics.register.contentType).send(await metrics.register.metrics());
+  });
+}
+
 // Enable CORS with options
 app.use(cors(corsOptions));
 
 // Parse JSON request bodies
 app.use(bodyParser.json({ limit: '1mb' }));
 
-// Log HTTP requests
-app.use(morgan('dev'));
-
 // Health Check Route
 // Simple endpoint to verify backend connectivity
 app.get('/api/ping', (req, res) => {
@@ -52,35 +93,77 @@ app.get('/api/ping', (req, res) => {
   });
 });
 
+// Liveness and readiness, with the status of the Wikibase API, query service and Wikidata
+app.use('/api/health', healthRoutes);
+
 // Test Route
 // Basic endpoint for testing API functionality
 app.get('/api/test', (req, res) => {
   res.json({ message: 'Hello from the backend!' });
 });
 
+// API Documentation
+// The OpenAPI document and an interactive page to try the routes from
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openapiSpec);
+});
+app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(openapiSpec, {
+  customSiteTitle: 'Medieval Charters Knowledge Graph API'
+}));
+
+// Rate Limits
+// Every route that proxies Wikibase counts against the client's request limit;
+// SPARQL-backed routes also count against the stricter expensive query limit
+app.use(['/api/search', '/api/searchProperties', '/api/entities', '/api/graph', '/api/path', '/api/sparql'], rateLimit);
+app.use(['/api/search/faceted', '/api/search/export', '/api/searchProperties', '/api/graph', '/api/path', '/api/sparql'], expensiveRateLimit);
+// Entity details run the claim and term queries and the federated Wikidata
+// coordinates query; batch lookups and RDF exports only call wbgetentities
+app.get('/api/entities/:id', expensiveRateLimit);
+
+// Requests (and in development responses) are checked against the OpenAPI document
+app.use(openapiValidator);
+
 // API Routes
 // Search routes handle entity searches with SPARQL queries
 app.use('/api/search', searchRoutes);
 
 app.use('/api/searchProperties', searchPropertiesRoutes);
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(500).json({ error: 'Internal Server Error' });
-});
+// Normalised entity documents for detail pages
+app.use('/api/entities', entityRoutes);
+
+// Entity neighbourhoods as nodes and edges for network views
+app.use('/api/graph', graphRoutes);
+
+// Shortest paths between two entities
+app.use('/api/path', pathRoutes);
+
+// SPARQL proxy for read-only queries against the Wikibase query service
+app.use('/api/sparql', sparqlRoutes);
 
-const isDevelopment = process.env.NODE_ENV === 'development';
+// Admin routes for cache inspection and purging (require ADMIN_TOKEN)
+app.use('/api/admin', adminRoutes);
 
-const debugLog = (...args) => {
-  if (isDevelopment) {
-    console.log(...args);
+// Unknown API paths get the same error envelope as every other failure
+app.use('/api', notFound);
+
+// Error handling middleware: every error becomes { error: { code, message, ... } }
+app.use(errorHandler);
+
+// Start Server when run directly; tests import the app without listening
+if (require.main === module) {
+  // Refuse to start with missing or invalid settings rather than fail on the first request
+  try {
+    config.assertValid();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
   }
-};
 
-// Start Server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  debugLog(`Server running on http://localhost:${PORT}`);
-  debugLog(`Allowed origins: ${allowedOrigins.join(', ')}`);
-});
\ No newline at end of file
+  const PORT = config.server.port;
+  app.listen(PORT, () => {
+    logger.info('server started', { port: PORT, allowedOrigins, dataSource: config.dataSource });
+  });
+}
+
+module.exports = app;
\ No newline at end of file
@@ -0,0 +1,238 @@
+/**
+ * Medieval Charters Knowledge Graph - Response Cache
+ * Shared in-memory cache in front of the Wikibase API and SPARQL endpoint.
+ * Entries are grouped by namespace (one per route) and each namespace has its
+ * own TTL, configured in config.cache.ttl.
+ */
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const config = require('../config');
+const { CircuitOpenError } = require('./upstream');
+const logger = require('../utils/logger');
+const metrics = require('./metrics');
+
+const store = new NodeCache({
+  stdTTL: config.cache.defaultTtl,
+  checkperiod: 120,
+  maxKeys: config.cache.maxKeys,
+  // Cached responses are never mutated, so skip the cost of cloning them
+  useClones: false
+});
+
+// Every fetched value, kept past its TTL to answer while an upstream circuit is open.
+// Full, it drops its oldest entries (see keepStale) rather than refusing new ones
+const staleStore = new NodeCache({
+  stdTTL: config.cache.staleTtl,
+  checkperiod: 600,
+  useClones: false
+});
+
+// Whether the store refused the last value for lack of room, so that is logged once
+let storeFull = false;
+
+// Hit/miss counters per namespace (node-cache only keeps global totals)
+const namespaceStats = {};
+
+// Key parts longer than this are hashed to keep keys short
+const MAX_KEY_PART_LENGTH = 200;
+
+/**
+ * Normalise free text so equivalent searches share a cache entry.
+ * @param {string} text - Search term or similar user input
+ * @returns {string} NFC-normalised, trimmed, lower-cased text with single spaces
+ */
+const normaliseText = (text) => String(text ?? '')
+  .normalize('NFC')
+  .trim()
+  .replace(/\s+/g, ' ')
+  .toLowerCase();
+
+/**
+ * Build a cache key from a namespace and the values that identify a response.
+ * Part order does not matter; long values such as SPARQL queries are hashed.
+ * @param {string} namespace - Cache namespace, e.g. search
+ * @param {Object} parts - Values identifying the response
+ * @returns {string} e.g. search:language=en&query=oviedo
+ */
+const buildKey = (namespace, parts = {}) => {
+  const serialised = Object.keys(parts)
+    .sort()
+    .map(name => {
+      const value = Array.isArray(parts[name]) ? parts[name].join(',') : String(parts[name] ?? '');
+      const normalised = value.normalize('NFC');
+      const keyPart = normalised.length > MAX_KEY_PART_LENGTH
+        ? crypto.createHash('sha1').update(normalised).digest('hex')
+        : encodeURIComponent(normalised);
+      return `${name}=${keyPart}`;
+    })
+    .join('&');
+  return `${namespace}:${serialised}`;
+};
+
+/**
+ * Keep a fetched value in the stale store, evicting its oldest entry when full.
+ * @param {string} key
+ * @param {*} value
+ */
+const keepStale = (key, value) => {
+  if (!staleStore.has(key) && staleStore.getStats().keys >= config.cache.staleMaxKeys) {
+    // Keys are listed in insertion order
+    staleStore.del(staleStore.keys()[0]);
+  }
+  staleStore.set(key, value);
+};
+
+const statsFor = namespace => namespaceStats[namespace] ||
+  (namespaceStats[namespace] = { hits: 0, misses: 0, staleHits: 0 });
+
+const countLookup = (namespace, hit) => {
+  const stats = statsFor(namespace);
+  metrics.recordCacheLookup(namespace, hit ? 'hit' : 'miss');
+  if (hit) {
+    stats.hits++;
+  } else {
+    stats.misses++;
+  }
+};
+
+/**
+ * Return a cached value or fetch and cache it.
+ * Rejections from the fetcher are not cached and propagate to the caller, except
+ * that the last fetched value is served (stale: true) while the upstream circuit is open.
+ * A null value (nothing found) is only kept for CACHE_NEGATIVE_TTL and never served stale.
+ * @param {string} namespace - Cache namespace; its TTL comes from config.cache.ttl
+ * @param {Object} parts - Values identifying the response
+ * @param {Function} fetcher - Async function producing the value on a miss
+ * @param {Object} [options]
+ * @param {boolean} [options.bypass=false] - Skip the lookup but still store the fresh value
+ * @returns {Promise<{value: *, hit: boolean, stale?: boolean}>}
+ */
+const getOrFetch = async (namespace, parts, fetcher, { bypass = false } = {}) => {
+  const key = buildKey(namespace, parts);
+
+  if (!bypass) {
+    const cached = store.get(key);
+    if (cached !== undefined) {
+      countLookup(namespace, true);
+      return { value: cached, hit: true };
+    }
+  }
+
+  countLookup(namespace, false);
+  let value;
+  try {
+    value = await fetcher();
+  } catch (error) {
+    const stale = error instanceof CircuitOpenError ? staleStore.get(key) : undefined;
+    if (stale === undefined) throw error;
+    statsFor(namespace).staleHits++;
+    metrics.recordCacheLookup(namespace, 'stale');
+    return { value: stale, hit: true, stale: true };
+  }
+
+  if (value !== null) keepStale(key, value);
+  try {
+    const ttl = config.cache.ttl[namespace] ?? config.cache.defaultTtl;
+    store.set(key, value, value === null ? Math.min(config.cache.negativeTtl, ttl) : ttl);
+    storeFull = false;
+  } catch (error) {
+    // ECACHEFULL: serve the fresh value without caching it, until entries expire
+    if (!storeFull) {
+      logger.warn('cache full', { namespace, maxKeys: config.cache.maxKeys, error: error.message });
+      storeFull = true;
+    }
+  }
+
+  return { value, hit: false };
+};
+
+/**
+ * Whether the client asked for a fresh response (Cache-Control: no-cache or Pragma: no-cache).
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+const shouldBypass = (req) => {
+  const cacheControl = req.get('Cache-Control') || '';
+  const pragma = req.get('Pragma') || '';
+  return /\bno-(cache|store)\b/i.test(cacheControl) || /\bno-cache\b/i.test(pragma);
+};
+
+/**
+ * Report whether a response came from the cache.
+ * @param {Object} res - Express response
+ * @param {boolean} hit - Result of getOrFetch
+ * @param {boolean} [stale=false] - Served from the stale store while the upstream is unavailable
+ */
+const setCacheHeader = (res, hit, stale = false) => {
+  res.set('X-Cache', stale ? 'STALE' : hit ? 'HIT' : 'MISS');
+};
+
+/**
+ * List cached keys, optionally restricted to a namespace.
+ * @param {string} [namespace]
+ * @returns {Array<{key: string, expiresAt: string|null}>}
+ */
+const listKeys = (namespace) => store.keys()
+  .filter(key => !namespace || key.startsWith(`${namespace}:`))
+  .map(key => {
+    const ttl = store.getTtl(key);
+    return { key, expiresAt: ttl ? new Date(ttl).toISOString() : null };
+  });
+
+/**
+ * Cache statistics, overall and per namespace.
+ * @returns {Object}
+ */
+const getStats = () => {
+  const namespaces = {};
+  store.keys().forEach(key => {
+    const namespace = key.slice(0, key.indexOf(':'));
+    namespaces[namespace] = namespaces[namespace] || { keys: 0 };
+    namespaces[namespace].keys++;
+  });
+
+  Object.entries(namespaceStats).forEach(([namespace, stats]) => {
+    namespaces[namespace] = { keys: 0, ...namespaces[namespace], ...stats };
+  });
+
+  Object.entries(namespaces).forEach(([namespace, stats]) => {
+    stats.ttl = config.cache.ttl[namespace] ?? config.cache.defaultTtl;
+  });
+
+  return { ...store.getStats(), namespaces };
+};
+
+/**
+ * Remove entries from the cache.
+ * @param {Object} [filter]
+ * @param {string} [filter.key] - Remove a single key
+ * @param {string} [filter.namespace] - Remove every key in a namespace
+ * @returns {number} Number of keys removed; with no filter the whole cache is flushed
+ */
+const purge = ({ key, namespace } = {}) => {
+  if (key) {
+    staleStore.del(key);
+    return store.del(key);
+  }
+  if (namespace) {
+    staleStore.del(staleStore.keys().filter(staleKey => staleKey.startsWith(`${namespace}:`)));
+    return store.del(listKeys(namespace).map(entry => entry.key));
+  }
+  const count = store.keys().length;
+  store.flushAll();
+  staleStore.flushAll();
+  storeFull = false;
+  Object.keys(namespaceStats).forEach(name => delete namespaceStats[name]);
+  return count;
+};
+
+module.exports = {
+  normaliseText,
+  buildKey,
+  getOrFetch,
+  shouldBypass,
+  setCacheHeader,
+  listKeys,
+  getStats,
+  purge
+};
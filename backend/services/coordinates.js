@@ -0,0 +1,37 @@
+/**
+ * Medieval Charters Knowledge Graph - Coordinate Enrichment
+ * Wikidata coordinates (P625) of a place (P2) or of a person's residence (P55).
+ * They come from the federated Wikidata SERVICE, so they are fetched apart from
+ * the local claims and cached on their own: when Wikidata fails, entities still
+ * render and are marked with coordinatesUnavailable instead.
+ */
+const sparql = require('./sparql');
+const cache = require('./cache');
+const logger = require('../utils/logger');
+
+/**
+ * Get the entityCoordinates bindings of an entity, using the cache.
+ * Failures are logged and reported, never thrown.
+ * @param {string} entityId - Validated entity ID
+ * @param {Object} [options]
+ * @param {boolean} [options.bypass=false] - Skip the cached coordinates
+ * @returns {Promise<{bindings: Object[], available: boolean, hit: boolean}>}
+ */
+const getCoordinates = async (entityId, { bypass = false } = {}) => {
+  try {
+    const { value, hit } = await cache.getOrFetch(
+      'coordinates',
+      { entityId },
+      () => sparql.select('entityCoordinates', { entityId }, { target: 'federation' }),
+      { bypass }
+    );
+    return { bindings: value, available: true, hit };
+  } catch (error) {
+    logger.warn('coordinates unavailable', { entityId, error: error.message });
+    return { bindings: [], available: false, hit: false };
+  }
+};
+
+module.exports = {
+  getCoordinates
+};
@@ -0,0 +1,173 @@
+/**
+ * Medieval Charters Knowledge Graph - Entity Documents
+ * Builds a normalised entity document (terms, types, grouped properties and
+ * coordinates) from SPARQL results, so clients never handle raw bindings.
+ * Coordinates are fetched and cached apart from the rest of the document, so a
+ * Wikidata outage leaves them null with coordinatesUnavailable set.
+ */
+const { bindingValue, entityIdFromIri, datatypeFromIri, parseWktPoint } = require('../sparql/bindings');
+const config = require('../config');
+const sparql = require('./sparql');
+const cache = require('./cache');
+const { resolveType } = require('./types');
+const { getCoordinates } = require('./coordinates');
+
+// Coordinate sources in order of preference: the entity itself, then its residence
+const COORDINATE_SOURCES = ['P2', 'P55'];
+
+/**
+ * Pick the best term for each kind from results spanning several languages.
+ * @param {Object[]} bindings - entityTerms results
+ * @param {string[]} languages - Languages in priority order
+ * @returns {{label: string|null, description: string|null, aliases: string[], language: string|null}}
+ */
+const pickTerms = (bindings, languages) => {
+  const byTerm = { label: {}, description: {}, alias: {} };
+
+  bindings.forEach(binding => {
+    const term = bindingValue(binding, 'term');
+    const language = binding.text['xml:lang'];
+    if (!byTerm[term]) return;
+    byTerm[term][language] = byTerm[term][language] || [];
+    byTerm[term][language].push(binding.text.value);
+  });
+
+  const first = (texts) => {
+    const language = languages.find(code => texts[code]);
+    return language ? { text: texts[language][0], language } : { text: null, language: null };
+  };
+
+  const label = first(byTerm.label);
+  const aliasLanguage = languages.find(code => byTerm.alias[code]);
+
+  return {
+    label: label.text,
+    description: first(byTerm.description).text,
+    aliases: aliasLanguage ? [...new Set(byTerm.alias[aliasLanguage])] : [],
+    language: label.language
+  };
+};
+
+/**
+ * Group claim bindings by property, de-duplicating values.
+ * @param {Object[]} bindings - entityClaims results
+ * @returns {Object} Properties keyed by property ID, ordered by numeric ID
+ */
+const groupClaims = (bindings) => {
+  const properties = {};
+
+  bindings.forEach(binding => {
+    const propertyId = entityIdFromIri(bindingValue(binding, 'property'));
+    if (!propertyId) return;
+
+    const datatype = datatypeFromIri(bindingValue(binding, 'datatype'));
+    const property = properties[propertyId] || (properties[propertyId] = {
+      id: propertyId,
+      label: bindingValue(binding, 'propertyLabel') || propertyId,
+      datatype,
+      values: []
+    });
+
+    const raw = bindingValue(binding, 'value');
+    const id = binding.value.type === 'uri' ? entityIdFromIri(raw) : null;
+    const value = id || raw;
+
+    if (property.values.some(existing => existing.value === value)) return;
+
+    property.values.push({
+      value,
+      id,
+      label: bindingValue(binding, 'valueLabel') || value,
+      datatype
+    });
+  });
+
+  const ordered = {};
+  Object.keys(properties)
+    .sort((a, b) => Number(a.slice(1)) - Number(b.slice(1)))
+    .forEach(propertyId => {
+      ordered[propertyId] = properties[propertyId];
+    });
+  return ordered;
+};
+
+/**
+ * Choose the coordinates to show for an entity.
+ * @param {Object[]} bindings - entityCoordinates results
+ * @returns {{lat: number, lng: number, source: string, wikidataId: string}|null}
+ */
+const pickCoordinates = (bindings) => {
+  for (const source of COORDINATE_SOURCES) {
+    const binding = bindings.find(candidate => bindingValue(candidate, 'source') === source);
+    const point = binding && parseWktPoint(bindingValue(binding, 'coord'));
+    if (point) {
+      return { ...point, source, wikidataId: bindingValue(binding, 'wikidataId') };
+    }
+  }
+  return null;
+};
+
+/**
+ * Build the normalised document for one entity, without its coordinates.
+ * @param {string} id - Validated entity ID
+ * @param {string[]} languages - Label languages in priority order
+ * @returns {Promise<Object|null>} Entity document, or null when the entity has no data
+ */
+const buildEntity = async (id, languages) => {
+  const [claimBindings, termBindings, resolved] = await Promise.all([
+    sparql.select('entityClaims', { entityId: id, languages }),
+    sparql.select('entityTerms', { entityId: id, languageTags: languages }),
+    resolveType(id)
+  ]);
+
+  if (claimBindings.length === 0 && termBindings.length === 0) {
+    return null;
+  }
+
+  const properties = groupClaims(claimBindings);
+  const types = (properties[config.types.instanceOfProperty]?.values || [])
+    .filter(value => value.id)
+    .map(({ id: typeId, label }) => ({ id: typeId, label }));
+
+  return {
+    id,
+    ...pickTerms(termBindings, languages),
+    type: resolved.type,
+    types,
+    classes: resolved.classes,
+    properties
+  };
+};
+
+/**
+ * Get the normalised document for an entity, using the cache.
+ * @param {string} id - Validated entity ID
+ * @param {string[]} languages - Label languages in priority order
+ * @param {Object} [options]
+ * @param {boolean} [options.bypass=false] - Skip the cached document
+ * @returns {Promise<{value: Object|null, hit: boolean, stale?: boolean}>}
+ */
+const getEntity = async (id, languages, { bypass = false } = {}) => {
+  const [entity, coordinates] = await Promise.all([
+    cache.getOrFetch('entity', { id, languages }, () => buildEntity(id, languages), { bypass }),
+    getCoordinates(id, { bypass })
+  ]);
+  if (!entity.value) return entity;
+
+  return {
+    value: {
+      ...entity.value,
+      coordinates: pickCoordinates(coordinates.bindings),
+      coordinatesUnavailable: !coordinates.available
+    },
+    hit: entity.hit && coordinates.hit,
+    stale: entity.stale
+  };
+};
+
+module.exports = {
+  getEntity,
+  groupClaims,
+  pickTerms,
+  pickCoordinates
+};
@@ -0,0 +1,70 @@
+/**
+ * Medieval Charters Knowledge Graph - Entity Export
+ * Serialises an entity as RDF (JSON-LD, Turtle, N-Triples or RDF/XML) with
+ * the Wikibase entity and direct-claim IRIs the query service uses, so the
+ * data behind a detail page can be cited and reused.
+ *
+ * The entity comes from wbgetentities (or the snapshot when DATA_SOURCE=snapshot)
+ * with its terms in every language and its best-ranked claims.
+ */
+const snapshot = require('./snapshot');
+const { getEntities } = require('./wikibase');
+const { entityStatements } = require('../rdf/ntriples');
+const { FORMATS } = require('../rdf/serialisers');
+
+// Everything compactEntity reads
+const EXPORT_PROPS = ['labels', 'descriptions', 'aliases', 'claims', 'datatype'];
+
+/**
+ * Load entities as compact records.
+ * @param {string[]} ids - Validated entity IDs
+ * @param {Object} [options]
+ * @param {string[]} [options.languages=[]] - Term languages; all languages when empty
+ * @param {boolean} [options.bypass=false] - Skip the cache
+ * @returns {Promise<{records: Object, hit: boolean}>} Records keyed by ID; entities that do not exist are left out
+ */
+const loadRecords = async (ids, { languages = [], bypass = false } = {}) => {
+  if (snapshot.isSnapshotMode()) {
+    const { entities } = snapshot.loadSnapshot();
+    const records = {};
+    ids.filter(id => entities[id]).forEach(id => {
+      records[id] = entities[id];
+    });
+    return { records, hit: true };
+  }
+
+  const { entities, hit } = await getEntities(ids, { props: EXPORT_PROPS, languages, bypass });
+  const records = {};
+  Object.entries(entities).forEach(([id, entity]) => {
+    records[id] = snapshot.compactEntity(entity);
+  });
+  return { records, hit };
+};
+
+/**
+ * Export an entity in an RDF format.
+ * @param {string} id - Validated entity ID
+ * @param {string} format - A key of FORMATS: jsonld, ttl, nt or rdfxml
+ * @param {Object} [options]
+ * @param {boolean} [options.bypass=false] - Skip the cache
+ * @returns {Promise<{body: string, mediaType: string, filename: string, hit: boolean}|null>}
+ *   null when the entity does not exist
+ */
+const exportEntity = async (id, format, { bypass = false } = {}) => {
+  const { records, hit } = await loadRecords([id], { bypass });
+  const record = records[id];
+  if (!record) return null;
+
+  const { mediaType, extension, serialise } = FORMATS[format];
+  return {
+    body: serialise(entityStatements(record)),
+    mediaType,
+    filename: `${id}.${extension}`,
+    hit
+  };
+};
+
+module.exports = {
+  loadRecords,
+  exportEntity
+};
@@ -0,0 +1,230 @@
+/**
+ * Medieval Charters Knowledge Graph - Faceted Search
+ * Narrows label matches from wbsearchentities with SPARQL filters (canonical
+ * type, associated place, date range, property presence) and counts the
+ * values of each facet among the matches.
+ */
+const config = require('../config');
+const { bindingValue, entityIdFromIri, parseYear } = require('../sparql/bindings');
+const sparql = require('./sparql');
+const cache = require('./cache');
+const { searchEntities } = require('./search');
+const { resolveTypes, typesOfClasses, classesOfTypes, getTypeClasses, getSubclassOfProperty } = require('./types');
+
+// Years are counted in buckets of this size for the date facet
+const CENTURY = 100;
+
+/**
+ * Query the places, years and properties of the candidate entities.
+ * @param {string[]} ids - Validated entity IDs
+ * @param {string[]} languages - Label languages in priority order
+ * @param {boolean} bypass - Skip cached results
+ * @returns {Promise<{value: Object, hit: boolean}>} Facet values keyed by entity ID
+ */
+const loadFacetValues = (ids, languages, bypass) => cache.getOrFetch(
+  'facets',
+  { ids: [...ids].sort(), languages },
+  async () => {
+    const values = {};
+    ids.forEach(id => {
+      values[id] = { places: {}, years: [], properties: {} };
+    });
+
+    const bindings = await sparql.select('facetClaims', {
+      entityIds: ids,
+      placeProperties: config.facets.placeProperties,
+      dateProperties: config.facets.dateProperties,
+      languages
+    });
+
+    bindings.forEach(binding => {
+      const entity = values[entityIdFromIri(bindingValue(binding, 'entity'))];
+      if (!entity) return;
+
+      const raw = bindingValue(binding, 'value');
+      const facet = bindingValue(binding, 'facet');
+      if (facet === 'date') {
+        const year = parseYear(raw);
+        if (year !== null && !entity.years.includes(year)) entity.years.push(year);
+        return;
+      }
+
+      const id = entityIdFromIri(raw);
+      if (!id) return;
+      const label = bindingValue(binding, 'valueLabel') || id;
+      if (facet === 'place') entity.places[id] = label;
+      if (facet === 'property') entity.properties[id] = label;
+    });
+
+    return values;
+  },
+  { bypass }
+);
+
+// Filters each facet narrows; a facet is counted with every other filter applied
+const FACET_FILTERS = {
+  type: { types: [] },
+  place: { places: [] },
+  century: { from: null, to: null }
+};
+
+/**
+ * Whether any filter is set.
+ * @param {Object} filters - types, places, from, to and has
+ * @returns {boolean}
+ */
+const hasFilters = ({ types = [], places = [], from = null, to = null, has = [] }) =>
+  types.length > 0 || places.length > 0 || from !== null || to !== null || has.length > 0;
+
+/**
+ * Run the facet filters in SPARQL over a set of entities.
+ * @param {string[]} ids - Validated entity IDs
+ * @param {Object} filters - types, places, from, to (years) and has (property IDs)
+ * @param {boolean} bypass - Skip cached results
+ * @returns {Promise<{value: string[], hit: boolean}>} IDs of the entities that pass, sorted
+ */
+const filterEntities = async (ids, { types = [], places = [], from = null, to = null, has = [] }, bypass) => {
+  if (!hasFilters({ types, places, from, to, has })) return { value: [...ids].sort(), hit: true };
+
+  const [typeClasses, subclassOf] = types.length
+    ? await Promise.all([getTypeClasses({ bypass }).then(classes => classesOfTypes(types, classes)), getSubclassOfProperty()])
+    : [[], null];
+  // A type without known classes matches nothing
+  if (types.length && (!typeClasses.length || !subclassOf)) return { value: [], hit: true };
+
+  return cache.getOrFetch(
+    'facets',
+    { ids: [...ids].sort(), types, places, from: from ?? '', to: to ?? '', has },
+    async () => {
+      const bindings = await sparql.select('facetFilter', {
+        entityIds: ids,
+        byType: types.length > 0,
+        instanceOf: config.types.instanceOfProperty,
+        // Any property will do when no type is filtered on
+        subclassOf: subclassOf || config.types.instanceOfProperty,
+        typeClasses,
+        byPlace: places.length > 0,
+        placeProperties: config.facets.placeProperties,
+        places,
+        byDate: from !== null || to !== null,
+        dateProperties: config.facets.dateProperties,
+        fromYear: from ?? Number.MIN_SAFE_INTEGER,
+        toYear: to ?? Number.MAX_SAFE_INTEGER,
+        byProperty: has.length > 0,
+        requiredProperties: has
+      });
+      return bindings
+        .map(binding => entityIdFromIri(bindingValue(binding, 'entity')))
+        .filter(Boolean)
+        .sort();
+    },
+    { bypass }
+  );
+};
+
+/**
+ * Count facet values and keep the most frequent.
+ * @param {Object[]} records - Candidates to count
+ * @param {Function} valuesOf - Returns [{value, label}] for a record
+ * @returns {Array<{value: string|number, label: string, count: number}>}
+ */
+const countValues = (records, valuesOf) => {
+  const counts = new Map();
+  records.forEach(record => {
+    valuesOf(record).forEach(({ value, label }) => {
+      const entry = counts.get(value) || { value, label, count: 0 };
+      entry.count += 1;
+      counts.set(value, entry);
+    });
+  });
+  return [...counts.values()]
+    .sort((a, b) => b.count - a.count || String(a.label).localeCompare(String(b.label)))
+    .slice(0, config.facets.maxValues);
+};
+
+// Values each facet counts for one record
+const FACET_VALUES = {
+  type: record => record.types.map(type => ({ value: type, label: type })),
+  place: record => Object.entries(record.places).map(([value, label]) => ({ value, label })),
+  century: record => [...new Set(record.years.map(year => Math.floor(year / CENTURY) * CENTURY))]
+    .map(start => ({ value: start, label: `${start}-${start + CENTURY - 1}` })),
+  property: record => Object.entries(record.properties).map(([value, label]) => ({ value, label }))
+};
+
+/**
+ * Search labels and narrow the hits with facet filters.
+ * Every label match the search can reach (SEARCH_MAX_RESULTS) is filtered in
+ * SPARQL, so totals and facet counts are exact up to that depth.
+ * @param {Object} options
+ * @param {string} options.query - Search term
+ * @param {string[]} options.languages - Languages in priority order
+ * @param {Object} options.filters - types, places, from, to (years) and has (property IDs)
+ * @param {number} options.offset - Offset of the first filtered hit to return
+ * @param {number} options.pageSize - Number of hits to return
+ * @param {boolean} [options.bypass=false] - Skip cached results
+ * @returns {Promise<Object>} search, total, facets, candidates and hit
+ */
+const facetedSearch = async ({ query, languages, filters, offset, pageSize, bypass = false }) => {
+  const candidates = await searchEntities({
+    query,
+    languages,
+    offset: 0,
+    pageSize: config.search.maxResults,
+    bypass
+  });
+  const ids = candidates.search.map(result => result.id);
+
+  // The hits, then for each facet with a filter set the hits without that filter
+  const relaxed = Object.keys(FACET_FILTERS).filter(facet => hasFilters(
+    Object.fromEntries(Object.keys(FACET_FILTERS[facet]).map(key => [key, filters[key]]))
+  ));
+  const passing = ids.length
+    ? await Promise.all([filters, ...relaxed.map(facet => ({ ...filters, ...FACET_FILTERS[facet] }))]
+      .map(facetFilters => filterEntities(ids, facetFilters, bypass)))
+    : [];
+  const passingSets = passing.map(({ value }) => new Set(value));
+
+  // Facet values are only needed for entities that appear in some count
+  const counted = ids.filter(id => passingSets.some(set => set.has(id)));
+  const [facetValues, types, typeClasses] = counted.length
+    ? await Promise.all([
+      loadFacetValues(counted, languages, bypass),
+      resolveTypes(counted, { bypass }),
+      getTypeClasses({ bypass })
+    ])
+    : [{ value: {}, hit: true }, {}, {}];
+
+  const records = candidates.search
+    .filter(result => passingSets.some(set => set.has(result.id)))
+    .map(result => ({
+      result,
+      type: types[result.id]?.type || null,
+      types: typesOfClasses(types[result.id]?.classes || [], typeClasses),
+      ...facetValues.value[result.id]
+    }));
+  const recordsIn = set => records.filter(record => set?.has(record.result.id));
+
+  // Each facet is counted with every other filter applied, so selecting one
+  // type still shows how many hits the other types would give. Required
+  // properties combine with AND, so they are counted over the filtered hits.
+  const [matching, ...relaxedSets] = passingSets;
+  const facets = {};
+  Object.keys(FACET_VALUES).forEach(facet => {
+    const index = relaxed.indexOf(facet);
+    const counts = recordsIn(index === -1 ? matching : relaxedSets[index]);
+    facets[facet] = countValues(counts, FACET_VALUES[facet]);
+  });
+
+  const matches = recordsIn(matching);
+  return {
+    search: matches.slice(offset, offset + pageSize).map(record => ({ ...record.result, type: record.type })),
+    total: matches.length,
+    facets,
+    candidates: { count: ids.length, truncated: candidates.hasMore },
+    hit: candidates.hit && facetValues.hit && passing.every(({ hit }) => hit)
+  };
+};
+
+module.exports = {
+  facetedSearch
+};
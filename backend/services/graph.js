@@ -0,0 +1,147 @@
+/**
+ * Medieval Charters Knowledge Graph - Graph Neighbourhoods
+ * Collects the N-hop neighbourhood of an entity as nodes and edges for network
+ * views, following item-valued claims breadth first up to a node cap.
+ */
+const config = require('../config');
+const { bindingValue, entityIdFromIri } = require('../sparql/bindings');
+const sparql = require('./sparql');
+const cache = require('./cache');
+const { getEntities } = require('./wikibase');
+const { resolveTypes } = require('./types');
+
+// Edge templates used for each direction
+const DIRECTION_TEMPLATES = {
+  out: ['graphOutgoing'],
+  in: ['graphIncoming'],
+  both: ['graphOutgoing', 'graphIncoming']
+};
+
+/**
+ * Query the edges touching a set of nodes.
+ * @param {string[]} ids - Nodes to expand
+ * @param {Object} options - direction, properties and languages
+ * @returns {Promise<{edges: Object[], limited: boolean}>} limited is true when a query hit its LIMIT
+ */
+const fetchEdges = async (ids, { direction, properties, languages }) => {
+  const limit = config.sparql.maxLimit;
+  const results = await Promise.all(DIRECTION_TEMPLATES[direction].map(template =>
+    sparql.select(template, { entityIds: ids, properties, languages, limit })
+  ));
+
+  const edges = [];
+  results.flat().forEach(binding => {
+    const source = entityIdFromIri(bindingValue(binding, 'source'));
+    const target = entityIdFromIri(bindingValue(binding, 'target'));
+    const property = entityIdFromIri(bindingValue(binding, 'property'));
+    if (!source || !target || !property) return;
+
+    edges.push({
+      source,
+      target,
+      property,
+      label: bindingValue(binding, 'propertyLabel') || property
+    });
+  });
+
+  return { edges, limited: results.some(bindings => bindings.length >= limit) };
+};
+
+/**
+ * Pick the label of an entity in the first available language.
+ * @param {Object|undefined} entity - wbgetentities entity
+ * @param {string[]} languages - Languages in priority order
+ * @returns {string|null}
+ */
+const pickLabel = (entity, languages) => {
+  const language = languages.find(code => entity?.labels?.[code]);
+  return language ? entity.labels[language].value : null;
+};
+
+/**
+ * Walk the neighbourhood of an entity breadth first.
+ * @param {string} id - Validated root entity ID
+ * @param {Object} options - See getGraph
+ * @returns {Promise<Object|null>} Graph document, or null when the root entity does not exist
+ */
+const buildGraph = async (id, { depth, direction, properties, languages, bypass }) => {
+  const nodes = new Map([[id, { id, depth: 0 }]]);
+  const edges = new Map();
+  let frontier = [id];
+  let truncated = false;
+
+  for (let level = 1; level <= depth && frontier.length > 0; level += 1) {
+    const found = await fetchEdges(frontier, { direction, properties, languages });
+    truncated = truncated || found.limited;
+    const next = [];
+
+    found.edges.forEach(edge => {
+      [edge.source, edge.target].forEach(node => {
+        if (nodes.has(node)) return;
+        if (nodes.size >= config.graph.maxNodes) {
+          truncated = true;
+          return;
+        }
+        nodes.set(node, { id: node, depth: level });
+        next.push(node);
+      });
+
+      // Keep only edges whose ends both made it under the node cap
+      if (nodes.has(edge.source) && nodes.has(edge.target)) {
+        edges.set(`${edge.source}|${edge.property}|${edge.target}`, edge);
+      }
+    });
+
+    frontier = next;
+  }
+
+  const ids = [...nodes.keys()];
+  const [{ entities, missing }, types] = await Promise.all([
+    getEntities(ids, { props: ['labels'], languages, bypass }),
+    resolveTypes(ids, { bypass })
+  ]);
+
+  if (missing.includes(id)) {
+    return null;
+  }
+
+  return {
+    root: id,
+    depth,
+    direction,
+    properties,
+    nodes: [...nodes.values()].map(node => ({
+      id: node.id,
+      label: pickLabel(entities[node.id], languages),
+      type: types[node.id]?.type || null,
+      depth: node.depth
+    })),
+    edges: [...edges.values()],
+    truncated
+  };
+};
+
+/**
+ * Get the neighbourhood graph of an entity, using the cache.
+ * @param {string} id - Validated root entity ID
+ * @param {Object} options
+ * @param {number} options.depth - Number of hops to follow
+ * @param {string} options.direction - out, in or both
+ * @param {string[]} [options.properties=[]] - Property IDs to follow; all item-valued properties when empty
+ * @param {string[]} options.languages - Label languages in priority order
+ * @param {boolean} [options.bypass=false] - Skip cached results
+ * @returns {Promise<{value: Object|null, hit: boolean}>}
+ */
+const getGraph = (id, { depth, direction, properties = [], languages, bypass = false }) => cache.getOrFetch(
+  'graph',
+  { id, depth, direction, properties: [...properties].sort(), languages },
+  () => buildGraph(id, { depth, direction, properties, languages, bypass }),
+  { bypass }
+);
+
+module.exports = {
+  DIRECTIONS: Object.keys(DIRECTION_TEMPLATES),
+  fetchEdges,
+  pickLabel,
+  getGraph
+};
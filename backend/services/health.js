@@ -0,0 +1,127 @@
+/**
+ * Medieval Charters Knowledge Graph - Health Checks
+ * Readiness probes of the services the API depends on. The Wikibase API and
+ * the query service are critical: without either, most routes fail. Wikidata
+ * only provides coordinates, so when it is down the API is degraded, not unavailable.
+ *
+ * Probes bypass the upstream client's retries and circuit breakers (a probe
+ * must not trip a breaker) but report each breaker's state alongside. The
+ * result is kept for HEALTH_CACHE_SECONDS so frequent checks do not load the services.
+ */
+const axios = require('axios');
+const config = require('../config');
+const upstream = require('./upstream');
+
+const UP = 'up';
+const DOWN = 'down';
+
+// Cheapest request each service answers: site info and an ASK query
+const DEPENDENCIES = {
+  wikibase: {
+    critical: true,
+    probe: timeout => axios.get(config.wikibase.apiUrl, {
+      params: { action: 'query', meta: 'siteinfo', format: 'json' },
+      timeout
+    })
+  },
+  sparql: {
+    critical: true,
+    probe: timeout => axios.get(config.wikibase.sparqlUrl, {
+      params: { query: 'ASK {}' },
+      headers: { Accept: 'application/sparql-results+json' },
+      timeout
+    })
+  },
+  wikidata: {
+    critical: false,
+    probe: timeout => axios.get(config.wikidata.apiUrl, {
+      params: { action: 'query', meta: 'siteinfo', format: 'json' },
+      timeout
+    })
+  }
+};
+
+// Last result and the probe in progress, shared by concurrent checks
+let lastCheck = null;
+let pending = null;
+
+/**
+ * Probe one dependency.
+ * @param {string} name
+ * @param {Object} dependency - { critical, probe }
+ * @returns {Promise<Object>} { status, critical, latencyMs, httpStatus?, error?, circuit }
+ */
+const probe = async (name, { critical, probe: send }) => {
+  const start = process.hrtime.bigint();
+  const latency = () => Math.round(Number(process.hrtime.bigint() - start) / 1e6);
+  const circuit = upstream.getStats()[name]?.state || 'closed';
+
+  try {
+    const response = await send(config.health.timeoutMs);
+    return { status: UP, critical, latencyMs: latency(), httpStatus: response.status, circuit };
+  } catch (error) {
+    return {
+      status: DOWN,
+      critical,
+      latencyMs: latency(),
+      httpStatus: error.response?.status,
+      error: error.code === 'ECONNABORTED' ? `No answer within ${config.health.timeoutMs} ms` : error.message,
+      circuit
+    };
+  }
+};
+
+/**
+ * Probe every dependency in parallel.
+ * @returns {Promise<Object>} { status, checkedAt, dependencies }
+ */
+const runChecks = async () => {
+  const names = Object.keys(DEPENDENCIES);
+  const results = await Promise.all(names.map(name => probe(name, DEPENDENCIES[name])));
+  const dependencies = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+
+  const down = results.filter(result => result.status === DOWN);
+  let status = 'ok';
+  if (down.some(result => result.critical)) {
+    status = 'unavailable';
+  } else if (down.length) {
+    status = 'degraded';
+  }
+
+  return { status, checkedAt: new Date().toISOString(), dependencies };
+};
+
+/**
+ * The readiness of the API, probed at most once per HEALTH_CACHE_SECONDS.
+ * @returns {Promise<Object>} { status: ok|degraded|unavailable, checkedAt, cached, dependencies }
+ */
+const checkReadiness = async () => {
+  const maxAgeMs = config.health.cacheSeconds * 1000;
+  if (lastCheck && Date.now() - lastCheck.time < maxAgeMs) {
+    return { ...lastCheck.result, cached: true };
+  }
+
+  if (!pending) {
+    pending = runChecks()
+      .then(result => {
+        lastCheck = { time: Date.now(), result };
+        return result;
+      })
+      .finally(() => {
+        pending = null;
+      });
+  }
+  return { ...await pending, cached: false };
+};
+
+/**
+ * Forget the cached result; for tests.
+ */
+const reset = () => {
+  lastCheck = null;
+};
+
+module.exports = {
+  checkReadiness,
+  reset
+};
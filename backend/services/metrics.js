@@ -0,0 +1,183 @@
+/**
+ * Medieval Charters Knowledge Graph - Metrics
+ * Prometheus metrics for the API, served as text at /metrics:
+ *
+ *   http_requests_total, http_request_duration_seconds   per route, method and status
+ *   http_requests_in_flight                              requests being handled
+ *   upstream_requests_total, upstream_request_duration_seconds,
+ *   upstream_errors_total, upstream_circuit_state        per target: wikibase (the
+ *                                                        Wikibase API), sparql, sparqlProxy
+ *                                                        (/api/sparql), federation (the
+ *                                                        Wikidata SERVICE) and wikidata
+ *   cache_lookups_total, cache_hit_ratio                 per cache namespace
+ *
+ * plus the default Node.js process metrics (memory, CPU, event loop lag).
+ * The modules that do the work record into the metrics through the helpers below.
+ */
+const client = require('prom-client');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+// Upstream calls take longer than our own responses; SPARQL queries may run for up to 30 seconds
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const UPSTREAM_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30];
+
+// upstream_circuit_state values
+const CIRCUIT_STATES = { closed: 0, 'half-open': 1, open: 2 };
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests handled, by route, method and status',
+  labelNames: ['route', 'method', 'status'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Time to send the response, by route, method and status',
+  labelNames: ['route', 'method', 'status'],
+  buckets: HTTP_BUCKETS,
+  registers: [register]
+});
+
+const httpRequestsInFlight = new client.Gauge({
+  name: 'http_requests_in_flight',
+  help: 'HTTP requests being handled',
+  registers: [register]
+});
+
+const upstreamRequests = new client.Counter({
+  name: 'upstream_requests_total',
+  help: 'Requests sent to upstream services (each retry counts), by target and outcome',
+  labelNames: ['target', 'outcome'],
+  registers: [register]
+});
+
+const upstreamDuration = new client.Histogram({
+  name: 'upstream_request_duration_seconds',
+  help: 'Upstream request latency, by target and outcome',
+  labelNames: ['target', 'outcome'],
+  buckets: UPSTREAM_BUCKETS,
+  registers: [register]
+});
+
+const upstreamErrors = new client.Counter({
+  name: 'upstream_errors_total',
+  help: 'Failed upstream requests, by target and reason (timeout, network, http_4xx, http_5xx, circuit_open)',
+  labelNames: ['target', 'reason'],
+  registers: [register]
+});
+
+const upstreamCircuitState = new client.Gauge({
+  name: 'upstream_circuit_state',
+  help: 'Circuit breaker state per target: 0 closed, 1 half-open, 2 open',
+  labelNames: ['target'],
+  registers: [register]
+});
+
+const cacheLookups = new client.Counter({
+  name: 'cache_lookups_total',
+  help: 'Response cache lookups, by namespace and result (hit, miss, stale)',
+  labelNames: ['namespace', 'result'],
+  registers: [register]
+});
+
+const cacheHitRatio = new client.Gauge({
+  name: 'cache_hit_ratio',
+  help: 'Share of cache lookups answered from the cache since start, by namespace',
+  labelNames: ['namespace'],
+  registers: [register]
+});
+
+// Lookups per namespace, for the hit ratio
+const cacheTallies = {};
+
+/**
+ * Why an upstream request failed, as an upstream_errors_total reason.
+ * @param {Error} error - axios error
+ * @returns {string}
+ */
+const failureReason = (error) => {
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return 'timeout';
+  if (error.response) return `http_${String(error.response.status)[0]}xx`;
+  return 'network';
+};
+
+/**
+ * Start timing an HTTP request.
+ * @returns {Function} end(route, method, status), to call once the response is sent
+ */
+const startRequest = () => {
+  httpRequestsInFlight.inc();
+  const stop = httpRequestDuration.startTimer();
+  return (route, method, status) => {
+    const labels = { route, method, status: String(status) };
+    httpRequestsInFlight.dec();
+    httpRequests.inc(labels);
+    stop(labels);
+  };
+};
+
+/**
+ * Record one upstream request.
+ * @param {string} target - wikibase, sparql, sparqlProxy, federation or wikidata
+ * @param {number} seconds - Time until the response or the failure
+ * @param {Error|null} error
+ */
+const recordUpstream = (target, seconds, error) => {
+  const outcome = error ? 'error' : 'success';
+  upstreamRequests.inc({ target, outcome });
+  upstreamDuration.observe({ target, outcome }, seconds);
+  if (error) upstreamErrors.inc({ target, reason: failureReason(error) });
+};
+
+/**
+ * Record a request refused without contacting the target because its circuit is open.
+ * @param {string} target
+ */
+const recordShortCircuit = (target) => {
+  upstreamErrors.inc({ target, reason: 'circuit_open' });
+};
+
+/**
+ * Record the state a target's circuit breaker moved to.
+ * @param {string} target
+ * @param {string} state - closed, half-open or open
+ */
+const recordCircuitState = (target, state) => {
+  upstreamCircuitState.set({ target }, CIRCUIT_STATES[state]);
+};
+
+/**
+ * Record a cache lookup and update the namespace's hit ratio.
+ * @param {string} namespace
+ * @param {string} result - hit, miss, or stale (served while a circuit is open)
+ */
+const recordCacheLookup = (namespace, result) => {
+  cacheLookups.inc({ namespace, result });
+
+  const tally = cacheTallies[namespace] || (cacheTallies[namespace] = { answered: 0, total: 0 });
+  // A stale hit follows the miss already counted for the same lookup
+  if (result !== 'stale') tally.total += 1;
+  if (result !== 'miss') tally.answered += 1;
+  cacheHitRatio.set({ namespace }, tally.answered / tally.total);
+};
+
+/**
+ * Clear every metric; for tests.
+ */
+const reset = () => {
+  register.resetMetrics();
+  Object.keys(cacheTallies).forEach(namespace => delete cacheTallies[namespace]);
+};
+
+module.exports = {
+  register,
+  startRequest,
+  recordUpstream,
+  recordShortCircuit,
+  recordCircuitState,
+  recordCacheLookup,
+  reset
+};
@@ -0,0 +1,221 @@
+/**
+ * Medieval Charters Knowledge Graph - Shortest Paths
+ * Finds how two entities are connected with a bounded bidirectional
+ * breadth-first search over item-valued claims, followed in either direction.
+ */
+const config = require('../config');
+const cache = require('./cache');
+const { fetchEdges, pickLabel } = require('./graph');
+const { getEntities } = require('./wikibase');
+const { resolveTypes } = require('./types');
+
+/**
+ * Start a search from one end of the path.
+ * @param {string} root - Entity ID
+ * @returns {Object} Search state: visited depths, parent links and the current frontier
+ */
+const createSide = (root) => ({
+  depth: new Map([[root, 0]]),
+  parents: new Map([[root, []]]),
+  frontier: [root],
+  level: 0
+});
+
+/**
+ * Expand one side of the search by a single hop.
+ * @param {Object} side - Search state from createSide
+ * @param {Map} degrees - Neighbour counts, updated for every expanded node
+ * @param {Object} options - properties and languages
+ * @returns {Promise<boolean>} true when an edge query hit its LIMIT
+ */
+const expand = async (side, degrees, { properties, languages }) => {
+  const { edges, limited } = await fetchEdges(side.frontier, { direction: 'both', properties, languages });
+  const frontier = new Set(side.frontier);
+  const level = side.level + 1;
+  const next = [];
+  const seen = new Set();
+
+  edges.forEach(edge => {
+    const key = `${edge.source}|${edge.property}|${edge.target}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    // instance of links everyone to classes such as "human"; only follow it when asked to
+    if (properties.length === 0 && edge.property === config.types.instanceOfProperty) return;
+
+    [[edge.source, edge.target], [edge.target, edge.source]].forEach(([node, neighbour]) => {
+      if (!frontier.has(node) || node === neighbour) return;
+      degrees.set(node, (degrees.get(node) || 0) + 1);
+
+      const known = side.depth.get(neighbour);
+      if (known === undefined) {
+        side.depth.set(neighbour, level);
+        side.parents.set(neighbour, [{ node, edge }]);
+        next.push(neighbour);
+      } else if (known === level) {
+        side.parents.get(neighbour).push({ node, edge });
+      }
+    });
+  });
+
+  side.level = level;
+  side.frontier = next;
+  return limited;
+};
+
+/**
+ * List the shortest routes from the root of a side to one of its nodes.
+ * @param {Object} side - Search state
+ * @param {string} node - Visited node
+ * @param {number} limit - Stop after this many routes
+ * @returns {Array<{nodes: string[], edges: Object[]}>}
+ */
+const routesTo = (side, node, limit) => {
+  const parents = side.parents.get(node);
+  if (parents.length === 0) return [{ nodes: [node], edges: [] }];
+
+  const routes = [];
+  for (const parent of parents) {
+    for (const route of routesTo(side, parent.node, limit - routes.length)) {
+      routes.push({ nodes: [...route.nodes, node], edges: [...route.edges, parent.edge] });
+      if (routes.length >= limit) return routes;
+    }
+  }
+  return routes;
+};
+
+/**
+ * Join the routes of both sides through the nodes where they met.
+ * @returns {Array<{nodes: string[], edges: Object[]}>}
+ */
+const joinRoutes = (forward, backward, meeting, limit) => {
+  const paths = [];
+  for (const node of meeting) {
+    for (const head of routesTo(forward, node, limit)) {
+      for (const tail of routesTo(backward, node, limit)) {
+        paths.push({
+          nodes: [...head.nodes, ...[...tail.nodes].reverse().slice(1)],
+          edges: [...head.edges, ...[...tail.edges].reverse()]
+        });
+        if (paths.length >= limit) return paths;
+      }
+    }
+  }
+  return paths;
+};
+
+/**
+ * Run the bidirectional search.
+ * @returns {Promise<{paths: Object[], degrees: Map, truncated: boolean}>}
+ */
+const searchPaths = async (from, to, { maxHops, properties, languages }) => {
+  if (from === to) {
+    return { paths: [{ nodes: [from], edges: [] }], degrees: new Map(), truncated: false };
+  }
+
+  const forward = createSide(from);
+  const backward = createSide(to);
+  const degrees = new Map();
+  let truncated = false;
+
+  while (forward.level + backward.level < maxHops) {
+    // Expanding the smaller frontier keeps the number of queried nodes down
+    const side = forward.frontier.length <= backward.frontier.length ? forward : backward;
+    const other = side === forward ? backward : forward;
+    if (side.frontier.length === 0) break;
+
+    truncated = (await expand(side, degrees, { properties, languages })) || truncated;
+
+    const meeting = side.frontier.filter(node => other.depth.has(node));
+    if (meeting.length > 0) {
+      const hops = (node) => forward.depth.get(node) + backward.depth.get(node);
+      const shortest = Math.min(...meeting.map(hops));
+      const paths = joinRoutes(
+        forward,
+        backward,
+        meeting.filter(node => hops(node) === shortest),
+        config.path.maxPaths * 10
+      );
+      return { paths, degrees, truncated };
+    }
+
+    if (forward.depth.size + backward.depth.size > config.path.maxNodes) {
+      truncated = true;
+      break;
+    }
+  }
+
+  return { paths: [], degrees, truncated };
+};
+
+/**
+ * Find paths between two entities.
+ * @param {string} from - Validated entity ID
+ * @param {string} to - Validated entity ID
+ * @param {Object} options - See getPaths
+ * @returns {Promise<Object|null>} Path document, or null when either entity does not exist
+ */
+const findPaths = async (from, to, { maxHops, properties, languages, bypass }) => {
+  const { paths, degrees, truncated } = await searchPaths(from, to, { maxHops, properties, languages });
+
+  // Paths through highly connected entities say less about how the two are related
+  const ranked = paths
+    .map(path => ({
+      ...path,
+      score: path.nodes.slice(1, -1).reduce((sum, node) => sum + (degrees.get(node) || 1), 0)
+    }))
+    .sort((a, b) => a.score - b.score || a.nodes.join('|').localeCompare(b.nodes.join('|')))
+    .slice(0, config.path.maxPaths);
+
+  const ids = [...new Set([from, to, ...ranked.flatMap(path => path.nodes)])];
+  const [{ entities, missing }, types] = await Promise.all([
+    getEntities(ids, { props: ['labels'], languages, bypass }),
+    resolveTypes(ids, { bypass })
+  ]);
+
+  if (missing.includes(from) || missing.includes(to)) {
+    return null;
+  }
+
+  const describe = (id) => ({
+    id,
+    label: pickLabel(entities[id], languages),
+    type: types[id]?.type || null
+  });
+
+  return {
+    from: describe(from),
+    to: describe(to),
+    maxHops,
+    properties,
+    paths: ranked.map(path => ({
+      hops: path.edges.length,
+      score: path.score,
+      nodes: path.nodes.map(describe),
+      edges: path.edges
+    })),
+    truncated
+  };
+};
+
+/**
+ * Get the shortest paths between two entities, using the cache.
+ * @param {string} from - Validated entity ID
+ * @param {string} to - Validated entity ID
+ * @param {Object} options
+ * @param {number} options.maxHops - Longest path to look for
+ * @param {string[]} [options.properties=[]] - Property IDs to follow; all item-valued properties except instance of when empty
+ * @param {string[]} options.languages - Label languages in priority order
+ * @param {boolean} [options.bypass=false] - Skip cached results
+ * @returns {Promise<{value: Object|null, hit: boolean}>}
+ */
+const getPaths = (from, to, { maxHops, properties = [], languages, bypass = false }) => cache.getOrFetch(
+  'path',
+  { from, to, maxHops, properties: [...properties].sort(), languages },
+  () => findPaths(from, to, { maxHops, properties, languages, bypass }),
+  { bypass }
+);
+
+module.exports = {
+  getPaths
+};
@@ -0,0 +1,107 @@
+/**
+ * Medieval Charters Knowledge Graph - Entity Search
+ * Runs wbsearchentities once per language in the fallback chain and merges the
+ * hits, so an entity labelled only in Spanish or Latin is still found.
+ */
+const config = require('../config');
+const cache = require('./cache');
+const snapshot = require('./snapshot');
+const upstream = require('./upstream');
+
+// wbsearchentities returns at most this many results per request
+const BATCH_SIZE = 50;
+
+/**
+ * Fetch one batch of wbsearchentities results for a single language.
+ * Batches always start at a multiple of BATCH_SIZE so they can be shared between pages.
+ * @returns {Promise<{value: Object, hit: boolean}>}
+ */
+const fetchBatch = ({ query, language, displayLanguage, offset, bypass }) => cache.getOrFetch(
+  'search',
+  { query: cache.normaliseText(query), language, displayLanguage, offset, limit: BATCH_SIZE },
+  async () => {
+    const params = {
+      action: 'wbsearchentities',  // Wikibase search action
+      search: query,               // User's search query
+      language,                    // Language whose labels and aliases are matched
+      format: 'json',              // Response format
+      uselang: displayLanguage,    // Language of the returned display labels
+      type: 'item',                // Search for items only (not properties)
+      limit: BATCH_SIZE,
+      continue: offset
+    };
+
+    if (snapshot.isSnapshotMode()) {
+      return snapshot.searchTerms(params);
+    }
+    const response = await upstream.get('wikibase', config.wikibase.apiUrl, { params });
+    return response.data;
+  },
+  { bypass }
+);
+
+/**
+ * Collect at least `needed` hits for one language, or all of them if there are fewer.
+ * @returns {Promise<{hits: Object[], hit: boolean}>}
+ */
+const collectLanguage = async ({ query, language, displayLanguage, needed, bypass }) => {
+  const hits = [];
+  let offset = 0;
+  let allCached = true;
+
+  while (hits.length < needed) {
+    const { value, hit } = await fetchBatch({ query, language, displayLanguage, offset, bypass });
+    allCached = allCached && hit;
+    hits.push(...(value.search || []));
+
+    if (value['search-continue'] === undefined) break;
+    offset = value['search-continue'];
+  }
+
+  return { hits, hit: allCached };
+};
+
+/**
+ * Search entity labels and aliases across several languages.
+ * @param {Object} options
+ * @param {string} options.query - Search term
+ * @param {string[]} options.languages - Languages to match, in priority order; the first is used for display
+ * @param {number} options.offset - Offset of the first merged result to return
+ * @param {number} options.pageSize - Number of results to return
+ * @param {boolean} [options.bypass=false] - Skip cached upstream responses
+ * @returns {Promise<{search: Object[], hasMore: boolean, total: number|null, hit: boolean}>}
+ */
+const searchEntities = async ({ query, languages, offset, pageSize, bypass = false }) => {
+  const [displayLanguage] = languages;
+  const end = offset + pageSize;
+  // One extra result tells us whether another page exists
+  const needed = end + 1;
+
+  const perLanguage = await Promise.all(languages.map(language =>
+    collectLanguage({ query, language, displayLanguage, needed, bypass })
+  ));
+
+  // Keep the first occurrence of each entity, earlier languages taking priority
+  const seen = new Set();
+  const merged = [];
+  perLanguage.forEach(({ hits }) => {
+    hits.forEach(result => {
+      if (!seen.has(result.id)) {
+        seen.add(result.id);
+        merged.push(result);
+      }
+    });
+  });
+
+  const hasMore = merged.length > end;
+  return {
+    search: merged.slice(offset, end),
+    hasMore,
+    total: hasMore ? null : merged.length,
+    hit: perLanguage.every(({ hit }) => hit)
+  };
+};
+
+module.exports = {
+  searchEntities
+};
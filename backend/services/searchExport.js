@@ -0,0 +1,160 @@
+/**
+ * Medieval Charters Knowledge Graph - Search Export
+ * Every hit of a faceted search as table rows, for CSV and XLSX downloads.
+ * Pages are fetched one after another and handed over as soon as they are
+ * ready, so the export streams instead of collecting all hits first.
+ *
+ * The column layout depends only on the request: the base columns, then one
+ * column per requested property in the order given, whether or not any hit
+ * has a value for it.
+ */
+const config = require('../config');
+const { facetedSearch } = require('./facets');
+const { loadRecords } = require('./export');
+const { pickTerm } = require('./snapshot');
+const { namespaces } = require('../rdf/ntriples');
+
+// Columns every export starts with
+const BASE_COLUMNS = [
+  { key: 'id', header: 'id' },
+  { key: 'label', header: 'label' },
+  { key: 'description', header: 'description' },
+  { key: 'type', header: 'type' },
+  { key: 'url', header: 'url' }
+];
+
+// Datatypes whose values are entity IDs, written with their label
+const ENTITY_DATATYPES = ['wikibase-item', 'wikibase-property'];
+
+// Separates the values of a property with several of them
+const VALUE_SEPARATOR = '; ';
+
+/**
+ * Label an entity ID in the first available language.
+ * @param {string} id
+ * @param {Object} records - Compact records keyed by ID
+ * @param {string[]} languages
+ * @returns {string} "label (ID)", or the ID alone when it has no label
+ */
+const labelled = (id, records, languages) => {
+  const label = pickTerm(records[id]?.labels, languages);
+  return label ? `${label.value} (${id})` : id;
+};
+
+/**
+ * Write one claim value as cell text.
+ * @param {{value: *, datatype: string}} claim - Compact claim (see snapshot.compactEntity)
+ * @param {Object} labels - Records of the value entities
+ * @param {string[]} languages
+ * @returns {string}
+ */
+const formatValue = ({ value, datatype }, labels, languages) => {
+  if (ENTITY_DATATYPES.includes(datatype)) return labelled(value, labels, languages);
+  if (value && typeof value === 'object') {
+    return value.text !== undefined ? value.text : `${value.lat},${value.lng}`;
+  }
+  return String(value);
+};
+
+/**
+ * Build the rows of one page of hits.
+ * @param {Object[]} hits - Faceted search results
+ * @param {Object} options
+ * @param {string[]} options.properties - Property IDs of the extra columns
+ * @param {string[]} options.languages
+ * @param {boolean} options.bypass
+ * @returns {Promise<{rows: Object[], hit: boolean}>}
+ */
+const buildRows = async (hits, { properties, languages, bypass }) => {
+  const entityUrl = id => `${namespaces().entity}${id}`;
+  const rows = hits.map(hit => ({
+    id: hit.id,
+    label: hit.label || '',
+    description: hit.description || '',
+    type: hit.type || '',
+    url: entityUrl(hit.id)
+  }));
+  if (!properties.length || !hits.length) return { rows, hit: true };
+
+  // Claims of the hits, then labels of the entities they point to
+  const claims = await loadRecords(hits.map(hit => hit.id), { languages, bypass });
+  const valueIds = new Set();
+  Object.values(claims.records).forEach(record => {
+    properties.forEach(property => {
+      (record.claims[property] || [])
+        .filter(claim => ENTITY_DATATYPES.includes(claim.datatype))
+        .forEach(claim => valueIds.add(claim.value));
+    });
+  });
+  const labels = valueIds.size
+    ? await loadRecords([...valueIds], { languages, bypass })
+    : { records: {}, hit: true };
+
+  rows.forEach(row => {
+    const record = claims.records[row.id];
+    properties.forEach(property => {
+      row[property] = (record?.claims[property] || [])
+        .map(claim => formatValue(claim, labels.records, languages))
+        .join(VALUE_SEPARATOR);
+    });
+  });
+  return { rows, hit: claims.hit && labels.hit };
+};
+
+/**
+ * Export every hit of a faceted search as table rows.
+ *
+ * The first page is fetched before this resolves, so a search that cannot be
+ * run fails before anything is sent. Only that page bypasses the cache when
+ * asked to: the pages after it are read from the results it just refreshed.
+ *
+ * Like the faceted search, the export covers the first SEARCH_MAX_RESULTS
+ * label matches; truncated tells whether the search had more of them.
+ *
+ * @param {Object} options
+ * @param {string} options.query - Search term
+ * @param {string[]} options.languages - Languages in priority order
+ * @param {Object} options.filters - Facet filters (see facets.facetedSearch)
+ * @param {string[]} [options.properties=[]] - Property IDs to add as columns
+ * @param {boolean} [options.bypass=false] - Skip cached results
+ * @returns {Promise<{columns: Object[], pages: AsyncIterable<Object[]>, total: number, truncated: boolean, hit: boolean}>}
+ */
+const exportSearch = async ({ query, languages, filters, properties = [], bypass = false }) => {
+  const pageSize = config.search.maxPageSize;
+  const fetchPage = async (offset, fresh) => {
+    const result = await facetedSearch({ query, languages, filters, offset, pageSize, bypass: fresh });
+    const { rows, hit } = await buildRows(result.search, { properties, languages, bypass: fresh });
+    return { rows, total: result.total, truncated: result.candidates.truncated, hit: result.hit && hit };
+  };
+
+  const [first, propertyRecords] = await Promise.all([
+    fetchPage(0, bypass),
+    properties.length ? loadRecords(properties, { languages, bypass }) : { records: {}, hit: true }
+  ]);
+
+  const columns = [
+    ...BASE_COLUMNS,
+    ...properties.map(property => ({ key: property, header: labelled(property, propertyRecords.records, languages) }))
+  ];
+
+  async function* pages() {
+    yield first.rows;
+    for (let offset = pageSize; offset < first.total; offset += pageSize) {
+      const { rows } = await fetchPage(offset, false);
+      yield rows;
+    }
+  }
+
+  return {
+    columns,
+    pages: pages(),
+    total: first.total,
+    truncated: first.truncated,
+    hit: first.hit && propertyRecords.hit
+  };
+};
+
+module.exports = {
+  BASE_COLUMNS,
+  exportSearch
+};
@@ -0,0 +1,413 @@
+/**
+ * Medieval Charters Knowledge Graph - Knowledge Graph Snapshots
+ * Reads and writes the versioned local snapshots made by scripts/harvest.js and
+ * answers search and property requests from them when DATA_SOURCE=snapshot,
+ * in the same shapes as wbsearchentities and the query service.
+ *
+ * A snapshot directory holds one folder per version (entities.json,
+ * triples.nt, manifest.json) and latest.json naming the newest version.
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const cache = require('./cache');
+const { RDF, entityTriples, namespaces } = require('../rdf/ntriples');
+
+/**
+ * Error raised when no usable snapshot can be read
+ */
+class SnapshotError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SnapshotError';
+  }
+}
+
+// Snapshot served by this process, loaded on first use
+let current = null;
+
+/**
+ * Whether routes should answer from the local snapshot instead of Wikibase.
+ * @returns {boolean}
+ */
+const isSnapshotMode = () => config.dataSource === 'snapshot';
+
+// Month and day of a Wikibase time; 00 when the precision is a year or a month
+const UNSET_MONTH_DAY = /^(-?\d+)-(\d\d)-(\d\d)/;
+
+/**
+ * Write a Wikibase time as a valid xsd:dateTime. Like the query service, a
+ * year or month precision date gets 01 for its unset month and day, so
+ * +1150-00-00T00:00:00Z becomes 1150-01-01T00:00:00Z.
+ * @param {string} time - Wikibase time, e.g. +1150-00-00T00:00:00Z
+ * @returns {string}
+ */
+const compactTime = time => time
+  .replace(/^\+/, '')
+  .replace(UNSET_MONTH_DAY, (match, year, month, day) =>
+    `${year}-${month === '00' ? '01' : month}-${day === '00' ? '01' : day}`);
+
+/**
+ * Read the value of a wbgetentities main snak in its compact form.
+ * @param {Object} snak - mainsnak with a datavalue
+ * @returns {*} Item IDs, strings, times as xsd:dateTime (see compactTime), {text, language} or {lat, lng}
+ */
+const compactValue = ({ datatype, datavalue }) => {
+  const { value } = datavalue;
+  switch (datavalue.type) {
+    case 'wikibase-entityid':
+      return value.id;
+    case 'time':
+      return compactTime(value.time);
+    case 'quantity':
+      return value.amount.replace(/^\+/, '');
+    case 'monolingualtext':
+      return { text: value.text, language: value.language };
+    case 'globecoordinate':
+      return { lat: value.latitude, lng: value.longitude };
+    default:
+      return datatype === 'string' || typeof value === 'string' ? value : JSON.stringify(value);
+  }
+};
+
+/**
+ * Reduce a wbgetentities entity to its terms and best-ranked direct claims,
+ * the same values the query service exposes through wdt: predicates.
+ * @param {Object} entity - wbgetentities entity
+ * @returns {Object} { id, type, datatype?, labels, descriptions, aliases, claims }
+ */
+const compactEntity = (entity) => {
+  const terms = (map) => Object.fromEntries(
+    Object.entries(map || {}).map(([language, term]) => [language, term.value])
+  );
+
+  const claims = {};
+  Object.entries(entity.claims || {}).forEach(([propertyId, statements]) => {
+    const ranked = statements.filter(statement => statement.rank !== 'deprecated');
+    const preferred = ranked.filter(statement => statement.rank === 'preferred');
+    const values = (preferred.length ? preferred : ranked)
+      .filter(statement => statement.mainsnak.snaktype === 'value')
+      .map(statement => ({
+        value: compactValue(statement.mainsnak),
+        datatype: statement.mainsnak.datatype
+      }));
+    if (values.length) claims[propertyId] = values;
+  });
+
+  return {
+    id: entity.id,
+    type: entity.type,
+    ...(entity.datatype && { datatype: entity.datatype }),
+    labels: terms(entity.labels),
+    descriptions: terms(entity.descriptions),
+    aliases: Object.fromEntries(
+      Object.entries(entity.aliases || {}).map(([language, aliases]) => [language, aliases.map(alias => alias.value)])
+    ),
+    claims
+  };
+};
+
+// Entity types of entity ID prefixes, for wikibase-entityid data values
+const ENTITY_TYPES = { Q: 'item', P: 'property', L: 'lexeme' };
+
+/**
+ * Rebuild the wbgetentities data value of a compact claim value.
+ * @param {Object} claim - { value, datatype } from compactEntity
+ * @returns {Object} datavalue
+ */
+const expandValue = ({ value, datatype }) => {
+  switch (datatype) {
+    case 'wikibase-item':
+    case 'wikibase-property':
+    case 'wikibase-lexeme':
+      return { type: 'wikibase-entityid', value: { 'entity-type': ENTITY_TYPES[value[0]], id: value } };
+    case 'time':
+      return { type: 'time', value: { time: value.startsWith('-') ? value : `+${value}` } };
+    case 'quantity':
+      return { type: 'quantity', value: { amount: value.startsWith('-') ? value : `+${value}`, unit: '1' } };
+    case 'monolingualtext':
+      return { type: 'monolingualtext', value };
+    case 'globe-coordinate':
+      return { type: 'globecoordinate', value: { latitude: value.lat, longitude: value.lng } };
+    default:
+      return { type: 'string', value };
+  }
+};
+
+/**
+ * Rebuild a wbgetentities entity from a snapshot record. The snapshot keeps
+ * only the best-ranked values of each claim, so they come back as statements
+ * of normal rank; times come back without their precision.
+ * @param {Object} record - Record made by compactEntity
+ * @param {Object} [options]
+ * @param {string[]} [options.props=[]] - wbgetentities props; all the snapshot keeps when empty
+ * @param {string[]} [options.languages=[]] - Term languages; all languages when empty
+ * @returns {Object} wbgetentities entity
+ */
+const expandEntity = (record, { props = [], languages = [] } = {}) => {
+  const wanted = prop => props.length === 0 || props.includes(prop);
+  const inLanguages = map => Object.entries(map).filter(([language]) =>
+    languages.length === 0 || languages.includes(language));
+
+  const entity = { id: record.id, type: record.type };
+  if (record.datatype && wanted('datatype')) entity.datatype = record.datatype;
+  ['labels', 'descriptions'].filter(wanted).forEach(prop => {
+    entity[prop] = Object.fromEntries(
+      inLanguages(record[prop]).map(([language, value]) => [language, { language, value }])
+    );
+  });
+  if (wanted('aliases')) {
+    entity.aliases = Object.fromEntries(inLanguages(record.aliases).map(([language, aliases]) =>
+      [language, aliases.map(value => ({ language, value }))]));
+  }
+  if (wanted('claims')) {
+    entity.claims = Object.fromEntries(Object.entries(record.claims).map(([propertyId, values]) => [
+      propertyId,
+      values.map(claim => ({
+        type: 'statement',
+        rank: 'normal',
+        mainsnak: { snaktype: 'value', property: propertyId, datatype: claim.datatype, datavalue: expandValue(claim) }
+      }))
+    ]));
+  }
+  return entity;
+};
+
+/**
+ * Write a snapshot version and point latest.json at it.
+ * @param {string} dir - Snapshot directory
+ * @param {Object} snapshot - { version, createdAt, source, languages, entities, coordinates }
+ * @returns {Promise<Object>} The manifest written with the version
+ */
+const writeSnapshot = async (dir, snapshot) => {
+  const folder = path.join(dir, snapshot.version);
+  fs.mkdirSync(folder, { recursive: true });
+
+  fs.writeFileSync(path.join(folder, 'entities.json'), JSON.stringify(snapshot));
+
+  // Stream the triples: a full graph does not fit comfortably in one string
+  const ns = namespaces();
+  const triples = fs.createWriteStream(path.join(folder, 'triples.nt'));
+  let tripleCount = 0;
+  for (const entity of Object.values(snapshot.entities)) {
+    const lines = entityTriples(entity, ns);
+    tripleCount += lines.length;
+    if (lines.length && !triples.write(`${lines.join('\n')}\n`)) {
+      await new Promise(resolve => triples.once('drain', resolve));
+    }
+  }
+  await new Promise((resolve, reject) => {
+    triples.on('error', reject);
+    triples.end(resolve);
+  });
+
+  const manifest = {
+    version: snapshot.version,
+    createdAt: snapshot.createdAt,
+    source: snapshot.source,
+    entities: Object.keys(snapshot.entities).length,
+    coordinates: Object.keys(snapshot.coordinates).length,
+    triples: tripleCount
+  };
+  fs.writeFileSync(path.join(folder, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+  // Only point at the new version once all of its files are complete
+  fs.writeFileSync(path.join(dir, 'latest.json'), JSON.stringify({ version: snapshot.version }, null, 2));
+  return manifest;
+};
+
+/**
+ * Load the configured snapshot version (SNAPSHOT_VERSION, or the latest).
+ * @param {Object} [options]
+ * @param {boolean} [options.reload=false] - Read the files again
+ * @returns {Object} Snapshot
+ * @throws {SnapshotError}
+ */
+const loadSnapshot = ({ reload = false } = {}) => {
+  if (current && !reload) return current;
+
+  const { dir } = config.snapshot;
+  let { version } = config.snapshot;
+  try {
+    if (!version) {
+      version = JSON.parse(fs.readFileSync(path.join(dir, 'latest.json'), 'utf8')).version;
+    }
+    current = JSON.parse(fs.readFileSync(path.join(dir, version, 'entities.json'), 'utf8'));
+  } catch (error) {
+    throw new SnapshotError(`Cannot read snapshot ${version || 'latest'} in ${dir}: ${error.message}`);
+  }
+
+  // Cached responses may come from the previous snapshot
+  if (reload) cache.purge();
+  return current;
+};
+
+/**
+ * Pick a term in the first available language.
+ * @param {Object} terms - Texts keyed by language
+ * @param {string[]} languages - Languages in priority order
+ * @returns {{value: string, language: string}|null}
+ */
+const pickTerm = (terms, languages) => {
+  const language = languages.find(code => terms?.[code] !== undefined);
+  return language ? { value: terms[language], language } : null;
+};
+
+/**
+ * Fold case and accents so "avila" matches "Ávila".
+ * @param {string} text
+ * @returns {string}
+ */
+const fold = (text) => String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+/**
+ * Answer a wbsearchentities request from snapshot data.
+ * Labels and aliases in `language` are prefix-matched; exact matches come first.
+ * @param {Object} data - Snapshot, or any object with the same entities
+ * @param {Object} params - wbsearchentities parameters: search, language, uselang, limit, continue
+ * @returns {Object} Response body in the wbsearchentities shape
+ */
+const searchSnapshot = ({ entities }, { search, language, uselang = language, ...paging }) => {
+  // Query string parameters arrive as strings
+  const limit = Number(paging.limit ?? 7);
+  const offset = Number(paging.continue ?? 0);
+  const ns = namespaces();
+  const needle = fold(search);
+  const matches = [];
+
+  Object.values(entities).forEach(entity => {
+    if (entity.type !== 'item') return;
+
+    const candidates = [
+      ...(entity.labels?.[language] !== undefined ? [{ type: 'label', text: entity.labels[language] }] : []),
+      ...(entity.aliases?.[language] || []).map(text => ({ type: 'alias', text }))
+    ];
+    if (entity.id === search) candidates.unshift({ type: 'entityId', text: entity.id });
+
+    const match = candidates.find(candidate => fold(candidate.text).startsWith(needle));
+    if (!needle || !match) return;
+
+    const label = pickTerm(entity.labels, [uselang, language]);
+    const description = pickTerm(entity.descriptions, [uselang, language]);
+    matches.push({
+      exact: fold(match.text) === needle,
+      result: {
+        id: entity.id,
+        title: entity.id,
+        concepturi: `${ns.entity}${entity.id}`,
+        url: `${ns.entity.replace(/entity\/$/, 'wiki/Item:')}${entity.id}`,
+        ...(label && { label: label.value }),
+        ...(description && { description: description.value }),
+        display: {
+          ...(label && { label }),
+          ...(description && { description })
+        },
+        match: { type: match.type, language: match.type === 'entityId' ? 'qid' : language, text: match.text },
+        ...(match.type === 'alias' && { aliases: [match.text] })
+      }
+    });
+  });
+
+  matches.sort((a, b) => Number(b.exact) - Number(a.exact) ||
+    (a.result.label || a.result.id).localeCompare(b.result.label || b.result.id));
+
+  const page = matches.slice(offset, offset + limit).map(({ result }) => result);
+  return {
+    searchinfo: { search },
+    search: page,
+    ...(offset + limit < matches.length && { 'search-continue': offset + limit }),
+    success: 1
+  };
+};
+
+/**
+ * Answer the entityProperties template from snapshot data.
+ * Rows follow the live query: every direct claim, repeated for each class and
+ * for each Wikidata coordinate of the entity or its residence (P55).
+ * @param {Object} data - Snapshot, or any object with the same entities and coordinates
+ * @param {string} entityId - Validated entity ID
+ * @param {string[]} languages - Label languages in priority order
+ * @returns {Object} SPARQL JSON results
+ */
+const entityPropertiesFromSnapshot = ({ entities, coordinates }, entityId, languages) => {
+  const entity = entities[entityId];
+  const vars = ['propertyLabel', 'valueLabel', 'instanceOfLabel', 'residenceLabel', 'coord', 'placeCoord'];
+  if (!entity) return { head: { vars }, results: { bindings: [] } };
+
+  // The label service falls back to the entity ID when there is no label
+  const labelOf = (id) => {
+    const label = pickTerm(entities[id]?.labels, languages);
+    return label
+      ? { type: 'literal', value: label.value, 'xml:lang': label.language }
+      : { type: 'literal', value: id };
+  };
+  const values = (from, propertyId) => (from?.claims?.[propertyId] || []).map(({ value }) => value);
+  const point = (wikidataId) => coordinates[wikidataId] && {
+    datatype: RDF.wktLiteral,
+    type: 'literal',
+    value: `Point(${coordinates[wikidataId].lng} ${coordinates[wikidataId].lat})`
+  };
+
+  const classes = values(entity, config.types.instanceOfProperty);
+  const residences = values(entity, 'P55').flatMap(residence =>
+    values(entities[residence], 'P2').map(wikidataId => ({ residence, coord: point(wikidataId) }))
+  );
+  const placeCoords = values(entity, 'P2').map(point);
+
+  const bindings = [];
+  Object.entries(entity.claims).forEach(([propertyId, claims]) => {
+    if (!entities[propertyId]) return;
+    claims.forEach(({ value, datatype }) => {
+      const valueLabel = typeof value === 'string' && datatype.startsWith('wikibase-')
+        ? labelOf(value)
+        : { type: 'literal', value: typeof value === 'object' ? value.text ?? JSON.stringify(value) : value };
+
+      (classes.length ? classes : [null]).forEach(instanceOf => {
+        (residences.length ? residences : [null]).forEach(residence => {
+          (placeCoords.length ? placeCoords : [null]).forEach(placeCoord => {
+            bindings.push({
+              propertyLabel: labelOf(propertyId),
+              valueLabel,
+              ...(instanceOf && { instanceOfLabel: labelOf(instanceOf) }),
+              ...(residence && { residenceLabel: labelOf(residence.residence) }),
+              ...(residence?.coord && { coord: residence.coord }),
+              ...(placeCoord && { placeCoord })
+            });
+          });
+        });
+      });
+    });
+  });
+
+  return { head: { vars }, results: { bindings } };
+};
+
+/**
+ * Answer a wbsearchentities request from the served snapshot.
+ * @param {Object} params - See searchSnapshot
+ * @returns {Object}
+ */
+const searchTerms = (params) => searchSnapshot(loadSnapshot(), params);
+
+/**
+ * Answer the entityProperties template from the served snapshot.
+ * @param {string} entityId - Validated entity ID
+ * @param {string[]} languages - Label languages in priority order
+ * @returns {Object}
+ */
+const entityPropertiesResults = (entityId, languages) =>
+  entityPropertiesFromSnapshot(loadSnapshot(), entityId, languages);
+
+module.exports = {
+  SnapshotError,
+  isSnapshotMode,
+  compactEntity,
+  expandEntity,
+  writeSnapshot,
+  loadSnapshot,
+  pickTerm,
+  searchSnapshot,
+  entityPropertiesFromSnapshot,
+  searchTerms,
+  entityPropertiesResults
+};
@@ -0,0 +1,68 @@
+/**
+ * Medieval Charters Knowledge Graph - SPARQL Client
+ * Runs template-built SELECT queries against the Wikibase query service.
+ * When DATA_SOURCE=snapshot the same templates are evaluated over the local
+ * snapshot instead (see sparql/evaluate), so no query leaves the process.
+ */
+const config = require('../config');
+const upstream = require('./upstream');
+const snapshot = require('./snapshot');
+const { buildQuery } = require('../sparql/templates');
+const { createEvaluators, readValues } = require('../sparql/evaluate');
+
+// Template evaluators for the served snapshot, rebuilt when another snapshot is loaded
+let snapshotEvaluators = { data: null, evaluators: null };
+
+/**
+ * Answer a template from the served snapshot.
+ * @param {string} template - Template name from sparql/templates
+ * @param {Object} values - Placeholder values
+ * @returns {Object[]} results.bindings
+ * @throws {SparqlTemplateError} When the template is unknown or a value is invalid
+ * @throws {SnapshotError} When the snapshot cannot be read
+ */
+const selectFromSnapshot = (template, values) => {
+  const checked = readValues(template, values);
+  const data = snapshot.loadSnapshot();
+  if (snapshotEvaluators.data !== data) {
+    snapshotEvaluators = { data, evaluators: createEvaluators(data) };
+  }
+  return snapshotEvaluators.evaluators[template](checked).bindings;
+};
+
+/**
+ * Run a template SELECT query and return its bindings.
+ * Queries are POSTed because VALUES blocks can outgrow URL length limits;
+ * they are read-only, so failed requests are retried like GETs.
+ * @param {string} template - Template name from sparql/templates, e.g. entityClaims
+ * @param {Object} values - Placeholder values keyed by parameter name
+ * @param {Object} [options]
+ * @param {string} [options.target=sparql] - Upstream target; federation for queries using the Wikidata SERVICE
+ * @param {boolean} [options.live=false] - Always ask the query service, even in snapshot mode (harvesting)
+ * @returns {Promise<Object[]>} results.bindings
+ * @throws {SparqlTemplateError} When the template is unknown or a value is missing or invalid
+ */
+const select = async (template, values, { target = 'sparql', live = false } = {}) => {
+  if (!live && snapshot.isSnapshotMode()) {
+    return selectFromSnapshot(template, values);
+  }
+
+  const query = buildQuery(template, values);
+  const response = await upstream.post(
+    target,
+    config.wikibase.sparqlUrl,
+    new URLSearchParams({ query, format: 'json' }),
+    {
+      headers: {
+        Accept: 'application/sparql-results+json',
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      idempotent: true
+    }
+  );
+  return response.data?.results?.bindings || [];
+};
+
+module.exports = {
+  select
+};
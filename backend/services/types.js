@@ -0,0 +1,232 @@
+/**
+ * Medieval Charters Knowledge Graph - Entity Type Resolution
+ * Resolves the canonical type of entities (person, place, activity) by walking
+ * instance of (P3) and the subclass chain above it, so subclasses, labels in
+ * other languages and multi-typed items all map to the right detail view.
+ *
+ * Types are matched on the class items configured in TYPE_CLASSES. Until it is
+ * set, the classes in use are matched once on their English labels instead
+ * (see getTypeClasses), so a fresh deployment still finds its types.
+ */
+const config = require('../config');
+const { bindingValue, entityIdFromIri } = require('../sparql/bindings');
+const sparql = require('./sparql');
+const cache = require('./cache');
+const logger = require('../utils/logger');
+
+// Canonical types in priority order; each maps to a detail view in the frontend
+const TYPES = ['person', 'place', 'activity'];
+
+// English class labels that identify each type while TYPE_CLASSES is not set
+const TYPE_KEYWORDS = {
+  person: ['person', 'human', 'people'],
+  place: ['place', 'location', 'settlement', 'territory'],
+  activity: ['activity', 'event', 'occupation']
+};
+
+// Resolved once per process: ID of the "subclass of" property, or null if there is none
+let subclassOfLookup = null;
+
+/**
+ * Find the subclass property, from configuration or by its English label.
+ * @returns {Promise<string|null>}
+ */
+const getSubclassOfProperty = () => {
+  if (config.types.subclassOfProperty) {
+    return Promise.resolve(config.types.subclassOfProperty);
+  }
+  if (!subclassOfLookup) {
+    subclassOfLookup = sparql.select('propertyByLabel', { label: 'subclass of' })
+      .then(bindings => {
+        const property = bindings.length ? entityIdFromIri(bindingValue(bindings[0], 'property')) : null;
+        if (!property) logger.warn('no "subclass of" property; set WIKIBASE_PROPERTY_SUBCLASS_OF to resolve types');
+        return property;
+      })
+      .catch(error => {
+        // Retry on the next request rather than caching the failure
+        subclassOfLookup = null;
+        throw error;
+      });
+  }
+  return subclassOfLookup;
+};
+
+/**
+ * Match an English class label against the type keywords.
+ * The head noun comes last, so "human settlement" is a place.
+ * @param {string|null} label
+ * @returns {string|null} Canonical type key
+ */
+const typeOfLabel = (label) => {
+  const words = (label || '').toLowerCase().split(/[^a-z]+/).filter(Boolean);
+  const matchWord = word => TYPES.find(type => TYPE_KEYWORDS[type].includes(word));
+
+  if (words.length === 0) return null;
+  return matchWord(words[words.length - 1]) || words.map(matchWord).find(Boolean) || null;
+};
+
+/**
+ * The class items of each canonical type: TYPE_CLASSES when set, otherwise
+ * every class in use whose English label names a type, cached like types.
+ * @param {Object} [options]
+ * @param {boolean} [options.bypass=false] - Skip cached results
+ * @returns {Promise<Object>} Item IDs keyed by type, e.g. { person: ['Q5'] }
+ */
+const getTypeClasses = async ({ bypass = false } = {}) => {
+  if (Object.keys(config.types.classes).length) return config.types.classes;
+
+  const subclassOf = await getSubclassOfProperty();
+  if (!subclassOf) return {};
+
+  const { value } = await cache.getOrFetch(
+    'types',
+    { classLabels: 'en' },
+    async () => {
+      const bindings = await sparql.select('classLabels', {
+        instanceOf: config.types.instanceOfProperty,
+        subclassOf
+      });
+      const classes = {};
+      bindings.forEach(binding => {
+        const id = entityIdFromIri(bindingValue(binding, 'class'));
+        const type = typeOfLabel(bindingValue(binding, 'classLabel'));
+        if (id && type) classes[type] = [...(classes[type] || []), id];
+      });
+      return classes;
+    },
+    { bypass }
+  );
+  return value;
+};
+
+/**
+ * Match one class against the class items of each type.
+ * @param {{id: string}} entityClass
+ * @param {Object} typeClasses - See getTypeClasses
+ * @returns {string|null} Canonical type key
+ */
+const typeOfClass = ({ id }, typeClasses) => TYPES
+  .find(type => (typeClasses[type] || []).includes(id)) || null;
+
+/**
+ * Every canonical type an entity has through any of its classes.
+ * @param {Array<{id: string}>} classes
+ * @param {Object} [typeClasses=config.types.classes] - See getTypeClasses
+ * @returns {string[]} Type keys in TYPES order
+ */
+const typesOfClasses = (classes, typeClasses = config.types.classes) => TYPES
+  .filter(type => classes.some(entityClass => typeOfClass(entityClass, typeClasses) === type));
+
+/**
+ * The class items of some canonical types.
+ * @param {string[]} types - Type keys
+ * @param {Object} [typeClasses=config.types.classes] - See getTypeClasses
+ * @returns {string[]} Item IDs
+ */
+const classesOfTypes = (types, typeClasses = config.types.classes) =>
+  types.flatMap(type => typeClasses[type] || []);
+
+/**
+ * Pick the canonical type from an entity's classes.
+ * Direct classes win over inherited ones; ties follow TYPES order.
+ * @param {Array<{id: string, label: string|null, direct: boolean}>} classes
+ * @param {Object} [typeClasses=config.types.classes] - See getTypeClasses
+ * @returns {string|null}
+ */
+const canonicalType = (classes, typeClasses = config.types.classes) => {
+  const matches = classes
+    .map(entityClass => ({ type: typeOfClass(entityClass, typeClasses), direct: entityClass.direct }))
+    .filter(match => match.type);
+
+  if (matches.length === 0) return null;
+
+  matches.sort((a, b) =>
+    Number(b.direct) - Number(a.direct) || TYPES.indexOf(a.type) - TYPES.indexOf(b.type)
+  );
+  return matches[0].type;
+};
+
+/**
+ * Query the class chain of several entities.
+ * @param {string[]} ids - Validated entity IDs
+ * @returns {Promise<Object>} Classes keyed by entity ID
+ */
+const fetchClasses = async (ids) => {
+  const classesById = {};
+  ids.forEach(id => {
+    classesById[id] = {};
+  });
+
+  const subclassOf = await getSubclassOfProperty();
+  const bindings = subclassOf
+    ? await sparql.select('entityClasses', {
+      entityIds: ids,
+      instanceOf: config.types.instanceOfProperty,
+      subclassOf
+    })
+    : [];
+  bindings.forEach(binding => {
+    const entityId = entityIdFromIri(bindingValue(binding, 'entity'));
+    const classId = entityIdFromIri(bindingValue(binding, 'class'));
+    if (!classesById[entityId] || !classId) return;
+
+    const existing = classesById[entityId][classId];
+    classesById[entityId][classId] = {
+      id: classId,
+      label: bindingValue(binding, 'classLabel'),
+      direct: Boolean(existing?.direct) || bindingValue(binding, 'direct') === 'true'
+    };
+  });
+
+  Object.keys(classesById).forEach(id => {
+    classesById[id] = Object.values(classesById[id]);
+  });
+  return classesById;
+};
+
+/**
+ * Resolve the canonical type of several entities.
+ * @param {string[]} ids - Validated entity IDs
+ * @param {Object} [options]
+ * @param {boolean} [options.bypass=false] - Skip cached results
+ * @returns {Promise<Object>} { [id]: { type, classes } }
+ */
+const resolveTypes = async (ids, { bypass = false } = {}) => {
+  const unique = [...new Set(ids)];
+  if (unique.length === 0) return {};
+
+  const { value } = await cache.getOrFetch(
+    'types',
+    { ids: [...unique].sort() },
+    async () => {
+      const [classesById, typeClasses] = await Promise.all([fetchClasses(unique), getTypeClasses({ bypass })]);
+      const resolved = {};
+      Object.entries(classesById).forEach(([id, classes]) => {
+        resolved[id] = { type: canonicalType(classes, typeClasses), classes };
+      });
+      return resolved;
+    },
+    { bypass }
+  );
+  return value;
+};
+
+/**
+ * Resolve the canonical type of one entity.
+ * @param {string} id - Validated entity ID
+ * @param {Object} [options] - See resolveTypes
+ * @returns {Promise<{type: string|null, classes: Object[]}>}
+ */
+const resolveType = async (id, options) => (await resolveTypes([id], options))[id];
+
+module.exports = {
+  TYPES,
+  TYPE_KEYWORDS,
+  getSubclassOfProperty,
+  getTypeClasses,
+  canonicalType,
+  typesOfClasses,
+  classesOfTypes,
+  resolveTypes,
+  resolveType
+};
@@ -0,0 +1,266 @@
+/**
+ * Medieval Charters Knowledge Graph - Upstream Client
+ * Shared HTTP client for the Wikibase API, the Wikibase query service (with
+ * queries federated to the Wikidata SERVICE and the user queries proxied at
+ * /api/sparql as targets of their own) and the Wikidata API. Every request
+ * gets the timeout of its target, idempotent requests are retried with
+ * jittered backoff, and each target has a circuit breaker that fails fast
+ * while the service is down.
+ *
+ * Each attempt is logged with its duration, and carries the X-Request-Id of
+ * the request it is made for so the services' logs can be matched to ours.
+ */
+const axios = require('axios');
+const config = require('../config');
+const logger = require('../utils/logger');
+const metrics = require('./metrics');
+const requestContext = require('../utils/requestContext');
+
+const CLOSED = 'closed';
+const OPEN = 'open';
+const HALF_OPEN = 'half-open';
+
+/**
+ * Error thrown without contacting a target whose circuit is open
+ */
+class CircuitOpenError extends Error {
+  constructor(target, retryAfter) {
+    super(`${target} is unavailable; retry in ${retryAfter} seconds`);
+    this.name = 'CircuitOpenError';
+    this.target = target;
+    // Seconds until the breaker lets a trial request through
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Breaker state and counters per target
+const breakers = {};
+
+const breakerFor = (target) => {
+  if (!breakers[target]) {
+    breakers[target] = {
+      state: CLOSED,
+      failures: 0,
+      openedAt: null,
+      trialInFlight: false,
+      stats: { requests: 0, failures: 0, timeouts: 0, retries: 0, shortCircuited: 0, transitions: {} }
+    };
+    metrics.recordCircuitState(target, CLOSED);
+  }
+  return breakers[target];
+};
+
+/**
+ * Move a breaker to a new state, counting and logging the transition.
+ * @param {string} target
+ * @param {Object} breaker
+ * @param {string} state
+ */
+const transition = (target, breaker, state) => {
+  const name = `${breaker.state}->${state}`;
+  breaker.stats.transitions[name] = (breaker.stats.transitions[name] || 0) + 1;
+  logger.warn('upstream circuit', { target, transition: name });
+  metrics.recordCircuitState(target, state);
+
+  breaker.state = state;
+  breaker.trialInFlight = false;
+  if (state === OPEN) breaker.openedAt = Date.now();
+  if (state === CLOSED) breaker.failures = 0;
+};
+
+/**
+ * Whether a failed request says something about the health of the service.
+ * Client errors (4xx other than 429) are the caller's fault and do not count.
+ * @param {Error} error - axios error
+ * @returns {boolean}
+ */
+const isServiceFailure = (error) => {
+  if (!error.response) return Boolean(error.request || error.code === 'ECONNABORTED');
+  return error.response.status >= 500 || error.response.status === 429;
+};
+
+const isTimeout = error => error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+
+/**
+ * Full-jitter exponential backoff.
+ * @param {number} attempt - 0 for the first retry
+ * @returns {number} Milliseconds to wait
+ */
+const backoff = (attempt) => {
+  const { retryDelayMs, maxRetryDelayMs } = config.upstream;
+  return Math.random() * Math.min(maxRetryDelayMs, retryDelayMs * 2 ** attempt);
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Let a request through the breaker, or throw CircuitOpenError.
+ * @param {string} target
+ * @param {Object} breaker
+ */
+const admit = (target, breaker) => {
+  if (breaker.state === CLOSED) return;
+
+  const resetMs = config.upstream.breaker.resetSeconds * 1000;
+  const waited = Date.now() - breaker.openedAt;
+  if (breaker.state === OPEN && waited >= resetMs) {
+    transition(target, breaker, HALF_OPEN);
+  }
+
+  // Half-open: a single trial request decides whether the circuit closes again
+  if (breaker.state === HALF_OPEN && !breaker.trialInFlight) {
+    breaker.trialInFlight = true;
+    return;
+  }
+
+  breaker.stats.shortCircuited += 1;
+  metrics.recordShortCircuit(target);
+  throw new CircuitOpenError(target, Math.max(1, Math.ceil((resetMs - waited) / 1000)));
+};
+
+/**
+ * Record the outcome of a request that went through the breaker.
+ * @param {string} target
+ * @param {Object} breaker
+ * @param {Error|null} error
+ */
+const settle = (target, breaker, error) => {
+  if (!error || !isServiceFailure(error)) {
+    if (breaker.state !== CLOSED) transition(target, breaker, CLOSED);
+    breaker.failures = 0;
+    return;
+  }
+
+  breaker.stats.failures += 1;
+  if (isTimeout(error)) breaker.stats.timeouts += 1;
+  breaker.failures += 1;
+
+  const tripped = breaker.state === CLOSED && breaker.failures >= config.upstream.breaker.failureThreshold;
+  if (tripped || breaker.state === HALF_OPEN) {
+    transition(target, breaker, OPEN);
+  }
+};
+
+/**
+ * Log one attempt with its duration, record it in the metrics and add it to
+ * the request's upstream totals.
+ * @param {Object} call - { target, method, url, params, attempt, context, start }
+ * @param {Object|null} response - axios response
+ * @param {Error|null} error
+ */
+const logAttempt = ({ target, method, url, params, attempt, context, start }, response, error) => {
+  const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+  metrics.recordUpstream(target, durationMs / 1000, error);
+  if (context) {
+    context.upstream.calls += 1;
+    context.upstream.durationMs += durationMs;
+  }
+
+  logger[error ? 'warn' : 'info']('upstream', {
+    target,
+    method,
+    url: logger.redactUrl(url, params),
+    status: (response || error.response)?.status,
+    durationMs: Math.round(durationMs),
+    attempt: attempt + 1,
+    error: error ? error.code || error.message : undefined
+  });
+};
+
+/**
+ * Send a request to an upstream target.
+ * @param {string} target - wikibase, sparql, sparqlProxy, federation or wikidata; selects the timeout and breaker
+ * @param {Object} request - axios request config: method, url, params, data, headers, ...
+ * @param {Object} [options]
+ * @param {boolean} [options.idempotent] - Retry on failure; GET requests are idempotent by default
+ * @returns {Promise<Object>} axios response
+ * @throws {CircuitOpenError} While the target's circuit is open
+ */
+const send = async (target, request, { idempotent = request.method === 'get' } = {}) => {
+  const breaker = breakerFor(target);
+  const retries = idempotent ? config.upstream.retries : 0;
+  const { method, url, data, ...options } = request;
+
+  for (let attempt = 0; ; attempt += 1) {
+    admit(target, breaker);
+    breaker.stats.requests += 1;
+
+    const context = requestContext.current();
+    const requestOptions = { timeout: config.upstream.timeoutMs[target], ...options };
+    if (context) {
+      requestOptions.headers = { ...requestOptions.headers, 'X-Request-Id': context.requestId };
+    }
+    const call = { target, method, url, params: options.params, attempt, context, start: process.hrtime.bigint() };
+
+    try {
+      const response = method === 'post'
+        ? await axios.post(url, data, requestOptions)
+        : await axios.get(url, requestOptions);
+      logAttempt(call, response, null);
+      settle(target, breaker, null);
+      return response;
+    } catch (error) {
+      logAttempt(call, null, error);
+      settle(target, breaker, error);
+      if (attempt >= retries || !isServiceFailure(error) || breaker.state !== CLOSED) {
+        // Lets the error handler name the service that failed
+        error.upstreamTarget = target;
+        throw error;
+      }
+      breaker.stats.retries += 1;
+      await sleep(backoff(attempt));
+    }
+  }
+};
+
+/**
+ * GET from an upstream target, with retries.
+ * @param {string} target
+ * @param {string} url
+ * @param {Object} [options] - axios request options (params, headers, timeout, ...)
+ * @returns {Promise<Object>} axios response
+ */
+const get = (target, url, options = {}) => send(target, { ...options, method: 'get', url });
+
+/**
+ * POST to an upstream target; retried only when marked idempotent.
+ * @param {string} target
+ * @param {string} url
+ * @param {*} data - Request body
+ * @param {Object} [options] - axios request options, plus idempotent
+ * @returns {Promise<Object>} axios response
+ */
+const post = (target, url, data, { idempotent = false, ...options } = {}) =>
+  send(target, { ...options, method: 'post', url, data }, { idempotent });
+
+/**
+ * Breaker states and request counters per target.
+ * @returns {Object}
+ */
+const getStats = () => Object.fromEntries(Object.entries(breakers).map(([target, breaker]) => [
+  target,
+  {
+    state: breaker.state,
+    consecutiveFailures: breaker.failures,
+    openedAt: breaker.openedAt && new Date(breaker.openedAt).toISOString(),
+    ...breaker.stats
+  }
+]));
+
+/**
+ * Close every circuit and clear the counters.
+ */
+const reset = () => {
+  Object.keys(breakers).forEach(target => {
+    metrics.recordCircuitState(target, CLOSED);
+    delete breakers[target];
+  });
+};
+
+module.exports = {
+  CircuitOpenError,
+  get,
+  post,
+  getStats,
+  reset
+};
@@ -0,0 +1,123 @@
+/**
+ * Medieval Charters Knowledge Graph - Wikibase API Client
+ * Batch entity lookups through the wbgetentities action of the Wikibase API,
+ * or from the local snapshot when DATA_SOURCE=snapshot.
+ */
+const config = require('../config');
+const cache = require('./cache');
+const upstream = require('./upstream');
+const snapshot = require('./snapshot');
+
+// wbgetentities accepts at most this many IDs per request
+const CHUNK_SIZE = 50;
+
+/**
+ * Error reported by the Wikibase API in a successful HTTP response
+ */
+class WikibaseApiError extends Error {
+  constructor(apiError) {
+    super(apiError.info || 'Wikibase API error');
+    this.name = 'WikibaseApiError';
+    this.code = apiError.code;
+  }
+}
+
+/**
+ * Split a list into chunks.
+ * @param {Array} items
+ * @param {number} size
+ * @returns {Array[]}
+ */
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+/**
+ * Fetch one chunk of entities, using the cache.
+ * @returns {Promise<{value: Object, hit: boolean}>}
+ */
+const fetchChunk = (ids, { props, languages, bypass }) => cache.getOrFetch(
+  'entities',
+  { ids: [...ids].sort(), props, languages },
+  async () => {
+    const response = await upstream.get('wikibase', config.wikibase.apiUrl, {
+      params: {
+        action: 'wbgetentities',
+        ids: ids.join('|'),
+        ...(props.length && { props: props.join('|') }),
+        ...(languages.length && { languages: languages.join('|') }),
+        format: 'json'
+      }
+    });
+
+    if (response.data.error) {
+      throw new WikibaseApiError(response.data.error);
+    }
+    return response.data.entities || {};
+  },
+  { bypass }
+);
+
+/**
+ * Look entities up in the served snapshot, in the wbgetentities shape.
+ * @returns {{entities: Object, missing: string[], hit: boolean}}
+ * @throws {SnapshotError} When the snapshot cannot be read
+ */
+const entitiesFromSnapshot = (ids, { props, languages }) => {
+  const records = snapshot.loadSnapshot().entities;
+  const entities = {};
+  const missing = [];
+  ids.forEach(id => {
+    if (records[id]) {
+      entities[id] = snapshot.expandEntity(records[id], { props, languages });
+    } else {
+      missing.push(id);
+    }
+  });
+  return { entities, missing, hit: true };
+};
+
+/**
+ * Fetch many entities with wbgetentities, 50 IDs per request.
+ * @param {string[]} ids - Validated entity IDs
+ * @param {Object} [options]
+ * @param {string[]} [options.props=[]] - wbgetentities props; all props when empty
+ * @param {string[]} [options.languages=[]] - Term languages; all languages when empty
+ * @param {boolean} [options.bypass=false] - Skip cached chunks
+ * @param {boolean} [options.live=false] - Always ask Wikibase, even in snapshot mode (harvesting)
+ * @returns {Promise<{entities: Object, missing: string[], hit: boolean}>} Entities keyed by ID
+ */
+const getEntities = async (ids, { props = [], languages = [], bypass = false, live = false } = {}) => {
+  const unique = [...new Set(ids)];
+  if (!live && snapshot.isSnapshotMode()) {
+    return entitiesFromSnapshot(unique, { props, languages });
+  }
+
+  const results = await Promise.all(
+    chunk(unique, CHUNK_SIZE).map(ids => fetchChunk(ids, { props, languages, bypass }))
+  );
+
+  const entities = {};
+  const missing = [];
+  results.forEach(({ value }) => {
+    Object.entries(value).forEach(([id, entity]) => {
+      if (entity.missing !== undefined) {
+        missing.push(id);
+      } else {
+        entities[id] = entity;
+      }
+    });
+  });
+
+  return { entities, missing, hit: results.every(({ hit }) => hit) };
+};
+
+module.exports = {
+  CHUNK_SIZE,
+  WikibaseApiError,
+  getEntities
+};
@@ -0,0 +1,88 @@
+/**
+ * Medieval Charters Knowledge Graph - SPARQL Binding Helpers
+ * Small helpers for turning SPARQL JSON results into plain values.
+ */
+const { isEntityId } = require('./templates');
+
+// Wikibase ontology datatypes and the names the Wikibase API uses for them
+const DATATYPES = {
+  WikibaseItem: 'wikibase-item',
+  WikibaseProperty: 'wikibase-property',
+  WikibaseLexeme: 'wikibase-lexeme',
+  WikibaseForm: 'wikibase-form',
+  WikibaseSense: 'wikibase-sense',
+  String: 'string',
+  ExternalId: 'external-id',
+  Url: 'url',
+  Time: 'time',
+  Quantity: 'quantity',
+  GlobeCoordinate: 'globe-coordinate',
+  Monolingualtext: 'monolingualtext',
+  CommonsMedia: 'commonsMedia',
+  GeoShape: 'geo-shape',
+  TabularData: 'tabular-data',
+  Math: 'math',
+  MusicalNotation: 'musical-notation',
+  EntitySchema: 'entity-schema'
+};
+
+/**
+ * Read the value of a variable from a binding.
+ * @param {Object} binding - One entry of results.bindings
+ * @param {string} name - Variable name without the ?
+ * @returns {string|null}
+ */
+const bindingValue = (binding, name) => (binding[name] ? binding[name].value : null);
+
+/**
+ * Extract the entity ID from a Wikibase entity IRI.
+ * @param {string} iri - e.g. https://medievalcharterskg.wikibase.cloud/entity/Q42
+ * @returns {string|null} e.g. Q42, or null when the IRI is not an entity IRI
+ */
+const entityIdFromIri = (iri) => {
+  if (typeof iri !== 'string') return null;
+  const id = iri.slice(iri.lastIndexOf('/') + 1);
+  return isEntityId(id) ? id : null;
+};
+
+/**
+ * Convert a wikibase:propertyType IRI to the Wikibase API datatype name.
+ * @param {string} iri - e.g. http://wikiba.se/ontology#WikibaseItem
+ * @returns {string|null} e.g. wikibase-item
+ */
+const datatypeFromIri = (iri) => {
+  if (typeof iri !== 'string') return null;
+  const name = iri.slice(iri.lastIndexOf('#') + 1);
+  return DATATYPES[name] || name;
+};
+
+/**
+ * Parse a WKT point literal as used by P625.
+ * WKT puts longitude first: Point(-5.8447 43.3614).
+ * @param {string} wkt - WKT literal, optionally prefixed with a CRS IRI
+ * @returns {{lat: number, lng: number}|null}
+ */
+const parseWktPoint = (wkt) => {
+  const match = /Point\(\s*(-?[\d.]+(?:e-?\d+)?)\s+(-?[\d.]+(?:e-?\d+)?)\s*\)/i.exec(wkt || '');
+  if (!match) return null;
+  return { lat: parseFloat(match[2]), lng: parseFloat(match[1]) };
+};
+
+/**
+ * Read the year of a Wikibase time value.
+ * @param {string} value - xsd:dateTime literal, e.g. 1150-01-01T00:00:00Z or -0200-01-01T00:00:00Z
+ * @returns {number|null}
+ */
+const parseYear = (value) => {
+  const match = /^([+-]?\d+)-\d{2}-\d{2}T/.exec(value || '');
+  return match ? parseInt(match[1], 10) : null;
+};
+
+module.exports = {
+  DATATYPES,
+  bindingValue,
+  entityIdFromIri,
+  datatypeFromIri,
+  parseWktPoint,
+  parseYear
+};
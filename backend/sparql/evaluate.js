@@ -0,0 +1,269 @@
+/**
+ * Medieval Charters Knowledge Graph - Template Evaluation
+ * Answers the SPARQL templates of sparql/templates.js in JavaScript over
+ * snapshot-format data, without a triple store: the served snapshot when
+ * DATA_SOURCE=snapshot (services/sparql) and the fixtures of the Wikibase
+ * stand-in. Each evaluator gives the bindings the query service would.
+ */
+const { templates, serialiseValues } = require('./templates');
+const { namespaces, RDF } = require('../rdf/ntriples');
+const { pickTerm, entityPropertiesFromSnapshot } = require('../services/snapshot');
+const { DATATYPES, parseYear } = require('./bindings');
+
+const XSD_BOOLEAN = 'http://www.w3.org/2001/XMLSchema#boolean';
+
+// Wikibase API datatype names and their ontology names (wikibase-item -> WikibaseItem)
+const ONTOLOGY_TYPES = Object.fromEntries(
+  Object.entries(DATATYPES).map(([ontologyName, apiName]) => [apiName, ontologyName])
+);
+
+const asList = value => (Array.isArray(value) ? value : [value]);
+const asLanguages = value => (Array.isArray(value) ? value : String(value).split(','));
+
+// The values buildQuery accepts for each parameter type, in the form the evaluators read
+const VALUE_READERS = {
+  languages: asLanguages,
+  languageTags: value => asLanguages(value).map(language => language.toLowerCase()),
+  entityList: asList,
+  propertyList: asList,
+  itemList: asList,
+  integer: Number
+};
+
+/**
+ * Check the values of a template and read them in the form the evaluators expect.
+ * @param {string} name - Template name
+ * @param {Object} values - Values as given to buildQuery
+ * @returns {Object}
+ * @throws {SparqlTemplateError} When the template is unknown or a value is missing or invalid
+ */
+const readValues = (name, values) => {
+  serialiseValues(name, values);
+  return Object.fromEntries(Object.entries(templates[name].params).map(([param, type]) => [
+    param,
+    VALUE_READERS[type] ? VALUE_READERS[type](values[param]) : values[param]
+  ]));
+};
+
+/**
+ * Evaluate template queries against snapshot-format data.
+ * @param {Object} data - A harvested snapshot or the stand-in fixtures: { entities, coordinates }
+ * @returns {Object} Evaluators keyed by template name, each taking the template values
+ *          (see readValues) and returning { vars, bindings }
+ */
+const createEvaluators = (data) => {
+  const { entities, coordinates } = data;
+  const ns = namespaces();
+
+  const uri = id => ({ type: 'uri', value: `${ns.entity}${id}` });
+  const literal = (value, extra = {}) => ({ type: 'literal', value: String(value), ...extra });
+  const claimsOf = (id, propertyId) => (entities[id]?.claims?.[propertyId] || []).map(({ value }) => value);
+  const datatypeOf = propertyId => entities[propertyId]?.datatype;
+
+  // wikibase:label binds the label in the first language found, else the entity ID
+  const label = (id, languages) => {
+    const term = pickTerm(entities[id]?.labels, languages);
+    return term ? literal(term.value, { 'xml:lang': term.language }) : literal(id);
+  };
+  const englishLabel = id => entities[id]?.labels?.en !== undefined
+    ? { classLabel: literal(entities[id].labels.en, { 'xml:lang': 'en' }) }
+    : {};
+
+  const valueTerm = ({ value, datatype }) => {
+    if (datatype.startsWith('wikibase-')) return uri(value);
+    if (datatype === 'time') return literal(value, { datatype: RDF.dateTime });
+    if (datatype === 'quantity') return literal(value, { datatype: RDF.decimal });
+    if (datatype === 'monolingualtext') return literal(value.text, { 'xml:lang': value.language });
+    if (datatype === 'globe-coordinate') {
+      return literal(`Point(${value.lng} ${value.lat})`, { datatype: RDF.wktLiteral });
+    }
+    if (datatype === 'url') return { type: 'uri', value };
+    return literal(value);
+  };
+  const valueLabel = (claim, languages) => (claim.datatype.startsWith('wikibase-')
+    ? label(claim.value, languages)
+    : literal(valueTerm(claim).value));
+
+  const point = wikidataId => coordinates[wikidataId] &&
+    literal(`Point(${coordinates[wikidataId].lng} ${coordinates[wikidataId].lat})`, { datatype: RDF.wktLiteral });
+
+  // Item-valued claims as [source, property, target]
+  const itemClaims = (filter) => Object.values(entities).flatMap(entity =>
+    Object.entries(entity.claims || {})
+      .filter(([propertyId]) => datatypeOf(propertyId) === 'wikibase-item')
+      .flatMap(([propertyId, claims]) => claims.map(({ value }) => [entity.id, propertyId, value]))
+  ).filter(filter);
+
+  const edges = ({ entityIds, properties, languages, limit }, end) => ({
+    vars: ['source', 'property', 'propertyLabel', 'target'],
+    bindings: itemClaims(claim =>
+      entityIds.includes(claim[end]) && (properties.length === 0 || properties.includes(claim[1]))
+    ).slice(0, limit).map(([source, property, target]) => ({
+      source: uri(source),
+      property: uri(property),
+      propertyLabel: label(property, languages),
+      target: uri(target)
+    }))
+  });
+
+  // Classes reachable from a class through subclassOf*, including itself
+  const superclasses = (classId, subclassOf) => {
+    const found = [classId];
+    for (let i = 0; i < found.length; i += 1) {
+      claimsOf(found[i], subclassOf).forEach(parent => {
+        if (!found.includes(parent)) found.push(parent);
+      });
+    }
+    return found;
+  };
+
+  return {
+    // The live query leaves the coordinates to entityCoordinates
+    entityProperties: ({ entityId, languages }) => {
+      const { head, results } = entityPropertiesFromSnapshot(data, entityId, languages);
+      const seen = new Set();
+      const bindings = results.bindings
+        .map(({ coord, placeCoord, ...binding }) => binding)
+        .filter(binding => {
+          const key = JSON.stringify(binding);
+          return !seen.has(key) && seen.add(key);
+        });
+      return { vars: head.vars, bindings };
+    },
+
+    entityClaims: ({ entityId, languages }) => ({
+      vars: ['property', 'propertyLabel', 'datatype', 'value', 'valueLabel'],
+      bindings: Object.entries(entities[entityId]?.claims || {})
+        .filter(([propertyId]) => datatypeOf(propertyId))
+        .flatMap(([propertyId, claims]) => claims.map(claim => ({
+          property: uri(propertyId),
+          propertyLabel: label(propertyId, languages),
+          datatype: { type: 'uri', value: `${RDF.ontology}${ONTOLOGY_TYPES[datatypeOf(propertyId)]}` },
+          value: valueTerm(claim),
+          valueLabel: valueLabel(claim, languages)
+        })))
+    }),
+
+    entityTerms: ({ entityId, languageTags }) => {
+      const entity = entities[entityId] || {};
+      const bindings = [];
+      languageTags.forEach(language => {
+        const add = (term, text) => bindings.push({ term: literal(term), text: literal(text, { 'xml:lang': language }) });
+        if (entity.labels?.[language] !== undefined) add('label', entity.labels[language]);
+        if (entity.descriptions?.[language] !== undefined) add('description', entity.descriptions[language]);
+        (entity.aliases?.[language] || []).forEach(alias => add('alias', alias));
+      });
+      return { vars: ['term', 'text'], bindings };
+    },
+
+    entityClasses: ({ entityIds, instanceOf, subclassOf }) => ({
+      vars: ['entity', 'class', 'classLabel', 'direct'],
+      bindings: entityIds.flatMap(entityId => claimsOf(entityId, instanceOf).flatMap(directClass =>
+        superclasses(directClass, subclassOf).map(classId => ({
+          entity: uri(entityId),
+          class: uri(classId),
+          ...englishLabel(classId),
+          direct: literal(classId === directClass, { datatype: XSD_BOOLEAN })
+        }))
+      ))
+    }),
+
+    classLabels: ({ instanceOf, subclassOf }) => {
+      const classIds = new Set(Object.keys(entities).flatMap(entityId =>
+        claimsOf(entityId, instanceOf).flatMap(directClass => superclasses(directClass, subclassOf))
+      ));
+      return {
+        vars: ['class', 'classLabel'],
+        bindings: [...classIds]
+          .filter(classId => entities[classId]?.labels?.en !== undefined)
+          .map(classId => ({ class: uri(classId), ...englishLabel(classId) }))
+      };
+    },
+
+    propertyByLabel: ({ label: text }) => ({
+      vars: ['property'],
+      bindings: Object.values(entities)
+        .filter(entity => entity.type === 'property' && entity.labels?.en === text)
+        .slice(0, 1)
+        .map(entity => ({ property: uri(entity.id) }))
+    }),
+
+    entityCoordinates: ({ entityId }) => {
+      const sources = [
+        ...claimsOf(entityId, 'P2').map(wikidataId => ({ source: 'P2', wikidataId })),
+        ...claimsOf(entityId, 'P55').flatMap(residence =>
+          claimsOf(residence, 'P2').map(wikidataId => ({ source: 'P55', wikidataId }))
+        )
+      ];
+      return {
+        vars: ['source', 'wikidataId', 'coord'],
+        bindings: sources.filter(({ wikidataId }) => coordinates[wikidataId]).map(({ source, wikidataId }) => ({
+          source: literal(source),
+          wikidataId: literal(wikidataId),
+          coord: point(wikidataId)
+        }))
+      };
+    },
+
+    facetClaims: ({ entityIds, placeProperties, dateProperties, languages }) => {
+      const bindings = [];
+      entityIds.forEach(entityId => {
+        Object.entries(entities[entityId]?.claims || {}).forEach(([propertyId, claims]) => {
+          if (!datatypeOf(propertyId)) return;
+          const row = (facet, value, extra = {}) => bindings.push({ entity: uri(entityId), facet: literal(facet), value, ...extra });
+
+          if (datatypeOf(propertyId) === 'wikibase-item' && placeProperties.includes(propertyId)) {
+            claims.forEach(({ value }) => row('place', uri(value), { valueLabel: label(value, languages) }));
+          }
+          if (datatypeOf(propertyId) === 'time' && (dateProperties.length === 0 || dateProperties.includes(propertyId))) {
+            claims.forEach(claim => row('date', valueTerm(claim)));
+          }
+          row('property', uri(propertyId), { valueLabel: label(propertyId, languages) });
+        });
+      });
+      return { vars: ['entity', 'facet', 'value', 'valueLabel'], bindings };
+    },
+
+    facetFilter: values => {
+      const claimsIn = (entityId, properties, datatype) => Object.entries(entities[entityId]?.claims || {})
+        .filter(([propertyId]) => (properties.length === 0 || properties.includes(propertyId)) &&
+          (!datatype || datatypeOf(propertyId) === datatype))
+        .flatMap(([, claims]) => claims.map(({ value }) => value));
+
+      const passes = entityId => [
+        !values.byType || claimsOf(entityId, values.instanceOf).some(directClass =>
+          superclasses(directClass, values.subclassOf).some(classId => values.typeClasses.includes(classId))
+        ),
+        !values.byPlace || claimsIn(entityId, values.placeProperties).some(place => values.places.includes(place)),
+        !values.byDate || claimsIn(entityId, values.dateProperties, 'time').some(time => {
+          const year = parseYear(time);
+          return year !== null && year >= values.fromYear && year <= values.toYear;
+        }),
+        !values.byProperty || values.requiredProperties.every(propertyId => claimsOf(entityId, propertyId).length > 0)
+      ].every(Boolean);
+
+      return {
+        vars: ['entity'],
+        bindings: values.entityIds.filter(passes).map(entityId => ({ entity: uri(entityId) }))
+      };
+    },
+
+    graphOutgoing: values => edges(values, 0),
+
+    graphIncoming: values => edges(values, 2),
+
+    entityIdsPage: ({ limit, offset }) => ({
+      vars: ['entity'],
+      bindings: Object.keys(entities)
+        .map(id => `${ns.entity}${id}`)
+        .sort()
+        .slice(offset, offset + limit)
+        .map(value => ({ entity: { type: 'uri', value } }))
+    })
+  };
+};
+
+module.exports = {
+  createEvaluators,
+  readValues
+};
@@ -0,0 +1,264 @@
+/**
+ * Medieval Charters Knowledge Graph - SPARQL Query Guard
+ * Inspects user-supplied SPARQL before it is proxied to the Wikibase query service.
+ * Only read-only query forms are accepted, SELECT queries are capped with a
+ * maximum LIMIT so a single request cannot pull the whole graph, and SERVICE
+ * clauses may only call the label service or an allow-listed endpoint, so the
+ * query service cannot be used to reach arbitrary hosts.
+ */
+
+// Query forms that may be forwarded to the query service
+const READ_FORMS = ['SELECT', 'ASK'];
+
+// Forms that are read-only in SPARQL but not supported by this proxy
+const UNSUPPORTED_FORMS = ['CONSTRUCT', 'DESCRIBE'];
+
+// Keywords that only appear in SPARQL 1.1 Update requests
+const UPDATE_KEYWORDS = [
+  'INSERT', 'DELETE', 'LOAD', 'CLEAR', 'CREATE', 'DROP',
+  'COPY', 'MOVE', 'ADD'
+];
+
+// Keywords allowed in the prologue before the query form
+const PROLOGUE_KEYWORDS = ['BASE', 'PREFIX'];
+
+// Matches an IRI reference starting at the current position
+const IRI_PATTERN = /^<[^<>"{}|^`\\\s]*>/;
+
+// The label service runs inside the query service and is always allowed
+const LABEL_SERVICE = 'http://wikiba.se/ontology#label';
+
+// Prefixes the query service predefines, for SERVICE names used without a PREFIX declaration
+const PREDEFINED_PREFIXES = { wikibase: 'http://wikiba.se/ontology#' };
+
+// A PREFIX declaration, read from the original query at the offset of its keyword
+const PREFIX_PATTERN = /^PREFIX\s+([A-Za-z][\w.-]*)?:\s*<([^<>"{}|^`\\\s]*)>/i;
+
+// The target of a SERVICE clause: an IRI, a prefixed name or a variable
+const SERVICE_PATTERN = /^SERVICE\s+(?:SILENT\s+)?(?:<([^<>"{}|^`\\\s]*)>|([A-Za-z][\w.-]*)?:([\w.-]*)|[?$]\w+)/i;
+
+/**
+ * Error raised when a query is rejected by the guard
+ */
+class SparqlGuardError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SparqlGuardError';
+  }
+}
+
+/**
+ * Blank out comments, string literals and IRIs while keeping every character
+ * offset intact, so keyword scanning never matches text inside them and the
+ * offsets found can be used to edit the original query.
+ * @param {string} query - Raw SPARQL query
+ * @returns {string} Query of the same length with opaque sections replaced by spaces
+ */
+const maskQuery = (query) => {
+  let masked = '';
+  let i = 0;
+
+  const blank = (text) => text.replace(/[^\n]/g, ' ');
+
+  while (i < query.length) {
+    const char = query[i];
+
+    // Comments run to the end of the line
+    if (char === '#') {
+      const end = query.indexOf('\n', i);
+      const stop = end === -1 ? query.length : end;
+      masked += blank(query.slice(i, stop));
+      i = stop;
+      continue;
+    }
+
+    // String literals, including the long ''' and """ forms
+    if (char === '"' || char === "'") {
+      const long = query.startsWith(char.repeat(3), i);
+      const delimiter = long ? char.repeat(3) : char;
+      let j = i + delimiter.length;
+      while (j < query.length && !query.startsWith(delimiter, j)) {
+        if (query[j] === '\\') j++;
+        if (!long && query[j] === '\n') break;
+        j++;
+      }
+      const stop = Math.min(j + delimiter.length, query.length);
+      masked += blank(query.slice(i, stop));
+      i = stop;
+      continue;
+    }
+
+    // IRIs (a bare '<' is a comparison operator and is kept)
+    if (char === '<') {
+      const match = IRI_PATTERN.exec(query.slice(i));
+      if (match) {
+        masked += blank(match[0]);
+        i += match[0].length;
+        continue;
+      }
+    }
+
+    masked += char;
+    i++;
+  }
+
+  return masked;
+};
+
+/**
+ * List the bare keywords of a masked query with their offsets.
+ * Variables (?x, $x) and prefixed names (wd:Q1) are not keywords.
+ * @param {string} masked - Output of maskQuery
+ * @returns {Array<{word: string, index: number}>}
+ */
+const findKeywords = (masked) => {
+  const keywords = [];
+  const tokenPattern = /[?$]?[A-Za-z_][\w-]*(?::[\w.-]*)?|:[\w.-]*/g;
+  let match;
+  while ((match = tokenPattern.exec(masked)) !== null) {
+    const token = match[0];
+    if (token.startsWith('?') || token.startsWith('$') || token.includes(':')) {
+      continue;
+    }
+    keywords.push({ word: token.toUpperCase(), index: match.index });
+  }
+  return keywords;
+};
+
+/**
+ * Resolve the endpoint of every SERVICE clause.
+ * Prefixed names resolve through the query's PREFIX declarations, then the
+ * predefined prefixes; a variable or an unknown prefix resolves to null.
+ * @param {string} query - Raw SPARQL query
+ * @param {Array<{word: string, index: number}>} keywords - Output of findKeywords
+ * @returns {Array<string|null>} Endpoint IRI of each SERVICE clause, in order
+ */
+const findServices = (query, keywords) => {
+  const prefixes = { ...PREDEFINED_PREFIXES };
+  keywords.filter(({ word }) => word === 'PREFIX').forEach(({ index }) => {
+    const match = PREFIX_PATTERN.exec(query.slice(index));
+    if (match) prefixes[match[1] || ''] = match[2];
+  });
+
+  return keywords.filter(({ word }) => word === 'SERVICE').map(({ index }) => {
+    const match = SERVICE_PATTERN.exec(query.slice(index));
+    if (!match) return null;
+    if (match[1] !== undefined) return match[1];
+    if (match[3] !== undefined && prefixes[match[2] || ''] !== undefined) {
+      return `${prefixes[match[2] || '']}${match[3]}`;
+    }
+    return null;
+  });
+};
+
+/**
+ * Locate the closing brace of the outermost WHERE group.
+ * Top-level groups introduced by a trailing VALUES clause are skipped.
+ * @param {string} masked - Output of maskQuery
+ * @returns {number} Offset of the closing brace, or -1 when there is none
+ */
+const findWhereEnd = (masked) => {
+  let depth = 0;
+  let groupStart = -1;
+  let previousEnd = 0;
+  let whereEnd = -1;
+
+  for (let i = 0; i < masked.length; i++) {
+    if (masked[i] === '{') {
+      if (depth === 0) groupStart = i;
+      depth++;
+    } else if (masked[i] === '}') {
+      depth--;
+      if (depth === 0) {
+        const lead = masked.slice(previousEnd, groupStart);
+        if (!/\bVALUES\b/i.test(lead)) whereEnd = i;
+        previousEnd = i + 1;
+      }
+    }
+  }
+  return whereEnd;
+};
+
+/**
+ * Validate a query and apply the proxy's limits.
+ * @param {string} query - Raw SPARQL query from the client
+ * @param {Object} options
+ * @param {number} options.maxLimit - Highest LIMIT a SELECT query may use
+ * @param {string[]} [options.allowedServices=[]] - Endpoints SERVICE clauses may call besides the label service
+ * @returns {{form: string, query: string}} Query form and the query to forward
+ * @throws {SparqlGuardError} When the query is empty, malformed, not read-only or calls another endpoint
+ */
+const prepareQuery = (query, { maxLimit, allowedServices = [] }) => {
+  if (typeof query !== 'string' || !query.trim()) {
+    throw new SparqlGuardError('Query is required');
+  }
+
+  const masked = maskQuery(query);
+  const keywords = findKeywords(masked);
+
+  const update = keywords.find(({ word }) => UPDATE_KEYWORDS.includes(word));
+  if (update) {
+    throw new SparqlGuardError(`SPARQL Update is not allowed (found ${update.word})`);
+  }
+
+  const allowed = [LABEL_SERVICE, ...allowedServices];
+  const services = findServices(query, keywords);
+  const denied = services.findIndex(service => !allowed.includes(service));
+  if (denied !== -1) {
+    const endpoint = services[denied];
+    throw new SparqlGuardError(
+      `SERVICE ${endpoint ? `<${endpoint}>` : 'with a variable or unknown prefix'} is not allowed; ` +
+      `allowed services: wikibase:label${allowedServices.map(service => `, <${service}>`).join('')}`
+    );
+  }
+
+  const formKeyword = keywords.find(({ word }) => !PROLOGUE_KEYWORDS.includes(word));
+  const form = formKeyword ? formKeyword.word : null;
+
+  if (UNSUPPORTED_FORMS.includes(form)) {
+    throw new SparqlGuardError(`${form} queries are not supported, use SELECT or ASK`);
+  }
+  if (!READ_FORMS.includes(form)) {
+    throw new SparqlGuardError('Query must be a SELECT or ASK query');
+  }
+
+  const whereEnd = findWhereEnd(masked);
+  if (whereEnd === -1) {
+    throw new SparqlGuardError('Query has no WHERE clause');
+  }
+
+  if (form !== 'SELECT') {
+    return { form, query };
+  }
+
+  // Solution modifiers follow the WHERE group; a trailing VALUES block must stay last
+  const tail = masked.slice(whereEnd + 1);
+  const valuesMatch = /\bVALUES\b/i.exec(tail);
+  const modifiers = valuesMatch ? tail.slice(0, valuesMatch.index) : tail;
+  const limitMatch = /\bLIMIT\s+(\d+)/i.exec(modifiers);
+
+  if (limitMatch) {
+    if (Number(limitMatch[1]) <= maxLimit) {
+      return { form, query };
+    }
+    const start = whereEnd + 1 + limitMatch.index;
+    const end = start + limitMatch[0].length;
+    return {
+      form,
+      query: `${query.slice(0, start)}LIMIT ${maxLimit}${query.slice(end)}`
+    };
+  }
+
+  const insertAt = valuesMatch ? whereEnd + 1 + valuesMatch.index : query.length;
+  return {
+    form,
+    query: `${query.slice(0, insertAt).trimEnd()}\nLIMIT ${maxLimit}\n${query.slice(insertAt)}`.trimEnd()
+  };
+};
+
+module.exports = {
+  SparqlGuardError,
+  maskQuery,
+  findKeywords,
+  prepareQuery
+};
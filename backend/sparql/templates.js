@@ -0,0 +1,548 @@
+/**
+ * Medieval Charters Knowledge Graph - SPARQL Templates
+ * Named query templates and the helpers used to fill them safely.
+ * Every value inserted into a query is validated or escaped according to the
+ * type its template declares, so request input never becomes raw SPARQL.
+ */
+const config = require('../config');
+
+// Wikibase entity ID formats
+const ID_PATTERNS = {
+  item: /^Q[1-9]\d*$/,
+  property: /^P[1-9]\d*$/,
+  lexeme: /^L[1-9]\d*(?:-[FS][1-9]\d*)?$/
+};
+
+// BCP 47 style language codes as used by Wikibase (en, es, la, zh-hans, ...)
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(?:-[a-z0-9]{1,8})*$/i;
+
+// Characters that may not appear unescaped inside a SPARQL IRIREF
+const IRI_UNSAFE = /[\u0000- <>"{}|^`\\]/g;
+
+// Prologue shared by every template; the Wikibase namespaces come from
+// WIKIBASE_ENTITY_URL and WIKIBASE_PROP_DIRECT_URL when the module is loaded
+const PREFIXES = `PREFIX wd: <${config.wikibase.entityUrl}/>       # Your entities
+PREFIX wdt: <${config.wikibase.propDirectUrl}/> # Your direct properties
+PREFIX wikibase: <http://wikiba.se/ontology#>
+PREFIX bd: <http://www.bigdata.com/rdf#>
+PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+PREFIX schema: <http://schema.org/>
+PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
+
+# Wikidata-specific prefixes for federated query
+PREFIX wdref: <http://www.wikidata.org/entity/>
+PREFIX wdtref: <http://www.wikidata.org/prop/direct/>`;
+
+/**
+ * Error raised when a template cannot be filled with the given values
+ */
+class SparqlTemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SparqlTemplateError';
+  }
+}
+
+/**
+ * Check whether a value is a well-formed Wikibase entity ID.
+ * @param {string} id - Candidate ID, e.g. Q42
+ * @param {string} [kind='entity'] - item, property, lexeme or entity (any of them)
+ * @returns {boolean}
+ */
+const isEntityId = (id, kind = 'entity') => {
+  if (typeof id !== 'string') return false;
+  if (kind === 'entity') {
+    return Object.values(ID_PATTERNS).some(pattern => pattern.test(id));
+  }
+  return Boolean(ID_PATTERNS[kind]) && ID_PATTERNS[kind].test(id);
+};
+
+/**
+ * Check whether a value is a language code Wikibase accepts.
+ * @param {string} code - e.g. es, la, zh-hans
+ * @returns {boolean}
+ */
+const isLanguageCode = (code) => typeof code === 'string' && LANGUAGE_PATTERN.test(code);
+
+/**
+ * Return the ID unchanged or throw when it is not a valid entity ID.
+ * @param {string} id - Candidate ID
+ * @param {string} [kind='entity'] - Expected kind of entity
+ * @returns {string}
+ * @throws {SparqlTemplateError}
+ */
+const assertEntityId = (id, kind = 'entity') => {
+  if (!isEntityId(id, kind)) {
+    throw new SparqlTemplateError(`Invalid ${kind} ID: ${JSON.stringify(String(id))}`);
+  }
+  return id;
+};
+
+/**
+ * Serialise a value as a quoted SPARQL string literal.
+ * @param {string} value - Literal text
+ * @returns {string} e.g. "Juan Pérez" with quotes and control characters escaped
+ */
+const escapeLiteral = (value) => {
+  const escaped = String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t')
+    .replace(/[\b]/g, '\\b')
+    .replace(/\f/g, '\\f');
+  return `"${escaped}"`;
+};
+
+/**
+ * Serialise a value as a SPARQL IRI reference, percent-encoding unsafe characters.
+ * @param {string} value - Absolute IRI
+ * @returns {string} e.g. <http://www.wikidata.org/entity/Q5>
+ * @throws {SparqlTemplateError} When the value is not an absolute IRI
+ */
+const escapeIri = (value) => {
+  const iri = String(value);
+  if (!/^[a-z][a-z0-9+.-]*:/i.test(iri)) {
+    throw new SparqlTemplateError(`Invalid IRI: ${JSON.stringify(iri)}`);
+  }
+  const encoded = iri.replace(IRI_UNSAFE, char =>
+    `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`
+  );
+  return `<${encoded}>`;
+};
+
+/**
+ * Serialise a language list for the wikibase:label service.
+ * @param {string|string[]} value - Language codes in fallback order
+ * @returns {string} Quoted, comma separated list, e.g. "[AUTO_LANGUAGE],en"
+ */
+const formatLanguages = (value) => {
+  const languages = Array.isArray(value) ? value : String(value).split(',');
+  languages.forEach(language => {
+    if (language !== '[AUTO_LANGUAGE]' && !LANGUAGE_PATTERN.test(language)) {
+      throw new SparqlTemplateError(`Invalid language code: ${JSON.stringify(language)}`);
+    }
+  });
+  return `"${languages.join(',')}"`;
+};
+
+/**
+ * Serialise language codes as a list of string literals for IN (...) filters.
+ * @param {string|string[]} value - Language codes
+ * @returns {string} e.g. "es", "la", "en"
+ */
+const formatLanguageTags = (value) => {
+  const languages = Array.isArray(value) ? value : String(value).split(',');
+  languages.forEach(language => {
+    if (!LANGUAGE_PATTERN.test(language)) {
+      throw new SparqlTemplateError(`Invalid language code: ${JSON.stringify(language)}`);
+    }
+  });
+  return languages.map(language => escapeLiteral(language.toLowerCase())).join(', ');
+};
+
+// Serialisers for each parameter type a template may declare
+const PARAM_TYPES = {
+  item: value => assertEntityId(value, 'item'),
+  property: value => assertEntityId(value, 'property'),
+  lexeme: value => assertEntityId(value, 'lexeme'),
+  entity: value => assertEntityId(value, 'entity'),
+  literal: escapeLiteral,
+  iri: escapeIri,
+  languages: formatLanguages,
+  languageTags: formatLanguageTags,
+  entityList: value => {
+    const ids = Array.isArray(value) ? value : [value];
+    if (ids.length === 0) {
+      throw new SparqlTemplateError('Entity list must not be empty');
+    }
+    return ids.map(id => `wd:${assertEntityId(id, 'entity')}`).join(' ');
+  },
+  // An empty list serialises to UNDEF, which leaves the VALUES variable unconstrained
+  propertyList: value => {
+    const ids = Array.isArray(value) ? value : [value];
+    if (ids.length === 0) return 'UNDEF';
+    return ids.map(id => `wd:${assertEntityId(id, 'property')}`).join(' ');
+  },
+  // Like propertyList, for items
+  itemList: value => {
+    const ids = Array.isArray(value) ? value : [value];
+    if (ids.length === 0) return 'UNDEF';
+    return ids.map(id => `wd:${assertEntityId(id, 'item')}`).join(' ');
+  },
+  boolean: value => {
+    if (typeof value !== 'boolean') {
+      throw new SparqlTemplateError(`Invalid boolean: ${JSON.stringify(String(value))}`);
+    }
+    return String(value);
+  },
+  integer: value => {
+    if (!Number.isSafeInteger(Number(value)) || String(value).trim() === '') {
+      throw new SparqlTemplateError(`Invalid integer: ${JSON.stringify(String(value))}`);
+    }
+    return String(Number(value));
+  }
+};
+
+/**
+ * Named query templates.
+ * Placeholders are written {{name}} and each must be declared in params with its type.
+ */
+const templates = {
+  // Direct claims of an entity with its type and residence, from local data only.
+  // ?coord (residence) and ?placeCoord (the entity itself) stay unbound here: the
+  // backend fills them in from entityCoordinates, so a Wikidata outage only loses the map
+  entityProperties: {
+    params: {
+      entityId: 'entity',
+      languages: 'languages'
+    },
+    query: `${PREFIXES}
+
+SELECT ?propertyLabel ?valueLabel ?instanceOfLabel ?residenceLabel ?coord ?placeCoord WHERE {
+  # Main entity data
+  wd:{{entityId}} ?p ?value .
+  ?property wikibase:directClaim ?p .
+
+  # Optional: instance of
+  OPTIONAL { wd:{{entityId}} wdt:P3 ?instanceOf }
+
+  # Optional: residence linked to Wikidata
+  OPTIONAL {
+    wd:{{entityId}} wdt:P55 ?residence .
+    ?residence wdt:P2 ?residenceWD .
+  }
+
+  # Labels
+  SERVICE wikibase:label {
+    bd:serviceParam wikibase:language {{languages}} .
+  }
+}`
+  },
+
+  // Direct claims of an entity with property datatypes and value labels, no federation
+  entityClaims: {
+    params: {
+      entityId: 'entity',
+      languages: 'languages'
+    },
+    query: `${PREFIXES}
+
+SELECT ?property ?propertyLabel ?datatype ?value ?valueLabel WHERE {
+  wd:{{entityId}} ?p ?value .
+  ?property wikibase:directClaim ?p ;
+            wikibase:propertyType ?datatype .
+
+  SERVICE wikibase:label {
+    bd:serviceParam wikibase:language {{languages}} .
+  }
+}`
+  },
+
+  // Labels, descriptions and aliases of an entity in the given languages
+  entityTerms: {
+    params: {
+      entityId: 'entity',
+      languageTags: 'languageTags'
+    },
+    query: `${PREFIXES}
+
+SELECT ?term ?text WHERE {
+  VALUES (?term ?predicate) {
+    ("label" rdfs:label)
+    ("description" schema:description)
+    ("alias" skos:altLabel)
+  }
+  wd:{{entityId}} ?predicate ?text .
+  FILTER(LANG(?text) IN ({{languageTags}}))
+}`
+  },
+
+  // Classes of several entities: direct P3 values and their superclasses
+  entityClasses: {
+    params: {
+      entityIds: 'entityList',
+      instanceOf: 'property',
+      subclassOf: 'property'
+    },
+    query: `${PREFIXES}
+
+SELECT DISTINCT ?entity ?class ?classLabel ?direct WHERE {
+  VALUES ?entity { {{entityIds}} }
+  ?entity wdt:{{instanceOf}} ?directClass .
+  ?directClass wdt:{{subclassOf}}* ?class .
+  BIND(?class = ?directClass AS ?direct)
+
+  # Labels are informational; canonical types are matched on class IDs (services/types)
+  OPTIONAL {
+    ?class rdfs:label ?classLabel .
+    FILTER(LANG(?classLabel) = "en")
+  }
+}`
+  },
+
+  // Every class in use (direct P3 values and their superclasses) with its English
+  // label, to match classes to types while TYPE_CLASSES is not set
+  classLabels: {
+    params: {
+      instanceOf: 'property',
+      subclassOf: 'property'
+    },
+    query: `${PREFIXES}
+
+SELECT DISTINCT ?class ?classLabel WHERE {
+  ?entity wdt:{{instanceOf}} ?directClass .
+  ?directClass wdt:{{subclassOf}}* ?class .
+  ?class rdfs:label ?classLabel .
+  FILTER(LANG(?classLabel) = "en")
+}`
+  },
+
+  // Property whose English label matches exactly
+  propertyByLabel: {
+    params: {
+      label: 'literal'
+    },
+    query: `${PREFIXES}
+
+SELECT ?property WHERE {
+  ?property wikibase:propertyType ?datatype ;
+            rdfs:label ?label .
+  FILTER(LANG(?label) = "en" && STR(?label) = {{label}})
+}
+LIMIT 1`
+  },
+
+  // One page of every item and property, in a stable order, for harvesting
+  entityIdsPage: {
+    params: {
+      limit: 'integer',
+      offset: 'integer'
+    },
+    query: `${PREFIXES}
+
+SELECT ?entity WHERE {
+  ?entity schema:version ?version .
+}
+ORDER BY ?entity
+LIMIT {{limit}}
+OFFSET {{offset}}`
+  },
+
+  // Places, dates and properties of a set of entities, for faceted search
+  facetClaims: {
+    params: {
+      entityIds: 'entityList',
+      placeProperties: 'propertyList',
+      dateProperties: 'propertyList',
+      languages: 'languages'
+    },
+    query: `${PREFIXES}
+
+SELECT DISTINCT ?entity ?facet ?value ?valueLabel WHERE {
+  VALUES ?entity { {{entityIds}} }
+  {
+    VALUES ?placeProperty { {{placeProperties}} }
+    ?placeProperty wikibase:directClaim ?p ;
+                   wikibase:propertyType wikibase:WikibaseItem .
+    ?entity ?p ?value .
+    BIND("place" AS ?facet)
+  } UNION {
+    VALUES ?dateProperty { {{dateProperties}} }
+    ?dateProperty wikibase:directClaim ?p ;
+                  wikibase:propertyType wikibase:Time .
+    ?entity ?p ?value .
+    BIND("date" AS ?facet)
+  } UNION {
+    ?entity ?p ?claim .
+    ?value wikibase:directClaim ?p .
+    BIND("property" AS ?facet)
+  }
+
+  SERVICE wikibase:label {
+    bd:serviceParam wikibase:language {{languages}} .
+  }
+}`
+  },
+
+  // Entities of a set that pass the facet filters. A filter whose flag is false
+  // is skipped, so one template serves every combination of filters
+  facetFilter: {
+    params: {
+      entityIds: 'entityList',
+      byType: 'boolean',
+      instanceOf: 'property',
+      subclassOf: 'property',
+      typeClasses: 'itemList',
+      byPlace: 'boolean',
+      placeProperties: 'propertyList',
+      places: 'itemList',
+      byDate: 'boolean',
+      dateProperties: 'propertyList',
+      fromYear: 'integer',
+      toYear: 'integer',
+      byProperty: 'boolean',
+      requiredProperties: 'propertyList'
+    },
+    query: `${PREFIXES}
+
+SELECT ?entity WHERE {
+  VALUES ?entity { {{entityIds}} }
+
+  # Type: an instance of one of the classes, or of a subclass of one
+  FILTER(!{{byType}} || EXISTS {
+    VALUES ?typeClass { {{typeClasses}} }
+    ?entity wdt:{{instanceOf}}/wdt:{{subclassOf}}* ?typeClass .
+  })
+
+  # Place: any of the places, through any place property
+  FILTER(!{{byPlace}} || EXISTS {
+    VALUES ?placeProperty { {{placeProperties}} }
+    VALUES ?place { {{places}} }
+    ?placeProperty wikibase:directClaim ?placeClaim .
+    ?entity ?placeClaim ?place .
+  })
+
+  # Date: any date claim within the years
+  FILTER(!{{byDate}} || EXISTS {
+    VALUES ?dateProperty { {{dateProperties}} }
+    ?dateProperty wikibase:directClaim ?dateClaim ;
+                  wikibase:propertyType wikibase:Time .
+    ?entity ?dateClaim ?date .
+    FILTER(YEAR(?date) >= {{fromYear}} && YEAR(?date) <= {{toYear}})
+  })
+
+  # Properties: none of the required properties is missing
+  FILTER(!{{byProperty}} || NOT EXISTS {
+    VALUES ?requiredProperty { {{requiredProperties}} }
+    ?requiredProperty wikibase:directClaim ?requiredClaim .
+    FILTER NOT EXISTS { ?entity ?requiredClaim ?requiredValue }
+  })
+}`
+  },
+
+  // Item-valued claims from a set of entities (graph edges pointing out)
+  graphOutgoing: {
+    params: {
+      entityIds: 'entityList',
+      properties: 'propertyList',
+      languages: 'languages',
+      limit: 'integer'
+    },
+    query: `${PREFIXES}
+
+SELECT DISTINCT ?source ?property ?propertyLabel ?target WHERE {
+  VALUES ?source { {{entityIds}} }
+  VALUES ?property { {{properties}} }
+  ?property wikibase:directClaim ?p ;
+            wikibase:propertyType wikibase:WikibaseItem .
+  ?source ?p ?target .
+
+  SERVICE wikibase:label {
+    bd:serviceParam wikibase:language {{languages}} .
+  }
+}
+LIMIT {{limit}}`
+  },
+
+  // Item-valued claims pointing at a set of entities (graph edges pointing in)
+  graphIncoming: {
+    params: {
+      entityIds: 'entityList',
+      properties: 'propertyList',
+      languages: 'languages',
+      limit: 'integer'
+    },
+    query: `${PREFIXES}
+
+SELECT DISTINCT ?source ?property ?propertyLabel ?target WHERE {
+  VALUES ?target { {{entityIds}} }
+  VALUES ?property { {{properties}} }
+  ?property wikibase:directClaim ?p ;
+            wikibase:propertyType wikibase:WikibaseItem .
+  ?source ?p ?target .
+
+  SERVICE wikibase:label {
+    bd:serviceParam wikibase:language {{languages}} .
+  }
+}
+LIMIT {{limit}}`
+  },
+
+  // Wikidata coordinates of a place (P2) or of a person's residence (P55)
+  entityCoordinates: {
+    params: {
+      entityId: 'entity'
+    },
+    query: `${PREFIXES}
+
+SELECT ?source ?wikidataId ?coord WHERE {
+  {
+    wd:{{entityId}} wdt:P2 ?wikidataId .
+    BIND("P2" AS ?source)
+  } UNION {
+    wd:{{entityId}} wdt:P55 ?residence .
+    ?residence wdt:P2 ?wikidataId .
+    BIND("P55" AS ?source)
+  }
+  BIND(IRI(CONCAT("http://www.wikidata.org/entity/", ?wikidataId)) AS ?wdItem)
+
+  SERVICE <https://query.wikidata.org/sparql> {
+    ?wdItem wdtref:P625 ?coord .
+  }
+}`
+  }
+};
+
+/**
+ * Check and serialise the values of a named template.
+ * @param {string} name - Template name, e.g. entityProperties
+ * @param {Object} values - Placeholder values keyed by parameter name
+ * @returns {Object} Serialised placeholder values keyed by parameter name
+ * @throws {SparqlTemplateError} When the template is unknown or a value is missing or invalid
+ */
+const serialiseValues = (name, values = {}) => {
+  const template = Object.prototype.hasOwnProperty.call(templates, name) ? templates[name] : null;
+  if (!template) {
+    throw new SparqlTemplateError(`Unknown SPARQL template: ${name}`);
+  }
+
+  const serialised = {};
+  Object.entries(template.params).forEach(([param, type]) => {
+    if (values[param] === undefined || values[param] === null) {
+      throw new SparqlTemplateError(`Missing value for template parameter: ${param}`);
+    }
+    serialised[param] = PARAM_TYPES[type](values[param]);
+  });
+  return serialised;
+};
+
+/**
+ * Build a query from a named template.
+ * @param {string} name - Template name, e.g. entityProperties
+ * @param {Object} values - Placeholder values keyed by parameter name
+ * @returns {string} Query ready to send to the query service
+ * @throws {SparqlTemplateError} When the template is unknown or a value is missing or invalid
+ */
+const buildQuery = (name, values = {}) => {
+  const serialised = serialiseValues(name, values);
+  return templates[name].query.replace(/\{\{(\w+)\}\}/g, (placeholder, param) => {
+    if (!Object.prototype.hasOwnProperty.call(serialised, param)) {
+      throw new SparqlTemplateError(`Undeclared template parameter: ${param}`);
+    }
+    return serialised[param];
+  });
+};
+
+module.exports = {
+  SparqlTemplateError,
+  templates,
+  isEntityId,
+  isLanguageCode,
+  assertEntityId,
+  escapeLiteral,
+  escapeIri,
+  serialiseValues,
+  buildQuery
+};
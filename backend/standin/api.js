@@ -0,0 +1,171 @@
+/**
+ * Medieval Charters Knowledge Graph - Stand-in Wikibase API
+ * Answers the wbsearchentities and wbgetentities actions from fixture data,
+ * in the response shapes of the Wikibase action API.
+ */
+const { searchSnapshot } = require('../services/snapshot');
+
+const GLOBE = 'http://www.wikidata.org/entity/Q2';
+const GREGORIAN = 'http://www.wikidata.org/entity/Q1985727';
+
+/**
+ * Rebuild a wbgetentities datavalue from a compact claim value.
+ * @param {{value: *, datatype: string}} claim
+ * @returns {Object} datavalue
+ */
+const datavalue = ({ value, datatype }) => {
+  switch (datatype) {
+    case 'wikibase-item':
+    case 'wikibase-property':
+      return {
+        type: 'wikibase-entityid',
+        value: {
+          'entity-type': datatype === 'wikibase-item' ? 'item' : 'property',
+          'numeric-id': Number(value.slice(1)),
+          id: value
+        }
+      };
+    case 'time':
+      return {
+        type: 'time',
+        value: {
+          time: value.startsWith('-') ? value : `+${value}`,
+          timezone: 0,
+          before: 0,
+          after: 0,
+          precision: 11,
+          calendarmodel: GREGORIAN
+        }
+      };
+    case 'quantity':
+      return { type: 'quantity', value: { amount: value.startsWith('-') ? value : `+${value}`, unit: '1' } };
+    case 'monolingualtext':
+      return { type: 'monolingualtext', value };
+    case 'globe-coordinate':
+      return {
+        type: 'globecoordinate',
+        value: { latitude: value.lat, longitude: value.lng, altitude: null, precision: 0.0001, globe: GLOBE }
+      };
+    default:
+      return { type: 'string', value };
+  }
+};
+
+/**
+ * Rebuild a wbgetentities entity from a compact fixture record.
+ * @param {Object} entity - Compact entity
+ * @param {string[]} props - Requested props; everything when empty
+ * @param {string[]} languages - Requested term languages; every language when empty
+ * @returns {Object}
+ */
+const expandEntity = (entity, props, languages) => {
+  const wants = prop => props.length === 0 || props.includes(prop);
+  const inLanguages = ([language]) => languages.length === 0 || languages.includes(language);
+
+  const terms = (map) => Object.fromEntries(Object.entries(map || {}).filter(inLanguages)
+    .map(([language, value]) => [language, { language, value }]));
+
+  const expanded = { type: entity.type, id: entity.id };
+  if (wants('info')) {
+    Object.assign(expanded, { title: entity.type === 'property' ? `Property:${entity.id}` : `Item:${entity.id}` });
+  }
+  if (entity.datatype && wants('datatype')) expanded.datatype = entity.datatype;
+  if (wants('labels')) expanded.labels = terms(entity.labels);
+  if (wants('descriptions')) expanded.descriptions = terms(entity.descriptions);
+  if (wants('aliases')) {
+    expanded.aliases = Object.fromEntries(Object.entries(entity.aliases || {}).filter(inLanguages)
+      .map(([language, aliases]) => [language, aliases.map(value => ({ language, value }))]));
+  }
+  if (wants('claims')) {
+    expanded.claims = Object.fromEntries(Object.entries(entity.claims || {}).map(([propertyId, claims]) => [
+      propertyId,
+      claims.map((claim, index) => ({
+        mainsnak: { snaktype: 'value', property: propertyId, datatype: claim.datatype, datavalue: datavalue(claim) },
+        type: 'statement',
+        id: `${entity.id}$${propertyId}-${index}`,
+        rank: 'normal'
+      }))
+    ]));
+  }
+  if (wants('sitelinks')) expanded.sitelinks = {};
+  return expanded;
+};
+
+const splitParam = value => String(value || '').split('|').filter(Boolean);
+
+/**
+ * Handle one action API request.
+ * @param {Object} data - Snapshot-format fixtures
+ * @param {Object} params - Query string or form parameters
+ * @returns {Object} Response body; API errors use the { error: { code, info } } shape
+ */
+const handleAction = (data, params) => {
+  switch (params.action) {
+    case 'wbsearchentities':
+      if (!params.search) {
+        return { error: { code: 'missingparam', info: 'The "search" parameter must be set.' } };
+      }
+      return searchSnapshot(data, { ...params, limit: params.limit || 7 });
+
+    case 'wbgetentities': {
+      const ids = splitParam(params.ids);
+      if (ids.length === 0) {
+        return { error: { code: 'param-missing', info: 'Either provide the item "ids" or pairs of "sites" and "titles".' } };
+      }
+      if (ids.length > 50) {
+        return { error: { code: 'toomanyvalues', info: 'Too many values supplied for parameter "ids". The limit is 50.' } };
+      }
+
+      const props = splitParam(params.props);
+      const languages = splitParam(params.languages);
+      const entities = {};
+      ids.forEach(id => {
+        entities[id] = data.entities[id] ? expandEntity(data.entities[id], props, languages) : { id, missing: '' };
+      });
+      return { entities, success: 1 };
+    }
+
+    default:
+      return { error: { code: 'badvalue', info: `Unrecognized value for parameter "action": ${params.action}.` } };
+  }
+};
+
+/**
+ * Handle a Wikidata wbgetentities request for the coordinates (P625) of fixture places.
+ * @param {Object} data - Snapshot-format fixtures
+ * @param {Object} params - Query string parameters
+ * @returns {Object}
+ */
+const handleWikidataAction = ({ coordinates }, params) => {
+  if (params.action !== 'wbgetentities') {
+    return { error: { code: 'badvalue', info: `Unrecognized value for parameter "action": ${params.action}.` } };
+  }
+
+  const entities = {};
+  splitParam(params.ids).forEach(id => {
+    entities[id] = coordinates[id]
+      ? {
+        type: 'item',
+        id,
+        claims: {
+          P625: [{
+            mainsnak: {
+              snaktype: 'value',
+              property: 'P625',
+              datatype: 'globe-coordinate',
+              datavalue: datavalue({ value: coordinates[id], datatype: 'globe-coordinate' })
+            },
+            rank: 'normal'
+          }]
+        }
+      }
+      : { id, missing: '' };
+  });
+  return { entities, success: 1 };
+};
+
+module.exports = {
+  expandEntity,
+  handleAction,
+  handleWikidataAction
+};
@@ -0,0 +1,115 @@
+/**
+ * Medieval Charters Knowledge Graph - Local Wikibase Stand-in
+ * A fixture-driven replacement for the Wikibase instance, so the backend can be
+ * developed and tested without medievalcharterskg.wikibase.cloud. It serves:
+ *
+ *   /w/api.php          wbsearchentities and wbgetentities
+ *   /sparql             the backend's SPARQL templates (JSON, CSV or TSV results)
+ *   /wikidata/w/api.php wbgetentities with the P625 coordinates of fixture places
+ *
+ * Usage: npm run standin, then start the backend with
+ *   WIKIBASE_API_URL=http://localhost:8181/w/api.php
+ *   WIKIBASE_SPARQL_URL=http://localhost:8181/sparql
+ *   WIKIDATA_API_URL=http://localhost:8181/wikidata/w/api.php
+ */
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const config = require('../config');
+const { handleAction, handleWikidataAction } = require('./api');
+const { matchTemplate } = require('./sparql');
+const { createEvaluators } = require('../sparql/evaluate');
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'charters.json');
+
+/**
+ * Read a fixture file (the same format as a harvested entities.json).
+ * @param {string} [file=DEFAULT_FIXTURES]
+ * @returns {Object} { entities, coordinates }
+ */
+const loadFixtures = (file = DEFAULT_FIXTURES) => {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return { entities: data.entities || {}, coordinates: data.coordinates || {} };
+};
+
+/**
+ * Serialise SPARQL results as CSV or TSV.
+ * @param {{vars: string[], bindings: Object[]}} results
+ * @param {string} separator - , or a tab
+ * @returns {string}
+ */
+const delimited = ({ vars, bindings }, separator) => {
+  const cell = value => (separator === ',' && /[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  const rows = bindings.map(binding => vars.map(name => cell(binding[name]?.value ?? '')).join(separator));
+  return [vars.join(separator), ...rows].join('\r\n');
+};
+
+/**
+ * Create the stand-in Express application.
+ * @param {Object} [options]
+ * @param {Object} [options.fixtures] - { entities, coordinates }; the bundled charters by default
+ * @returns {Object} Express application
+ */
+const createStandinApp = ({ fixtures = loadFixtures() } = {}) => {
+  const app = express();
+  const evaluators = createEvaluators(fixtures);
+
+  app.use(express.urlencoded({ extended: false, limit: '1mb' }));
+  app.use(express.text({ type: 'application/sparql-query', limit: '1mb' }));
+
+  app.all('/w/api.php', (req, res) => {
+    res.json(handleAction(fixtures, { ...req.query, ...(typeof req.body === 'object' && req.body) }));
+  });
+
+  app.all('/wikidata/w/api.php', (req, res) => {
+    res.json(handleWikidataAction(fixtures, req.query));
+  });
+
+  app.all('/sparql', (req, res) => {
+    const query = typeof req.body === 'string' ? req.body : req.body?.query || req.query.query;
+    // The probe of the backend's readiness check
+    if (/^\s*ASK\s*\{\s*\}\s*$/i.test(query || '')) {
+      return res.type('application/sparql-results+json').send(JSON.stringify({ head: {}, boolean: true }));
+    }
+
+    const matched = query && matchTemplate(query);
+    if (!matched) {
+      // Only the backend's own templates can be evaluated without a triple store
+      return res.status(400).type('text/plain')
+        .send('The Wikibase stand-in only answers queries built from sparql/templates.js');
+    }
+
+    const results = evaluators[matched.name](matched.values);
+    const format = req.accepts(['application/sparql-results+json', 'application/json', 'text/csv', 'text/tab-separated-values']);
+    if (format === 'text/csv') {
+      return res.type('text/csv').send(delimited(results, ','));
+    }
+    if (format === 'text/tab-separated-values') {
+      return res.type('text/tab-separated-values').send(delimited(results, '\t'));
+    }
+    return res.type('application/sparql-results+json').send(JSON.stringify({
+      head: { vars: results.vars },
+      results: { bindings: results.bindings }
+    }));
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const { port } = config.standin;
+  const fixtures = loadFixtures(config.standin.fixtures || DEFAULT_FIXTURES);
+
+  createStandinApp({ fixtures }).listen(port, () => {
+    console.log(`Wikibase stand-in with ${Object.keys(fixtures.entities).length} entities on http://localhost:${port}`);
+    console.log(`  WIKIBASE_API_URL=http://localhost:${port}/w/api.php`);
+    console.log(`  WIKIBASE_SPARQL_URL=http://localhost:${port}/sparql`);
+    console.log(`  WIKIDATA_API_URL=http://localhost:${port}/wikidata/w/api.php`);
+  });
+}
+
+module.exports = {
+  DEFAULT_FIXTURES,
+  loadFixtures,
+  createStandinApp
+};
@@ -0,0 +1,74 @@
+/**
+ * Medieval Charters Knowledge Graph - Stand-in Query Service
+ * Answers the backend's SPARQL templates from the bundled fixtures. Incoming
+ * queries are matched against every template in sparql/templates.js to recover
+ * the values that were filled in, then evaluated by sparql/evaluate.
+ */
+const { templates } = require('../sparql/templates');
+
+// Turn serialised placeholder values back into the values buildQuery was given
+const PARSERS = {
+  item: raw => raw,
+  property: raw => raw,
+  lexeme: raw => raw,
+  entity: raw => raw,
+  literal: raw => JSON.parse(raw),
+  iri: raw => raw.slice(1, -1),
+  languages: raw => JSON.parse(raw).split(','),
+  languageTags: raw => JSON.parse(`[${raw}]`),
+  entityList: raw => raw.split(/\s+/).map(token => token.replace(/^wd:/, '')),
+  propertyList: raw => (raw === 'UNDEF' ? [] : raw.split(/\s+/).map(token => token.replace(/^wd:/, ''))),
+  itemList: raw => (raw === 'UNDEF' ? [] : raw.split(/\s+/).map(token => token.replace(/^wd:/, ''))),
+  boolean: raw => raw === 'true',
+  integer: raw => Number(raw)
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build a regular expression matching queries made from a template.
+ * @param {string} query - Template text with {{name}} placeholders
+ * @returns {RegExp} Named groups capture each placeholder
+ */
+const compileTemplate = (query) => {
+  const captured = new Set();
+  const source = query.split(/(\{\{\w+\}\})/).map(part => {
+    const placeholder = /^\{\{(\w+)\}\}$/.exec(part);
+    if (!placeholder) return escapeRegExp(part);
+
+    const [, name] = placeholder;
+    if (captured.has(name)) return `\\k<${name}>`;
+    captured.add(name);
+    return `(?<${name}>[\\s\\S]*?)`;
+  }).join('');
+  return new RegExp(`^${source}$`);
+};
+
+const MATCHERS = Object.entries(templates).map(([name, template]) => ({
+  name,
+  params: template.params,
+  pattern: compileTemplate(template.query)
+}));
+
+/**
+ * Find the template a query was built from.
+ * @param {string} query - SPARQL query
+ * @returns {{name: string, values: Object}|null}
+ */
+const matchTemplate = (query) => {
+  for (const { name, params, pattern } of MATCHERS) {
+    const match = pattern.exec(query);
+    if (match) {
+      const values = {};
+      Object.entries(params).forEach(([param, type]) => {
+        values[param] = PARSERS[type](match.groups[param]);
+      });
+      return { name, values };
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  matchTemplate
+};
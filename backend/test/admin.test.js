@@ -0,0 +1,155 @@
+process.env.ADMIN_TOKEN = 'secret-token';
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const request = require('supertest');
+const axios = require('axios');
+const config = require('../config');
+const cache = require('../services/cache');
+const upstream = require('../services/upstream');
+const adminRoutes = require('../routes/admin');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const app = express();
+app.use('/api/admin', adminRoutes);
+app.use(errorHandler);
+
+const AUTH = 'Bearer secret-token';
+
+// Two search entries and one entity entry
+const fillCache = async () => {
+  await cache.getOrFetch('search', { query: 'juan' }, async () => ['Q1']);
+  await cache.getOrFetch('search', { query: 'pedro' }, async () => ['Q2']);
+  await cache.getOrFetch('entity', { id: 'Q1' }, async () => ({ id: 'Q1' }));
+};
+
+describe('admin API', () => {
+  beforeEach(async () => {
+    cache.purge();
+    upstream.reset();
+    await fillCache();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('authentication', () => {
+    afterEach(() => {
+      config.admin.token = 'secret-token';
+    });
+
+    it('is disabled without ADMIN_TOKEN', async () => {
+      config.admin.token = '';
+
+      const response = await request(app).get('/api/admin/cache').set('Authorization', AUTH);
+
+      assert.equal(response.status, 403);
+      assert.equal(response.body.error.code, 'admin_disabled');
+    });
+
+    it('rejects missing, wrong and non-Bearer credentials', async () => {
+      const attempts = [undefined, 'Bearer wrong-token', 'Bearer', 'Basic secret-token', 'bearer secret-token'];
+
+      for (const authorization of attempts) {
+        const call = request(app).get('/api/admin/cache');
+        const response = await (authorization ? call.set('Authorization', authorization) : call);
+
+        assert.equal(response.status, 401, authorization);
+        assert.equal(response.body.error.code, 'unauthorized');
+      }
+    });
+
+    it('does not purge without the token', async () => {
+      const response = await request(app).delete('/api/admin/cache');
+
+      assert.equal(response.status, 401);
+      assert.equal(cache.listKeys().length, 3);
+    });
+  });
+
+  describe('GET /api/admin/cache', () => {
+    it('reports key counts and TTLs per namespace', async () => {
+      await cache.getOrFetch('search', { query: 'juan' }, async () => ['Q1']);
+
+      const response = await request(app).get('/api/admin/cache').set('Authorization', AUTH);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.keys, 3);
+      assert.deepEqual(response.body.namespaces.search, {
+        keys: 2,
+        hits: 1,
+        misses: 2,
+        staleHits: 0,
+        ttl: config.cache.ttl.search
+      });
+      assert.equal(response.body.namespaces.entity.keys, 1);
+    });
+  });
+
+  describe('GET /api/admin/cache/keys', () => {
+    it('lists every key with its expiry', async () => {
+      const response = await request(app).get('/api/admin/cache/keys').set('Authorization', AUTH);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.count, 3);
+      response.body.keys.forEach(({ expiresAt }) => assert.ok(Date.parse(expiresAt) > Date.now()));
+    });
+
+    it('filters by namespace', async () => {
+      const response = await request(app).get('/api/admin/cache/keys?namespace=search').set('Authorization', AUTH);
+
+      assert.deepEqual(response.body.keys.map(entry => entry.key).sort(), [
+        'search:query=juan',
+        'search:query=pedro'
+      ]);
+    });
+  });
+
+  describe('DELETE /api/admin/cache', () => {
+    it('purges a single key', async () => {
+      const response = await request(app)
+        .delete('/api/admin/cache?key=search:query=juan')
+        .set('Authorization', AUTH);
+
+      assert.deepEqual(response.body, { purged: 1 });
+      assert.deepEqual(cache.listKeys().map(entry => entry.key).sort(), ['entity:id=Q1', 'search:query=pedro']);
+    });
+
+    it('purges a namespace', async () => {
+      const response = await request(app).delete('/api/admin/cache?namespace=search').set('Authorization', AUTH);
+
+      assert.deepEqual(response.body, { purged: 2 });
+      assert.deepEqual(cache.listKeys().map(entry => entry.key), ['entity:id=Q1']);
+    });
+
+    it('flushes everything without parameters', async () => {
+      const response = await request(app).delete('/api/admin/cache').set('Authorization', AUTH);
+
+      assert.deepEqual(response.body, { purged: 3 });
+      assert.equal(cache.listKeys().length, 0);
+    });
+
+    it('purges nothing for an unknown key', async () => {
+      const response = await request(app).delete('/api/admin/cache?key=search:query=nobody').set('Authorization', AUTH);
+
+      assert.deepEqual(response.body, { purged: 0 });
+      assert.equal(cache.listKeys().length, 3);
+    });
+  });
+
+  describe('GET /api/admin/upstream', () => {
+    it('reports the breaker state of each target', async () => {
+      mock.method(axios, 'get', async () => ({ status: 200, data: {} }));
+      await upstream.get('wikibase', 'http://wikibase.test/w/api.php');
+
+      const response = await request(app).get('/api/admin/upstream').set('Authorization', AUTH);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.wikibase.state, 'closed');
+      assert.equal(response.body.wikibase.consecutiveFailures, 0);
+    });
+  });
+});
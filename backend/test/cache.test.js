@@ -0,0 +1,99 @@
+process.env.CACHE_NEGATIVE_TTL = '60';
+process.env.CACHE_TTL_ENTITY = '3600';
+process.env.CACHE_MAX_KEYS = '3';
+process.env.CACHE_STALE_MAX_KEYS = '2';
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const cache = require('../services/cache');
+const logger = require('../utils/logger');
+const { CircuitOpenError } = require('../services/upstream');
+
+describe('response cache', () => {
+  beforeEach(() => {
+    cache.purge();
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it('keeps values for the namespace TTL', async () => {
+    mock.timers.enable({ apis: ['Date'], now: 0 });
+    let calls = 0;
+    const fetcher = async () => ({ id: 'Q1', call: ++calls });
+
+    await cache.getOrFetch('entity', { id: 'Q1' }, fetcher);
+    mock.timers.tick(3599 * 1000);
+    const result = await cache.getOrFetch('entity', { id: 'Q1' }, fetcher);
+
+    assert.deepEqual(result, { value: { id: 'Q1', call: 1 }, hit: true });
+    assert.equal(cache.listKeys('entity')[0].expiresAt, new Date(3600 * 1000).toISOString());
+  });
+
+  it('keeps null results only for the negative TTL', async () => {
+    mock.timers.enable({ apis: ['Date'], now: 0 });
+    let found = null;
+    const fetcher = async () => found;
+
+    assert.deepEqual(await cache.getOrFetch('entity', { id: 'Q9' }, fetcher), { value: null, hit: false });
+    assert.equal(cache.listKeys('entity')[0].expiresAt, new Date(60 * 1000).toISOString());
+    assert.deepEqual(await cache.getOrFetch('entity', { id: 'Q9' }, fetcher), { value: null, hit: true });
+
+    // The entity is created upstream; it shows up once the negative entry expires
+    found = { id: 'Q9' };
+    mock.timers.tick(61 * 1000);
+    assert.deepEqual(await cache.getOrFetch('entity', { id: 'Q9' }, fetcher), { value: { id: 'Q9' }, hit: false });
+  });
+
+  it('fetches again when asked to bypass the cache', async () => {
+    let calls = 0;
+    const fetcher = async () => ++calls;
+
+    await cache.getOrFetch('entity', { id: 'Q1' }, fetcher);
+    const result = await cache.getOrFetch('entity', { id: 'Q1' }, fetcher, { bypass: true });
+
+    assert.deepEqual(result, { value: 2, hit: false });
+    assert.deepEqual(await cache.getOrFetch('entity', { id: 'Q1' }, fetcher), { value: 2, hit: true });
+  });
+
+  it('serves values without caching them while full, warning once', async () => {
+    const warn = mock.method(logger, 'warn');
+
+    for (let i = 1; i <= 5; i++) {
+      const result = await cache.getOrFetch('entity', { id: `Q${i}` }, async () => i);
+      assert.deepEqual(result, { value: i, hit: false });
+    }
+
+    assert.equal(cache.listKeys('entity').length, 3);
+    assert.equal(warn.mock.callCount(), 1);
+    assert.equal(warn.mock.calls[0].arguments[0], 'cache full');
+  });
+
+  it('keeps the latest values for stale answers, dropping the oldest', async () => {
+    for (const id of ['Q1', 'Q2', 'Q3']) {
+      await cache.getOrFetch('entity', { id }, async () => id);
+    }
+    const unavailable = async () => {
+      throw new CircuitOpenError('wikibase', 30);
+    };
+
+    await assert.rejects(cache.getOrFetch('entity', { id: 'Q1' }, unavailable, { bypass: true }), CircuitOpenError);
+    assert.deepEqual(
+      await cache.getOrFetch('entity', { id: 'Q3' }, unavailable, { bypass: true }),
+      { value: 'Q3', hit: true, stale: true }
+    );
+  });
+
+  it('detects no-cache requests', () => {
+    const req = headers => ({ get: name => headers[name] });
+
+    assert.equal(cache.shouldBypass(req({ 'Cache-Control': 'no-cache' })), true);
+    assert.equal(cache.shouldBypass(req({ 'Cache-Control': 'max-age=0, no-store' })), true);
+    assert.equal(cache.shouldBypass(req({ Pragma: 'no-cache' })), true);
+    assert.equal(cache.shouldBypass(req({ 'Cache-Control': 'max-age=60' })), false);
+    assert.equal(cache.shouldBypass(req({})), false);
+  });
+});
@@ -0,0 +1,154 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const config = require('../config');
+
+const { loadConfig, ConfigError } = config;
+
+// The settings the server cannot run without
+const REQUIRED = {
+  WIKIBASE_API_URL: 'http://wikibase.test/w/api.php',
+  WIKIBASE_SPARQL_URL: 'http://wikibase.test/sparql'
+};
+
+describe('configuration', () => {
+  it('fills in defaults around the required settings', () => {
+    const { config: loaded, problems } = loadConfig(REQUIRED);
+
+    assert.deepEqual(problems, []);
+    assert.equal(loaded.wikibase.apiUrl, REQUIRED.WIKIBASE_API_URL);
+    assert.equal(loaded.wikibase.entityUrl, 'https://medievalcharterskg.wikibase.cloud/entity');
+    assert.equal(loaded.server.port, 3000);
+    assert.deepEqual(loaded.server.allowedOrigins, ['http://localhost:5173', 'https://jbritosm.github.io']);
+    assert.equal(loaded.server.trustProxy, false);
+    assert.equal(loaded.upstream.retries, 2);
+    assert.equal(loaded.metrics.enabled, false);
+  });
+
+  it('serves metrics by default only in development', () => {
+    assert.equal(loadConfig({ ...REQUIRED, NODE_ENV: 'production' }).config.metrics.enabled, false);
+    assert.equal(loadConfig({ ...REQUIRED, NODE_ENV: 'development' }).config.metrics.enabled, true);
+    assert.equal(loadConfig({ ...REQUIRED, NODE_ENV: 'production', METRICS_ENABLED: 'true' }).config.metrics.enabled, true);
+  });
+
+  it('reports every missing required setting', () => {
+    const { problems } = loadConfig({});
+
+    assert.equal(problems.length, 2);
+    assert.match(problems[0], /^WIKIBASE_API_URL is required/);
+    assert.match(problems[1], /^WIKIBASE_SPARQL_URL is required/);
+  });
+
+  it('treats empty variables as unset', () => {
+    const { config: loaded, problems } = loadConfig({ ...REQUIRED, PORT: '', ALLOWED_ORIGINS: ' ' });
+
+    assert.deepEqual(problems, []);
+    assert.equal(loaded.server.port, 3000);
+    assert.equal(loaded.server.allowedOrigins.length, 2);
+  });
+
+  it('parses typed settings', () => {
+    const { config: loaded, problems } = loadConfig({
+      ...REQUIRED,
+      PORT: '8080',
+      ALLOWED_ORIGINS: 'https://a.example, https://b.example',
+      UPSTREAM_RETRIES: '0',
+      OPENAPI_VALIDATE_RESPONSES: 'true',
+      TRUST_PROXY: '1',
+      TYPE_CLASSES: 'person=Q5,place=Q6|Q7'
+    });
+
+    assert.deepEqual(problems, []);
+    assert.equal(loaded.server.port, 8080);
+    assert.deepEqual(loaded.server.allowedOrigins, ['https://a.example', 'https://b.example']);
+    assert.equal(loaded.upstream.retries, 0);
+    assert.equal(loaded.openapi.validateResponses, true);
+    assert.equal(loaded.server.trustProxy, 1);
+    assert.deepEqual(loaded.types.classes, { person: ['Q5'], place: ['Q6', 'Q7'] });
+  });
+
+  it('reports malformed values and keeps the defaults', () => {
+    const { config: loaded, problems } = loadConfig({
+      ...REQUIRED,
+      WIKIBASE_SPARQL_URL: 'wikibase.test/sparql',
+      PORT: 'eighty',
+      SEARCH_MAX_PAGE_SIZE: '100',
+      DATA_SOURCE: 'cache',
+      OPENAPI_VALIDATE_RESPONSES: 'yes'
+    });
+
+    assert.deepEqual(problems, [
+      'WIKIBASE_SPARQL_URL must be an http(s) URL, got "wikibase.test/sparql"',
+      'DATA_SOURCE must be one of live, snapshot, got "cache"',
+      'SEARCH_MAX_PAGE_SIZE must be at most 50, got 100',
+      'OPENAPI_VALIDATE_RESPONSES must be true or false, got "yes"',
+      'PORT must be an integer, got "eighty"'
+    ]);
+    assert.equal(loaded.server.port, 3000);
+    assert.equal(loaded.dataSource, 'live');
+  });
+
+  it('checks settings that depend on each other', () => {
+    const { problems } = loadConfig({ ...REQUIRED, LANGUAGES_SUPPORTED: 'es,la', SEARCH_DEFAULT_PAGE_SIZE: '60' });
+
+    assert.deepEqual(problems, [
+      'SEARCH_DEFAULT_PAGE_SIZE (60) must not exceed SEARCH_MAX_PAGE_SIZE (50)',
+      'LANGUAGE_DEFAULT "en" must be one of LANGUAGES_SUPPORTED (es, la)'
+    ]);
+  });
+
+  it('derives the direct claim namespace from the entity namespace', () => {
+    const { config: loaded } = loadConfig({ ...REQUIRED, WIKIBASE_ENTITY_URL: 'https://kg.example/entity/' });
+
+    assert.equal(loaded.wikibase.entityUrl, 'https://kg.example/entity');
+    assert.equal(loaded.wikibase.propDirectUrl, 'https://kg.example/prop/direct');
+  });
+
+  it('lets the direct claim namespace be set explicitly', () => {
+    const { config: loaded } = loadConfig({
+      ...REQUIRED,
+      WIKIBASE_ENTITY_URL: 'https://kg.example/entity',
+      WIKIBASE_PROP_DIRECT_URL: 'https://kg.example/wdt'
+    });
+
+    assert.equal(loaded.wikibase.propDirectUrl, 'https://kg.example/wdt');
+  });
+
+  it('lists every problem in a ConfigError', () => {
+    const error = new ConfigError(['A is required', 'B must be an integer, got "x"']);
+
+    assert.equal(error.name, 'ConfigError');
+    assert.equal(error.message, [
+      'Invalid configuration:',
+      '  - A is required',
+      '  - B must be an integer, got "x"',
+      'See backend/.env.example for every setting.'
+    ].join('\n'));
+  });
+
+  it('keeps its helpers out of the settings', () => {
+    assert.ok(!Object.keys(config).includes('assertValid'));
+    assert.equal(typeof config.assertValid, 'function');
+  });
+});
+
+describe('server startup', () => {
+  it('refuses to start without the required settings', () => {
+    const env = { ...process.env };
+    delete env.WIKIBASE_API_URL;
+    delete env.WIKIBASE_SPARQL_URL;
+
+    const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+      cwd: path.join(__dirname, '..'),
+      env: { ...env, PORT: '0' },
+      encoding: 'utf8',
+      timeout: 10000
+    });
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Invalid configuration:/);
+    assert.match(result.stderr, /WIKIBASE_API_URL is required/);
+    assert.match(result.stderr, /WIKIBASE_SPARQL_URL is required/);
+  });
+});
@@ -0,0 +1,154 @@
+process.env.WIKIBASE_SPARQL_URL = 'http://wikibase.test/sparql';
+process.env.UPSTREAM_RETRY_DELAY_MS = '1';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const request = require('supertest');
+const axios = require('axios');
+const cache = require('../services/cache');
+const upstream = require('../services/upstream');
+const entityRoutes = require('../routes/entities');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const app = express();
+app.use('/api/entities', entityRoutes);
+app.use(errorHandler);
+
+const ENTITY = 'https://medievalcharterskg.wikibase.cloud/entity/';
+const ONTOLOGY = 'http://wikiba.se/ontology#';
+
+const uri = value => ({ type: 'uri', value });
+const literal = (value, lang) => ({ type: 'literal', value, ...(lang && { 'xml:lang': lang }) });
+
+const claim = (property, propertyLabel, datatype, value, valueLabel) => ({
+  property: uri(`${ENTITY}${property}`),
+  propertyLabel: literal(propertyLabel, 'en'),
+  datatype: uri(`${ONTOLOGY}${datatype}`),
+  value,
+  valueLabel: literal(valueLabel, 'es')
+});
+
+// Claims as the OPTIONAL/federated joins used to return them, including duplicates
+const CLAIMS = [
+  claim('P3', 'instance of', 'WikibaseItem', uri(`${ENTITY}Q5`), 'persona'),
+  claim('P3', 'instance of', 'WikibaseItem', uri(`${ENTITY}Q5`), 'persona'),
+  claim('P55', 'residence', 'WikibaseItem', uri(`${ENTITY}Q10`), 'Oviedo'),
+  claim('P55', 'residence', 'WikibaseItem', uri(`${ENTITY}Q11`), 'León'),
+  claim('P12', 'name', 'String', literal('Iohannes'), 'Iohannes')
+];
+
+const TERMS = [
+  { term: literal('label'), text: literal('Juan Pérez', 'es') },
+  { term: literal('label'), text: literal('John Pérez', 'en') },
+  { term: literal('description'), text: literal('witness', 'en') },
+  { term: literal('alias'), text: literal('Iohannes Petri', 'la') }
+];
+
+const COORDINATES = [
+  { source: literal('P55'), wikidataId: literal('Q14317'), coord: literal('Point(-5.8447 43.3614)') }
+];
+
+const stubSparql = ({ claims = CLAIMS, terms = TERMS, coordinates = COORDINATES } = {}) =>
+  mock.method(axios, 'post', async (url, body) => {
+    const query = body.get('query');
+    let bindings = [];
+    if (query.includes('wikibase:propertyType')) bindings = claims;
+    else if (query.includes('?term ?text')) bindings = terms;
+    else if (query.includes('?source ?wikidataId')) {
+      if (coordinates instanceof Error) throw coordinates;
+      bindings = coordinates;
+    }
+    return { data: { results: { bindings } } };
+  });
+
+describe('GET /api/entities/:id', () => {
+  beforeEach(() => {
+    cache.purge();
+    upstream.reset();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('returns a normalised entity document', async () => {
+    stubSparql();
+
+    const response = await request(app).get('/api/entities/Q1?lang=es');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.id, 'Q1');
+    assert.equal(response.body.label, 'Juan Pérez');
+    assert.equal(response.body.language, 'es');
+    assert.equal(response.body.description, 'witness');
+    assert.deepEqual(response.body.aliases, ['Iohannes Petri']);
+    assert.deepEqual(response.body.types, [{ id: 'Q5', label: 'persona' }]);
+    assert.deepEqual(Object.keys(response.body.properties), ['P3', 'P12', 'P55']);
+    assert.deepEqual(response.body.coordinates, {
+      lat: 43.3614,
+      lng: -5.8447,
+      source: 'P55',
+      wikidataId: 'Q14317'
+    });
+  });
+
+  it('de-duplicates values and keeps their IDs and datatypes', async () => {
+    stubSparql();
+
+    const { body } = await request(app).get('/api/entities/Q1?lang=es');
+
+    assert.deepEqual(body.properties.P3.values, [
+      { value: 'Q5', id: 'Q5', label: 'persona', datatype: 'wikibase-item' }
+    ]);
+    assert.equal(body.properties.P55.values.length, 2);
+    assert.deepEqual(body.properties.P12.values, [
+      { value: 'Iohannes', id: null, label: 'Iohannes', datatype: 'string' }
+    ]);
+  });
+
+  it('returns null coordinates when none are known', async () => {
+    stubSparql({ coordinates: [] });
+
+    const { body } = await request(app).get('/api/entities/Q1');
+
+    assert.equal(body.coordinates, null);
+    assert.equal(body.coordinatesUnavailable, false);
+  });
+
+  it('renders without coordinates when Wikidata fails', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const timeout = Object.assign(new Error('timeout of 8000ms exceeded'), { code: 'ECONNABORTED', request: {} });
+    stubSparql({ coordinates: timeout });
+
+    const response = await request(app).get('/api/entities/Q1?lang=es');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.label, 'Juan Pérez');
+    assert.equal(response.body.coordinates, null);
+    assert.equal(response.body.coordinatesUnavailable, true);
+
+    // The document was cached without the failed coordinates, which are fetched again
+    stubSparql();
+    const retried = await request(app).get('/api/entities/Q1?lang=es');
+    assert.equal(retried.body.coordinates.wikidataId, 'Q14317');
+    assert.equal(retried.body.coordinatesUnavailable, false);
+  });
+
+  it('returns 404 for an entity without data', async () => {
+    stubSparql({ claims: [], terms: [], coordinates: [] });
+
+    const response = await request(app).get('/api/entities/Q999');
+
+    assert.equal(response.status, 404);
+  });
+
+  it('rejects invalid IDs before querying', async () => {
+    const axiosPost = stubSparql();
+
+    const response = await request(app).get(`/api/entities/${encodeURIComponent('Q1 } #')}`);
+
+    assert.equal(response.status, 400);
+    assert.equal(axiosPost.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,85 @@
+process.env.WIKIBASE_API_URL = 'http://wikibase.test/w/api.php';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const request = require('supertest');
+const axios = require('axios');
+const cache = require('../services/cache');
+const entityRoutes = require('../routes/entities');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const app = express();
+app.use('/api/entities', entityRoutes);
+app.use(errorHandler);
+
+// wbgetentities stub: every Q-ID below Q1000 exists
+const stubGetEntities = () => mock.method(axios, 'get', async (url, { params }) => {
+  const entities = {};
+  params.ids.split('|').forEach(id => {
+    entities[id] = Number(id.slice(1)) < 1000
+      ? { id, type: 'item', labels: { es: { language: 'es', value: `Entidad ${id}` } } }
+      : { id, missing: '' };
+  });
+  return { data: { entities, success: 1 } };
+});
+
+const ids = (count) => Array.from({ length: count }, (_, i) => `Q${i + 1}`);
+
+describe('GET /api/entities?ids=', () => {
+  beforeEach(() => {
+    cache.purge();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('fetches IDs in chunks of 50 and merges them by ID', async () => {
+    const axiosGet = stubGetEntities();
+
+    const response = await request(app).get(`/api/entities?ids=${ids(120).join('|')}`);
+
+    assert.equal(response.status, 200);
+    assert.equal(Object.keys(response.body.entities).length, 120);
+    assert.equal(response.body.entities.Q120.labels.es.value, 'Entidad Q120');
+    assert.deepEqual(
+      axiosGet.mock.calls.map(call => call.arguments[1].params.ids.split('|').length),
+      [50, 50, 20]
+    );
+  });
+
+  it('passes props and languages through and lists missing IDs', async () => {
+    const axiosGet = stubGetEntities();
+
+    const response = await request(app).get('/api/entities?ids=Q1|Q1|Q1500&props=labels|descriptions&languages=es|la');
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(Object.keys(response.body.entities), ['Q1']);
+    assert.deepEqual(response.body.missing, ['Q1500']);
+
+    const { params } = axiosGet.mock.calls[0].arguments[1];
+    assert.equal(params.action, 'wbgetentities');
+    assert.equal(params.ids, 'Q1|Q1500');
+    assert.equal(params.props, 'labels|descriptions');
+    assert.equal(params.languages, 'es|la');
+  });
+
+  it('defaults languages to the negotiated chain', async () => {
+    const axiosGet = stubGetEntities();
+
+    await request(app).get('/api/entities?ids=Q1&lang=la');
+
+    assert.equal(axiosGet.mock.calls[0].arguments[1].params.languages, 'la|es|en');
+  });
+
+  it('rejects invalid parameters before calling Wikibase', async () => {
+    const axiosGet = stubGetEntities();
+
+    for (const query of ['', 'ids=Q1|DROP', 'ids=Q1&props=everything', 'ids=Q1&languages=e"s', `ids=${ids(501).join('|')}`]) {
+      const response = await request(app).get(`/api/entities?${query}`);
+      assert.equal(response.status, 400, query);
+    }
+    assert.equal(axiosGet.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,177 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const request = require('supertest');
+const { requestId } = require('../middleware/requestId');
+const { errorHandler, notFound } = require('../middleware/errorHandler');
+const { CircuitOpenError } = require('../services/upstream');
+const { SnapshotError } = require('../services/snapshot');
+const { ValidationError, toApiError } = require('../utils/errors');
+
+/**
+ * An axios error for a response with the given status, or for no response at all.
+ * @param {number} [status]
+ * @param {*} [data]
+ * @returns {Error}
+ */
+const upstreamError = (status, data = {}) => {
+  const error = new Error(status ? `Request failed with status code ${status}` : 'socket hang up');
+  error.request = {};
+  if (status) error.response = { status, data };
+  return error;
+};
+
+/**
+ * Build an app whose only route fails with the given error.
+ * @param {Error} error
+ * @returns {Object} Express application
+ */
+const failingApp = (error) => {
+  const app = express();
+  app.use(requestId);
+  app.get('/api/fail', async () => { throw error; });
+  app.use('/api', notFound);
+  app.use(errorHandler);
+  return app;
+};
+
+describe('toApiError', () => {
+  it('keeps API errors as they are', () => {
+    const error = new ValidationError('Invalid filters', 'from must be a year');
+
+    assert.equal(toApiError(error), error);
+  });
+
+  it('names the upstream target that failed', () => {
+    const error = upstreamError(500, 'boom');
+    error.upstreamTarget = 'sparql';
+
+    const apiError = toApiError(error);
+    assert.equal(apiError.name, 'UpstreamError');
+    assert.equal(apiError.status, 502);
+    assert.equal(apiError.code, 'upstream_error');
+    assert.equal(apiError.message, 'Error from SPARQL endpoint');
+    assert.equal(apiError.detail, 'boom');
+    assert.equal(apiError.upstreamStatus, 500);
+    assert.equal(apiError.retryable, true);
+  });
+
+  it('does not mark upstream client errors as retryable', () => {
+    assert.equal(toApiError(upstreamError(404)).retryable, false);
+    assert.equal(toApiError(upstreamError(429)).retryable, true);
+  });
+
+  it('maps timeouts to 504', () => {
+    const error = new Error('timeout of 10000ms exceeded');
+    error.code = 'ECONNABORTED';
+
+    assert.equal(toApiError(error).status, 504);
+    assert.equal(toApiError(error).code, 'upstream_timeout');
+  });
+
+  it('reports errors from wbgetentities as a bad gateway', () => {
+    const error = new Error('Unrecognized value for parameter "props"');
+    error.name = 'WikibaseApiError';
+    error.code = 'badvalue';
+
+    assert.deepEqual(toApiError(error).detail, { code: 'badvalue', info: 'Unrecognized value for parameter "props"' });
+  });
+
+  it('reports an unreadable snapshot as unavailable without its path', () => {
+    const error = toApiError(new SnapshotError('Cannot read snapshot latest in /srv/snapshots: ENOENT'));
+
+    assert.equal(error.status, 503);
+    assert.equal(error.code, 'snapshot_unavailable');
+    assert.doesNotMatch(JSON.stringify(error.detail), /srv/);
+  });
+
+  it('hides the message of unexpected errors', () => {
+    const error = toApiError(new TypeError('Cannot read properties of undefined'));
+
+    assert.equal(error.status, 500);
+    assert.equal(error.message, 'Internal Server Error');
+    assert.equal(error.detail, null);
+  });
+});
+
+describe('error handler', () => {
+  beforeEach(() => {
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('responds with the error envelope and the request ID', async () => {
+    const response = await request(failingApp(new ValidationError('Invalid filters', 'from must be a year')))
+      .get('/api/fail');
+
+    assert.equal(response.status, 400);
+    assert.match(response.get('X-Request-Id'), /^[0-9a-f-]{36}$/);
+    assert.deepEqual(response.body, {
+      error: {
+        code: 'invalid_parameter',
+        message: 'Invalid filters',
+        detail: 'from must be a year',
+        upstreamStatus: null,
+        requestId: response.get('X-Request-Id'),
+        retryable: false
+      }
+    });
+    assert.equal(console.error.mock.callCount(), 0);
+  });
+
+  it('keeps a request ID set by a proxy', async () => {
+    const response = await request(failingApp(new ValidationError('Invalid filters')))
+      .get('/api/fail')
+      .set('X-Request-Id', 'edge-1234');
+
+    assert.equal(response.body.error.requestId, 'edge-1234');
+  });
+
+  it('replaces malformed request IDs', async () => {
+    const response = await request(failingApp(new ValidationError('Invalid filters')))
+      .get('/api/fail')
+      .set('X-Request-Id', 'a b\tc');
+
+    assert.notEqual(response.body.error.requestId, 'a b\tc');
+  });
+
+  it('sets Retry-After while a circuit is open', async () => {
+    const response = await request(failingApp(new CircuitOpenError('wikibase', 12))).get('/api/fail');
+
+    assert.equal(response.status, 503);
+    assert.equal(response.get('Retry-After'), '12');
+    assert.equal(response.body.error.code, 'upstream_unavailable');
+    assert.equal(response.body.error.message, 'Wikibase API temporarily unavailable');
+    assert.equal(response.body.error.retryable, true);
+  });
+
+  it('logs server errors with the request ID', async () => {
+    const response = await request(failingApp(upstreamError())).get('/api/fail');
+
+    assert.equal(response.status, 503);
+    assert.equal(console.error.mock.callCount(), 1);
+    assert.match(console.error.mock.calls[0].arguments[0], new RegExp(response.get('X-Request-Id')));
+  });
+
+  it('responds 404 to unknown API paths', async () => {
+    const response = await request(failingApp(new Error('unused'))).get('/api/nope');
+
+    assert.equal(response.status, 404);
+    assert.equal(response.body.error.code, 'route_not_found');
+  });
+
+  it('reports malformed JSON bodies as bad requests', async () => {
+    const app = express();
+    app.use(express.json());
+    app.post('/api/echo', (req, res) => res.json(req.body));
+    app.use(errorHandler);
+
+    const response = await request(app).post('/api/echo').type('json').send('{"query":');
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.code, 'invalid_request');
+  });
+});
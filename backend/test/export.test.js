@@ -0,0 +1,204 @@
+process.env.WIKIBASE_API_URL = 'http://wikibase.test/w/api.php';
+process.env.WIKIBASE_SPARQL_URL = 'http://wikibase.test/sparql';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const request = require('supertest');
+const axios = require('axios');
+const cache = require('../services/cache');
+const { entityStatements } = require('../rdf/ntriples');
+const { toTurtle, toJsonLd, toRdfXml } = require('../rdf/serialisers');
+const entityRoutes = require('../routes/entities');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const app = express();
+app.use('/api/entities', entityRoutes);
+app.use(errorHandler);
+
+const ENTITY = 'https://medievalcharterskg.wikibase.cloud/entity/';
+const DIRECT = 'https://medievalcharterskg.wikibase.cloud/prop/direct/';
+
+const term = (language, value) => ({ [language]: { language, value } });
+const statement = (datatype, datavalue) => ({
+  rank: 'normal',
+  mainsnak: { snaktype: 'value', datatype, datavalue }
+});
+
+// wbgetentities document of a person with terms, an item, a string and two date claims,
+// one of them known only to the year (precision 9)
+const Q1 = {
+  id: 'Q1',
+  type: 'item',
+  labels: { ...term('es', 'Juan Pérez'), ...term('la', 'Iohannes "Petri"') },
+  descriptions: term('es', 'notario'),
+  aliases: { es: [{ language: 'es', value: 'Juanito' }] },
+  claims: {
+    P55: [statement('wikibase-item', { type: 'wikibase-entityid', value: { 'entity-type': 'item', id: 'Q2' } })],
+    P12: [statement('string', { type: 'string', value: 'Iohannes & <Petri>' })],
+    P9: [statement('time', { type: 'time', value: { time: '+1150-01-01T00:00:00Z' } })],
+    P10: [statement('time', { type: 'time', value: { time: '+1150-00-00T00:00:00Z', precision: 9 } })]
+  }
+};
+
+const stubGetEntities = () => mock.method(axios, 'get', async (url, { params }) => {
+  const entities = {};
+  params.ids.split('|').forEach(id => {
+    entities[id] = id === 'Q1' ? Q1 : { id, missing: '' };
+  });
+  return { data: { entities, success: 1 } };
+});
+
+describe('GET /api/entities/:id/export', () => {
+  beforeEach(() => {
+    cache.purge();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('defaults to JSON-LD with the entity and direct-claim IRIs', async () => {
+    const axiosGet = stubGetEntities();
+
+    const response = await request(app).get('/api/entities/Q1/export');
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers['content-type'], /^application\/ld\+json/);
+    assert.equal(response.headers['content-disposition'], 'attachment; filename="Q1.jsonld"');
+
+    const document = JSON.parse(response.text);
+    assert.equal(document['@context'].wd, ENTITY);
+    assert.equal(document['@context'].wdt, DIRECT);
+    assert.equal(document['@id'], 'wd:Q1');
+    assert.deepEqual(document['wdt:P55'], { '@id': 'wd:Q2' });
+    assert.deepEqual(document['wdt:P9'], { '@value': '1150-01-01T00:00:00Z', '@type': 'xsd:dateTime' });
+
+    const [, { params }] = axiosGet.mock.calls[0].arguments;
+    assert.equal(params.ids, 'Q1');
+    assert.match(params.props, /claims/);
+  });
+
+  it('serialises each format under its media type and file extension', async () => {
+    stubGetEntities();
+    const expected = {
+      ttl: ['text/turtle', 'Q1.ttl'],
+      nt: ['application/n-triples', 'Q1.nt'],
+      rdfxml: ['application/rdf+xml', 'Q1.rdf']
+    };
+
+    for (const [format, [mediaType, filename]] of Object.entries(expected)) {
+      const response = await request(app).get(`/api/entities/Q1/export?format=${format}`);
+
+      assert.equal(response.status, 200, format);
+      assert.equal(response.headers['content-type'].split(';')[0], mediaType);
+      assert.equal(response.headers['content-disposition'], `attachment; filename="${filename}"`);
+    }
+  });
+
+  it('writes one N-Triples line per statement', async () => {
+    stubGetEntities();
+
+    const response = await request(app).get('/api/entities/Q1/export?format=nt');
+
+    const lines = response.text.trim().split('\n');
+    assert.ok(lines.includes(`<${ENTITY}Q1> <${DIRECT}P55> <${ENTITY}Q2> .`));
+    assert.ok(lines.includes(`<${ENTITY}Q1> <http://www.w3.org/2000/01/rdf-schema#label> "Juan Pérez"@es .`));
+    assert.ok(lines.every(line => line.endsWith(' .')));
+  });
+
+  it('writes year precision dates as valid xsd:dateTime literals', async () => {
+    stubGetEntities();
+
+    const response = await request(app).get('/api/entities/Q1/export?format=nt');
+
+    const date = response.text.split('\n').find(line => line.includes(`<${DIRECT}P10>`));
+    assert.equal(date, `<${ENTITY}Q1> <${DIRECT}P10> "1150-01-01T00:00:00Z"^^<http://www.w3.org/2001/XMLSchema#dateTime> .`);
+  });
+
+  it('chooses the format from the Accept header', async () => {
+    stubGetEntities();
+
+    const response = await request(app).get('/api/entities/Q1/export').set('Accept', 'text/turtle');
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers['content-type'], /^text\/turtle/);
+  });
+
+  it('responds 406 for an unsupported format', async () => {
+    const axiosGet = stubGetEntities();
+
+    const response = await request(app).get('/api/entities/Q1/export?format=csv');
+
+    assert.equal(response.status, 406);
+    assert.equal(response.body.error.code, 'unsupported_format');
+    assert.match(response.body.error.detail, /jsonld, ttl, nt, rdfxml/);
+    assert.equal(axiosGet.mock.callCount(), 0);
+  });
+
+  it('responds 404 when the entity does not exist', async () => {
+    stubGetEntities();
+
+    const response = await request(app).get('/api/entities/Q404/export?format=ttl');
+
+    assert.equal(response.status, 404);
+    assert.equal(response.body.error.code, 'not_found');
+  });
+
+  it('rejects invalid entity IDs', async () => {
+    const response = await request(app).get('/api/entities/foo/export');
+
+    assert.equal(response.status, 400);
+  });
+
+  it('serves repeated exports from the cache', async () => {
+    const axiosGet = stubGetEntities();
+
+    await request(app).get('/api/entities/Q1/export?format=ttl');
+    const response = await request(app).get('/api/entities/Q1/export?format=rdfxml');
+
+    assert.equal(response.headers['x-cache'], 'HIT');
+    assert.equal(axiosGet.mock.callCount(), 1);
+  });
+});
+
+describe('RDF serialisers', () => {
+  const record = {
+    id: 'Q1',
+    labels: { es: 'Juan Pérez', la: 'Iohannes "Petri"' },
+    descriptions: {},
+    aliases: {},
+    claims: {
+      P12: [{ value: 'Iohannes & <Petri>', datatype: 'string' }],
+      P55: [{ value: 'Q2', datatype: 'wikibase-item' }, { value: 'Q3', datatype: 'wikibase-item' }]
+    }
+  };
+
+  it('abbreviates IRIs and escapes literals in Turtle', () => {
+    const turtle = toTurtle(entityStatements(record));
+
+    assert.match(turtle, /^@prefix wd: <https:\/\/medievalcharterskg\.wikibase\.cloud\/entity\/> \.$/m);
+    assert.match(turtle, /^wd:Q1$/m);
+    assert.match(turtle, /wdt:P55 wd:Q2,\n\s+wd:Q3/);
+    assert.match(turtle, /"Iohannes \\"Petri\\""@la/);
+  });
+
+  it('lists repeated predicates as arrays in JSON-LD', () => {
+    const document = toJsonLd(entityStatements(record));
+
+    assert.deepEqual(document['wdt:P55'], [{ '@id': 'wd:Q2' }, { '@id': 'wd:Q3' }]);
+    assert.deepEqual(document['rdfs:label'], [
+      { '@value': 'Juan Pérez', '@language': 'es' },
+      { '@value': 'Iohannes "Petri"', '@language': 'la' }
+    ]);
+  });
+
+  it('escapes markup in RDF/XML', () => {
+    const xml = toRdfXml(entityStatements(record));
+
+    assert.match(xml, /<rdf:Description rdf:about="https:\/\/medievalcharterskg\.wikibase\.cloud\/entity\/Q1">/);
+    assert.match(xml, /<wdt:P55 rdf:resource="https:\/\/medievalcharterskg\.wikibase\.cloud\/entity\/Q2"\/>/);
+    assert.match(xml, /<wdt:P12>Iohannes &amp; &lt;Petri&gt;<\/wdt:P12>/);
+    assert.match(xml, /<rdfs:label xml:lang="la">Iohannes &quot;Petri&quot;<\/rdfs:label>/);
+  });
+});
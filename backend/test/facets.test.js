@@ -0,0 +1,176 @@
+process.env.WIKIBASE_API_URL = 'http://wikibase.test/w/api.php';
+process.env.WIKIBASE_SPARQL_URL = 'http://wikibase.test/sparql';
+process.env.WIKIBASE_PROPERTY_SUBCLASS_OF = 'P4';
+process.env.TYPE_CLASSES = 'person=Q1,place=Q2,activity=Q3';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const request = require('supertest');
+const axios = require('axios');
+const cache = require('../services/cache');
+const searchRoutes = require('../routes/search');
+const { errorHandler } = require('../middleware/errorHandler');
+const { uri } = require('./helpers/wikibaseStub');
+const { matchTemplate } = require('../standin/sparql');
+
+const app = express();
+app.use('/api/search', searchRoutes);
+app.use(errorHandler);
+
+const literal = (value, extra = {}) => ({ type: 'literal', value, ...extra });
+
+// Four "Juan" label matches with their class, residence (P55), dates and properties
+const ENTITIES = {
+  Q1: { className: 'person', places: ['Q30'], dates: ['1150-01-01T00:00:00Z'], properties: ['P7', 'P55'] },
+  Q2: { className: 'person', places: ['Q31'], dates: ['1250-01-01T00:00:00Z'], properties: ['P55'] },
+  Q3: { className: 'place', places: [], dates: [], properties: ['P2'] },
+  Q4: { className: 'person', places: ['Q30'], dates: ['1120-06-01T00:00:00Z'], properties: ['P7', 'P55'] }
+};
+const LABELS = { Q30: 'Oviedo', Q31: 'León', P2: 'Wikidata ID', P7: 'witness', P55: 'residence' };
+
+const facetBindings = () => Object.entries(ENTITIES).flatMap(([id, entity]) => [
+  ...entity.places.map(place => ({
+    entity: uri(id), facet: literal('place'), value: uri(place), valueLabel: literal(LABELS[place])
+  })),
+  ...entity.dates.map(date => ({ entity: uri(id), facet: literal('date'), value: literal(date) })),
+  ...entity.properties.map(property => ({
+    entity: uri(id), facet: literal('property'), value: uri(property), valueLabel: literal(LABELS[property])
+  }))
+]);
+
+const classBindings = () => Object.entries(ENTITIES).map(([id, entity]) => ({
+  entity: uri(id),
+  class: uri(entity.className === 'person' ? 'Q1' : 'Q2'),
+  classLabel: literal(entity.className, { 'xml:lang': 'en' }),
+  direct: literal('true')
+}));
+
+/**
+ * Evaluate a facetFilter query over ENTITIES, as the query service would.
+ * @param {Object} values - Template values recovered from the query
+ * @returns {Object[]} Bindings of the entities that pass
+ */
+const filterBindings = (values) => values.entityIds
+  .filter(id => {
+    const entity = ENTITIES[id];
+    if (!entity) return false;
+    const classId = entity.className === 'person' ? 'Q1' : 'Q2';
+    const years = entity.dates.map(date => parseInt(date, 10));
+    return (!values.byType || values.typeClasses.includes(classId)) &&
+      (!values.byPlace || entity.places.some(place => values.places.includes(place))) &&
+      (!values.byDate || years.some(year => year >= values.fromYear && year <= values.toYear)) &&
+      (!values.byProperty || values.requiredProperties.every(property => entity.properties.includes(property)));
+  })
+  .map(id => ({ entity: uri(id) }));
+
+describe('GET /api/search/faceted', () => {
+  let axiosPost;
+
+  beforeEach(() => {
+    cache.purge();
+    mock.method(axios, 'get', async () => ({
+      data: { search: Object.keys(ENTITIES).map(id => ({ id, label: `Juan ${id}` })), success: 1 }
+    }));
+    axiosPost = mock.method(axios, 'post', async (url, body) => {
+      const query = body.get('query');
+      const template = matchTemplate(query);
+      let bindings = classBindings();
+      if (template?.name === 'facetFilter') bindings = filterBindings(template.values);
+      if (template?.name === 'facetClaims') bindings = facetBindings();
+      return { data: { results: { bindings } } };
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('returns every label match with facet counts when unfiltered', async () => {
+    const response = await request(app).get('/api/search/faceted?query=Juan');
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.search.map(hit => hit.id), ['Q1', 'Q2', 'Q3', 'Q4']);
+    assert.equal(response.body.search[0].type, 'person');
+    assert.deepEqual(response.body.facets.type, [
+      { value: 'person', label: 'person', count: 3 },
+      { value: 'place', label: 'place', count: 1 }
+    ]);
+    assert.deepEqual(response.body.facets.place[0], { value: 'Q30', label: 'Oviedo', count: 2 });
+    assert.deepEqual(response.body.facets.century.map(({ value, count }) => [value, count]), [[1100, 2], [1200, 1]]);
+    assert.equal(response.body.pagination.total, 4);
+
+    const facetQuery = axiosPost.mock.calls.map(call => call.arguments[1].get('query'))
+      .find(query => query.includes('?placeProperty'));
+    assert.match(facetQuery, /VALUES \?placeProperty \{ wd:P55 \}/);
+    assert.match(facetQuery, /VALUES \?dateProperty \{ UNDEF \}/);
+
+    // Nothing to filter, so no filter query
+    assert.ok(axiosPost.mock.calls.every(call => matchTemplate(call.arguments[1].get('query'))?.name !== 'facetFilter'));
+  });
+
+  it('combines type, place, date and property filters', async () => {
+    const response = await request(app)
+      .get('/api/search/faceted?query=Juan&type=person&place=Q30&from=1100&to=1199&has=P7');
+
+    assert.deepEqual(response.body.search.map(hit => hit.id), ['Q1', 'Q4']);
+    assert.equal(response.body.pagination.total, 2);
+    assert.deepEqual(response.body.filters, { types: ['person'], places: ['Q30'], from: 1100, to: 1199, has: ['P7'] });
+
+    // The filters run in SPARQL over the label matches, all of them in one query
+    const filter = axiosPost.mock.calls
+      .map(call => matchTemplate(call.arguments[1].get('query')))
+      .find(template => template?.name === 'facetFilter' && template.values.byType && template.values.byPlace);
+    assert.deepEqual(filter.values.entityIds, ['Q1', 'Q2', 'Q3', 'Q4']);
+    assert.deepEqual(filter.values.typeClasses, ['Q1']);
+    assert.deepEqual(filter.values.places, ['Q30']);
+    assert.deepEqual([filter.values.fromYear, filter.values.toYear], [1100, 1199]);
+    assert.deepEqual(filter.values.requiredProperties, ['P7']);
+  });
+
+  it('counts each facet with the other filters applied', async () => {
+    const response = await request(app).get('/api/search/faceted?query=Juan&type=person&from=1200');
+
+    assert.deepEqual(response.body.search.map(hit => hit.id), ['Q2']);
+    // The type facet ignores the type filter but applies the date range
+    assert.deepEqual(response.body.facets.type, [{ value: 'person', label: 'person', count: 1 }]);
+    // The century facet ignores the date range but applies the type filter
+    assert.deepEqual(response.body.facets.century.map(({ value, count }) => [value, count]), [[1100, 2], [1200, 1]]);
+  });
+
+  it('paginates the filtered hits', async () => {
+    const response = await request(app).get('/api/search/faceted?query=Juan&type=person&pageSize=2&page=2');
+
+    assert.deepEqual(response.body.search.map(hit => hit.id), ['Q4']);
+    assert.equal(response.body.pagination.hasMore, false);
+    assert.equal(response.body.pagination.total, 3);
+  });
+
+  it('filters every label match, not only the first page of them', async () => {
+    // 260 label matches; only the last one is a place
+    const hits = Array.from({ length: 260 }, (_, i) => ({ id: `Q${100 + i}`, label: `Juan ${i}` }));
+    ENTITIES.Q359 = { className: 'place', places: [], dates: [], properties: [] };
+    mock.method(axios, 'get', async (url, { params }) => {
+      const search = hits.slice(params.continue, params.continue + params.limit);
+      const next = params.continue + params.limit;
+      return { data: { search, ...(next < hits.length && { 'search-continue': next }), success: 1 } };
+    });
+
+    try {
+      const response = await request(app).get('/api/search/faceted?query=Juan&type=place');
+
+      assert.deepEqual(response.body.search.map(hit => hit.id), ['Q359']);
+      assert.equal(response.body.pagination.total, 1);
+      assert.deepEqual(response.body.candidates, { count: 260, truncated: false });
+    } finally {
+      delete ENTITIES.Q359;
+    }
+  });
+
+  it('rejects invalid filters', async () => {
+    for (const query of ['type=monster', 'place=P1', 'from=12th', 'from=1300&to=1200', 'has=Q1', 'to=99999999999999999']) {
+      const response = await request(app).get(`/api/search/faceted?query=Juan&${query}`);
+      assert.equal(response.status, 400, query);
+    }
+  });
+});
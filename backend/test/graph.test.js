@@ -0,0 +1,87 @@
+process.env.WIKIBASE_API_URL = 'http://wikibase.test/w/api.php';
+process.env.WIKIBASE_SPARQL_URL = 'http://wikibase.test/sparql';
+process.env.GRAPH_MAX_NODES = '4';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const request = require('supertest');
+const cache = require('../services/cache');
+const graphRoutes = require('../routes/graph');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const { stubClaims, stubLabels } = require('./helpers/wikibaseStub');
+
+const app = express();
+app.use('/api/graph', graphRoutes);
+app.use(errorHandler);
+
+// Q4 witnessed (P7) charter Q1, which mentions (P8) Q2; Q2 lived in (P55) Q3, Q3 is part of (P9) Q5
+const CLAIMS = [
+  ['Q4', 'P7', 'Q1'],
+  ['Q1', 'P8', 'Q2'],
+  ['Q2', 'P55', 'Q3'],
+  ['Q3', 'P9', 'Q5']
+];
+
+describe('GET /api/graph/:id', () => {
+  let axiosPost;
+
+  beforeEach(() => {
+    cache.purge();
+    axiosPost = stubClaims(CLAIMS);
+    stubLabels(['Q99']);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('returns the one-hop neighbourhood in both directions with labels', async () => {
+    const response = await request(app).get('/api/graph/Q1?lang=es');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.root, 'Q1');
+    assert.deepEqual(response.body.nodes.map(node => [node.id, node.depth]), [['Q1', 0], ['Q2', 1], ['Q4', 1]]);
+    assert.equal(response.body.nodes[1].label, 'Entidad Q2');
+    assert.deepEqual(response.body.edges, [
+      { source: 'Q1', target: 'Q2', property: 'P8', label: 'property P8' },
+      { source: 'Q4', target: 'Q1', property: 'P7', label: 'property P7' }
+    ]);
+    assert.equal(response.body.truncated, false);
+  });
+
+  it('follows only the requested direction and properties', async () => {
+    const response = await request(app).get('/api/graph/Q1?depth=3&direction=out&properties=P8|P55');
+
+    assert.deepEqual(response.body.nodes.map(node => node.id), ['Q1', 'Q2', 'Q3']);
+    assert.deepEqual(response.body.edges.map(edge => edge.property), ['P8', 'P55']);
+
+    const edgeQuery = axiosPost.mock.calls[0].arguments[1].get('query');
+    assert.match(edgeQuery, /VALUES \?property \{ wd:P8 wd:P55 \}/);
+  });
+
+  it('stops at the node cap and reports truncation', async () => {
+    const response = await request(app).get('/api/graph/Q1?depth=3');
+
+    assert.equal(response.body.nodes.length, 4);
+    assert.equal(response.body.truncated, true);
+    const ids = response.body.nodes.map(node => node.id);
+    response.body.edges.forEach(edge => {
+      assert.ok(ids.includes(edge.source) && ids.includes(edge.target));
+    });
+  });
+
+  it('returns 404 for entities that do not exist', async () => {
+    const response = await request(app).get('/api/graph/Q99');
+    assert.equal(response.status, 404);
+  });
+
+  it('rejects invalid parameters', async () => {
+    for (const query of ['depth=0', 'depth=4', 'direction=sideways', 'properties=Q1']) {
+      const response = await request(app).get(`/api/graph/Q1?${query}`);
+      assert.equal(response.status, 400, query);
+    }
+    assert.equal((await request(app).get('/api/graph/nope')).status, 400);
+  });
+});
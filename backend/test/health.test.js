@@ -0,0 +1,138 @@
+process.env.WIKIBASE_API_URL = 'http://wikibase.test/w/api.php';
+process.env.WIKIBASE_SPARQL_URL = 'http://wikibase.test/sparql';
+process.env.WIKIDATA_API_URL = 'http://wikidata.test/w/api.php';
+process.env.HEALTH_TIMEOUT_MS = '500';
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const axios = require('axios');
+const config = require('../config');
+const health = require('../services/health');
+const upstream = require('../services/upstream');
+const app = require('../server');
+
+/**
+ * Stub axios.get so the listed services fail and the others answer.
+ * @param {Object} [failures] - Error per URL
+ * @returns {Object} The mock
+ */
+const stubProbes = (failures = {}) => mock.method(axios, 'get', async (url) => {
+  if (failures[url]) throw failures[url];
+  return { status: 200, data: {} };
+});
+
+const timeout = () => Object.assign(new Error('timeout of 500ms exceeded'), { code: 'ECONNABORTED', request: {} });
+
+describe('health checks', () => {
+  beforeEach(() => {
+    health.reset();
+    upstream.reset();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('GET /api/health/live', () => {
+    it('answers without probing any service', async () => {
+      const axiosGet = stubProbes();
+
+      const response = await request(app).get('/api/health/live');
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.status, 'ok');
+      assert.equal(typeof response.body.uptime, 'number');
+      assert.equal(axiosGet.mock.callCount(), 0);
+    });
+  });
+
+  describe('GET /api/health/ready', () => {
+    it('reports every dependency with its latency', async () => {
+      const axiosGet = stubProbes();
+
+      const response = await request(app).get('/api/health/ready');
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.status, 'ok');
+      assert.equal(response.body.cached, false);
+      assert.deepEqual(response.body.dependencies.wikibase, {
+        status: 'up',
+        critical: true,
+        latencyMs: response.body.dependencies.wikibase.latencyMs,
+        httpStatus: 200,
+        circuit: 'closed'
+      });
+      assert.equal(typeof response.body.dependencies.sparql.latencyMs, 'number');
+      assert.equal(response.body.dependencies.wikidata.critical, false);
+
+      const [, sparqlOptions] = axiosGet.mock.calls.find(call => call.arguments[0] === config.wikibase.sparqlUrl).arguments;
+      assert.equal(sparqlOptions.timeout, 500);
+      assert.equal(sparqlOptions.params.query, 'ASK {}');
+    });
+
+    it('responds 503 when a critical dependency is down', async () => {
+      stubProbes({ [config.wikibase.sparqlUrl]: timeout() });
+
+      const response = await request(app).get('/api/health/ready');
+
+      assert.equal(response.status, 503);
+      assert.equal(response.body.status, 'unavailable');
+      assert.equal(response.body.dependencies.sparql.status, 'down');
+      assert.equal(response.body.dependencies.sparql.error, 'No answer within 500 ms');
+      assert.equal(response.body.dependencies.wikibase.status, 'up');
+    });
+
+    it('reports the upstream status of failed probes', async () => {
+      const error = Object.assign(new Error('Request failed with status code 502'), {
+        request: {},
+        response: { status: 502 }
+      });
+      stubProbes({ [config.wikibase.apiUrl]: error });
+
+      const response = await request(app).get('/api/health/ready');
+
+      assert.equal(response.status, 503);
+      assert.equal(response.body.dependencies.wikibase.httpStatus, 502);
+    });
+
+    it('stays ready but degraded while Wikidata is down', async () => {
+      stubProbes({ [config.wikidata.apiUrl]: timeout() });
+
+      const response = await request(app).get('/api/health/ready');
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.status, 'degraded');
+      assert.equal(response.body.dependencies.wikidata.status, 'down');
+    });
+
+    it('reuses a recent result', async () => {
+      const axiosGet = stubProbes();
+
+      await request(app).get('/api/health/ready');
+      const response = await request(app).get('/api/health/ready');
+
+      assert.equal(response.body.cached, true);
+      assert.equal(axiosGet.mock.callCount(), 3);
+    });
+
+    it('reuses a recent result even when asked not to use the cache', async () => {
+      const axiosGet = stubProbes();
+
+      await request(app).get('/api/health/ready');
+      const response = await request(app).get('/api/health/ready').set('Cache-Control', 'no-cache');
+
+      assert.equal(response.body.cached, true);
+      assert.equal(axiosGet.mock.callCount(), 3);
+    });
+
+    it('shares one probe between concurrent checks', async () => {
+      const axiosGet = stubProbes();
+
+      await Promise.all([health.checkReadiness(), health.checkReadiness()]);
+
+      assert.equal(axiosGet.mock.callCount(), 3);
+    });
+  });
+});
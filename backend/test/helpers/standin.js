@@ -0,0 +1,31 @@
+/**
+ * Run the local Wikibase stand-in on a free port and point the backend at it.
+ */
+const config = require('../../config');
+const { createStandinApp } = require('../../standin/server');
+
+/**
+ * Start the stand-in and set the Wikibase, query service and Wikidata URLs to it.
+ * @param {Object} [options] - Passed to createStandinApp
+ * @returns {Promise<{baseUrl: string, close: Function}>}
+ */
+const startStandin = (options) => new Promise((resolve, reject) => {
+  const server = createStandinApp(options).listen(0, '127.0.0.1', () => {
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // config is read when a request is made
+    config.wikibase.apiUrl = `${baseUrl}/w/api.php`;
+    config.wikibase.sparqlUrl = `${baseUrl}/sparql`;
+    config.wikidata.apiUrl = `${baseUrl}/wikidata/w/api.php`;
+
+    resolve({
+      baseUrl,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+  server.on('error', reject);
+});
+
+module.exports = {
+  startStandin
+};
@@ -0,0 +1,71 @@
+/**
+ * Stubs for the Wikibase API and query service answering from an in-memory
+ * list of [source, property, target] claims.
+ */
+const { mock } = require('node:test');
+const axios = require('axios');
+
+const ENTITY = 'https://medievalcharterskg.wikibase.cloud/entity/';
+
+const uri = id => ({ type: 'uri', value: `${ENTITY}${id}` });
+
+/**
+ * Read the entity IDs of a VALUES block in a query.
+ * @param {string} query
+ * @param {string} variable - Variable name without the ?
+ * @returns {string[]}
+ */
+const idsIn = (query, variable) => {
+  const match = new RegExp(`VALUES \\?${variable} \\{ ([^}]*) \\}`).exec(query);
+  return match ? match[1].split(' ').filter(token => token.startsWith('wd:')).map(token => token.slice(3)) : [];
+};
+
+/**
+ * Answer the graph edge templates from a list of claims; other queries get no results.
+ * @param {Array<string[]>} claims - [source, property, target] triples
+ * @returns {Object} The axios.post mock
+ */
+const stubClaims = (claims) => mock.method(axios, 'post', async (url, body) => {
+  const query = body.get('query');
+  const properties = idsIn(query, 'property');
+  const matches = (property) => properties.length === 0 || properties.includes(property);
+
+  let found = [];
+  if (query.includes('VALUES ?source')) {
+    const sources = idsIn(query, 'source');
+    found = claims.filter(([source, property]) => sources.includes(source) && matches(property));
+  } else if (query.includes('VALUES ?target')) {
+    const targets = idsIn(query, 'target');
+    found = claims.filter(([, property, target]) => targets.includes(target) && matches(property));
+  }
+
+  const bindings = found.map(([source, property, target]) => ({
+    source: uri(source),
+    property: uri(property),
+    propertyLabel: { type: 'literal', value: `property ${property}` },
+    target: uri(target)
+  }));
+  return { data: { results: { bindings } } };
+});
+
+/**
+ * Answer wbgetentities with a Spanish label for every ID except the missing ones.
+ * @param {string[]} [missing=[]] - IDs reported as missing
+ * @returns {Object} The axios.get mock
+ */
+const stubLabels = (missing = []) => mock.method(axios, 'get', async (url, { params }) => {
+  const entities = {};
+  params.ids.split('|').forEach(id => {
+    entities[id] = missing.includes(id)
+      ? { id, missing: '' }
+      : { id, labels: { es: { language: 'es', value: `Entidad ${id}` } } };
+  });
+  return { data: { entities } };
+});
+
+module.exports = {
+  ENTITY,
+  uri,
+  stubClaims,
+  stubLabels
+};
@@ -0,0 +1,310 @@
+process.env.UPSTREAM_RETRY_DELAY_MS = '1';
+// Every response below must match the OpenAPI document
+process.env.OPENAPI_VALIDATE_RESPONSES = 'true';
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const axios = require('axios');
+const config = require('../config');
+const cache = require('../services/cache');
+const upstream = require('../services/upstream');
+const health = require('../services/health');
+const app = require('../server');
+const { startStandin } = require('./helpers/standin');
+
+// Nothing listens on port 9 (discard), so requests fail without a response
+const UNREACHABLE = 'http://127.0.0.1:9';
+
+/**
+ * Reject upstream GETs the way axios does when the server answers with an error status.
+ * @param {number} status
+ * @param {*} data - Response body
+ */
+const stubUpstreamStatus = (status, data) => mock.method(axios, 'get', async () => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.request = {};
+  error.response = { status, data };
+  throw error;
+});
+
+describe('backend against the Wikibase stand-in', () => {
+  let standin;
+
+  before(async () => {
+    standin = await startStandin();
+  });
+
+  after(async () => {
+    await standin.close();
+  });
+
+  beforeEach(() => {
+    cache.purge();
+    upstream.reset();
+    health.reset();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('GET /api/search', () => {
+    it('returns hits in the wbsearchentities shape with pagination', async () => {
+      const response = await request(app).get('/api/search?query=juan&lang=es');
+
+      assert.equal(response.status, 200);
+      assert.equal(response.get('X-Cache'), 'MISS');
+      assert.equal(response.get('Content-Language'), 'es');
+      assert.deepEqual(Object.keys(response.body).sort(),
+        ['languages', 'pagination', 'search', 'searchinfo', 'success']);
+      assert.deepEqual(response.body.searchinfo, { search: 'juan' });
+      assert.equal(response.body.success, 1);
+      assert.deepEqual(response.body.languages, ['es', 'la', 'en']);
+
+      const [first] = response.body.search;
+      assert.equal(first.id, 'Q30');
+      assert.equal(first.label, 'Juan Pérez');
+      assert.equal(first.description, 'notario de Oviedo');
+      assert.equal(first.concepturi, 'https://medievalcharterskg.wikibase.cloud/entity/Q30');
+      assert.deepEqual(first.match, { type: 'label', language: 'es', text: 'Juan Pérez' });
+
+      assert.deepEqual(response.body.pagination, {
+        page: 1,
+        pageSize: 10,
+        offset: 0,
+        hasMore: false,
+        nextCursor: null,
+        nextPage: null,
+        total: response.body.search.length
+      });
+    });
+
+    it('matches accented labels without the accents', async () => {
+      const response = await request(app).get('/api/search?query=aviles&lang=es');
+
+      assert.equal(response.status, 200);
+      assert.ok(response.body.search.some(result => result.label === 'Avilés'));
+    });
+
+    it('pages through merged hits with search-continue', async () => {
+      const first = await request(app).get('/api/search?query=d&lang=es&pageSize=2');
+
+      assert.equal(first.status, 200);
+      assert.equal(first.body.search.length, 2);
+      assert.equal(first.body['search-continue'], 2);
+      assert.equal(first.body.pagination.nextCursor, 2);
+
+      const second = await request(app).get('/api/search?query=d&lang=es&pageSize=2&cursor=2');
+      const firstIds = first.body.search.map(result => result.id);
+      second.body.search.forEach(result => assert.ok(!firstIds.includes(result.id), result.id));
+    });
+
+    it('serves repeated searches from the cache', async () => {
+      await request(app).get('/api/search?query=juan&lang=es');
+      const response = await request(app).get('/api/search?query=juan&lang=es');
+
+      assert.equal(response.get('X-Cache'), 'HIT');
+    });
+
+    it('returns an empty page when nothing matches', async () => {
+      const response = await request(app).get('/api/search?query=zzzz');
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.search, []);
+      assert.equal(response.body.pagination.total, 0);
+    });
+
+    it('requires a query', async () => {
+      const response = await request(app).get('/api/search');
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error.code, 'missing_parameter');
+      assert.equal(response.body.error.message, 'query parameter is required');
+      assert.equal(response.body.error.requestId, response.get('X-Request-Id'));
+      assert.equal(response.body.error.retryable, false);
+    });
+
+    it('rejects malformed pagination', async () => {
+      const response = await request(app).get('/api/search?query=juan&pageSize=51');
+
+      assert.equal(response.status, 400);
+      assert.deepEqual(response.body, {
+        error: {
+          code: 'invalid_parameter',
+          message: 'Invalid pagination parameters',
+          detail: 'pageSize must be between 1 and 50',
+          upstreamStatus: null,
+          requestId: response.get('X-Request-Id'),
+          retryable: false
+        }
+      });
+    });
+
+    it('rejects pages beyond SEARCH_MAX_RESULTS', async () => {
+      const response = await request(app).get('/api/search?query=juan&page=100&pageSize=50');
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error.detail, `Only the first ${config.search.maxResults} results can be paged through`);
+    });
+
+    it('responds 503 when Wikibase does not answer', async (t) => {
+      const { apiUrl } = config.wikibase;
+      config.wikibase.apiUrl = `${UNREACHABLE}/w/api.php`;
+      t.after(() => { config.wikibase.apiUrl = apiUrl; });
+      t.mock.method(console, 'error', () => {});
+
+      const response = await request(app).get('/api/search?query=juan');
+
+      assert.equal(response.status, 503);
+      assert.equal(response.body.error.code, 'upstream_unavailable');
+      assert.equal(response.body.error.message, 'No response from Wikibase API');
+      assert.equal(response.body.error.retryable, true);
+    });
+
+    it('reports the status and body of Wikibase errors as a bad gateway', async (t) => {
+      stubUpstreamStatus(429, { error: { code: 'ratelimited' } });
+      t.mock.method(console, 'error', () => {});
+
+      const response = await request(app).get('/api/search?query=juan');
+
+      assert.equal(response.status, 502);
+      assert.deepEqual(response.body.error, {
+        code: 'upstream_error',
+        message: 'Error from Wikibase API',
+        detail: { error: { code: 'ratelimited' } },
+        upstreamStatus: 429,
+        requestId: response.get('X-Request-Id'),
+        retryable: true
+      });
+    });
+
+    it('responds 500 when the request cannot be made', async (t) => {
+      const { apiUrl } = config.wikibase;
+      config.wikibase.apiUrl = 'not a url';
+      t.after(() => { config.wikibase.apiUrl = apiUrl; });
+      t.mock.method(console, 'error', () => {});
+
+      const response = await request(app).get('/api/search?query=juan');
+
+      assert.equal(response.status, 500);
+      // Internal details stay in the log
+      assert.deepEqual(response.body.error, {
+        code: 'internal_error',
+        message: 'Internal Server Error',
+        detail: null,
+        upstreamStatus: null,
+        requestId: response.get('X-Request-Id'),
+        retryable: false
+      });
+    });
+  });
+
+  describe('GET /api/search/faceted', () => {
+    it('filters hits by type and counts facets', async () => {
+      const response = await request(app).get('/api/search/faceted?query=ma&lang=es&type=person');
+
+      assert.equal(response.status, 200);
+      assert.ok(response.body.search.length > 0);
+      response.body.search.forEach(hit => assert.equal(hit.type, 'person', hit.id));
+      assert.deepEqual(response.body.filters, { types: ['person'], places: [], from: null, to: null, has: [] });
+      assert.ok(Array.isArray(response.body.facets.type));
+      assert.equal(response.body.pagination.total, response.body.search.length);
+    });
+
+    it('rejects unknown filters', async () => {
+      const response = await request(app).get('/api/search/faceted?query=d&place=Oviedo');
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error.message, 'Invalid filters');
+      assert.equal(response.body.error.detail, 'place must be a list of item IDs');
+    });
+  });
+
+  describe('GET /api/searchProperties/:entityId', () => {
+    it('returns SPARQL JSON results with labels in the requested language', async () => {
+      const response = await request(app).get('/api/searchProperties/Q30?lang=es');
+
+      assert.equal(response.status, 200);
+      assert.equal(response.get('X-Cache'), 'MISS');
+      assert.deepEqual(response.body.head.vars,
+        ['propertyLabel', 'valueLabel', 'instanceOfLabel', 'residenceLabel', 'coord', 'placeCoord']);
+
+      const { bindings } = response.body.results;
+      assert.ok(bindings.length > 0);
+      bindings.forEach(binding => {
+        assert.equal(binding.propertyLabel.type, 'literal');
+        assert.equal(binding.instanceOfLabel.value, 'persona');
+        assert.equal(binding.residenceLabel.value, 'Oviedo');
+      });
+      assert.ok(bindings.some(binding => binding.propertyLabel.value === 'ocupación' && binding.valueLabel.value === 'notario'));
+      assert.equal(bindings[0].coord.value, 'Point(-5.8448 43.3603)');
+    });
+
+    it('falls back to another language for missing labels', async () => {
+      const response = await request(app).get('/api/searchProperties/Q30?lang=en');
+
+      const labels = response.body.results.bindings.map(binding => binding.propertyLabel.value);
+      assert.ok(labels.includes('residence'));
+    });
+
+    it('returns no bindings for an unknown entity', async () => {
+      const response = await request(app).get('/api/searchProperties/Q9999');
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.results.bindings, []);
+    });
+
+    it('serves repeated lookups from the cache', async () => {
+      await request(app).get('/api/searchProperties/Q20');
+      const response = await request(app).get('/api/searchProperties/Q20');
+
+      assert.equal(response.get('X-Cache'), 'HIT');
+    });
+
+    it('rejects malformed IDs', async () => {
+      const response = await request(app).get('/api/searchProperties/Oviedo');
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error.code, 'invalid_entity_id');
+      assert.equal(response.body.error.detail, 'entityId must look like Q42, got "Oviedo"');
+    });
+
+    it('responds 502 when the query service fails', async (t) => {
+      stubUpstreamStatus(502, 'Bad Gateway');
+      t.mock.method(console, 'error', () => {});
+
+      const response = await request(app).get('/api/searchProperties/Q30');
+
+      assert.equal(response.status, 502);
+      assert.equal(response.body.error.code, 'upstream_error');
+      assert.equal(response.body.error.message, 'Error from SPARQL endpoint');
+      assert.equal(response.body.error.upstreamStatus, 502);
+      assert.equal(response.body.error.retryable, true);
+    });
+  });
+
+  describe('GET /api/health/ready', () => {
+    it('is ready while the stand-in answers every probe', async () => {
+      const response = await request(app).get('/api/health/ready');
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.status, 'ok');
+      assert.deepEqual(Object.keys(response.body.dependencies), ['wikibase', 'sparql', 'wikidata']);
+      assert.ok(Object.values(response.body.dependencies).every(dependency => dependency.status === 'up'));
+    });
+
+    it('is unavailable when the query service does not answer', async (t) => {
+      const { sparqlUrl } = config.wikibase;
+      config.wikibase.sparqlUrl = `${UNREACHABLE}/sparql`;
+      t.after(() => { config.wikibase.sparqlUrl = sparqlUrl; });
+
+      const response = await request(app).get('/api/health/ready');
+
+      assert.equal(response.status, 503);
+      assert.equal(response.body.status, 'unavailable');
+      assert.equal(response.body.dependencies.sparql.status, 'down');
+      assert.equal(response.body.dependencies.wikibase.status, 'up');
+    });
+  });
+});
@@ -0,0 +1,167 @@
+process.env.UPSTREAM_RETRY_DELAY_MS = '1';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const request = require('supertest');
+const axios = require('axios');
+const config = require('../config');
+const logger = require('../utils/logger');
+const upstream = require('../services/upstream');
+const { requestId } = require('../middleware/requestId');
+const requestLog = require('../middleware/requestLog');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const URL = 'http://wikibase.test/w/api.php';
+
+/**
+ * Log records written to stdout and stderr since the mocks were installed.
+ * @returns {Object[]}
+ */
+const records = () => [...console.log.mock.calls, ...console.error.mock.calls]
+  .map(call => JSON.parse(call.arguments[0]));
+
+/**
+ * An app that logs requests and makes one upstream call per request.
+ * @returns {Object} Express application
+ */
+const createApp = () => {
+  const app = express();
+  app.use(requestId);
+  app.use(requestLog);
+  app.get('/api/search', async (req, res) => {
+    await upstream.get('wikibase', URL, { params: { action: 'wbsearchentities', search: req.query.query } });
+    res.set('X-Cache', 'MISS').json({ ok: true });
+  });
+  app.use(errorHandler);
+  return app;
+};
+
+describe('logger', () => {
+  const { level, redactParams } = config.logging;
+
+  beforeEach(() => {
+    config.logging.level = 'info';
+    config.logging.redactParams = [];
+    upstream.reset();
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    config.logging.level = level;
+    config.logging.redactParams = redactParams;
+    mock.restoreAll();
+  });
+
+  it('writes one JSON record per line', () => {
+    logger.info('harvest finished', { entities: 12 });
+
+    const [record] = records();
+    assert.equal(record.level, 'info');
+    assert.equal(record.msg, 'harvest finished');
+    assert.equal(record.entities, 12);
+    assert.ok(!Number.isNaN(Date.parse(record.time)));
+  });
+
+  it('writes warnings and errors to stderr', () => {
+    logger.warn('slow');
+    logger.error('failed', { error: new Error('boom') });
+
+    assert.equal(console.log.mock.callCount(), 0);
+    assert.equal(console.error.mock.callCount(), 2);
+    const [, failed] = records();
+    assert.equal(failed.error.message, 'boom');
+    assert.match(failed.error.stack, /boom/);
+  });
+
+  it('skips records below the configured level', () => {
+    config.logging.level = 'warn';
+    logger.debug('detail');
+    logger.info('progress');
+    logger.warn('slow');
+
+    assert.deepEqual(records().map(record => record.msg), ['slow']);
+
+    config.logging.level = 'silent';
+    logger.error('failed');
+    assert.equal(records().length, 1);
+  });
+
+  it('redacts the configured query parameters', () => {
+    config.logging.redactParams = ['query'];
+
+    assert.equal(logger.redactUrl('/api/search?query=Oviedo&lang=es'), '/api/search?query=[REDACTED]&lang=es');
+    assert.equal(logger.redactUrl('/api/search'), '/api/search');
+  });
+
+  it('redacts the search term under both of its names', () => {
+    config.logging.redactParams = ['query'];
+
+    assert.equal(
+      logger.redactUrl(URL, { action: 'wbsearchentities', search: 'Oviedo' }),
+      `${URL}?action=wbsearchentities&search=[REDACTED]`
+    );
+
+    config.logging.redactParams = ['search'];
+
+    assert.equal(logger.redactUrl('/api/search?query=Oviedo&lang=es'), '/api/search?query=[REDACTED]&lang=es');
+  });
+
+  it('redacts every parameter with *', () => {
+    config.logging.redactParams = ['*'];
+
+    assert.equal(logger.redactUrl(URL, { action: 'wbgetentities', ids: 'Q1' }), `${URL}?action=[REDACTED]&ids=[REDACTED]`);
+  });
+
+  it('logs requests with their ID and upstream timing', async () => {
+    mock.method(axios, 'get', async () => ({ status: 200, data: {} }));
+
+    const response = await request(createApp()).get('/api/search?query=Oviedo').set('X-Request-Id', 'edge-1');
+
+    assert.equal(response.get('X-Request-Id'), 'edge-1');
+    const [call, served] = records();
+    assert.equal(call.msg, 'upstream');
+    assert.equal(call.requestId, 'edge-1');
+    assert.equal(call.target, 'wikibase');
+    assert.equal(call.status, 200);
+    assert.equal(typeof call.durationMs, 'number');
+    assert.equal(call.url, `${URL}?action=wbsearchentities&search=Oviedo`);
+
+    assert.equal(served.msg, 'request');
+    assert.equal(served.requestId, 'edge-1');
+    assert.equal(served.method, 'GET');
+    assert.equal(served.url, '/api/search?query=Oviedo');
+    assert.equal(served.status, 200);
+    assert.equal(served.cache, 'MISS');
+    assert.equal(served.upstreamCalls, 1);
+    assert.equal(typeof served.upstreamMs, 'number');
+  });
+
+  it('sends the request ID to upstream services', async () => {
+    const axiosGet = mock.method(axios, 'get', async () => ({ status: 200, data: {} }));
+
+    await request(createApp()).get('/api/search?query=Oviedo').set('X-Request-Id', 'edge-2');
+
+    assert.equal(axiosGet.mock.calls[0].arguments[1].headers['X-Request-Id'], 'edge-2');
+  });
+
+  it('logs failed upstream attempts as warnings', async () => {
+    mock.method(axios, 'get', async () => {
+      const error = new Error('timeout of 10000ms exceeded');
+      error.code = 'ECONNABORTED';
+      error.request = {};
+      throw error;
+    });
+    config.logging.redactParams = ['search'];
+
+    await request(createApp()).get('/api/search?query=Oviedo');
+
+    const attempts = records().filter(record => record.msg === 'upstream');
+    // The first try and two retries
+    assert.deepEqual(attempts.map(attempt => attempt.attempt), [1, 2, 3]);
+    assert.equal(attempts[0].level, 'warn');
+    assert.equal(attempts[0].error, 'ECONNABORTED');
+    assert.match(attempts[0].url, /search=\[REDACTED\]/);
+  });
+});
@@ -0,0 +1,111 @@
+process.env.WIKIBASE_API_URL = 'http://wikibase.test/w/api.php';
+process.env.UPSTREAM_RETRIES = '0';
+process.env.LOG_LEVEL = 'silent';
+process.env.METRICS_ENABLED = 'true';
+// One wbsearchentities call per search
+process.env.LANGUAGE_FALLBACK = 'en';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const axios = require('axios');
+const cache = require('../services/cache');
+const metrics = require('../services/metrics');
+const upstream = require('../services/upstream');
+const app = require('../server');
+const { routeLabel } = require('../middleware/metrics');
+
+/**
+ * Scrape /metrics and return the value of one sample.
+ * @param {string} sample - Metric name with labels, e.g. http_requests_total{route="/api/ping",...}
+ * @returns {Promise<number|undefined>}
+ */
+const scrape = async (sample) => {
+  const response = await request(app).get('/metrics');
+  const line = response.text.split('\n').find(candidate => candidate.startsWith(`${sample} `));
+  return line === undefined ? undefined : Number(line.slice(sample.length + 1));
+};
+
+const stubSearch = () => mock.method(axios, 'get', async () => ({
+  status: 200,
+  data: { search: [{ id: 'Q1', label: 'Juan' }], success: 1 }
+}));
+
+describe('metrics', () => {
+  beforeEach(() => {
+    metrics.reset();
+    cache.purge();
+    upstream.reset();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('serves the Prometheus text format', async () => {
+    const response = await request(app).get('/metrics');
+
+    assert.equal(response.status, 200);
+    assert.match(response.get('Content-Type'), /^text\/plain;.*version=0\.0\.4/);
+    assert.match(response.text, /# TYPE http_requests_total counter/);
+    assert.match(response.text, /# TYPE process_resident_memory_bytes gauge/);
+  });
+
+  it('counts and times requests per route template', async () => {
+    await request(app).get('/api/ping');
+    await request(app).get('/api/ping');
+
+    assert.equal(await scrape('http_requests_total{route="/api/ping",method="GET",status="200"}'), 2);
+    assert.equal(await scrape('http_request_duration_seconds_count{route="/api/ping",method="GET",status="200"}'), 2);
+    assert.equal(await scrape('http_requests_in_flight'), 1);
+  });
+
+  it('records upstream latency and cache lookups', async () => {
+    stubSearch();
+
+    await request(app).get('/api/search?query=Juan&lang=en');
+    await request(app).get('/api/search?query=Juan&lang=en');
+
+    assert.equal(await scrape('upstream_requests_total{target="wikibase",outcome="success"}'), 1);
+    assert.equal(await scrape('upstream_request_duration_seconds_count{target="wikibase",outcome="success"}'), 1);
+    assert.equal(await scrape('cache_lookups_total{namespace="search",result="miss"}'), 1);
+    assert.equal(await scrape('cache_lookups_total{namespace="search",result="hit"}'), 1);
+    assert.equal(await scrape('cache_hit_ratio{namespace="search"}'), 0.5);
+  });
+
+  it('counts upstream errors by reason', async () => {
+    mock.method(axios, 'get', async () => {
+      const error = new Error('Request failed with status code 503');
+      error.request = {};
+      error.response = { status: 503, data: {} };
+      throw error;
+    });
+
+    const response = await request(app).get('/api/search?query=Juan&lang=en');
+
+    assert.equal(response.status, 502);
+    assert.equal(await scrape('upstream_requests_total{target="wikibase",outcome="error"}'), 1);
+    assert.equal(await scrape('upstream_errors_total{target="wikibase",reason="http_5xx"}'), 1);
+    assert.equal(await scrape('http_requests_total{route="/api/search",method="GET",status="502"}'), 1);
+  });
+
+  it('reports the circuit state of each target', async () => {
+    stubSearch();
+    await request(app).get('/api/search?query=Juan&lang=en');
+
+    assert.equal(await scrape('upstream_circuit_state{target="wikibase"}'), 0);
+  });
+});
+
+describe('route labels', () => {
+  it('uses the path templates of the API', () => {
+    assert.equal(routeLabel('/api/graph/Q42'), '/api/graph/{id}');
+    assert.equal(routeLabel('/api/searchProperties/Q7/'), '/api/searchProperties/{entityId}');
+    assert.equal(routeLabel('/api/search/faceted'), '/api/search/faceted');
+  });
+
+  it('groups everything else under one label', () => {
+    assert.equal(routeLabel('/api/docs/swagger-ui.css'), 'other');
+    assert.equal(routeLabel('/wp-login.php'), 'other');
+  });
+});
@@ -0,0 +1,166 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const request = require('supertest');
+const config = require('../config');
+const app = require('../server');
+const { createOpenApiValidator } = require('../middleware/openapi');
+const { errorHandler } = require('../middleware/errorHandler');
+
+// A small document exercising the validator
+const SPEC = {
+  openapi: '3.1.0',
+  info: { title: 'Test', version: '1' },
+  paths: {
+    '/items/{id}': {
+      get: {
+        parameters: [
+          { name: 'id', in: 'path', required: true, 'x-error-code': 'invalid_entity_id', schema: { $ref: '#/components/schemas/Id' } },
+          { $ref: '#/components/parameters/limit' }
+        ],
+        responses: {
+          200: {
+            description: 'An item',
+            content: {
+              'application/json': {
+                schema: { type: 'object', required: ['id'], properties: { id: { type: 'string' } } }
+              }
+            }
+          },
+          default: {
+            description: 'Error',
+            content: { 'application/json': { schema: { type: 'object', required: ['error'] } } }
+          }
+        }
+      }
+    },
+    '/items': {
+      post: {
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } }
+            }
+          }
+        },
+        responses: { 201: { description: 'Created' } }
+      }
+    }
+  },
+  components: {
+    parameters: {
+      limit: { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1 } }
+    },
+    schemas: {
+      Id: { type: 'string', pattern: '^Q[1-9]\\d*$', examples: ['Q42'] }
+    }
+  }
+};
+
+/**
+ * Build an app validated against SPEC whose item route returns the given body.
+ * @param {Object} body
+ * @returns {Object} Express application
+ */
+const createApp = (body = { id: 'Q1' }) => {
+  const testApp = express();
+  testApp.use(express.json());
+  testApp.use(createOpenApiValidator(SPEC));
+  testApp.get('/items/:id', (req, res) => res.json({ ...body, limit: req.query.limit }));
+  testApp.post('/items', (req, res) => res.status(201).send());
+  testApp.use(errorHandler);
+  return testApp;
+};
+
+describe('OpenAPI validation', () => {
+  const { validateResponses } = config.openapi;
+
+  beforeEach(() => {
+    config.openapi.validateResponses = false;
+  });
+
+  afterEach(() => {
+    config.openapi.validateResponses = validateResponses;
+    mock.restoreAll();
+  });
+
+  it('passes valid requests on without changing them', async () => {
+    const response = await request(createApp()).get('/items/Q1?limit=5');
+
+    assert.equal(response.status, 200);
+    // Parameters are coerced for validation only; routes still get the query string
+    assert.deepEqual(response.body, { id: 'Q1', limit: '5' });
+  });
+
+  it('rejects parameters that do not match their schema', async () => {
+    const response = await request(createApp()).get('/items/Q1?limit=0');
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.code, 'invalid_parameter');
+    assert.equal(response.body.error.message, 'Invalid limit parameter');
+    assert.equal(response.body.error.detail, 'limit must be >= 1');
+  });
+
+  it('uses the error code and example of a parameter', async () => {
+    const response = await request(createApp()).get('/items/Oviedo');
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.code, 'invalid_entity_id');
+    assert.equal(response.body.error.detail, 'id must look like Q42, got "Oviedo"');
+  });
+
+  it('treats empty parameters as absent', async () => {
+    const response = await request(createApp()).get('/items/Q1?limit=');
+
+    assert.equal(response.status, 200);
+  });
+
+  it('validates JSON request bodies', async () => {
+    const response = await request(createApp()).post('/items').send({ title: 'x' });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.code, 'missing_parameter');
+    assert.equal(response.body.error.message, 'name is required');
+  });
+
+  it('replaces responses that do not match the document when enabled', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    config.openapi.validateResponses = true;
+
+    const response = await request(createApp({ id: 1 })).get('/items/Q1');
+
+    assert.equal(response.status, 500);
+    assert.equal(response.body.error.code, 'invalid_response');
+    assert.deepEqual(response.body.error.detail, ['response.id must be string']);
+  });
+
+  it('lets responses through unchecked when disabled', async () => {
+    const response = await request(createApp({ id: 1 })).get('/items/Q1');
+
+    assert.equal(response.status, 200);
+  });
+});
+
+describe('API documentation', () => {
+  it('serves the OpenAPI document', async () => {
+    const response = await request(app).get('/api/openapi.json');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.openapi, '3.1.0');
+    assert.ok(response.body.paths['/api/search']);
+  });
+
+  it('serves the interactive docs page', async () => {
+    const response = await request(app).get('/api/docs/');
+
+    assert.equal(response.status, 200);
+    assert.match(response.text, /swagger-ui/);
+  });
+
+  it('validates requests to the API routes', async () => {
+    const response = await request(app).get('/api/graph/Q1?direction=sideways');
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.message, 'Invalid direction parameter');
+  });
+});
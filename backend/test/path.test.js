@@ -0,0 +1,86 @@
+process.env.WIKIBASE_API_URL = 'http://wikibase.test/w/api.php';
+process.env.WIKIBASE_SPARQL_URL = 'http://wikibase.test/sparql';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const request = require('supertest');
+const cache = require('../services/cache');
+const pathRoutes = require('../routes/path');
+const { errorHandler } = require('../middleware/errorHandler');
+const { stubClaims, stubLabels } = require('./helpers/wikibaseStub');
+
+const app = express();
+app.use('/api/path', pathRoutes);
+app.use(errorHandler);
+
+// Q10 and Q11 both witnessed (P7) charter Q20 and lived in (P55) town Q30, home to
+// Q12 and Q13 as well; everyone is an instance of (P3) human Q5
+const CLAIMS = [
+  ['Q10', 'P7', 'Q20'],
+  ['Q11', 'P7', 'Q20'],
+  ['Q10', 'P55', 'Q30'],
+  ['Q11', 'P55', 'Q30'],
+  ['Q12', 'P55', 'Q30'],
+  ['Q13', 'P55', 'Q30'],
+  ['Q10', 'P3', 'Q5'],
+  ['Q11', 'P3', 'Q5'],
+  ['Q40', 'P8', 'Q13']
+];
+
+const nodeIds = path => path.nodes.map(node => node.id);
+
+describe('GET /api/path', () => {
+  beforeEach(() => {
+    cache.purge();
+    stubClaims(CLAIMS);
+    stubLabels(['Q99']);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('ranks paths through less connected entities first', async () => {
+    const response = await request(app).get('/api/path?from=Q10&to=Q11&lang=es');
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.paths.map(nodeIds), [['Q10', 'Q20', 'Q11'], ['Q10', 'Q30', 'Q11']]);
+
+    const [shared] = response.body.paths;
+    assert.equal(shared.hops, 2);
+    assert.equal(shared.nodes[1].label, 'Entidad Q20');
+    assert.deepEqual(shared.edges, [
+      { source: 'Q10', target: 'Q20', property: 'P7', label: 'property P7' },
+      { source: 'Q11', target: 'Q20', property: 'P7', label: 'property P7' }
+    ]);
+  });
+
+  it('follows claims in either direction over several hops', async () => {
+    const response = await request(app).get('/api/path?from=Q10&to=Q40');
+
+    assert.deepEqual(response.body.paths.map(nodeIds), [['Q10', 'Q30', 'Q13', 'Q40']]);
+  });
+
+  it('only follows the requested properties', async () => {
+    const response = await request(app).get('/api/path?from=Q10&to=Q11&properties=P55');
+
+    assert.deepEqual(response.body.paths.map(nodeIds), [['Q10', 'Q30', 'Q11']]);
+  });
+
+  it('returns no paths beyond maxHops', async () => {
+    const response = await request(app).get('/api/path?from=Q10&to=Q40&maxHops=2');
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.paths, []);
+  });
+
+  it('returns 404 for entities that do not exist and 400 for bad parameters', async () => {
+    assert.equal((await request(app).get('/api/path?from=Q10&to=Q99')).status, 404);
+
+    for (const query of ['from=Q10', 'from=Q10&to=x', 'from=Q10&to=Q11&maxHops=9', 'from=Q10&to=Q11&properties=Q1']) {
+      const response = await request(app).get(`/api/path?${query}`);
+      assert.equal(response.status, 400, query);
+    }
+  });
+});
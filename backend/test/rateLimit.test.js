@@ -0,0 +1,168 @@
+process.env.WIKIBASE_API_URL = 'http://wikibase.test/w/api.php';
+process.env.WIKIBASE_SPARQL_URL = 'http://wikibase.test/sparql';
+process.env.UPSTREAM_RETRIES = '0';
+process.env.LOG_LEVEL = 'silent';
+// As on Render, where one proxy sits in front of the app
+process.env.TRUST_PROXY = '1';
+process.env.RATE_LIMIT_MAX = '2';
+process.env.RATE_LIMIT_EXPENSIVE_MAX = '1';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const request = require('supertest');
+const axios = require('axios');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const { errorHandler } = require('../middleware/errorHandler');
+
+/**
+ * Build an app with a default and an expensive limiter, mounted like server.js mounts them.
+ * @returns {Object} Express application
+ */
+const createApp = () => {
+  const app = express();
+  app.set('trust proxy', true);
+  const options = { windowSeconds: 60, apiKeys: ['research-key'] };
+  app.use('/api', createRateLimiter({ ...options, name: 'request', max: 3, apiKeyMax: 5 }));
+  app.use('/api/sparql', createRateLimiter({ ...options, name: 'expensive query', max: 1, apiKeyMax: 0 }));
+  app.get('/api/search', (req, res) => res.json({ ok: true }));
+  app.get('/api/sparql', (req, res) => res.json({ ok: true }));
+  app.use(errorHandler);
+  return app;
+};
+
+const fromIp = (app, path, ip) => request(app).get(path).set('X-Forwarded-For', ip);
+
+describe('rate limiting', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createApp();
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('reports the remaining quota in RateLimit headers', async () => {
+    const response = await fromIp(app, '/api/search', '10.0.0.1');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.get('RateLimit-Policy'), '3;w=60');
+    assert.equal(response.get('RateLimit-Limit'), '3');
+    assert.equal(response.get('RateLimit-Remaining'), '2');
+    assert.equal(response.get('RateLimit-Reset'), '60');
+  });
+
+  it('responds 429 with Retry-After once the limit is reached', async () => {
+    for (let i = 0; i < 3; i += 1) {
+      assert.equal((await fromIp(app, '/api/search', '10.0.0.1')).status, 200);
+    }
+
+    const response = await fromIp(app, '/api/search', '10.0.0.1');
+
+    assert.equal(response.status, 429);
+    assert.equal(response.get('Retry-After'), '60');
+    assert.equal(response.get('RateLimit-Remaining'), '0');
+    assert.equal(response.body.error.code, 'rate_limited');
+    assert.equal(response.body.error.retryable, true);
+    assert.match(response.body.error.detail, /request limit of 3 requests per 60 seconds/);
+  });
+
+  it('counts each IP address separately', async () => {
+    for (let i = 0; i < 4; i += 1) await fromIp(app, '/api/search', '10.0.0.1');
+
+    const response = await fromIp(app, '/api/search', '10.0.0.2');
+
+    assert.equal(response.status, 200);
+  });
+
+  it('starts a new window when the current one ends', async () => {
+    mock.timers.enable({ apis: ['Date'], now: 0 });
+    for (let i = 0; i < 4; i += 1) await fromIp(app, '/api/search', '10.0.0.1');
+
+    mock.timers.tick(60 * 1000);
+    const response = await fromIp(app, '/api/search', '10.0.0.1');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.get('RateLimit-Remaining'), '2');
+  });
+
+  it('applies the stricter bucket to expensive queries', async () => {
+    assert.equal((await fromIp(app, '/api/sparql', '10.0.0.1')).status, 200);
+
+    const response = await fromIp(app, '/api/sparql', '10.0.0.1');
+
+    assert.equal(response.status, 429);
+    assert.match(response.body.error.detail, /expensive query limit of 1/);
+    // Cheap routes still have quota left
+    assert.equal((await fromIp(app, '/api/search', '10.0.0.1')).status, 200);
+  });
+
+  it('counts API key clients per key with their own limit', async () => {
+    for (let i = 0; i < 5; i += 1) {
+      const response = await fromIp(app, '/api/search', `10.0.1.${i}`).set('X-API-Key', 'research-key');
+      assert.equal(response.status, 200);
+      assert.equal(response.get('RateLimit-Limit'), '5');
+    }
+
+    const response = await fromIp(app, '/api/search', '10.0.1.9').set('X-API-Key', 'research-key');
+    assert.equal(response.status, 429);
+    // The IP addresses used were not charged
+    assert.equal((await fromIp(app, '/api/search', '10.0.1.0')).get('RateLimit-Remaining'), '2');
+  });
+
+  it('skips a limit set to 0', async () => {
+    for (let i = 0; i < 3; i += 1) {
+      const response = await fromIp(app, '/api/sparql', '10.0.0.1').set('X-API-Key', 'research-key');
+      assert.equal(response.status, 200);
+    }
+  });
+
+  it('rejects unknown API keys', async () => {
+    const response = await fromIp(app, '/api/search', '10.0.0.1').set('X-API-Key', 'guess');
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.error.code, 'invalid_api_key');
+  });
+});
+
+describe('server rate limits', () => {
+  let server;
+
+  beforeEach(() => {
+    server = require('../server');
+    mock.method(axios, 'get', async () => {
+      throw new Error('Wikibase is unreachable');
+    });
+    mock.method(axios, 'post', async () => {
+      throw new Error('The query service is unreachable');
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('gives clients behind the trusted proxy separate buckets', async () => {
+    for (let i = 0; i < 2; i += 1) await fromIp(server, '/api/search', '10.1.0.1');
+    assert.equal((await fromIp(server, '/api/search', '10.1.0.1')).status, 429);
+
+    const response = await fromIp(server, '/api/search', '10.1.0.2');
+
+    assert.notEqual(response.status, 429);
+    assert.equal(response.get('RateLimit-Remaining'), '1');
+  });
+
+  it('counts entity details, but not batch lookups, as expensive queries', async () => {
+    assert.notEqual((await fromIp(server, '/api/entities/Q1', '10.2.0.1')).status, 429);
+
+    const response = await fromIp(server, '/api/entities/Q2', '10.2.0.1');
+    assert.equal(response.status, 429);
+    assert.match(response.body.error.detail, /expensive query limit of 1/);
+
+    for (let i = 0; i < 2; i += 1) {
+      assert.notEqual((await fromIp(server, '/api/entities?ids=Q1', '10.2.0.2')).status, 429);
+    }
+  });
+});
@@ -0,0 +1,177 @@
+process.env.WIKIBASE_API_URL = 'http://wikibase.test/w/api.php';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const request = require('supertest');
+const axios = require('axios');
+const cache = require('../services/cache');
+const searchRoutes = require('../routes/search');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const app = express();
+app.use('/api/search', searchRoutes);
+app.use(errorHandler);
+
+const hits = (count, start = 1) => Array.from({ length: count }, (_, i) => ({
+  id: `Q${start + i}`,
+  label: `Juan ${start + i}`
+}));
+
+/**
+ * Stub wbsearchentities with a fixed result list per language.
+ * @param {Object} resultsByLanguage - e.g. { es: [...], en: [...] }
+ */
+const stubSearch = (resultsByLanguage) => mock.method(axios, 'get', async (url, { params }) => {
+  const all = resultsByLanguage[params.language] || [];
+  const search = all.slice(params.continue, params.continue + params.limit);
+  const next = params.continue + params.limit;
+  return {
+    data: {
+      search,
+      ...(next < all.length && { 'search-continue': next }),
+      success: 1
+    }
+  };
+});
+
+describe('GET /api/search', () => {
+  beforeEach(() => {
+    cache.purge();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('pagination', () => {
+    it('returns the requested page with next metadata', async () => {
+      stubSearch({ es: hits(35) });
+
+      const response = await request(app).get('/api/search?query=Juan&page=3&pageSize=10&lang=es');
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.search.map(result => result.id), hits(10, 21).map(hit => hit.id));
+      assert.deepEqual(response.body.pagination, {
+        page: 3,
+        pageSize: 10,
+        offset: 20,
+        hasMore: true,
+        nextCursor: 30,
+        nextPage: 4,
+        total: null
+      });
+    });
+
+    it('reports the total on the last page', async () => {
+      stubSearch({ es: hits(14) });
+
+      const response = await request(app).get('/api/search?query=Juan&cursor=10&pageSize=10&lang=es');
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.search.length, 4);
+      assert.equal(response.body.pagination.hasMore, false);
+      assert.equal(response.body.pagination.nextPage, null);
+      assert.equal(response.body.pagination.total, 14);
+    });
+
+    it('rejects malformed pagination parameters', async () => {
+      const axiosGet = stubSearch({});
+
+      for (const params of ['page=0', 'page=abc', 'pageSize=0', 'pageSize=51', 'cursor=-1', 'page=1000']) {
+        const response = await request(app).get(`/api/search?query=Juan&${params}`);
+        assert.equal(response.status, 400, params);
+      }
+      assert.equal(axiosGet.mock.callCount(), 0);
+    });
+  });
+
+  describe('languages', () => {
+    it('merges hits from the fallback chain without duplicates', async () => {
+      const axiosGet = stubSearch({
+        es: [{ id: 'Q1' }, { id: 'Q2' }],
+        la: [{ id: 'Q2' }, { id: 'Q3' }],
+        en: [{ id: 'Q4' }, { id: 'Q1' }]
+      });
+
+      const response = await request(app).get('/api/search?query=Juan&lang=es');
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.search.map(result => result.id), ['Q1', 'Q2', 'Q3', 'Q4']);
+      assert.deepEqual(response.body.languages, ['es', 'la', 'en']);
+      assert.equal(response.get('Content-Language'), 'es');
+
+      const calls = axiosGet.mock.calls.map(call => call.arguments[1].params);
+      assert.deepEqual(calls.map(params => params.language).sort(), ['en', 'es', 'la']);
+      calls.forEach(params => assert.equal(params.uselang, 'es'));
+    });
+
+    it('puts the requested language first', async () => {
+      stubSearch({});
+
+      const response = await request(app).get('/api/search?query=Juan&lang=la');
+
+      assert.deepEqual(response.body.languages, ['la', 'es', 'en']);
+    });
+
+    it('falls back to Accept-Language', async () => {
+      stubSearch({});
+
+      const response = await request(app)
+        .get('/api/search?query=Juan')
+        .set('Accept-Language', 'fr;q=0.9, la;q=0.8, en;q=0.5');
+
+      assert.equal(response.body.languages[0], 'la');
+    });
+
+    it('rejects unsupported languages', async () => {
+      const axiosGet = stubSearch({});
+
+      const response = await request(app).get('/api/search?query=Juan&lang=xx');
+
+      assert.equal(response.status, 400);
+      assert.equal(axiosGet.mock.callCount(), 0);
+    });
+  });
+
+  describe('caching', () => {
+    it('serves a repeated search from the cache', async () => {
+      const axiosGet = stubSearch({ es: hits(3) });
+
+      await request(app).get('/api/search?query=Juan&lang=es');
+      const calls = axiosGet.mock.callCount();
+      const response = await request(app).get('/api/search?query=juan&lang=es');
+
+      assert.equal(response.get('X-Cache'), 'HIT');
+      assert.equal(axiosGet.mock.callCount(), calls);
+    });
+
+    it('searches again when the client sends Cache-Control: no-cache', async () => {
+      const axiosGet = stubSearch({ es: hits(3) });
+
+      await request(app).get('/api/search?query=Juan&lang=es');
+      const calls = axiosGet.mock.callCount();
+      const response = await request(app).get('/api/search?query=Juan&lang=es').set('Cache-Control', 'no-cache');
+
+      assert.equal(response.status, 200);
+      assert.equal(response.get('X-Cache'), 'MISS');
+      assert.equal(axiosGet.mock.callCount(), 2 * calls);
+
+      // The fresh result replaced the cached one
+      const cached = await request(app).get('/api/search?query=Juan&lang=es');
+      assert.equal(cached.get('X-Cache'), 'HIT');
+      assert.equal(axiosGet.mock.callCount(), 2 * calls);
+    });
+
+    it('honours Pragma: no-cache', async () => {
+      const axiosGet = stubSearch({ es: hits(3) });
+
+      await request(app).get('/api/search?query=Juan&lang=es');
+      const calls = axiosGet.mock.callCount();
+      const response = await request(app).get('/api/search?query=Juan&lang=es').set('Pragma', 'no-cache');
+
+      assert.equal(response.get('X-Cache'), 'MISS');
+      assert.equal(axiosGet.mock.callCount(), 2 * calls);
+    });
+  });
+});
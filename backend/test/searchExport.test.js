@@ -0,0 +1,333 @@
+process.env.WIKIBASE_API_URL = 'http://wikibase.test/w/api.php';
+process.env.WIKIBASE_SPARQL_URL = 'http://wikibase.test/sparql';
+process.env.LANGUAGE_FALLBACK = 'es';
+process.env.WIKIBASE_PROPERTY_SUBCLASS_OF = 'P4';
+process.env.TYPE_CLASSES = 'person=Q1,place=Q2,activity=Q3';
+// Small pages, so five hits take three of them
+process.env.SEARCH_DEFAULT_PAGE_SIZE = '2';
+process.env.SEARCH_MAX_PAGE_SIZE = '2';
+process.env.EXPORT_MAX_PROPERTIES = '3';
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const express = require('express');
+const request = require('supertest');
+const axios = require('axios');
+const ExcelJS = require('exceljs');
+const config = require('../config');
+const cache = require('../services/cache');
+const searchRoutes = require('../routes/search');
+const { errorHandler } = require('../middleware/errorHandler');
+const { csvField, writeCsv } = require('../utils/tables');
+const { uri } = require('./helpers/wikibaseStub');
+
+const app = express();
+app.use('/api/search', searchRoutes);
+app.use(errorHandler);
+
+const term = (language, value) => ({ [language]: { language, value } });
+const statement = (datatype, datavalue) => ({
+  rank: 'normal',
+  mainsnak: { snaktype: 'value', datatype, datavalue }
+});
+const item = id => ({ type: 'wikibase-entityid', value: { 'entity-type': 'item', id } });
+
+// Five "Juan" label matches; Q1 and Q2 live in Oviedo, Q2 also in León
+const HITS = ['Q1', 'Q2', 'Q3', 'Q4', 'Q5'].map(id => ({ id, label: `Juan ${id}`, description: `notario ${id}` }));
+HITS[0].label = 'Juan "el Bueno", de Oviedo';
+
+const ENTITIES = {
+  Q1: { id: 'Q1', claims: { P55: [statement('wikibase-item', item('Q30'))] } },
+  Q2: {
+    id: 'Q2',
+    claims: {
+      P55: [statement('wikibase-item', item('Q30')), statement('wikibase-item', item('Q31'))],
+      P9: [statement('time', { type: 'time', value: { time: '+1150-01-01T00:00:00Z' } })]
+    }
+  },
+  Q3: { id: 'Q3', claims: {} },
+  Q4: { id: 'Q4', claims: { P12: [statement('string', { type: 'string', value: '=HYPERLINK("x")' })] } },
+  Q5: { id: 'Q5', claims: {} },
+  Q30: { id: 'Q30', labels: term('es', 'Oviedo') },
+  Q31: { id: 'Q31', labels: term('es', 'León') },
+  P55: { id: 'P55', labels: term('es', 'residencia') },
+  P9: { id: 'P9', labels: term('es', 'fecha') }
+};
+
+// hits: label matches, paged like wbsearchentities;
+// failIds: entity IDs whose wbgetentities request fails with a 500
+const stubWikibase = ({ hits = HITS, failIds = [] } = {}) => {
+  // Every hit is a person: facet filters for anything else match nothing
+  mock.method(axios, 'post', async (url, body) => ({
+    data: {
+      results: {
+        bindings: body.get('query').includes('?typeClass') ? [] : HITS.map(({ id }) => ({
+          entity: uri(id),
+          class: uri('Q1'),
+          classLabel: { type: 'literal', value: 'person', 'xml:lang': 'en' },
+          direct: { type: 'literal', value: 'true' }
+        }))
+      }
+    }
+  }));
+  return mock.method(axios, 'get', async (url, { params }) => {
+    if (params.action === 'wbsearchentities') {
+      const next = params.continue + params.limit;
+      return {
+        data: { search: hits.slice(params.continue, next), ...(next < hits.length && { 'search-continue': next }), success: 1 }
+      };
+    }
+    if (params.ids.split('|').some(id => failIds.includes(id))) {
+      throw Object.assign(new Error('Request failed with status code 500'), { request: {}, response: { status: 500 } });
+    }
+    const entities = {};
+    params.ids.split('|').forEach(id => {
+      entities[id] = ENTITIES[id] ? { type: 'item', ...ENTITIES[id] } : { id, missing: '' };
+    });
+    return { data: { entities, success: 1 } };
+  });
+};
+
+/**
+ * Split CSV text into rows of fields (quoted fields may hold commas, quotes and newlines).
+ * @param {string} text
+ * @returns {string[][]}
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' && text[i + 1] === '\n') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      i++;
+    } else {
+      field += char;
+    }
+  }
+  return rows;
+};
+
+// Collect a binary response body as a Buffer
+const binary = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('GET /api/search/export', () => {
+  beforeEach(() => {
+    cache.purge();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('streams every page of the search as CSV', async () => {
+    const axiosGet = stubWikibase();
+
+    const response = await request(app).get('/api/search/export?query=Juan Pérez&lang=es');
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers['content-type'], /^text\/csv; charset=utf-8/);
+    assert.equal(response.headers['content-disposition'], 'attachment; filename="search-juan-perez.csv"');
+    assert.ok(response.text.startsWith('\uFEFF'));
+
+    const rows = parseCsv(response.text.slice(1));
+    assert.deepEqual(rows[0], ['id', 'label', 'description', 'type', 'url']);
+    assert.deepEqual(rows.slice(1).map(row => row[0]), ['Q1', 'Q2', 'Q3', 'Q4', 'Q5']);
+    assert.deepEqual(rows[1], [
+      'Q1',
+      'Juan "el Bueno", de Oviedo',
+      'notario Q1',
+      'person',
+      'https://medievalcharterskg.wikibase.cloud/entity/Q1'
+    ]);
+
+    // The label search ran once; later pages come from the cache
+    const searches = axiosGet.mock.calls.filter(call => call.arguments[1].params.action === 'wbsearchentities');
+    assert.equal(searches.length, 1);
+  });
+
+  it('adds a column per requested property, in the order given', async () => {
+    stubWikibase();
+
+    const response = await request(app).get('/api/search/export?query=Juan&properties=P9|P55|P12');
+
+    const rows = parseCsv(response.text.slice(1));
+    assert.deepEqual(rows[0].slice(5), ['fecha (P9)', 'residencia (P55)', 'P12']);
+    assert.deepEqual(rows[1].slice(5), ['', 'Oviedo (Q30)', '']);
+    assert.deepEqual(rows[2].slice(5), ['1150-01-01T00:00:00Z', 'Oviedo (Q30); León (Q31)', '']);
+    // Rows without any of the properties keep the layout
+    assert.deepEqual(rows[3].slice(5), ['', '', '']);
+    // Cells that would run as formulas are written as text
+    assert.equal(rows[4][7], '\'=HYPERLINK("x")');
+  });
+
+  it('writes an XLSX workbook with the same columns', async () => {
+    stubWikibase();
+
+    const response = await request(app)
+      .get('/api/search/export?query=Juan&format=xlsx&properties=P55')
+      .buffer(true)
+      .parse(binary);
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers['content-type'], /^application\/vnd\.openxmlformats-officedocument\.spreadsheetml\.sheet/);
+    assert.equal(response.headers['content-disposition'], 'attachment; filename="search-juan.xlsx"');
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(response.body);
+    const sheet = workbook.getWorksheet('Results');
+    assert.deepEqual(sheet.getRow(1).values.slice(1), ['id', 'label', 'description', 'type', 'url', 'residencia (P55)']);
+    assert.equal(sheet.rowCount, 6);
+    assert.equal(sheet.getRow(3).getCell(6).value, 'Oviedo (Q30); León (Q31)');
+  });
+
+  it('narrows the export with facet filters', async () => {
+    stubWikibase();
+
+    const response = await request(app).get('/api/search/export?query=Juan&type=place');
+
+    assert.equal(response.status, 200);
+    assert.equal(parseCsv(response.text.slice(1)).length, 1);
+  });
+
+  it('exports every hit up to SEARCH_MAX_RESULTS and says when there were more', async () => {
+    const hits = Array.from({ length: 260 }, (_, i) => ({ id: `Q${100 + i}`, label: `Juan ${i}` }));
+    stubWikibase({ hits });
+
+    const complete = await request(app).get('/api/search/export?query=Juan');
+
+    assert.equal(complete.status, 200);
+    assert.equal(parseCsv(complete.text.slice(1)).length, 261);
+    assert.equal(complete.headers['x-export-truncated'], undefined);
+
+    const { maxResults } = config.search;
+    config.search.maxResults = 250;
+    try {
+      const truncated = await request(app).get('/api/search/export?query=Juan');
+
+      const rows = parseCsv(truncated.text.slice(1));
+      assert.equal(rows.length, 251);
+      assert.equal(rows[250][0], 'Q349');
+      assert.equal(truncated.headers['x-export-truncated'], 'true');
+    } finally {
+      config.search.maxResults = maxResults;
+    }
+  });
+
+  it('chooses the format from the Accept header', async () => {
+    stubWikibase();
+
+    const response = await request(app)
+      .get('/api/search/export?query=Juan')
+      .set('Accept', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+      .buffer(true)
+      .parse(binary);
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers['content-disposition'], /\.xlsx"$/);
+  });
+
+  it('rejects invalid parameters before searching', async () => {
+    const axiosGet = stubWikibase();
+
+    for (const query of ['', 'query=Juan&properties=Q1', 'query=Juan&properties=P1|P2|P3|P4', 'query=Juan&type=monster']) {
+      const response = await request(app).get(`/api/search/export?${query}`);
+      assert.equal(response.status, 400, query);
+    }
+    const response = await request(app).get('/api/search/export?query=Juan&format=pdf');
+    assert.equal(response.status, 406);
+    assert.equal(response.body.error.code, 'unsupported_format');
+    assert.equal(axiosGet.mock.callCount(), 0);
+  });
+
+  it('reports an upstream failure on the first page as a JSON error', async () => {
+    stubWikibase({ failIds: ['Q1'] });
+
+    const response = await request(app).get('/api/search/export?query=Juan&properties=P55');
+
+    assert.equal(response.status, 502);
+    assert.equal(response.body.error.code, 'upstream_error');
+  });
+  it('aborts the download when a later page fails', async () => {
+    stubWikibase({ failIds: ['Q3'] });
+
+    // Express ends the connection instead of completing the file
+    await assert.rejects(request(app).get('/api/search/export?query=Juan&properties=P55'));
+  });
+});
+
+describe('table writers', () => {
+  it('quotes CSV fields only when needed', () => {
+    assert.equal(csvField('Oviedo'), 'Oviedo');
+    assert.equal(csvField('a, b'), '"a, b"');
+    assert.equal(csvField('say "hi"'), '"say ""hi"""');
+    assert.equal(csvField('two\nlines'), '"two\nlines"');
+    assert.equal(csvField(null), '');
+    assert.equal(csvField('-12.5'), '-12.5');
+    assert.equal(csvField('@SUM(A1)'), '\'@SUM(A1)');
+  });
+
+  it('writes pages as they arrive and ends the stream', async () => {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk.toString()));
+
+    async function* pages() {
+      yield [{ id: 'Q1' }];
+      yield [{ id: 'Q2' }];
+    }
+    await writeCsv(stream, [{ key: 'id', header: 'id' }], pages());
+
+    assert.deepEqual(chunks, ['\uFEFFid\r\n', 'Q1\r\n', 'Q2\r\n']);
+    assert.equal(stream.writableEnded, true);
+  });
+
+  it('stops fetching pages when the client disconnects while the stream is full', async () => {
+    // Nothing reads the stream, so the first write fills its buffer
+    const stream = new PassThrough({ highWaterMark: 1 });
+    let fetched = 0;
+    let closed = false;
+
+    async function* pages() {
+      try {
+        for (let i = 1; i <= 3; i++) {
+          fetched++;
+          yield [{ id: `Q${i}` }];
+        }
+      } finally {
+        closed = true;
+      }
+    }
+    setImmediate(() => stream.destroy());
+    await writeCsv(stream, [{ key: 'id', header: 'id' }], pages());
+
+    assert.equal(fetched, 1);
+    assert.equal(closed, true);
+    assert.equal(stream.writableEnded, false);
+  });
+});
@@ -0,0 +1,131 @@
+process.env.WIKIBASE_SPARQL_URL = 'http://wikibase.test/sparql';
+process.env.UPSTREAM_RETRY_DELAY_MS = '1';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const request = require('supertest');
+const axios = require('axios');
+const cache = require('../services/cache');
+const upstream = require('../services/upstream');
+const searchPropertiesRoutes = require('../routes/searchProperties');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const app = express();
+app.use('/api/searchProperties', searchPropertiesRoutes);
+app.use(errorHandler);
+
+// Path segments an attacker could use to break out of wd:${entityId}
+const MALICIOUS_IDS = [
+  'Q1 } ; DROP ALL ; #',
+  'Q1> ?p ?o } SELECT * WHERE { ?s ?p ?o',
+  'Q1 . ?s ?p ?o',
+  'Q1#',
+  'Q1\nSELECT',
+  'Q1"',
+  '<http://example.org/x>',
+  'wd:Q1',
+  'q1',
+  'Q01',
+  'Q',
+  'Q1.',
+  'Q1%00',
+  '../sparql',
+  'Q1 UNION { ?s ?p ?o }'
+];
+
+const literal = (value, extra = {}) => ({ type: 'literal', value, ...extra });
+const point = value => literal(value, { datatype: 'http://www.opengis.net/ont/geosparql#wktLiteral' });
+
+// entityProperties rows, local data only
+const PROPERTIES = {
+  head: { vars: ['propertyLabel', 'valueLabel', 'instanceOfLabel', 'residenceLabel', 'coord', 'placeCoord'] },
+  results: {
+    bindings: [
+      { propertyLabel: literal('residence'), valueLabel: literal('Oviedo'), residenceLabel: literal('Oviedo') },
+      { propertyLabel: literal('occupation'), valueLabel: literal('notary'), residenceLabel: literal('Oviedo') }
+    ]
+  }
+};
+
+// entityCoordinates rows from the federated Wikidata SERVICE
+const COORDINATES = [
+  { source: literal('P55'), wikidataId: literal('Q14317'), coord: point('Point(-5.8448 43.3603)') }
+];
+
+describe('GET /api/searchProperties/:entityId', () => {
+  let axiosGet;
+  let axiosPost;
+
+  beforeEach(() => {
+    cache.purge();
+    upstream.reset();
+    axiosGet = mock.method(axios, 'get', async () => ({ data: PROPERTIES }));
+    axiosPost = mock.method(axios, 'post', async () => ({ data: { results: { bindings: COORDINATES } } }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  MALICIOUS_IDS.forEach(id => {
+    it(`rejects ${JSON.stringify(id)} with 400 before calling Wikibase`, async () => {
+      const response = await request(app).get(`/api/searchProperties/${encodeURIComponent(id)}`);
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error.code, 'invalid_entity_id');
+      assert.equal(axiosGet.mock.callCount(), 0);
+      assert.equal(axiosPost.mock.callCount(), 0);
+    });
+  });
+
+  it('queries the SPARQL endpoint for a valid ID', async () => {
+    const response = await request(app).get('/api/searchProperties/Q42');
+
+    assert.equal(response.status, 200);
+    assert.equal(axiosGet.mock.callCount(), 1);
+
+    const [url, options] = axiosGet.mock.calls[0].arguments;
+    assert.equal(url, 'http://wikibase.test/sparql');
+    assert.match(options.params.query, /wd:Q42 \?p \?value/);
+    assert.doesNotMatch(options.params.query, /query\.wikidata\.org/);
+  });
+
+  it('adds Wikidata coordinates fetched separately', async () => {
+    const response = await request(app).get('/api/searchProperties/Q42');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.coordinatesUnavailable, false);
+    assert.deepEqual(response.body.head, PROPERTIES.head);
+    response.body.results.bindings.forEach(binding => {
+      assert.deepEqual(binding.coord, COORDINATES[0].coord);
+      assert.equal(binding.placeCoord, undefined);
+    });
+    assert.match(axiosPost.mock.calls[0].arguments[1].get('query'), /wd:Q42 wdt:P2 \?wikidataId/);
+  });
+
+  it('still returns the claims when Wikidata fails', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    mock.method(axios, 'post', async () => {
+      const error = new Error('Request failed with status code 500');
+      error.request = {};
+      error.response = { status: 500, data: 'SERVICE call failed' };
+      throw error;
+    });
+
+    const response = await request(app).get('/api/searchProperties/Q42');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.coordinatesUnavailable, true);
+    assert.deepEqual(response.body.results, PROPERTIES.results);
+  });
+
+  it('caches the coordinates independently of the claims', async () => {
+    await request(app).get('/api/searchProperties/Q42?lang=es');
+    const response = await request(app).get('/api/searchProperties/Q42?lang=en');
+
+    assert.equal(response.get('X-Cache'), 'MISS');
+    assert.equal(axiosGet.mock.callCount(), 2);
+    assert.equal(axiosPost.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,292 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SNAPSHOT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mckg-snapshot-'));
+process.env.WIKIBASE_API_URL = 'http://wikibase.test/w/api.php';
+process.env.WIKIBASE_SPARQL_URL = 'http://wikibase.test/sparql';
+process.env.WIKIDATA_API_URL = 'http://wikidata.test/w/api.php';
+process.env.DATA_SOURCE = 'snapshot';
+process.env.SNAPSHOT_DIR = SNAPSHOT_DIR;
+// Q5 is the person class of the harvested Wikibase
+process.env.TYPE_CLASSES = 'person=Q5,place=Q6';
+process.env.WIKIBASE_PROPERTY_SUBCLASS_OF = 'P4';
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const request = require('supertest');
+const axios = require('axios');
+const cache = require('../services/cache');
+const snapshot = require('../services/snapshot');
+const { compactEntity, loadSnapshot, SnapshotError } = snapshot;
+const { entityTriples } = require('../rdf/ntriples');
+const { harvest } = require('../scripts/harvest');
+const searchRoutes = require('../routes/search');
+const searchPropertiesRoutes = require('../routes/searchProperties');
+const entitiesRoutes = require('../routes/entities');
+const graphRoutes = require('../routes/graph');
+const pathRoutes = require('../routes/path');
+const { errorHandler } = require('../middleware/errorHandler');
+const { uri } = require('./helpers/wikibaseStub');
+
+const app = express();
+app.use('/api/search', searchRoutes);
+app.use('/api/searchProperties', searchPropertiesRoutes);
+app.use('/api/entities', entitiesRoutes);
+app.use('/api/graph', graphRoutes);
+app.use('/api/path', pathRoutes);
+app.use(errorHandler);
+
+const term = (language, value) => ({ [language]: { language, value } });
+const statement = (datatype, datavalue, rank = 'normal') => ({
+  rank,
+  mainsnak: { snaktype: 'value', datatype, datavalue }
+});
+const item = id => ({ type: 'wikibase-entityid', value: { 'entity-type': 'item', id } });
+const string = value => ({ type: 'string', value });
+
+// wbgetentities documents of the Wikibase being harvested
+const WIKIBASE = {
+  Q1: {
+    id: 'Q1',
+    type: 'item',
+    labels: { ...term('es', 'Juan Pérez'), ...term('la', 'Iohannes Petri') },
+    descriptions: term('es', 'notario'),
+    aliases: { es: [{ language: 'es', value: 'Juanito' }] },
+    claims: {
+      P3: [statement('wikibase-item', item('Q5'))],
+      P55: [statement('wikibase-item', item('Q2'))],
+      P9: [
+        statement('time', { type: 'time', value: { time: '+1150-01-01T00:00:00Z' } }),
+        statement('time', { type: 'time', value: { time: '+1151-01-01T00:00:00Z' } }, 'deprecated')
+      ]
+    }
+  },
+  Q2: {
+    id: 'Q2',
+    type: 'item',
+    labels: term('es', 'Oviedo'),
+    claims: { P2: [statement('external-id', string('Q14317'))] }
+  },
+  Q5: { id: 'Q5', type: 'item', labels: term('en', 'person') },
+  P2: { id: 'P2', type: 'property', datatype: 'external-id', labels: term('en', 'Wikidata ID') },
+  P3: { id: 'P3', type: 'property', datatype: 'wikibase-item', labels: term('en', 'instance of') },
+  P9: { id: 'P9', type: 'property', datatype: 'time', labels: term('en', 'date') },
+  P55: { id: 'P55', type: 'property', datatype: 'wikibase-item', labels: { ...term('es', 'residencia'), ...term('en', 'residence') } }
+};
+
+const stubUpstream = () => {
+  mock.method(axios, 'post', async () => ({
+    data: { results: { bindings: Object.keys(WIKIBASE).map(id => ({ entity: uri(id) })) } }
+  }));
+  return mock.method(axios, 'get', async (url, { params }) => {
+    if (url === process.env.WIKIDATA_API_URL) {
+      return {
+        data: {
+          entities: {
+            Q14317: { id: 'Q14317', claims: { P625: [{ mainsnak: { datavalue: { value: { latitude: 43.36, longitude: -5.84 } } } }] } }
+          }
+        }
+      };
+    }
+    const entities = {};
+    params.ids.split('|').forEach(id => {
+      entities[id] = WIKIBASE[id];
+    });
+    return { data: { entities } };
+  });
+};
+
+describe('snapshot records', () => {
+  it('keep terms and best-ranked direct claims', () => {
+    const entity = compactEntity(WIKIBASE.Q1);
+
+    assert.deepEqual(entity.labels, { es: 'Juan Pérez', la: 'Iohannes Petri' });
+    assert.deepEqual(entity.aliases, { es: ['Juanito'] });
+    assert.deepEqual(entity.claims.P55, [{ value: 'Q2', datatype: 'wikibase-item' }]);
+    assert.deepEqual(entity.claims.P9, [{ value: '1150-01-01T00:00:00Z', datatype: 'time' }]);
+  });
+
+  it('give year and month precision dates a valid month and day', () => {
+    const time = (value, precision) => ({
+      id: 'Q9',
+      claims: { P9: [statement('time', { type: 'time', value: { time: value, precision } })] }
+    });
+
+    assert.equal(compactEntity(time('+1150-00-00T00:00:00Z', 9)).claims.P9[0].value, '1150-01-01T00:00:00Z');
+    assert.equal(compactEntity(time('+1150-03-00T00:00:00Z', 10)).claims.P9[0].value, '1150-03-01T00:00:00Z');
+    assert.equal(compactEntity(time('-0050-00-00T00:00:00Z', 9)).claims.P9[0].value, '-0050-01-01T00:00:00Z');
+  });
+
+  it('serialise to N-Triples with the query service vocabulary', () => {
+    const lines = entityTriples(compactEntity(WIKIBASE.Q1));
+
+    assert.ok(lines.includes(
+      '<https://medievalcharterskg.wikibase.cloud/entity/Q1> <http://www.w3.org/2000/01/rdf-schema#label> "Juan Pérez"@es .'
+    ));
+    assert.ok(lines.includes(
+      '<https://medievalcharterskg.wikibase.cloud/entity/Q1> <https://medievalcharterskg.wikibase.cloud/prop/direct/P55> <https://medievalcharterskg.wikibase.cloud/entity/Q2> .'
+    ));
+    assert.ok(lines.some(line => line.endsWith('"1150-01-01T00:00:00Z"^^<http://www.w3.org/2001/XMLSchema#dateTime> .')));
+  });
+});
+
+describe('DATA_SOURCE=snapshot', () => {
+  before(async () => {
+    stubUpstream();
+    const manifest = await harvest({ log: () => {} });
+    mock.restoreAll();
+
+    assert.equal(manifest.entities, 7);
+    assert.equal(manifest.coordinates, 1);
+    assert.ok(fs.existsSync(path.join(SNAPSHOT_DIR, manifest.version, 'triples.nt')));
+    loadSnapshot({ reload: true });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    cache.purge();
+  });
+
+  after(() => {
+    fs.rmSync(SNAPSHOT_DIR, { recursive: true, force: true });
+  });
+
+  it('answers /api/search from the snapshot without calling Wikibase', async () => {
+    const axiosGet = mock.method(axios, 'get', async () => {
+      throw new Error('Wikibase should not be called');
+    });
+
+    const response = await request(app).get('/api/search?query=juan&lang=es');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.search.length, 1);
+    assert.equal(response.body.search[0].id, 'Q1');
+    assert.equal(response.body.search[0].label, 'Juan Pérez');
+    assert.equal(response.body.search[0].description, 'notario');
+    assert.equal(response.body.pagination.total, 1);
+    assert.equal(axiosGet.mock.callCount(), 0);
+  });
+
+  it('matches aliases and folds accents', async () => {
+    const alias = await request(app).get('/api/search?query=juanito&lang=es');
+    assert.equal(alias.body.search[0].match.type, 'alias');
+
+    const accents = await request(app).get('/api/search?query=JUAN%20PEREZ&lang=es');
+    assert.equal(accents.body.search[0].id, 'Q1');
+  });
+
+  // Any request to Wikibase, the query service or Wikidata fails the test
+  const forbidUpstream = () => ({
+    get: mock.method(axios, 'get', async (url) => {
+      throw new Error(`${url} should not be called`);
+    }),
+    post: mock.method(axios, 'post', async (url) => {
+      throw new Error(`${url} should not be called`);
+    })
+  });
+
+  it('answers /api/search/faceted, its filters and facets from the snapshot', async () => {
+    const upstream = forbidUpstream();
+
+    const response = await request(app).get('/api/search/faceted?query=juan&lang=es&type=person&place=Q2&from=1100&to=1199');
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.search.map(hit => [hit.id, hit.type]), [['Q1', 'person']]);
+    assert.deepEqual(response.body.facets.type, [{ value: 'person', label: 'person', count: 1 }]);
+    assert.deepEqual(response.body.facets.place, [{ value: 'Q2', label: 'Oviedo', count: 1 }]);
+    assert.deepEqual(response.body.facets.century.map(({ value }) => value), [1100]);
+
+    const excluded = await request(app).get('/api/search/faceted?query=juan&lang=es&from=1200');
+    assert.equal(excluded.body.pagination.total, 0);
+
+    assert.equal(upstream.get.mock.callCount(), 0);
+    assert.equal(upstream.post.mock.callCount(), 0);
+  });
+
+  it('answers /api/entities/:id from the snapshot', async () => {
+    const upstream = forbidUpstream();
+
+    const response = await request(app).get('/api/entities/Q1?lang=es');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.label, 'Juan Pérez');
+    assert.equal(response.body.description, 'notario');
+    assert.deepEqual(response.body.aliases, ['Juanito']);
+    assert.equal(response.body.type, 'person');
+    assert.deepEqual(response.body.properties.P55.values.map(value => value.label), ['Oviedo']);
+    assert.deepEqual(response.body.coordinates, { lat: 43.36, lng: -5.84, source: 'P55', wikidataId: 'Q14317' });
+    assert.equal(response.body.coordinatesUnavailable, false);
+
+    const missing = await request(app).get('/api/entities/Q404?lang=es');
+    assert.equal(missing.status, 404);
+
+    assert.equal(upstream.get.mock.callCount(), 0);
+    assert.equal(upstream.post.mock.callCount(), 0);
+  });
+
+  it('answers /api/entities?ids= in the wbgetentities shape from the snapshot', async () => {
+    const upstream = forbidUpstream();
+
+    const response = await request(app).get('/api/entities?ids=Q1|Q404&props=labels|claims&languages=es');
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.missing, ['Q404']);
+    const entity = response.body.entities.Q1;
+    assert.deepEqual(entity.labels, { es: { language: 'es', value: 'Juan Pérez' } });
+    assert.equal(entity.descriptions, undefined);
+    assert.equal(entity.claims.P55[0].mainsnak.datavalue.value.id, 'Q2');
+    // Only the best-ranked date is kept
+    assert.deepEqual(entity.claims.P9.map(claim => claim.mainsnak.datavalue.value.time), ['+1150-01-01T00:00:00Z']);
+
+    assert.equal(upstream.get.mock.callCount(), 0);
+    assert.equal(upstream.post.mock.callCount(), 0);
+  });
+
+  it('answers /api/graph and /api/path from the snapshot', async () => {
+    const upstream = forbidUpstream();
+
+    const graph = await request(app).get('/api/graph/Q1?direction=out&properties=P55&lang=es');
+    assert.equal(graph.status, 200);
+    assert.deepEqual(graph.body.nodes.map(node => [node.id, node.label, node.type]), [
+      ['Q1', 'Juan Pérez', 'person'],
+      ['Q2', 'Oviedo', null]
+    ]);
+    assert.deepEqual(graph.body.edges.map(edge => [edge.source, edge.property, edge.target]), [['Q1', 'P55', 'Q2']]);
+
+    const found = await request(app).get('/api/path?from=Q1&to=Q2&lang=es');
+    assert.equal(found.status, 200);
+    assert.deepEqual(found.body.paths.map(path => path.nodes.map(node => node.label)), [['Juan Pérez', 'Oviedo']]);
+
+    const missing = await request(app).get('/api/path?from=Q1&to=Q404&lang=es');
+    assert.equal(missing.status, 404);
+
+    assert.equal(upstream.get.mock.callCount(), 0);
+    assert.equal(upstream.post.mock.callCount(), 0);
+  });
+
+  it('responds 503 snapshot_unavailable when the snapshot cannot be read', async () => {
+    forbidUpstream();
+    mock.method(snapshot, 'loadSnapshot', () => {
+      throw new SnapshotError(`Cannot read snapshot latest in ${SNAPSHOT_DIR}: ENOENT`);
+    });
+
+    const response = await request(app).get('/api/entities/Q1?lang=es');
+
+    assert.equal(response.status, 503);
+    assert.equal(response.body.error.code, 'snapshot_unavailable');
+  });
+
+  it('answers /api/searchProperties in the SPARQL results shape', async () => {
+    const response = await request(app).get('/api/searchProperties/Q1?lang=es');
+
+    assert.equal(response.status, 200);
+    const { bindings } = response.body.results;
+    const residence = bindings.find(binding => binding.propertyLabel.value === 'residencia');
+    assert.equal(residence.valueLabel.value, 'Oviedo');
+    assert.equal(residence.instanceOfLabel.value, 'person');
+    assert.equal(residence.coord.value, 'Point(-5.84 43.36)');
+  });
+});
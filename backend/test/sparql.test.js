@@ -0,0 +1,178 @@
+process.env.WIKIBASE_API_URL = 'http://wikibase.test/w/api.php';
+process.env.WIKIBASE_SPARQL_URL = 'http://wikibase.test/sparql';
+process.env.SPARQL_MAX_LIMIT = '100';
+process.env.SPARQL_TIMEOUT_MS = '500';
+process.env.BREAKER_FAILURE_THRESHOLD = '2';
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const request = require('supertest');
+const axios = require('axios');
+const cache = require('../services/cache');
+const upstream = require('../services/upstream');
+const sparql = require('../services/sparql');
+const sparqlRoutes = require('../routes/sparql');
+const { errorHandler } = require('../middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/api/sparql', sparqlRoutes);
+app.use(errorHandler);
+
+const RESULTS = { head: { vars: ['s'] }, results: { bindings: [{ s: { type: 'uri', value: 'http://a/1' } }] } };
+
+const stubQueryService = (respond = async () => ({ status: 200, data: RESULTS })) =>
+  mock.method(axios, 'post', respond);
+
+const httpError = (status, data) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  request: {},
+  response: { status, data }
+});
+
+describe('POST /api/sparql', () => {
+  beforeEach(() => {
+    cache.purge();
+    upstream.reset();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('forwards a capped query to the query service', async () => {
+    const axiosPost = stubQueryService();
+
+    const response = await request(app)
+      .post('/api/sparql')
+      .send({ query: 'SELECT ?s WHERE { ?s ?p ?o } LIMIT 5000' });
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers['content-type'], /^application\/sparql-results\+json/);
+    assert.deepEqual(JSON.parse(response.text), RESULTS);
+
+    const [url, body, options] = axiosPost.mock.calls[0].arguments;
+    assert.equal(url, 'http://wikibase.test/sparql');
+    assert.equal(body.get('query'), 'SELECT ?s WHERE { ?s ?p ?o } LIMIT 100');
+    assert.equal(options.headers['X-BIGDATA-MAX-QUERY-MILLIS'], '500');
+    assert.equal(options.timeout, 500);
+  });
+
+  it('accepts raw application/sparql-query bodies and returns CSV', async () => {
+    const axiosPost = stubQueryService(async () => ({ status: 200, data: 's\r\nhttp://a/1\r\n' }));
+
+    const response = await request(app)
+      .post('/api/sparql?format=csv')
+      .set('Content-Type', 'application/sparql-query')
+      .send('SELECT ?s WHERE { ?s ?p ?o }');
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers['content-type'], /^text\/csv/);
+    assert.equal(response.text, 's\r\nhttp://a/1\r\n');
+    assert.equal(axiosPost.mock.calls[0].arguments[2].headers.Accept, 'text/csv');
+  });
+
+  it('rejects update requests without contacting the query service', async () => {
+    const axiosPost = stubQueryService();
+
+    for (const query of ['INSERT DATA { <http://a/s> <http://a/p> "o" }', 'drop all', 'Clear Default']) {
+      const response = await request(app).post('/api/sparql').send({ query });
+
+      assert.equal(response.status, 400, query);
+      assert.equal(response.body.error.code, 'invalid_sparql');
+    }
+    assert.equal(axiosPost.mock.callCount(), 0);
+  });
+
+  it('rejects SERVICE calls to endpoints that are not allowed', async () => {
+    const axiosPost = stubQueryService();
+
+    const response = await request(app)
+      .post('/api/sparql')
+      .send({ query: 'SELECT * WHERE { SERVICE <http://attacker.example/sparql> { ?s ?p ?o } }' });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.code, 'invalid_sparql');
+    assert.match(response.body.error.detail, /attacker\.example/);
+    assert.equal(axiosPost.mock.callCount(), 0);
+  });
+
+  it('rejects CONSTRUCT and DESCRIBE queries', async () => {
+    stubQueryService();
+
+    for (const query of ['CONSTRUCT { ?s ?p ?o } WHERE { ?s ?p ?o }', 'DESCRIBE <http://a/s>']) {
+      const response = await request(app).post('/api/sparql').send({ query });
+      assert.equal(response.status, 400, query);
+    }
+  });
+
+  it('responds 406 to ASK queries in CSV or TSV', async () => {
+    const axiosPost = stubQueryService();
+
+    for (const format of ['csv', 'tsv']) {
+      const response = await request(app).post(`/api/sparql?format=${format}`).send({ query: 'ASK { ?s ?p ?o }' });
+
+      assert.equal(response.status, 406, format);
+      assert.equal(response.body.error.code, 'unsupported_format');
+    }
+    const byAccept = await request(app)
+      .post('/api/sparql')
+      .set('Accept', 'text/tab-separated-values')
+      .send({ query: 'ASK { ?s ?p ?o }' });
+    assert.equal(byAccept.status, 406);
+    assert.equal(axiosPost.mock.callCount(), 0);
+  });
+
+  it('responds 406 to unknown formats', async () => {
+    const response = await request(app).post('/api/sparql?format=xml').send({ query: 'SELECT ?s WHERE { ?s ?p ?o }' });
+
+    assert.equal(response.status, 406);
+  });
+
+  it('reports queries the query service rejects as invalid_sparql', async () => {
+    stubQueryService(async () => {
+      throw httpError(400, 'MalformedQueryException: Encountered " "}" "} "" at line 1');
+    });
+
+    const response = await request(app).post('/api/sparql').send({ query: 'SELECT ?s WHERE { ?s ?p }' });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.code, 'invalid_sparql');
+    assert.equal(response.body.error.upstreamStatus, 400);
+    assert.match(response.body.error.detail, /MalformedQueryException/);
+  });
+
+  it('responds 504 when the query times out', async () => {
+    stubQueryService(async () => {
+      throw Object.assign(new Error('timeout of 500ms exceeded'), { code: 'ECONNABORTED', request: {} });
+    });
+
+    const response = await request(app).post('/api/sparql').send({ query: 'SELECT ?s WHERE { ?s ?p ?o }' });
+
+    assert.equal(response.status, 504);
+    assert.equal(response.body.error.code, 'upstream_timeout');
+    assert.match(response.body.error.detail, /500 ms/);
+  });
+
+  it('keeps failing user queries from opening the circuit of template queries', async () => {
+    const timeout = () => Object.assign(new Error('timeout of 500ms exceeded'), { code: 'ECONNABORTED', request: {} });
+    const axiosPost = stubQueryService(async (url, body) => {
+      if (body.get('format') === 'json') return { status: 200, data: RESULTS };
+      throw timeout();
+    });
+
+    for (let i = 0; i < 2; i++) {
+      const response = await request(app).post('/api/sparql').send({ query: `SELECT ?s WHERE { ?s ?p ?o } LIMIT ${i + 1}` });
+      assert.equal(response.status, 504);
+    }
+    const shortCircuited = await request(app).post('/api/sparql').send({ query: 'SELECT ?s WHERE { ?s ?p ?o } LIMIT 3' });
+    assert.equal(shortCircuited.status, 503);
+    assert.equal(axiosPost.mock.callCount(), 2);
+
+    // Template queries go through a breaker of their own, which is still closed
+    assert.deepEqual(await sparql.select('entityIdsPage', { limit: 10, offset: 0 }), RESULTS.results.bindings);
+    assert.equal(upstream.getStats().sparqlProxy.state, 'open');
+    assert.equal(upstream.getStats().sparql.state, 'closed');
+  });
+});
@@ -0,0 +1,144 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SparqlGuardError, maskQuery, findKeywords, prepareQuery } = require('../sparql/guard');
+
+const WIKIDATA = 'https://query.wikidata.org/sparql';
+const options = { maxLimit: 100, allowedServices: [WIKIDATA] };
+const prepare = query => prepareQuery(query, options);
+
+const rejects = (query, pattern) => assert.throws(() => prepare(query), error =>
+  error instanceof SparqlGuardError && pattern.test(error.message)
+);
+
+describe('SPARQL guard', () => {
+  describe('maskQuery', () => {
+    it('blanks strings, IRIs and comments without moving offsets', () => {
+      const query = 'SELECT ?x WHERE { ?x <http://a/DELETE> "DROP" . } # INSERT\nLIMIT 5';
+      const masked = maskQuery(query);
+
+      assert.equal(masked.length, query.length);
+      assert.doesNotMatch(masked, /DELETE|DROP|INSERT/);
+      assert.match(masked, /\nLIMIT 5$/);
+    });
+
+    it('keeps a bare < as a comparison operator', () => {
+      assert.match(maskQuery('FILTER(?a < ?b)'), /\?a < \?b/);
+    });
+  });
+
+  describe('findKeywords', () => {
+    it('skips variables and prefixed names', () => {
+      const words = findKeywords(maskQuery('SELECT ?delete WHERE { wd:Q1 wdt:P1 ?drop }')).map(({ word }) => word);
+
+      assert.deepEqual(words, ['SELECT', 'WHERE']);
+    });
+  });
+
+  describe('prepareQuery', () => {
+    it('rejects SPARQL Update in any case', () => {
+      for (const keyword of ['INSERT DATA', 'DELETE DATA', 'LOAD <http://a/>', 'CLEAR ALL', 'DROP ALL', 'insert data', 'DeLeTe where']) {
+        rejects(`${keyword} { <http://a/s> <http://a/p> "o" }`, /SPARQL Update is not allowed/);
+      }
+      rejects('SELECT * WHERE { ?s ?p ?o } ; drop all', /found DROP/);
+    });
+
+    it('accepts update keywords inside strings, IRIs and comments', () => {
+      const query = [
+        '# DELETE everything',
+        'SELECT ?s WHERE {',
+        '  ?s <http://example.org/INSERT> "DROP ALL" .',
+        '  ?s ?p """CLEAR',
+        'LOAD""" .',
+        '} LIMIT 10'
+      ].join('\n');
+
+      assert.deepEqual(prepare(query), { form: 'SELECT', query });
+    });
+
+    it('rejects CONSTRUCT and DESCRIBE', () => {
+      rejects('CONSTRUCT { ?s ?p ?o } WHERE { ?s ?p ?o }', /CONSTRUCT queries are not supported/);
+      rejects('describe <http://a/s>', /DESCRIBE queries are not supported/);
+    });
+
+    it('rejects empty and malformed queries', () => {
+      rejects('   ', /Query is required/);
+      rejects('PREFIX wd: <http://a/>', /must be a SELECT or ASK/);
+      rejects('SELECT ?s', /no WHERE clause/);
+    });
+
+    it('caps an existing LIMIT above the maximum', () => {
+      const { query } = prepare('SELECT ?s WHERE { ?s ?p ?o } ORDER BY ?s limit 5000 OFFSET 10');
+
+      assert.equal(query, 'SELECT ?s WHERE { ?s ?p ?o } ORDER BY ?s LIMIT 100 OFFSET 10');
+    });
+
+    it('keeps a LIMIT within the maximum', () => {
+      const query = 'SELECT ?s WHERE { ?s ?p ?o } LIMIT 20';
+
+      assert.equal(prepare(query).query, query);
+    });
+
+    it('ignores LIMIT inside subqueries', () => {
+      const { query } = prepare('SELECT ?s WHERE { { SELECT ?s WHERE { ?s ?p ?o } LIMIT 5 } }');
+
+      assert.match(query, /\}\nLIMIT 100$/);
+    });
+
+    it('adds a LIMIT when there is none', () => {
+      assert.equal(prepare('SELECT ?s WHERE { ?s ?p ?o }').query, 'SELECT ?s WHERE { ?s ?p ?o }\nLIMIT 100');
+    });
+
+    it('inserts the LIMIT before a trailing VALUES block', () => {
+      const { query } = prepare('SELECT ?s WHERE { ?s ?p ?o }\nVALUES ?s { <http://a/1> <http://a/2> }');
+
+      assert.equal(query, 'SELECT ?s WHERE { ?s ?p ?o }\nLIMIT 100\nVALUES ?s { <http://a/1> <http://a/2> }');
+    });
+
+    it('caps a LIMIT placed before a trailing VALUES block', () => {
+      const { query } = prepare('SELECT ?s WHERE { ?s ?p ?o } LIMIT 999 VALUES ?s { <http://a/1> }');
+
+      assert.equal(query, 'SELECT ?s WHERE { ?s ?p ?o } LIMIT 100 VALUES ?s { <http://a/1> }');
+    });
+
+    it('leaves ASK queries unchanged', () => {
+      const query = 'ASK { ?s ?p ?o }';
+
+      assert.deepEqual(prepare(query), { form: 'ASK', query });
+    });
+
+    it('allows the label service and allow-listed endpoints', () => {
+      const label = 'SELECT ?s ?sLabel WHERE { ?s ?p ?o SERVICE wikibase:label { bd:serviceParam wikibase:language "es" } }';
+      const federated = `SELECT ?c WHERE { SERVICE SILENT <${WIKIDATA}> { ?s ?p ?c } }`;
+      const fullIri = 'SELECT ?s WHERE { SERVICE <http://wikiba.se/ontology#label> { } }';
+
+      for (const query of [label, federated, fullIri]) {
+        assert.equal(prepare(query).form, 'SELECT');
+      }
+    });
+
+    it('rejects SERVICE to any other endpoint', () => {
+      rejects('SELECT * WHERE { SERVICE <http://attacker.example/sparql> { ?s ?p ?o } }',
+        /SERVICE <http:\/\/attacker\.example\/sparql> is not allowed/);
+      rejects('SELECT * WHERE { service <http://169.254.169.254/> { ?s ?p ?o } }', /is not allowed/);
+      rejects('SELECT * WHERE { SERVICE ?endpoint { ?s ?p ?o } VALUES ?endpoint { <http://a/> } }',
+        /variable or unknown prefix/);
+      rejects('SELECT * WHERE { SERVICE ex:sparql { ?s ?p ?o } }', /variable or unknown prefix/);
+    });
+
+    it('resolves SERVICE names through the declared prefixes', () => {
+      // A redeclared wikibase: prefix must not smuggle another endpoint in as the label service
+      rejects('PREFIX wikibase: <http://attacker.example/> SELECT * WHERE { SERVICE wikibase:label { } }',
+        /SERVICE <http:\/\/attacker\.example\/label> is not allowed/);
+
+      const query = 'PREFIX wdqs: <https://query.wikidata.org/> SELECT * WHERE { SERVICE wdqs:sparql { ?s ?p ?o } }';
+      assert.equal(prepare(query).form, 'SELECT');
+    });
+
+    it('allows no other endpoint when none is configured', () => {
+      assert.throws(
+        () => prepareQuery(`SELECT * WHERE { SERVICE <${WIKIDATA}> { ?s ?p ?o } }`, { maxLimit: 10 }),
+        SparqlGuardError
+      );
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  SparqlTemplateError,
+  isEntityId,
+  escapeLiteral,
+  escapeIri,
+  buildQuery
+} = require('../sparql/templates');
+
+describe('isEntityId', () => {
+  it('accepts item, property and lexeme IDs', () => {
+    ['Q1', 'Q42', 'P3', 'P55', 'L7', 'L7-F2', 'L7-S1'].forEach(id => {
+      assert.equal(isEntityId(id), true, id);
+    });
+  });
+
+  it('checks the kind when one is given', () => {
+    assert.equal(isEntityId('Q42', 'item'), true);
+    assert.equal(isEntityId('P3', 'item'), false);
+    assert.equal(isEntityId('P3', 'property'), true);
+    assert.equal(isEntityId('L1-F1', 'lexeme'), true);
+  });
+
+  it('rejects malformed IDs', () => {
+    ['', 'q42', 'Q', 'Q0', 'Q01', 'Q42 ', ' Q42', 'X42', 'Q42.', 'Q1-F1', 'L1-X1', undefined, 42]
+      .forEach(id => assert.equal(isEntityId(id), false, String(id)));
+  });
+});
+
+describe('escapeLiteral', () => {
+  it('quotes and escapes special characters', () => {
+    assert.equal(escapeLiteral('Juan Pérez'), '"Juan Pérez"');
+    assert.equal(escapeLiteral('a"b\\c\nd'), '"a\\"b\\\\c\\nd"');
+  });
+
+  it('cannot be used to close the literal', () => {
+    const literal = escapeLiteral('" } ; DROP ALL ; #');
+    assert.equal(literal, '"\\" } ; DROP ALL ; #"');
+  });
+});
+
+describe('escapeIri', () => {
+  it('wraps absolute IRIs', () => {
+    assert.equal(escapeIri('http://www.wikidata.org/entity/Q5'), '<http://www.wikidata.org/entity/Q5>');
+  });
+
+  it('percent-encodes characters that could end the IRI', () => {
+    assert.equal(escapeIri('http://example.org/a> } <b'), '<http://example.org/a%3E%20%7D%20%3Cb>');
+  });
+
+  it('rejects relative IRIs', () => {
+    assert.throws(() => escapeIri('entity/Q5'), SparqlTemplateError);
+  });
+});
+
+describe('buildQuery', () => {
+  it('fills the entityProperties template', () => {
+    const query = buildQuery('entityProperties', { entityId: 'Q42', languages: ['[AUTO_LANGUAGE]', 'en'] });
+    assert.match(query, /wd:Q42 \?p \?value/);
+    assert.match(query, /wikibase:language "\[AUTO_LANGUAGE\],en"/);
+    assert.doesNotMatch(query, /\{\{/);
+  });
+
+  it('rejects unknown templates', () => {
+    assert.throws(() => buildQuery('dropEverything', {}), SparqlTemplateError);
+    assert.throws(() => buildQuery('toString', {}), SparqlTemplateError);
+  });
+
+  it('rejects missing and invalid values', () => {
+    assert.throws(() => buildQuery('entityProperties', { languages: 'en' }), SparqlTemplateError);
+    assert.throws(
+      () => buildQuery('entityProperties', { entityId: 'Q1 } ; DROP ALL', languages: 'en' }),
+      SparqlTemplateError
+    );
+    assert.throws(
+      () => buildQuery('entityProperties', { entityId: 'Q1', languages: 'en" } #' }),
+      SparqlTemplateError
+    );
+  });
+
+  it('leaves an empty property list unconstrained', () => {
+    const values = { entityIds: ['Q1'], languages: 'en', limit: 10 };
+    assert.match(buildQuery('graphOutgoing', { ...values, properties: [] }), /VALUES \?property \{ UNDEF \}/);
+    assert.match(buildQuery('graphOutgoing', { ...values, properties: ['P7'] }), /VALUES \?property \{ wd:P7 \}/);
+    assert.throws(() => buildQuery('graphOutgoing', { ...values, properties: ['Q7'] }), SparqlTemplateError);
+  });
+});
@@ -0,0 +1,129 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { buildQuery } = require('../sparql/templates');
+const { matchTemplate } = require('../standin/sparql');
+const { loadFixtures, createStandinApp } = require('../standin/server');
+
+const app = createStandinApp();
+
+const sparql = (name, values) => request(app)
+  .post('/sparql')
+  .type('form')
+  .send({ query: buildQuery(name, values) })
+  .set('Accept', 'application/sparql-results+json');
+
+describe('matchTemplate', () => {
+  it('recovers the values a template was filled with', () => {
+    const query = buildQuery('entityProperties', { entityId: 'Q30', languages: ['es', 'en'] });
+    assert.deepEqual(matchTemplate(query), {
+      name: 'entityProperties',
+      values: { entityId: 'Q30', languages: ['es', 'en'] }
+    });
+  });
+
+  it('recovers entity lists', () => {
+    const query = buildQuery('graphOutgoing', { entityIds: ['Q30', 'Q31'], properties: [], languages: 'en', limit: 10 });
+    const { name, values } = matchTemplate(query);
+    assert.equal(name, 'graphOutgoing');
+    assert.deepEqual(values.entityIds, ['Q30', 'Q31']);
+    assert.deepEqual(values.properties, []);
+    assert.equal(values.limit, 10);
+  });
+
+  it('returns null for other queries', () => {
+    assert.equal(matchTemplate('SELECT * WHERE { ?s ?p ?o }'), null);
+  });
+});
+
+describe('Wikibase stand-in', () => {
+  it('ships persons, places and activities', () => {
+    const { entities, coordinates } = loadFixtures();
+    const instancesOf = classId => Object.values(entities)
+      .filter(entity => entity.claims.P3?.some(({ value }) => value === classId));
+
+    assert.ok(instancesOf('Q1').length > 0, 'persons');
+    assert.ok(Object.keys(coordinates).length > 0, 'place coordinates');
+    assert.ok(Object.values(entities).some(entity => entity.claims.P6), 'dated activities');
+  });
+
+  it('answers wbsearchentities', async () => {
+    const res = await request(app)
+      .get('/w/api.php')
+      .query({ action: 'wbsearchentities', search: 'juan', language: 'es', format: 'json' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.search[0].id, 'Q30');
+    assert.equal(res.body.search[0].label, 'Juan Pérez');
+  });
+
+  it('answers wbgetentities with the requested props and languages', async () => {
+    const res = await request(app)
+      .get('/w/api.php')
+      .query({ action: 'wbgetentities', ids: 'Q30|Q999', props: 'labels|claims', languages: 'la' });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.entities.Q30.labels, { la: { language: 'la', value: 'Iohannes Petri' } });
+    assert.equal(res.body.entities.Q30.descriptions, undefined);
+    assert.equal(res.body.entities.Q30.claims.P55[0].mainsnak.datavalue.value.id, 'Q20');
+    assert.deepEqual(res.body.entities.Q999, { id: 'Q999', missing: '' });
+  });
+
+  it('reports API errors in the Wikibase shape', async () => {
+    const res = await request(app).get('/w/api.php').query({ action: 'wbgetentities' });
+    assert.equal(res.body.error.code, 'param-missing');
+  });
+
+  it('serves Wikidata coordinates of fixture places', async () => {
+    const res = await request(app)
+      .get('/wikidata/w/api.php')
+      .query({ action: 'wbgetentities', ids: 'Q14317', props: 'claims' });
+
+    const { latitude, longitude } = res.body.entities.Q14317.claims.P625[0].mainsnak.datavalue.value;
+    assert.deepEqual([latitude, longitude], [43.3603, -5.8448]);
+  });
+
+  it('evaluates the backend SPARQL templates', async () => {
+    const res = await sparql('entityProperties', { entityId: 'Q30', languages: ['es', 'en'] });
+
+    assert.equal(res.status, 200);
+    assert.match(res.type, /sparql-results\+json/);
+    const residence = res.body.results.bindings.find(binding => binding.propertyLabel.value === 'residencia');
+    assert.equal(residence.valueLabel.value, 'Oviedo');
+    // Like the live query, coordinates are left to entityCoordinates
+    assert.equal(residence.coord, undefined);
+  });
+
+  it('answers the federated coordinates template', async () => {
+    const res = await sparql('entityCoordinates', { entityId: 'Q30' });
+
+    assert.deepEqual(res.body.results.bindings.map(binding => binding.coord.value), ['Point(-5.8448 43.3603)']);
+  });
+
+  it('resolves classes through the subclass chain', async () => {
+    const res = await sparql('entityClasses', { entityIds: ['Q21'], instanceOf: 'P3', subclassOf: 'P4' });
+    const classes = res.body.results.bindings.map(binding => binding.class.value.split('/').pop());
+    assert.deepEqual(classes, ['Q5', 'Q2']);
+  });
+
+  it('returns CSV when asked for it', async () => {
+    const res = await request(app)
+      .post('/sparql')
+      .type('form')
+      .send({ query: buildQuery('entityClasses', { entityIds: ['Q21'], instanceOf: 'P3', subclassOf: 'P4' }) })
+      .set('Accept', 'text/csv');
+
+    assert.match(res.type, /text\/csv/);
+    const entity = id => `https://medievalcharterskg.wikibase.cloud/entity/${id}`;
+    assert.equal(res.text, [
+      'entity,class,classLabel,direct',
+      `${entity('Q21')},${entity('Q5')},monastery,true`,
+      `${entity('Q21')},${entity('Q2')},place,false`
+    ].join('\r\n'));
+  });
+
+  it('rejects queries that are not backend templates', async () => {
+    const res = await request(app).post('/sparql').type('form').send({ query: 'SELECT * WHERE { ?s ?p ?o }' });
+    assert.equal(res.status, 400);
+  });
+});
@@ -0,0 +1,146 @@
+process.env.WIKIBASE_SPARQL_URL = 'http://wikibase.test/sparql';
+process.env.WIKIBASE_PROPERTY_SUBCLASS_OF = 'P4';
+process.env.TYPE_CLASSES = 'person=Q1,place=Q2,activity=Q3';
+process.env.LOG_LEVEL = 'silent';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const config = require('../config');
+const cache = require('../services/cache');
+const { canonicalType, getTypeClasses, resolveTypes } = require('../services/types');
+
+const ENTITY = 'https://medievalcharterskg.wikibase.cloud/entity/';
+
+const uri = id => ({ type: 'uri', value: `${ENTITY}${id}` });
+const literal = value => ({ type: 'literal', value });
+
+describe('canonicalType', () => {
+  it('matches the configured class items', () => {
+    assert.equal(canonicalType([{ id: 'Q1', label: 'persona', direct: true }]), 'person');
+    assert.equal(canonicalType([{ id: 'Q2', label: 'lugar', direct: true }]), 'place');
+    assert.equal(canonicalType([{ id: 'Q3', label: null, direct: true }]), 'activity');
+  });
+
+  it('ignores class labels once TYPE_CLASSES is set', () => {
+    assert.equal(canonicalType([{ id: 'Q5', label: 'person', direct: true }]), null);
+    assert.equal(canonicalType([{ id: 'Q8', label: 'human settlement', direct: true }]), null);
+  });
+
+  it('resolves subclasses through their superclasses', () => {
+    const classes = [
+      { id: 'Q20', label: 'notary', direct: true },
+      { id: 'Q21', label: 'scribe', direct: false },
+      { id: 'Q1', label: 'person', direct: false }
+    ];
+    assert.equal(canonicalType(classes), 'person');
+  });
+
+  it('prefers direct classes for multi-typed items', () => {
+    const classes = [
+      { id: 'Q2', label: 'place', direct: true },
+      { id: 'Q1', label: 'person', direct: false }
+    ];
+    assert.equal(canonicalType(classes), 'place');
+  });
+
+  it('returns null when nothing matches', () => {
+    assert.equal(canonicalType([]), null);
+    assert.equal(canonicalType([{ id: 'Q9', label: null, direct: true }]), null);
+  });
+
+  it('follows TYPE_CLASSES', () => {
+    const classes = config.types.classes;
+    config.types.classes = { place: ['Q6', 'Q7'] };
+    try {
+      assert.equal(canonicalType([{ id: 'Q7', label: null, direct: true }]), 'place');
+      assert.equal(canonicalType([{ id: 'Q1', label: 'person', direct: true }]), null);
+    } finally {
+      config.types.classes = classes;
+    }
+  });
+});
+
+describe('resolveTypes', () => {
+  let axiosPost;
+
+  beforeEach(() => {
+    cache.purge();
+    axiosPost = mock.method(axios, 'post', async () => ({
+      data: {
+        results: {
+          bindings: [
+            { entity: uri('Q30'), class: uri('Q20'), classLabel: { ...literal('notary'), 'xml:lang': 'en' }, direct: literal('true') },
+            { entity: uri('Q30'), class: uri('Q1'), classLabel: { ...literal('person'), 'xml:lang': 'en' }, direct: literal('false') },
+            { entity: uri('Q31'), class: uri('Q2'), classLabel: { ...literal('place'), 'xml:lang': 'en' }, direct: literal('true') }
+          ]
+        }
+      }
+    }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('walks instance of and the configured subclass property in one query', async () => {
+    const resolved = await resolveTypes(['Q30', 'Q31', 'Q32']);
+
+    assert.equal(resolved.Q30.type, 'person');
+    assert.equal(resolved.Q31.type, 'place');
+    assert.deepEqual(resolved.Q32, { type: null, classes: [] });
+
+    assert.equal(axiosPost.mock.callCount(), 1);
+    const classQuery = axiosPost.mock.calls[0].arguments[1].get('query');
+    assert.match(classQuery, /VALUES \?entity \{ wd:Q30 wd:Q31 wd:Q32 \}/);
+    assert.match(classQuery, /wdt:P3 \?directClass/);
+    assert.match(classQuery, /wdt:P4\* \?class/);
+  });
+});
+
+describe('resolveTypes without TYPE_CLASSES', () => {
+  let axiosPost;
+  let types;
+
+  beforeEach(() => {
+    cache.purge();
+    types = { ...config.types };
+    config.types.classes = {};
+    config.types.subclassOfProperty = null;
+
+    const bindings = query => {
+      if (query.includes('?property')) return [{ property: uri('P7') }];
+      if (query.includes('VALUES ?entity')) {
+        return [
+          { entity: uri('Q30'), class: uri('Q20'), direct: literal('true') },
+          { entity: uri('Q30'), class: uri('Q8'), direct: literal('false') }
+        ];
+      }
+      // Every class in use with its English label
+      return [
+        { class: uri('Q20'), classLabel: literal('hamlet') },
+        { class: uri('Q8'), classLabel: literal('human settlement') },
+        { class: uri('Q9'), classLabel: literal('notary') }
+      ];
+    };
+    axiosPost = mock.method(axios, 'post', async (url, body) => ({
+      data: { results: { bindings: bindings(body.get('query')) } }
+    }));
+  });
+
+  afterEach(() => {
+    Object.assign(config.types, types);
+    mock.restoreAll();
+  });
+
+  it('finds the subclass property and the type classes by their English labels', async () => {
+    const resolved = await resolveTypes(['Q30']);
+
+    assert.equal(resolved.Q30.type, 'place');
+    assert.deepEqual(await getTypeClasses(), { place: ['Q8'] });
+
+    const queries = axiosPost.mock.calls.map(call => call.arguments[1].get('query'));
+    assert.ok(queries.some(query => /STR\(\?label\) = "subclass of"/.test(query)));
+    assert.ok(queries.some(query => /wdt:P3 \?directClass[\s\S]*wdt:P7\* \?class/.test(query)));
+  });
+});
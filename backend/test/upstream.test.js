@@ -0,0 +1,168 @@
+process.env.UPSTREAM_RETRIES = '2';
+process.env.UPSTREAM_RETRY_DELAY_MS = '1';
+process.env.UPSTREAM_TIMEOUT_WIKIBASE_MS = '1234';
+process.env.BREAKER_FAILURE_THRESHOLD = '3';
+process.env.BREAKER_RESET_SECONDS = '30';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const cache = require('../services/cache');
+const upstream = require('../services/upstream');
+
+const URL = 'http://wikibase.test/w/api.php';
+
+/**
+ * An axios error for a response with the given status, or for no response at all.
+ * @param {number} [status]
+ * @returns {Error}
+ */
+const upstreamError = (status) => {
+  const error = new Error(status ? `Request failed with status code ${status}` : 'socket hang up');
+  error.request = {};
+  if (status) error.response = { status, data: {} };
+  return error;
+};
+
+/**
+ * Stub axios.get with one outcome per call; the last outcome repeats.
+ * @param {Array<Error|Object>} outcomes - Errors are thrown, anything else is the response data
+ */
+const stubGet = (...outcomes) => {
+  let call = 0;
+  return mock.method(axios, 'get', async () => {
+    const outcome = outcomes[Math.min(call++, outcomes.length - 1)];
+    if (outcome instanceof Error) throw outcome;
+    return { data: outcome };
+  });
+};
+
+describe('upstream client', () => {
+  beforeEach(() => {
+    upstream.reset();
+    cache.purge();
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    mock.timers.reset();
+  });
+
+  it('applies the timeout of the target', async () => {
+    const axiosGet = stubGet({ ok: true });
+
+    await upstream.get('wikibase', URL, { params: { action: 'wbsearchentities' } });
+
+    const [url, options] = axiosGet.mock.calls[0].arguments;
+    assert.equal(url, URL);
+    assert.equal(options.timeout, 1234);
+    assert.deepEqual(options.params, { action: 'wbsearchentities' });
+  });
+
+  it('retries GETs after server errors and network failures', async () => {
+    const axiosGet = stubGet(upstreamError(502), upstreamError(), { ok: true });
+
+    const response = await upstream.get('wikibase', URL);
+
+    assert.deepEqual(response.data, { ok: true });
+    assert.equal(axiosGet.mock.callCount(), 3);
+    assert.equal(upstream.getStats().wikibase.retries, 2);
+  });
+
+  it('gives up after the configured number of retries', async () => {
+    const axiosGet = stubGet(upstreamError(503));
+
+    await assert.rejects(upstream.get('wikibase', URL), { response: { status: 503, data: {} } });
+    assert.equal(axiosGet.mock.callCount(), 3);
+  });
+
+  it('does not retry client errors', async () => {
+    const axiosGet = stubGet(upstreamError(400));
+
+    await assert.rejects(upstream.get('wikibase', URL));
+    assert.equal(axiosGet.mock.callCount(), 1);
+    assert.equal(upstream.getStats().wikibase.consecutiveFailures, 0);
+  });
+
+  it('retries POSTs only when marked idempotent', async () => {
+    const axiosPost = mock.method(axios, 'post', async () => { throw upstreamError(500); });
+
+    await assert.rejects(upstream.post('sparql', URL, 'query=ASK{}'));
+    assert.equal(axiosPost.mock.callCount(), 1);
+
+    upstream.reset();
+    await assert.rejects(upstream.post('sparql', URL, 'query=ASK{}', { idempotent: true }));
+    assert.equal(axiosPost.mock.callCount(), 4);
+  });
+
+  describe('circuit breaker', () => {
+    it('opens after consecutive failures and then fails fast', async () => {
+      const axiosGet = stubGet(upstreamError());
+
+      await assert.rejects(upstream.get('wikibase', URL));
+      assert.equal(upstream.getStats().wikibase.state, 'open');
+      assert.equal(axiosGet.mock.callCount(), 3);
+
+      await assert.rejects(upstream.get('wikibase', URL), upstream.CircuitOpenError);
+      assert.equal(axiosGet.mock.callCount(), 3);
+      assert.equal(upstream.getStats().wikibase.shortCircuited, 1);
+    });
+
+    it('keeps targets independent', async () => {
+      stubGet(upstreamError());
+      await assert.rejects(upstream.get('wikibase', URL));
+
+      mock.method(axios, 'post', async () => ({ data: { ok: true } }));
+      const response = await upstream.post('sparql', URL, 'query=ASK{}');
+
+      assert.deepEqual(response.data, { ok: true });
+    });
+
+    it('lets a trial request through after the reset period', async () => {
+      mock.timers.enable({ apis: ['Date'], now: 0 });
+      stubGet(upstreamError(), upstreamError(), upstreamError(), { ok: true });
+      await assert.rejects(upstream.get('wikibase', URL));
+
+      mock.timers.tick(10 * 1000);
+      await assert.rejects(upstream.get('wikibase', URL), { name: 'CircuitOpenError', retryAfter: 20 });
+
+      mock.timers.tick(20 * 1000);
+      const response = await upstream.get('wikibase', URL);
+
+      assert.deepEqual(response.data, { ok: true });
+      const stats = upstream.getStats().wikibase;
+      assert.equal(stats.state, 'closed');
+      assert.deepEqual(stats.transitions, { 'closed->open': 1, 'open->half-open': 1, 'half-open->closed': 1 });
+    });
+
+    it('reopens when the trial request fails', async () => {
+      mock.timers.enable({ apis: ['Date'], now: 0 });
+      const axiosGet = stubGet(upstreamError());
+      await assert.rejects(upstream.get('wikibase', URL));
+
+      mock.timers.tick(30 * 1000);
+      await assert.rejects(upstream.get('wikibase', URL), { request: {} });
+
+      // The trial is not retried
+      assert.equal(axiosGet.mock.callCount(), 4);
+      assert.equal(upstream.getStats().wikibase.state, 'open');
+    });
+
+    it('serves stale cache entries while open', async () => {
+      mock.timers.enable({ apis: ['Date'], now: 0 });
+      stubGet({ search: ['fresh'] }, upstreamError());
+      const fetchSearch = async () => (await upstream.get('wikibase', URL)).data;
+
+      await cache.getOrFetch('search', { query: 'juan' }, fetchSearch);
+      await assert.rejects(upstream.get('wikibase', URL));
+
+      // A miss (as after the entry expires) falls back to the last value while the circuit is open
+      const result = await cache.getOrFetch('search', { query: 'juan' }, fetchSearch, { bypass: true });
+      assert.deepEqual(result, { value: { search: ['fresh'] }, hit: true, stale: true });
+      assert.equal(cache.getStats().namespaces.search.staleHits, 1);
+
+      await assert.rejects(cache.getOrFetch('search', { query: 'pedro' }, fetchSearch), upstream.CircuitOpenError);
+    });
+  });
+});
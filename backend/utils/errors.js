@@ -0,0 +1,186 @@
+/**
+ * Medieval Charters Knowledge Graph - API Errors
+ * Typed errors thrown by routes and middleware, and the conversion of upstream
+ * and unexpected errors into them. The error handler (middleware/errorHandler)
+ * turns every ApiError into the same JSON envelope:
+ *
+ *   { "error": { "code", "message", "detail", "upstreamStatus", "requestId", "retryable" } }
+ */
+
+// Names of the upstream targets (services/upstream) used in error messages
+const UPSTREAM_NAMES = {
+  wikibase: 'Wikibase API',
+  sparql: 'SPARQL endpoint',
+  sparqlProxy: 'SPARQL endpoint',
+  federation: 'Wikidata query service',
+  wikidata: 'Wikidata API'
+};
+
+/**
+ * Base class of every error the API reports to clients
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status of the response
+   * @param {string} code - Stable machine-readable code, e.g. invalid_parameter
+   * @param {string} message - Human-readable summary
+   * @param {Object} [options]
+   * @param {*} [options.detail=null] - What exactly was wrong, e.g. the offending parameter
+   * @param {number|null} [options.upstreamStatus=null] - HTTP status returned by the upstream service
+   * @param {boolean} [options.retryable=false] - Whether repeating the request later may succeed
+   * @param {number} [options.retryAfter] - Seconds to wait, sent as Retry-After
+   */
+  constructor(status, code, message, { detail = null, upstreamStatus = null, retryable = false, retryAfter } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.detail = detail;
+    this.upstreamStatus = upstreamStatus;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * A missing or malformed request parameter (400)
+ */
+class ValidationError extends ApiError {
+  constructor(message, detail = null, code = 'invalid_parameter') {
+    super(400, code, message, { detail });
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * Missing or invalid credentials (401)
+ */
+class UnauthorizedError extends ApiError {
+  constructor(message, detail = null, code = 'unauthorized') {
+    super(401, code, message, { detail });
+    this.name = 'UnauthorizedError';
+  }
+}
+
+/**
+ * A request that is understood but not allowed (403)
+ */
+class ForbiddenError extends ApiError {
+  constructor(message, detail = null, code = 'forbidden') {
+    super(403, code, message, { detail });
+    this.name = 'ForbiddenError';
+  }
+}
+
+/**
+ * An entity or route that does not exist (404)
+ */
+class NotFoundError extends ApiError {
+  constructor(message, detail = null, code = 'not_found') {
+    super(404, code, message, { detail });
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * No acceptable response format (406)
+ */
+class NotAcceptableError extends ApiError {
+  constructor(message, detail = null) {
+    super(406, 'unsupported_format', message, { detail });
+    this.name = 'NotAcceptableError';
+  }
+}
+
+/**
+ * The client exceeded a rate limit (429)
+ */
+class RateLimitError extends ApiError {
+  constructor(message, detail, retryAfter) {
+    super(429, 'rate_limited', message, { detail, retryable: true, retryAfter });
+    this.name = 'RateLimitError';
+  }
+}
+
+/**
+ * An upstream service failed: it answered with an error (502), did not
+ * answer or is switched off by its circuit breaker (503), or timed out (504)
+ */
+class UpstreamError extends ApiError {
+  constructor(status, code, message, options) {
+    super(status, code, message, options);
+    this.name = 'UpstreamError';
+  }
+}
+
+/**
+ * Convert any error into an ApiError.
+ * Upstream errors are recognised by the target services/upstream tags them with.
+ * @param {Error} error
+ * @returns {ApiError}
+ */
+const toApiError = (error) => {
+  if (error instanceof ApiError) return error;
+
+  const service = UPSTREAM_NAMES[error.target || error.upstreamTarget] || 'Wikibase';
+
+  if (error.name === 'CircuitOpenError') {
+    return new UpstreamError(503, 'upstream_unavailable', `${service} temporarily unavailable`, {
+      detail: error.message,
+      retryable: true,
+      retryAfter: error.retryAfter
+    });
+  }
+  if (error.name === 'WikibaseApiError') {
+    // An error in a successful response, e.g. an unknown parameter
+    return new UpstreamError(502, 'upstream_error', 'Error from Wikibase API', {
+      detail: { code: error.code, info: error.message }
+    });
+  }
+  if (error.name === 'SnapshotError') {
+    // DATA_SOURCE=snapshot without a readable snapshot; the path is only logged
+    return new ApiError(503, 'snapshot_unavailable', 'Knowledge graph snapshot unavailable', {
+      detail: 'The configured snapshot cannot be read'
+    });
+  }
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new UpstreamError(504, 'upstream_timeout', `${service} timed out`, {
+      detail: error.message,
+      retryable: true
+    });
+  }
+  if (error.response) {
+    const upstreamStatus = error.response.status;
+    return new UpstreamError(502, 'upstream_error', `Error from ${service}`, {
+      detail: error.response.data ?? null,
+      upstreamStatus,
+      retryable: upstreamStatus >= 500 || upstreamStatus === 429
+    });
+  }
+  if (error.request) {
+    return new UpstreamError(503, 'upstream_unavailable', `No response from ${service}`, {
+      detail: 'Service unavailable',
+      retryable: true
+    });
+  }
+
+  // Errors raised by Express and body-parser (malformed JSON, oversized bodies)
+  const status = error.status || error.statusCode;
+  if (error.expose && status >= 400 && status < 500) {
+    return new ApiError(status, 'invalid_request', error.message);
+  }
+
+  return new ApiError(500, 'internal_error', 'Internal Server Error');
+};
+
+module.exports = {
+  ApiError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  NotAcceptableError,
+  RateLimitError,
+  UpstreamError,
+  toApiError
+};
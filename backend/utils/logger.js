@@ -0,0 +1,86 @@
+/**
+ * Medieval Charters Knowledge Graph - Logging
+ * Structured logs: one JSON object per line with the time, level, message, the
+ * ID of the request being handled and any fields passed along.
+ *
+ * LOG_LEVEL sets the lowest level written (debug in development, info
+ * otherwise). LOG_REDACT_PARAMS lists query parameters, such as search terms,
+ * whose values are replaced in logged URLs.
+ */
+const config = require('../config');
+const requestContext = require('./requestContext');
+
+// Levels in order of verbosity; a record is written when its level is at or below LOG_LEVEL
+const LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+
+const REDACTED = '[REDACTED]';
+
+// Parameters carrying the same value under another name: the search term is
+// query on incoming routes and search on upstream wbsearchentities calls
+const SAME_VALUE_PARAMS = [['query', 'search']];
+
+/**
+ * Whether a query parameter's value is hidden in logs. Listing either name
+ * of a SAME_VALUE_PARAMS pair hides both.
+ * @param {string} name
+ * @returns {boolean}
+ */
+const isRedacted = (name) => {
+  const { redactParams } = config.logging;
+  if (redactParams.includes('*') || redactParams.includes(name)) return true;
+  return SAME_VALUE_PARAMS.some(names => names.includes(name) && names.some(other => redactParams.includes(other)));
+};
+
+/**
+ * Build a URL for logging, with the values of redacted parameters replaced.
+ * @param {string} url - Absolute URL or path, with or without a query string
+ * @param {Object} [params] - Further query parameters, as passed to axios
+ * @returns {string}
+ */
+const redactUrl = (url, params = {}) => {
+  const [base, query = ''] = String(url).split('?');
+  const search = new URLSearchParams(query);
+  Object.entries(params).forEach(([name, value]) => {
+    if (value !== undefined && value !== null) search.append(name, value);
+  });
+  if (!search.size) return base;
+
+  const redacted = [...search].map(([name, value]) =>
+    `${encodeURIComponent(name)}=${isRedacted(name) ? REDACTED : encodeURIComponent(value)}`
+  );
+  return `${base}?${redacted.join('&')}`;
+};
+
+// JSON.stringify drops the message and stack of errors
+const serialise = (key, value) => (value instanceof Error
+  ? { name: value.name, message: value.message, code: value.code, stack: value.stack }
+  : value);
+
+/**
+ * Write one log record.
+ * @param {string} level - error, warn, info or debug
+ * @param {string} msg - What happened, e.g. "request" or "upstream"
+ * @param {Object} [fields] - Details; a requestId here overrides the request context's
+ */
+const log = (level, msg, fields = {}) => {
+  if (LEVELS.indexOf(level) > LEVELS.indexOf(config.logging.level)) return;
+
+  const record = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    requestId: requestContext.current()?.requestId,
+    ...fields
+  };
+  // Problems go to stderr, everything else to stdout
+  const write = level === 'error' || level === 'warn' ? console.error : console.log;
+  write(JSON.stringify(record, serialise));
+};
+
+module.exports = {
+  redactUrl,
+  error: (msg, fields) => log('error', msg, fields),
+  warn: (msg, fields) => log('warn', msg, fields),
+  info: (msg, fields) => log('info', msg, fields),
+  debug: (msg, fields) => log('debug', msg, fields)
+};
@@ -0,0 +1,17 @@
+/**
+ * Medieval Charters Knowledge Graph - Query Parameter Helpers
+ * Parsing shared by routes that accept list parameters.
+ */
+
+/**
+ * Split a list parameter on | (the Wikibase convention) or commas.
+ * @param {string|undefined} value
+ * @returns {string[]} Trimmed, de-duplicated items
+ */
+const splitList = (value) => [...new Set(
+  String(value || '').split(/[|,]/).map(item => item.trim()).filter(Boolean)
+)];
+
+module.exports = {
+  splitList
+};
@@ -0,0 +1,28 @@
+/**
+ * Medieval Charters Knowledge Graph - Request Context
+ * Per-request state that follows a request through its async work, so code
+ * far from the route (the upstream client, the logger) can tell which request
+ * it is working for without every function passing it along.
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a request context.
+ * @param {Object} context - { requestId, upstream: { calls, durationMs } }
+ * @param {Function} fn
+ * @returns {*} What fn returns
+ */
+const run = (context, fn) => storage.run(context, fn);
+
+/**
+ * The context of the request being handled.
+ * @returns {Object|undefined} Undefined outside a request (startup, scripts, timers)
+ */
+const current = () => storage.getStore();
+
+module.exports = {
+  run,
+  current
+};
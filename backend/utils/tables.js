@@ -0,0 +1,105 @@
+/**
+ * Medieval Charters Knowledge Graph - Table Writers
+ * Stream rows to CSV or XLSX as they arrive, one page at a time, so a large
+ * export is never held in memory or serialised in one go.
+ *
+ * Columns are { key, header } pairs; rows are objects keyed by column key and
+ * pages are async iterables of row arrays.
+ */
+const ExcelJS = require('exceljs');
+
+// Cells a spreadsheet would run as a formula when the CSV is opened
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMBER = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Quote a CSV field when needed (RFC 4180) and neutralise formulas.
+ * @param {*} value
+ * @returns {string}
+ */
+const csvField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_START.test(text) && !NUMBER.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write a chunk, waiting for the stream to drain when its buffer is full.
+ * A response whose client disconnects emits close rather than error or
+ * drain, so closing also ends the wait; callers check stream.destroyed.
+ * @param {Object} stream - Writable stream
+ * @param {string} chunk
+ * @returns {Promise<void>}
+ */
+const write = (stream, chunk) => {
+  if (stream.destroyed || stream.write(chunk)) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => {
+      stream.off('drain', done);
+      stream.off('close', done);
+      resolve();
+    };
+    stream.on('drain', done);
+    stream.on('close', done);
+  });
+};
+
+/**
+ * Stream a table as UTF-8 CSV with CRLF line endings.
+ * The byte order mark makes Excel read accented labels correctly.
+ * @param {Object} stream - Writable stream, ended when the table is complete
+ * @param {Object[]} columns
+ * @param {AsyncIterable<Object[]>} pages
+ * @returns {Promise<void>}
+ */
+const writeCsv = async (stream, columns, pages) => {
+  const line = cells => `${cells.map(csvField).join(',')}\r\n`;
+
+  await write(stream, `\uFEFF${line(columns.map(column => column.header))}`);
+  for await (const rows of pages) {
+    // Leaving the loop closes the pages, so no further page is fetched
+    if (stream.destroyed) return;
+    await write(stream, rows.map(row => line(columns.map(column => row[column.key]))).join(''));
+  }
+  if (!stream.destroyed) stream.end();
+};
+
+/**
+ * Stream a table as an XLSX workbook with a single sheet and a frozen header row.
+ * Rows are committed as they are added, so only the current page is kept in memory.
+ * @param {Object} stream - Writable stream, ended when the workbook is complete
+ * @param {Object[]} columns
+ * @param {AsyncIterable<Object[]>} pages
+ * @returns {Promise<void>}
+ */
+const writeXlsx = async (stream, columns, pages) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true, useSharedStrings: false });
+  const sheet = workbook.addWorksheet('Results', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = columns.map(({ key, header }) => ({ key, header, width: Math.max(12, header.length + 2) }));
+  sheet.getRow(1).font = { bold: true };
+
+  for await (const rows of pages) {
+    if (stream.destroyed) return;
+    rows.forEach(row => sheet.addRow(row).commit());
+  }
+  if (stream.destroyed) return;
+  sheet.commit();
+  await workbook.commit();
+};
+
+// Table formats: the format parameter, media type and file extension of each
+const TABLE_FORMATS = {
+  csv: { mediaType: 'text/csv', extension: 'csv', write: writeCsv },
+  xlsx: {
+    mediaType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+    write: writeXlsx
+  }
+};
+
+module.exports = {
+  TABLE_FORMATS,
+  csvField,
+  writeCsv,
+  writeXlsx
+};
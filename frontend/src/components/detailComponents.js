@@ -0,0 +1,21 @@
+/**
+ * Medieval Charters Knowledge Graph - Detail Component Registry
+ *
+ * Maps the canonical entity type resolved by the backend (entity.type) to the
+ * component that renders its detail page.
+ */
+import ResultDetails from './ResultDetails.vue';
+import PersonResultDetails from './PersonResultDetails.vue';
+import PlaceResultDetails from './PlaceResultDetails.vue';
+import ActivitiesResultDetails from './ActivitiesResultDetails.vue';
+
+export const detailComponents = {
+  person: PersonResultDetails,
+  place: PlaceResultDetails,
+  activity: ActivitiesResultDetails
+};
+
+// Generic view for entities without a canonical type
+export const defaultDetailComponent = ResultDetails;
+
+export const getDetailComponent = (type) => detailComponents[type] || defaultDetailComponent;
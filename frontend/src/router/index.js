@@ -1,6 +1,7 @@
 import { createRouter, createWebHistory } from 'vue-router';
 import Search from '../components/Search.vue';
 import ResultDetails from '../components/ResultDetails.vue';
+import PathFinder from '../components/PathFinder.vue';
 
 const routes = [
   {
@@ -12,6 +13,11 @@ const routes = [
     path: '/result/:id',
     name: 'result-details',
     component: ResultDetails
+  },
+  {
+    path: '/path',
+    name: 'path-finder',
+    component: PathFinder
   }
 ];
 
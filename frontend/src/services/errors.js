@@ -0,0 +1,54 @@
+/**
+ * Medieval Charters Knowledge Graph - API Errors
+ *
+ * Turns the backend's error envelope ({ error: { code, message, detail,
+ * upstreamStatus, requestId, retryable } }) into a message for the user.
+ */
+
+// What to tell the user for each error code; the backend message is used otherwise
+const MESSAGES = {
+  missing_parameter: 'Please fill in the required fields.',
+  invalid_parameter: 'Some of the search options are not valid.',
+  invalid_entity_id: 'That is not a valid entity ID (for example Q42).',
+  unsupported_language: 'That language is not supported.',
+  not_found: 'This entity could not be found in the knowledge graph.',
+  rate_limited: 'Too many requests. Please wait a moment and try again.',
+  upstream_unavailable: 'The knowledge graph is temporarily unavailable. Please try again shortly.',
+  upstream_timeout: 'The knowledge graph took too long to answer. Please try again.',
+  upstream_error: 'The knowledge graph returned an error.',
+  snapshot_unavailable: 'The offline copy of the knowledge graph is unavailable.',
+  internal_error: 'Something went wrong on our side.'
+};
+
+// Parameter errors are more useful with the backend's explanation
+const WITH_DETAIL = ['invalid_parameter', 'invalid_sparql', 'unsupported_format'];
+
+// Server-side failures show the request ID so a report can be matched to the logs
+const WITH_REQUEST_ID = ['internal_error', 'upstream_error', 'upstream_timeout', 'upstream_unavailable', 'snapshot_unavailable'];
+
+/**
+ * Describe a failed API request for display.
+ * @param {Error} err - axios error
+ * @param {string} [fallback] - Message when the error has no envelope
+ * @returns {string}
+ */
+export const describeError = (err, fallback = 'Something went wrong. Please try again.') => {
+  const apiError = err?.response?.data?.error;
+
+  if (!apiError || typeof apiError !== 'object') {
+    // No response at all: the backend itself is unreachable
+    if (err?.request && !err.response) {
+      return 'Could not reach the server. Check your connection and try again.';
+    }
+    return err?.message || fallback;
+  }
+
+  let message = MESSAGES[apiError.code] || apiError.message || fallback;
+  if (WITH_DETAIL.includes(apiError.code) && typeof apiError.detail === 'string') {
+    message = `${message} ${apiError.detail}`;
+  }
+  if (WITH_REQUEST_ID.includes(apiError.code) && apiError.requestId) {
+    message = `${message} (request ${apiError.requestId})`;
+  }
+  return message;
+};
@@ -0,0 +1,34 @@
+/**
+ * Medieval Charters Knowledge Graph - Label Language
+ *
+ * Shared, persisted choice of the language used for labels and searches.
+ * The backend falls back through es → la → en when a label is missing.
+ */
+import { ref, watch } from 'vue';
+
+const STORAGE_KEY = 'mckg.language';
+
+// Languages offered in the selector, in the order they are listed
+export const SUPPORTED_LANGUAGES = [
+  { code: 'es', label: 'Español' },
+  { code: 'la', label: 'Latina' },
+  { code: 'en', label: 'English' }
+];
+
+const isSupported = (code) => SUPPORTED_LANGUAGES.some(language => language.code === code);
+
+// Stored choice first, then the browser language, then English
+const initialLanguage = () => {
+  const stored = localStorage.getItem(STORAGE_KEY);
+  if (isSupported(stored)) {
+    return stored;
+  }
+  const browser = (navigator.language || '').slice(0, 2).toLowerCase();
+  return isSupported(browser) ? browser : 'en';
+};
+
+export const currentLanguage = ref(initialLanguage());
+
+watch(currentLanguage, (code) => {
+  localStorage.setItem(STORAGE_KEY, code);
+});